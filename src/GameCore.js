@@ -0,0 +1,170 @@
+// Western Blacksmith - Headless Game Core
+import { InventorySystem } from './systems/InventorySystem.js';
+import { CoalSystem } from './systems/CoalSystem.js';
+import { CraftingSystem } from './systems/CraftingSystem.js';
+import { StorefrontSystem } from './systems/StorefrontSystem.js';
+import { ReputationSystem } from './systems/ReputationSystem.js';
+import { ContractSystem } from './systems/ContractSystem.js';
+import { BlueprintSystem } from './systems/BlueprintSystem.js';
+import { WorkerSystem } from './systems/WorkerSystem.js';
+import { EventSystem } from './systems/EventSystem.js';
+import { MarketSystem } from './systems/MarketSystem.js';
+import { SupplierSystem } from './systems/SupplierSystem.js';
+import { ToolDurability } from './systems/ToolDurability.js';
+import { TimeSystem } from './systems/TimeSystem.js';
+import { OfflineProgress } from './systems/OfflineProgress.js';
+import { ProductionPlanner } from './systems/ProductionPlanner.js';
+
+import { EventEmitter } from './utils/EventEmitter.js';
+import { SaveSystem } from './utils/SaveSystem.js';
+import { Random } from './utils/Random.js';
+import { MemoryStorageAdapter } from './utils/StorageAdapters.js';
+
+// Import game data
+import { items, materials, tools, toolTiers, itemQualities } from './data/items.js';
+import { contracts } from './data/contracts.js';
+import { events } from './data/events.js';
+import { suppliers } from './data/suppliers.js';
+import { stations } from './data/stations.js';
+import { customers } from './data/customers.js';
+
+/**
+ * Game Core
+ * 
+ * Builds the simulation systems without any DOM dependencies, so the game can
+ * run in a browser behind the UI or headless in Node for balance simulations
+ * and automated tests.
+ * 
+ * Headless usage (Node):
+ *   const core = new GameCore();
+ *   core.step(8 * 60); // Simulate one work day
+ */
+export class GameCore {
+    /**
+     * @param {Object} options - Core options
+     * @param {Object} options.storage - Storage adapter for saves (default: in-memory; see createStorageAdapter)
+     * @param {boolean} options.realTime - Whether the clock runs on real time (default: false)
+     * @param {number|string} options.seed - Seed for the random number generator (default: current time)
+     * @param {boolean} options.autoSave - Whether to autosave while running (default: same as realTime)
+     */
+    constructor(options = {}) {
+        // Whether the TimeSystem ticker drives the game (false = manual step())
+        this.realTime = options.realTime || false;
+        
+        // Initialize event system first to allow other systems to register listeners
+        this.eventEmitter = new EventEmitter();
+        
+        // Item data as expected by the systems (copied so each core can unlock blueprints independently)
+        const itemsData = {
+            items: structuredClone(items),
+            materials: structuredClone(materials),
+            tools: structuredClone(tools),
+            toolTiers: structuredClone(toolTiers),
+            itemQualities: structuredClone(itemQualities)
+        };
+        
+        // Shared seeded random number generator; the same seed replays the same customers, contracts and events
+        this.random = new Random(options.seed);
+        
+        // Initialize the simulation clock first; every other system runs off its game minutes
+        this.time = new TimeSystem(this.eventEmitter);
+        this.time.autoResume = this.realTime;
+        
+        // Initialize core systems
+        this.inventory = new InventorySystem(this.eventEmitter, itemsData.itemQualities);
+        this.coal = new CoalSystem(this.eventEmitter, this.inventory);
+        this.toolDurability = new ToolDurability(this.eventEmitter, this.inventory, itemsData);
+        this.crafting = new CraftingSystem(this.eventEmitter, this.inventory, this.coal, this.toolDurability, itemsData, stations, this.random);
+        this.blueprints = new BlueprintSystem(this.eventEmitter, itemsData.items);
+        
+        // Initialize economy systems; the shop's reputation shapes its customers and contracts
+        this.reputation = new ReputationSystem(this.eventEmitter, contracts, itemsData, this.time);
+        this.storefront = new StorefrontSystem(this.eventEmitter, this.inventory, itemsData, this.time, this.random, customers, this.reputation);
+        this.contracts = new ContractSystem(this.eventEmitter, this.inventory, contracts, itemsData, this.time, this.random, this.reputation, this.storefront);
+        this.workers = new WorkerSystem(this.eventEmitter, this.crafting, this.coal, this.inventory, this.time, this.random);
+        this.market = new MarketSystem(this.eventEmitter, itemsData, this.time, this.random);
+        this.suppliers = new SupplierSystem(this.eventEmitter, this.inventory, this.market, suppliers, this.time, this.random);
+        
+        // Initialize the production planner over the contract, crafting and supply systems
+        this.planner = new ProductionPlanner(this.eventEmitter, {
+            contracts: this.contracts,
+            crafting: this.crafting,
+            inventory: this.inventory,
+            coal: this.coal,
+            suppliers: this.suppliers
+        }, itemsData, this.time);
+        
+        // Initialize event system with the live systems its effects act on
+        this.events = new EventSystem(this.eventEmitter, events, this.time, this.random, {
+            blueprints: this.blueprints,
+            storefront: this.storefront,
+            market: this.market,
+            suppliers: this.suppliers,
+            contracts: this.contracts,
+            workers: this.workers,
+            inventory: this.inventory
+        });
+        
+        // Initialize save system and register every stateful system built above
+        this.saveSystem = new SaveSystem(this.eventEmitter, {}, options.storage || new MemoryStorageAdapter());
+        this.saveSystem.registerAll(this);
+        this.saveSystem.autoSaveEnabled = options.autoSave !== undefined ? options.autoSave : this.realTime;
+        
+        // Catch up on what happened while the player was away whenever a save is loaded
+        // (only meaningful when the clock follows real time)
+        this.offlineProgress = new OfflineProgress(
+            this.eventEmitter,
+            {
+                time: this.time,
+                coal: this.coal,
+                crafting: this.crafting,
+                workers: this.workers,
+                storefront: this.storefront,
+                contracts: this.contracts,
+                suppliers: this.suppliers
+            },
+            { enabled: this.realTime }
+        );
+        
+        // Setup game tick before the clock starts
+        this.setupGameLoop();
+    }
+    
+    setupGameLoop() {
+        // The TimeSystem owns the clock; each tick carries the elapsed game minutes,
+        // so pausing or changing the time multiplier affects every system equally
+        this.eventEmitter.on('time:tick', (time, elapsedMinutes) => {
+            this.tick(elapsedMinutes);
+        });
+    }
+    
+    tick(elapsedMinutes) {
+        // Update all systems
+        this.coal.update(elapsedMinutes);
+        this.crafting.update(elapsedMinutes);
+        this.storefront.update(elapsedMinutes);
+        this.contracts.update(elapsedMinutes);
+        this.workers.update(elapsedMinutes);
+        this.market.update(elapsedMinutes);
+        this.suppliers.update(elapsedMinutes);
+        this.events.update(elapsedMinutes);
+        
+        // Autosave after the systems have settled for this tick
+        this.saveSystem.update(elapsedMinutes);
+    }
+    
+    /**
+     * Manually advance the simulation
+     * @param {number} minutes - Game minutes to simulate
+     * @param {number} stepSize - Game minutes per tick (default: 1, like the real-time clock at 1x)
+     */
+    step(minutes, stepSize = 1) {
+        let remaining = minutes;
+        
+        while (remaining > 0) {
+            const elapsed = Math.min(stepSize, remaining);
+            this.time.advance(elapsed);
+            remaining -= elapsed;
+        }
+    }
+}
\ No newline at end of file
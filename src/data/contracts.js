@@ -1,8 +1,11 @@
+import { Random } from '../utils/Random.js';
+
 /**
  * Contract Definitions
  * 
  * Defines all possible contracts that can appear in the game.
  * Contracts are bulk orders for specific items with time constraints.
+ * Bundled orders ask for several items at once and pay a bonus when every one is delivered.
  */
 
 // Contract definition structure:
@@ -10,10 +13,16 @@
 // - customer: Name of the customer/company ordering the items
 // - item: Item ID corresponding to items.js
 // - minQuantity/maxQuantity: Range for how many items to order
-// - minDuration/maxDuration: Range for contract duration in minutes
+// - lineItems: For bundled orders, the items asked for instead of item and the quantity range
+//   (each { item, minQuantity, maxQuantity })
+// - name: Name of a bundled order
+// - bundleBonus: Share of the payout added when every line item has been delivered (bundles only)
+// - minDuration/maxDuration: Range for contract duration in game hours
 // - basePayoutMultiplier: Multiplier on item basePrice for contract payout
 // - description: Flavor text for the contract
 // - weight: Relative chance of this contract appearing (higher = more common)
+// - minQuality: Lowest quality grade the customer accepts (optional, default: any)
+// - qualityPremium: Payout bonus per quality grade delivered above the minimum (optional)
 
 export const contractDefinitions = [
     // Mining Company Contracts
@@ -65,7 +74,9 @@ export const contractDefinitions = [
         maxDuration: 20,
         basePayoutMultiplier: 1.25,
         description: "The ranch owner wants some decorative horseshoes as gifts for important guests.",
-        weight: 5
+        weight: 5,
+        minQuality: "good",
+        qualityPremium: 0.1
     },
     
     // General Store Contracts
@@ -105,6 +116,23 @@ export const contractDefinitions = [
         description: "The general store needs cooking pots to sell to new homesteaders.",
         weight: 8
     },
+    {
+        id: "store_homestead_kit",
+        customer: "Thompson's General Store",
+        name: "Homestead Kit",
+        lineItems: [
+            { item: "hinge", minQuantity: 2, maxQuantity: 4 },
+            { item: "nail", minQuantity: 20, maxQuantity: 40 },
+            { item: "pot", minQuantity: 1, maxQuantity: 2 },
+            { item: "hatchet", minQuantity: 1, maxQuantity: 2 }
+        ],
+        minDuration: 16,
+        maxDuration: 28,
+        basePayoutMultiplier: 1.15,
+        bundleBonus: 0.15,
+        description: "A family headed out to a new claim wants everything for the cabin in one order.",
+        weight: 4
+    },
     
     // Sheriff's Office Contracts
     {
@@ -117,7 +145,9 @@ export const contractDefinitions = [
         maxDuration: 25,
         basePayoutMultiplier: 1.3,
         description: "The sheriff's office needs new rifles for their deputies.",
-        weight: 4
+        weight: 4,
+        minQuality: "common",
+        qualityPremium: 0.1
     },
     {
         id: "sheriff_revolvers",
@@ -129,7 +159,9 @@ export const contractDefinitions = [
         maxDuration: 20,
         basePayoutMultiplier: 1.3,
         description: "The sheriff needs new revolvers for the deputy patrol.",
-        weight: 3
+        weight: 3,
+        minQuality: "common",
+        qualityPremium: 0.1
     },
     {
         id: "sheriff_bullets",
@@ -143,6 +175,23 @@ export const contractDefinitions = [
         description: "The sheriff's office needs ammunition for their firearms.",
         weight: 6
     },
+    {
+        id: "sheriff_posse",
+        customer: "County Sheriff's Office",
+        name: "Posse Outfit",
+        lineItems: [
+            { item: "revolver", minQuantity: 2, maxQuantity: 4 },
+            { item: "bullets", minQuantity: 20, maxQuantity: 40 }
+        ],
+        minDuration: 18,
+        maxDuration: 30,
+        basePayoutMultiplier: 1.3,
+        bundleBonus: 0.2,
+        description: "The sheriff is raising a posse and needs every rider armed and loaded.",
+        weight: 2,
+        minQuality: "common",
+        qualityPremium: 0.1
+    },
     
     // Railroad Contracts
     {
@@ -181,7 +230,9 @@ export const contractDefinitions = [
         maxDuration: 20,
         basePayoutMultiplier: 1.4,
         description: "The mayor wants custom belt buckles as gifts for visiting dignitaries.",
-        weight: 3
+        weight: 3,
+        minQuality: "good",
+        qualityPremium: 0.15
     },
     {
         id: "mansion_candelabra",
@@ -193,26 +244,75 @@ export const contractDefinitions = [
         maxDuration: 25,
         basePayoutMultiplier: 1.5,
         description: "The wealthy Morgan family wants silver candelabras for their dining room.",
-        weight: 2
+        weight: 2,
+        minQuality: "fine",
+        qualityPremium: 0.2
     }
 ];
 
+// How far each customer will bend when the shop asks for different terms
+// (0 = not at all, 1 = very accommodating; customers not listed use defaultPatience)
+export const customerPatience = {
+    "Rocky Mountain Mining Co.": 0.4,
+    "Big Sky Ranch": 0.7,
+    "Thompson's General Store": 0.6,
+    "County Sheriff's Office": 0.3,
+    "Western Pacific Railroad": 0.5,
+    "Mayor's Office": 0.35,
+    "Morgan Estate": 0.25
+};
+
+export const defaultPatience = 0.5;
+
+// Rules for negotiating a contract's terms:
+// - maxRounds: Proposals the shop can make before the customer's offer is final
+// - roundFatigue: Share of the customer's flexibility lost with each round
+// - priceFlex: Largest price increase (per piece) a fully patient customer agrees to
+// - deadlineFlex: Largest deadline extension (share of the original) a fully patient customer agrees to
+// - quantityFlex: Largest change in quantity (share of the original) a fully patient customer agrees to
+export const negotiationTerms = {
+    maxRounds: 3,
+    roundFatigue: 0.2,
+    priceFlex: 0.3,
+    deadlineFlex: 0.6,
+    quantityFlex: 0.4
+};
+
+// Delivery and payment terms for one-off contracts:
+// - depositRate: Share of the payout the customer pays up front when the contract is accepted
+// - latePenalties: Share of the payment kept back for pieces delivered late, by how late
+//   (lateness as a share of the time the contract allowed; past the last step the customer cancels)
+// - cancellationFeeRate: Share of the outstanding pieces' value charged when a contract is cancelled
+//   (on top of returning the deposit for those pieces)
+export const deliveryTerms = {
+    depositRate: 0.2,
+    latePenalties: [
+        { lateness: 0.25, penalty: 0.1 },
+        { lateness: 0.5, penalty: 0.25 },
+        { lateness: 1, penalty: 0.4 }
+    ],
+    cancellationFeeRate: 0.1
+};
+
 /**
  * Generate a random contract from the definitions
  * @param {Object} options - Configuration options
  * @param {string[]} options.availableItems - Array of unlocked item IDs
  * @param {number} options.timeMultiplier - Multiplier for contract duration (default: 1)
- * @returns {Object} - A randomly generated contract
+ * @param {number} options.currentTime - Current game time in total game minutes (default: 0)
+ * @param {Random} options.random - Seeded random number generator
+ * @param {Object} options.customerWeights - Weight multipliers by customer name (default: 1 for everyone)
+ * @returns {Object|null} - A randomly generated contract, or null if no customer will offer one
  */
 export function generateRandomContract(options = {}) {
-    const { availableItems = [], timeMultiplier = 1 } = options;
+    const { availableItems = [], timeMultiplier = 1, currentTime = 0, random = new Random(), customerWeights = {} } = options;
     
-    // Filter contracts to only include available items
+    // Filter contracts to only include available items (bundles need every item available)
     let availableContracts = contractDefinitions;
     
     if (availableItems.length > 0) {
         availableContracts = contractDefinitions.filter(contract => 
-            availableItems.includes(contract.item)
+            getLineItems(contract).every(line => availableItems.includes(line.item))
         );
     }
     
@@ -223,68 +323,330 @@ export function generateRandomContract(options = {}) {
         );
     }
     
-    // Calculate weights for weighted random selection
-    const totalWeight = availableContracts.reduce((sum, contract) => sum + contract.weight, 0);
-    let randomWeight = Math.random() * totalWeight;
+    // Calculate weights for weighted random selection (customers offer more work to shops they think well of)
+    const getWeight = (contract) => contract.weight *
+        (customerWeights[contract.customer] !== undefined ? customerWeights[contract.customer] : 1);
+    const totalWeight = availableContracts.reduce((sum, contract) => sum + getWeight(contract), 0);
+    
+    if (totalWeight <= 0) {
+        return null;
+    }
+    
+    let randomWeight = random.next() * totalWeight;
     
     // Select a random contract
-    let selectedContract = availableContracts[0];
+    let selectedContract = availableContracts.find(contract => getWeight(contract) > 0);
     for (const contract of availableContracts) {
-        randomWeight -= contract.weight;
+        randomWeight -= getWeight(contract);
         if (randomWeight <= 0) {
             selectedContract = contract;
             break;
         }
     }
     
-    // Generate random values within ranges
-    const quantity = Math.floor(Math.random() * (selectedContract.maxQuantity - selectedContract.minQuantity + 1)) + selectedContract.minQuantity;
-    const durationMinutes = Math.floor(Math.random() * (selectedContract.maxDuration - selectedContract.minDuration + 1)) + selectedContract.minDuration;
+    // Generate random values within ranges (a single-item contract is a bundle of one)
+    const lineItems = getLineItems(selectedContract).map(line => ({
+        item: line.item,
+        quantity: random.int(line.minQuantity, line.maxQuantity),
+        deliveredQuantity: 0,
+        deliveredStacks: {}
+    }));
+    const durationHours = random.int(selectedContract.minDuration, selectedContract.maxDuration);
     
-    // Apply time multiplier
-    const adjustedDurationMinutes = Math.round(durationMinutes * timeMultiplier);
+    // Apply time multiplier and convert to game minutes
+    const adjustedDurationMinutes = Math.round(durationHours * 60 * timeMultiplier);
     
-    // Create expiry time (current time + duration)
-    const expiryTime = new Date();
-    expiryTime.setMinutes(expiryTime.getMinutes() + adjustedDurationMinutes);
+    // Create expiry time (current game time + duration)
+    const expiryTime = currentTime + adjustedDurationMinutes;
     
     // Generate a unique identifier
-    const contractId = `${selectedContract.id}_${Date.now()}`;
+    const contractId = `${selectedContract.id}_${random.id()}`;
     
-    return {
+    const contract = {
         id: contractId,
         customer: selectedContract.customer,
-        item: selectedContract.item,
-        quantity: quantity,
+        item: selectedContract.item || null,
+        quantity: lineItems.reduce((sum, line) => sum + line.quantity, 0),
+        lineItems,
         description: selectedContract.description,
         expiryTime: expiryTime,
         durationMinutes: adjustedDurationMinutes,
         payoutMultiplier: selectedContract.basePayoutMultiplier,
+        minQuality: selectedContract.minQuality || null,
+        qualityPremium: selectedContract.qualityPremium || 0,
+        patience: customerPatience[selectedContract.customer] !== undefined ? customerPatience[selectedContract.customer] : defaultPatience,
         baseDefinition: selectedContract.id
     };
+    
+    if (selectedContract.lineItems) {
+        contract.isBundle = true;
+        contract.itemName = selectedContract.name;
+        contract.bundleBonus = selectedContract.bundleBonus || 0;
+    }
+    
+    return contract;
+}
+
+/**
+ * Get the items a contract (or contract definition) asks for
+ * Contracts without line items, such as standing orders, ask for one item.
+ * @param {Object} contract - Contract or contract definition
+ * @returns {Object[]} - Line items ({ item, quantity, ... })
+ */
+export function getLineItems(contract) {
+    return contract.lineItems || [contract];
+}
+
+/**
+ * Describe the goods a contract asks for
+ * @param {Object} contract - Contract object
+ * @returns {string} - e.g. "6x Hinge" or "Homestead Kit (3x Hinge, 24x Nail, 1x Pot, 1x Hatchet)"
+ */
+export function describeContractGoods(contract) {
+    if (!contract.isBundle) {
+        return `${contract.quantity}x ${contract.itemName || contract.item}`;
+    }
+    
+    const lines = contract.lineItems.map(line => `${line.quantity}x ${line.itemName || line.item}`);
+    
+    return `${contract.itemName} (${lines.join(', ')})`;
+}
+
+// Terms offered to repeat clients for standing orders:
+// - intervalDays: Game days between deliveries
+// - offerHours: Game hours the client waits for an answer to the offer
+// - penaltyRate: Share of a delivery's payment forfeited for each missed delivery
+// - maxMissed: Missed deliveries in a row before the client cancels
+// - quantityRange: How far the weekly quantity can be renegotiated from the original (0.5 = half to one and a half)
+export const standingOrderTerms = {
+    intervalDays: 7,
+    offerHours: 24,
+    penaltyRate: 0.25,
+    maxMissed: 2,
+    quantityRange: 0.5
+};
+
+/**
+ * Generate a standing weekly order for a repeat client
+ * The order is drawn from the client's usual contracts, for a weekly quantity
+ * in the middle of their usual range.
+ * @param {Object} options - Configuration options
+ * @param {string} options.customer - Name of the client
+ * @param {string[]} options.availableItems - Array of unlocked item IDs
+ * @param {number} options.currentTime - Current game time in total game minutes (default: 0)
+ * @param {Random} options.random - Seeded random number generator
+ * @returns {Object|null} - A standing order offer, or null if the client has nothing the shop can make
+ */
+export function generateStandingOrder(options = {}) {
+    const { customer, availableItems = [], currentTime = 0, random = new Random() } = options;
+    
+    const definitions = contractDefinitions.filter(contract =>
+        contract.customer === customer && availableItems.includes(contract.item)
+    );
+    
+    if (definitions.length === 0) {
+        return null;
+    }
+    
+    const definition = random.pick(definitions);
+    const quantity = Math.round((definition.minQuantity + definition.maxQuantity) / 2);
+    const offerMinutes = standingOrderTerms.offerHours * 60;
+    
+    return {
+        id: `standing_${definition.id}_${random.id()}`,
+        customer,
+        item: definition.item,
+        quantity,
+        minQuantity: Math.max(1, Math.round(quantity * (1 - standingOrderTerms.quantityRange))),
+        maxQuantity: Math.round(quantity * (1 + standingOrderTerms.quantityRange)),
+        description: `A standing order: ${quantity} every ${standingOrderTerms.intervalDays} days, paid on each delivery.`,
+        expiryTime: currentTime + offerMinutes,
+        durationMinutes: offerMinutes,
+        intervalMinutes: standingOrderTerms.intervalDays * 24 * 60,
+        payoutMultiplier: definition.basePayoutMultiplier,
+        minQuality: definition.minQuality || null,
+        qualityPremium: definition.qualityPremium || 0,
+        penaltyRate: standingOrderTerms.penaltyRate,
+        maxMissed: standingOrderTerms.maxMissed,
+        deliveries: 0,
+        missed: 0,
+        isStanding: true,
+        baseDefinition: definition.id
+    };
 }
 
 /**
  * Calculate payout for a contract
+ * Every line item is paid at its base price. Customers pay more to a shop they hold
+ * in high regard (contract.reputationMultiplier), and negotiated terms (contract.terms)
+ * raise the price per piece. A bundle's bonus is paid on top (calculateBundleBonus).
  * @param {Object} contract - Contract object
- * @param {Object} itemData - Item data from items.js
+ * @param {Object} items - Item definitions from items.js, by ID
  * @returns {number} - Contract payout amount
  */
-export function calculateContractPayout(contract, itemData) {
-    if (!itemData || !contract) {
+export function calculateContractPayout(contract, items) {
+    if (!items || !contract) {
         return 0;
     }
     
-    const baseItemPrice = itemData.basePrice || 0;
-    const quantity = contract.quantity || 0;
+    const terms = contract.terms || {};
     const multiplier = contract.payoutMultiplier || 1;
+    const reputationMultiplier = contract.reputationMultiplier || 1;
+    const priceMultiplier = terms.priceMultiplier || 1;
+    
+    const value = getLineItems(contract).reduce((sum, line) => {
+        const itemData = items[line.item];
+        return sum + (itemData ? itemData.basePrice || 0 : 0) * (line.quantity || 0);
+    }, 0);
+    
+    return value * multiplier * reputationMultiplier * priceMultiplier;
+}
+
+/**
+ * Calculate the bonus a bundled order pays once every line item is delivered
+ * @param {Object} contract - Contract object
+ * @returns {number} - Bonus on top of the contract payout
+ */
+export function calculateBundleBonus(contract) {
+    if (!contract || !contract.bundleBonus || !contract.payout) {
+        return 0;
+    }
+    
+    return contract.payout * contract.bundleBonus;
+}
+
+/**
+ * Get the late penalty for pieces delivered on a contract now
+ * @param {Object} contract - Contract object
+ * @param {number} currentTime - Current game time in total game minutes
+ * @returns {number|null} - Share of the payment kept back (0 when on time), or null once the customer has given up
+ */
+export function calculateLatePenalty(contract, currentTime) {
+    if (!contract || currentTime <= contract.expiryTime) {
+        return 0;
+    }
+    
+    const lateness = (currentTime - contract.expiryTime) / Math.max(1, contract.durationMinutes || 0);
+    const step = deliveryTerms.latePenalties.find(penalty => lateness <= penalty.lateness);
+    
+    return step ? step.penalty : null;
+}
+
+/**
+ * Get the latest a contract can still be delivered, late, before the customer cancels
+ * @param {Object} contract - Contract object
+ * @returns {number} - Game time in total game minutes
+ */
+export function getContractCancelTime(contract) {
+    const lastStep = deliveryTerms.latePenalties[deliveryTerms.latePenalties.length - 1];
+    
+    return contract.expiryTime + Math.round(lastStep.lateness * Math.max(1, contract.durationMinutes || 0));
+}
+
+/**
+ * Weigh the shop's proposed terms for a contract
+ * A customer bends further the more patient they are, the better they think of
+ * the shop and the more they need the goods right now (high demand makes them
+ * pay up but want the goods sooner). Each round wears their patience down.
+ * Asks they can't meet in full are met part of the way in a counter-offer.
+ * Bundles are delivered as asked, so only their deadline and price are open to negotiation.
+ * @param {Object} contract - Contract object (with its current terms)
+ * @param {Object} proposal - Proposed terms ({ quantity, durationMinutes, payout })
+ * @param {Object} context - Negotiation context
+ * @param {Object} context.items - Item definitions from items.js, by ID
+ * @param {number} context.reputation - Customer's standing with the shop (0-100)
+ * @param {number} context.demand - Current demand multiplier for the item (1 = normal)
+ * @param {number} context.round - Round of negotiation this proposal is (1 = first)
+ * @returns {Object} - { agreed, terms: { quantity, durationMinutes, priceMultiplier } }
+ */
+export function evaluateCounterOffer(contract, proposal, context) {
+    const { items, reputation = 50, demand = 1, round = 1 } = context;
+    const original = contract.originalTerms || {
+        quantity: contract.quantity,
+        durationMinutes: contract.durationMinutes,
+        priceMultiplier: 1
+    };
+    
+    // What the shop is asking for, relative to the original offer
+    const quantity = contract.isBundle ? contract.quantity : Math.max(1, Math.round(proposal.quantity));
+    const basePayout = calculateContractPayout({ ...contract, terms: null }, items) * quantity / contract.quantity;
+    const priceAsk = basePayout > 0 ? Math.max(0, proposal.payout / basePayout - 1) : 0;
+    const deadlineAsk = Math.max(0, proposal.durationMinutes / original.durationMinutes - 1);
+    const quantityAsk = (quantity - original.quantity) / original.quantity;
+    
+    // How far the customer will go this round (never back from what they've already offered)
+    const patience = contract.patience !== undefined ? contract.patience : defaultPatience;
+    const goodwill = patience * (0.5 + reputation / 100) * Math.max(0, 1 - negotiationTerms.roundFatigue * (round - 1));
+    const offered = contract.terms || original;
+    const offeredQuantityChange = (offered.quantity - original.quantity) / original.quantity;
+    const priceFlex = Math.max(negotiationTerms.priceFlex * goodwill * demand, offered.priceMultiplier - 1);
+    const deadlineFlex = Math.max(negotiationTerms.deadlineFlex * goodwill / demand, offered.durationMinutes / original.durationMinutes - 1);
+    const quantityFlex = Math.max(negotiationTerms.quantityFlex * goodwill,
+        Math.sign(offeredQuantityChange) === Math.sign(quantityAsk) ? Math.abs(offeredQuantityChange) : 0);
+    
+    const agreed = priceAsk <= priceFlex + 1e-9 && deadlineAsk <= deadlineFlex + 1e-9 && Math.abs(quantityAsk) <= quantityFlex + 1e-9;
+    if (agreed) {
+        return {
+            agreed,
+            terms: {
+                quantity,
+                durationMinutes: Math.max(original.durationMinutes, Math.round(proposal.durationMinutes)),
+                priceMultiplier: 1 + priceAsk
+            }
+        };
+    }
+    
+    // Meet each ask as far as they're willing
+    const quantityChange = Math.sign(quantityAsk) * Math.min(Math.abs(quantityAsk), quantityFlex);
+    
+    return {
+        agreed,
+        terms: {
+            quantity: Math.max(1, Math.round(original.quantity * (1 + quantityChange))),
+            durationMinutes: Math.round(original.durationMinutes * (1 + Math.min(deadlineAsk, deadlineFlex))),
+            priceMultiplier: 1 + Math.min(priceAsk, priceFlex)
+        }
+    };
+}
+
+/**
+ * Calculate the bonus for delivering better work than a contract asks for
+ * @param {Object} contract - Contract object
+ * @param {Object} delivered - Amounts delivered by quality grade
+ * @param {Object} itemQualities - Quality grade definitions from items.js
+ * @returns {number} - Bonus on top of the contract payout
+ */
+export function calculateQualityPremium(contract, delivered, itemQualities) {
+    if (!contract || !contract.qualityPremium || !contract.payout) {
+        return 0;
+    }
+    
+    const minRank = itemQualities[contract.minQuality || 'common'].rank;
+    let gradesAbove = 0;
+    let count = 0;
+    
+    for (const [quality, amount] of Object.entries(delivered)) {
+        gradesAbove += Math.max(0, itemQualities[quality].rank - minRank) * amount;
+        count += amount;
+    }
     
-    return baseItemPrice * quantity * multiplier;
+    return count > 0 ? contract.payout * contract.qualityPremium * (gradesAbove / count) : 0;
 }
 
 // Export the contract generation functions
 export const contracts = {
     definitions: contractDefinitions,
     generate: generateRandomContract,
-    calculatePayout: calculateContractPayout
+    generateStandingOrder,
+    standingOrderTerms,
+    calculatePayout: calculateContractPayout,
+    calculateBundleBonus,
+    getLineItems,
+    describeContractGoods,
+    evaluateCounterOffer,
+    negotiationTerms,
+    calculateLatePenalty,
+    getContractCancelTime,
+    deliveryTerms,
+    calculateQualityPremium
 };
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Customer Definitions
+ * 
+ * Defines the kinds of folk who walk into the shop. Each persona has its own
+ * taste in goods, money to spend and patience with a steep price tag.
+ */
+
+// Customer persona structure:
+// - id: Unique identifier for the persona
+// - name: Display name of the persona
+// - description: Flavor text
+// - weight: How often this kind of customer comes in, relative to the others
+// - preferences: Interest in goods by item ID or category (1 = ordinary, 0 = never buys)
+// - budget: Money they carry for the visit ({ min, max } in dollars)
+// - priceSensitivity: How much a price above fair value puts them off (0 = not at all, 1 = a lot)
+// - haggleChance: Chance (0-1) they try to talk a price down instead of walking out
+// - maxQuantity: Most pieces they'll buy in one visit
+
+// Interest in goods a persona has no particular feelings about
+export const defaultPreference = 0.5;
+
+export const customerDefinitions = [
+    {
+        id: "rancher",
+        name: "Rancher",
+        description: "In town for supplies with a long ride home ahead.",
+        weight: 3,
+        preferences: {
+            horseshoe: 3,
+            decorativeHorseshoe: 1.5,
+            nail: 1.5,
+            hinge: 1.5,
+            hatchet: 1.5,
+            rifle: 1.2,
+            leather: 1.5
+        },
+        budget: { min: 15, max: 70 },
+        priceSensitivity: 0.5,
+        haggleChance: 0.3,
+        maxQuantity: 4
+    },
+    {
+        id: "miner",
+        name: "Miner",
+        description: "Down from the diggings and counting every cent.",
+        weight: 3,
+        preferences: {
+            pickaxe: 3,
+            hatchet: 1.5,
+            nail: 1.5,
+            pot: 1.2,
+            knife: 1.2
+        },
+        budget: { min: 10, max: 40 },
+        priceSensitivity: 0.8,
+        haggleChance: 0.4,
+        maxQuantity: 3
+    },
+    {
+        id: "lawman",
+        name: "Lawman",
+        description: "A deputy buying gear on the county's dollar.",
+        weight: 1.5,
+        preferences: {
+            revolver: 3,
+            rifle: 3,
+            bullets: 2.5,
+            holster: 2,
+            knife: 1.2,
+            weapon: 2
+        },
+        budget: { min: 40, max: 150 },
+        priceSensitivity: 0.3,
+        haggleChance: 0.15,
+        maxQuantity: 3
+    },
+    {
+        id: "homesteader",
+        name: "Homesteader",
+        description: "Building a life out on the claim, one hinge at a time.",
+        weight: 3,
+        preferences: {
+            pot: 3,
+            hinge: 2.5,
+            nail: 2.5,
+            hatchet: 1.5,
+            knife: 1.5,
+            horseshoe: 1.5,
+            silverCandelabra: 0.2,
+            belt_buckle: 0.3
+        },
+        budget: { min: 5, max: 35 },
+        priceSensitivity: 0.9,
+        haggleChance: 0.5,
+        maxQuantity: 5
+    },
+    {
+        id: "gambler",
+        name: "Traveling Gambler",
+        description: "Flush from last night's game and fond of a little flash.",
+        weight: 1,
+        preferences: {
+            silverCandelabra: 2.5,
+            belt_buckle: 3,
+            revolver: 2,
+            decorativeHorseshoe: 1.5,
+            holster: 1.5,
+            knife: 1.2
+        },
+        budget: { min: 30, max: 220 },
+        priceSensitivity: 0.2,
+        haggleChance: 0.6,
+        maxQuantity: 2
+    }
+];
+
+/**
+ * Get a persona's interest in an item
+ * @param {Object} persona - Customer persona
+ * @param {string} itemId - ID of the item
+ * @param {Object} itemData - Item definition
+ * @returns {number} - Interest (1 = ordinary, 0 = never buys)
+ */
+export function getPreference(persona, itemId, itemData) {
+    if (persona.preferences[itemId] !== undefined) {
+        return persona.preferences[itemId];
+    }
+    
+    if (itemData && persona.preferences[itemData.category] !== undefined) {
+        return persona.preferences[itemData.category];
+    }
+    
+    return defaultPreference;
+}
+
+/**
+ * Pick the kind of customer walking in
+ * @param {Object} random - Seeded random number generator
+ * @returns {Object} - Customer persona
+ */
+export function pickPersona(random) {
+    const totalWeight = customerDefinitions.reduce((sum, persona) => sum + persona.weight, 0);
+    let roll = random.next() * totalWeight;
+    
+    for (const persona of customerDefinitions) {
+        roll -= persona.weight;
+        if (roll <= 0) {
+            return persona;
+        }
+    }
+    
+    return customerDefinitions[0];
+}
+
+// Export the customers API
+export const customers = {
+    definitions: customerDefinitions,
+    getPreference,
+    pickPersona
+};
\ No newline at end of file
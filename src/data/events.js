@@ -1,3 +1,5 @@
+import { Random } from '../utils/Random.js';
+
 /**
  * Game Events Definitions
  * 
@@ -10,7 +12,7 @@
 // - id: Unique identifier for the event
 // - name: Display name of the event
 // - description: Detailed explanation of the event
-// - duration: How long the event lasts in minutes
+// - duration: How long the event lasts in game hours
 // - effects: Array of effect objects that modify game state
 // - weight: Relative chance of this event triggering (higher = more common)
 // - conditions: Optional function to check if event can trigger
@@ -21,7 +23,7 @@ export const eventDefinitions = [
         id: "mine_collapse",
         name: "Mine Collapse!",
         description: "The local mine has suffered a collapse! Miners need new tools immediately.",
-        duration: 10, // minutes
+        duration: 10, // game hours
         effects: [
             {
                 type: "demandIncrease", 
@@ -36,7 +38,7 @@ export const eventDefinitions = [
                     quantity: 8,
                     payoutMultiplier: 1.5,
                     description: "Emergency order: Replacement pickaxes needed for rescue efforts.",
-                    durationMinutes: 8
+                    durationHours: 8
                 }
             }
         ],
@@ -61,7 +63,7 @@ export const eventDefinitions = [
                     quantity: 16,
                     payoutMultiplier: 1.3,
                     description: "Premium horseshoes needed for race horses.",
-                    durationMinutes: 12
+                    durationHours: 12
                 }
             }
         ],
@@ -86,7 +88,7 @@ export const eventDefinitions = [
                     quantity: 120,
                     payoutMultiplier: 1.4,
                     description: "Large order of rail spikes needed for new track.",
-                    durationMinutes: 15
+                    durationHours: 15
                 }
             }
         ],
@@ -116,7 +118,7 @@ export const eventDefinitions = [
                     quantity: 40,
                     payoutMultiplier: 1.6,
                     description: "The sheriff needs ammunition for a posse to track down bandits.",
-                    durationMinutes: 10
+                    durationHours: 10
                 }
             }
         ],
@@ -171,6 +173,26 @@ export const eventDefinitions = [
         weight: 10
     },
     
+    {
+        id: "railroad_strike",
+        name: "Railroad Strike",
+        description: "Railroad workers have walked off the job! Freight shipments are stuck at the depot down the line.",
+        duration: 24,
+        effects: [
+            {
+                type: "deliveryDelay",
+                route: "rail",
+                hours: 24
+            },
+            {
+                type: "materialPriceModifier",
+                material: "coal",
+                multiplier: 1.2
+            }
+        ],
+        weight: 5
+    },
+    
     // Special events
     {
         id: "mayors_ball",
@@ -195,8 +217,10 @@ export const eventDefinitions = [
                     item: "belt_buckle",
                     quantity: 5,
                     payoutMultiplier: 1.8,
+                    minQuality: "good",
+                    qualityPremium: 0.15,
                     description: "The mayor wants custom belt buckles as gifts for honored guests.",
-                    durationMinutes: 15
+                    durationHours: 15
                 }
             }
         ],
@@ -232,7 +256,7 @@ export const eventDefinitions = [
                     quantity: 12,
                     payoutMultiplier: 2.0,
                     description: "Prospectors need quality tools to stake their claims in the gold fields.",
-                    durationMinutes: 20
+                    durationHours: 20
                 }
             }
         ],
@@ -279,7 +303,7 @@ export const eventDefinitions = [
                     quantity: 10,
                     payoutMultiplier: 2.0,
                     description: "The Army needs rifles for a new detachment being deployed to the territory.",
-                    durationMinutes: 25
+                    durationHours: 25
                 }
             },
             {
@@ -290,7 +314,7 @@ export const eventDefinitions = [
                     quantity: 50,
                     payoutMultiplier: 1.8,
                     description: "The Army needs ammunition for training exercises.",
-                    durationMinutes: 15
+                    durationHours: 15
                 }
             }
         ],
@@ -305,9 +329,11 @@ export const eventDefinitions = [
 /**
  * Generate a random event
  * @param {Object} gameState - Current game state for condition checking
+ * @param {number} gameState.currentTime - Current game time in total game minutes
+ * @param {Random} random - Seeded random number generator
  * @returns {Object|null} - A randomly selected event or null if none available
  */
-export function generateRandomEvent(gameState = {}) {
+export function generateRandomEvent(gameState = {}, random = new Random()) {
     // Filter events based on conditions
     const availableEvents = eventDefinitions.filter(event => {
         if (event.conditions && typeof event.conditions === 'function') {
@@ -322,7 +348,7 @@ export function generateRandomEvent(gameState = {}) {
     
     // Calculate weights for weighted random selection
     const totalWeight = availableEvents.reduce((sum, event) => sum + event.weight, 0);
-    let randomWeight = Math.random() * totalWeight;
+    let randomWeight = random.next() * totalWeight;
     
     // Select a random event
     let selectedEvent = availableEvents[0];
@@ -334,13 +360,13 @@ export function generateRandomEvent(gameState = {}) {
         }
     }
     
-    // Create event instance with unique ID and expiry time
-    const currentTime = new Date();
-    const expiryTime = new Date(currentTime.getTime() + selectedEvent.duration * 60 * 1000);
+    // Create event instance with unique ID and expiry time (in game minutes)
+    const currentTime = gameState.currentTime || 0;
+    const expiryTime = currentTime + selectedEvent.duration * 60;
     
     return {
         ...selectedEvent,
-        instanceId: `${selectedEvent.id}_${Date.now()}`,
+        instanceId: `${selectedEvent.id}_${random.id()}`,
         startTime: currentTime,
         expiryTime: expiryTime,
         active: true
@@ -366,44 +392,69 @@ export function processEventEffects(event, gameState) {
                 if (gameState.storefront) {
                     gameState.storefront.setDemandMultiplier(effect.item, effect.multiplier, event.expiryTime);
                     appliedEffects.push(`Increased demand for ${effect.item} (×${effect.multiplier})`);
+                } else {
+                    console.warn(`Event ${event.id}: no storefront for ${effect.type} effect`);
                 }
                 break;
                 
             case "materialPriceModifier":
-                if (gameState.materials) {
-                    gameState.materials.setPriceMultiplier(effect.material, effect.multiplier, event.expiryTime);
+                if (gameState.market) {
+                    gameState.market.setMaterialPriceMultiplier(effect.material, effect.multiplier, event.expiryTime);
                     const changeType = effect.multiplier < 1 ? "decreased" : "increased";
                     appliedEffects.push(`${changeType.charAt(0).toUpperCase() + changeType.slice(1)} price for ${effect.material} (×${effect.multiplier})`);
+                } else {
+                    console.warn(`Event ${event.id}: no market for ${effect.type} effect`);
                 }
                 break;
                 
             case "specialContract":
                 if (gameState.contracts && effect.contract) {
+                    const durationMinutes = effect.contract.durationHours * 60;
                     const contract = {
                         ...effect.contract,
-                        id: `special_${effect.contract.item}_${Date.now()}`,
-                        expiryTime: new Date(Date.now() + effect.contract.durationMinutes * 60 * 1000),
-                        isSpecial: true
+                        id: `special_${effect.contract.item}_${event.instanceId}`,
+                        durationMinutes,
+                        expiryTime: (gameState.currentTime || 0) + durationMinutes,
+                        isSpecial: true,
+                        eventId: event.id
                     };
                     
                     gameState.contracts.addSpecialContract(contract);
                     appliedEffects.push(`New special contract from ${contract.customer}`);
+                } else {
+                    console.warn(`Event ${event.id}: no contracts for ${effect.type} effect`);
                 }
                 break;
                 
             case "workerDiscount":
                 if (gameState.workers) {
-                    gameState.workers.setHiringDiscount(effect.workerId, effect.multiplier, event.expiryTime);
+                    gameState.workers.setHiringDiscount(effect.workerId || 'all', effect.multiplier, event.expiryTime);
                     appliedEffects.push(`Worker hiring discount (×${effect.multiplier})`);
+                } else {
+                    console.warn(`Event ${event.id}: no workers for ${effect.type} effect`);
                 }
                 break;
                 
             case "toolPriceModifier":
-                if (gameState.tools) {
-                    gameState.tools.setPriceMultiplier(effect.multiplier, event.expiryTime);
+                if (gameState.market) {
+                    gameState.market.setToolPriceMultiplier(effect.multiplier, event.expiryTime);
                     appliedEffects.push(`Tool price discount (×${effect.multiplier})`);
+                } else {
+                    console.warn(`Event ${event.id}: no market for ${effect.type} effect`);
                 }
                 break;
+                
+            case "deliveryDelay":
+                if (gameState.suppliers) {
+                    gameState.suppliers.setRouteDelay(effect.route, effect.hours, event.expiryTime, event.name);
+                    appliedEffects.push(`Deliveries by ${effect.route} delayed ${effect.hours} hours`);
+                } else {
+                    console.warn(`Event ${event.id}: no suppliers for ${effect.type} effect`);
+                }
+                break;
+                
+            default:
+                console.warn(`Event ${event.id}: unknown effect type ${effect.type}`);
         }
     }
     
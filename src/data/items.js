@@ -58,12 +58,20 @@ export const materials = {
 };
 
 // Tool definitions
+// - durability: Uses before a standard tool breaks
+// - repairMaterials/repairTime/repairCoal: Cost of a repair at the forge (time in game minutes)
 export const tools = {
     hammer: {
         name: "Hammer",
         description: "Basic shaping tool for metalwork",
         durability: 30,
         basePrice: 10.00,
+        repairMaterials: {
+            iron: 1,
+            wood: 0.5
+        },
+        repairTime: 20,
+        repairCoal: 3,
         category: "tool"
     },
     anvil: {
@@ -71,6 +79,11 @@ export const tools = {
         description: "Heavy metal block for shaping metal",
         durability: 50,
         basePrice: 35.00,
+        repairMaterials: {
+            iron: 4
+        },
+        repairTime: 60,
+        repairCoal: 8,
         category: "tool"
     },
     tongs: {
@@ -78,6 +91,11 @@ export const tools = {
         description: "For holding hot metal while working",
         durability: 40,
         basePrice: 15.00,
+        repairMaterials: {
+            iron: 1
+        },
+        repairTime: 20,
+        repairCoal: 3,
         category: "tool"
     },
     saw: {
@@ -85,6 +103,12 @@ export const tools = {
         description: "For cutting wood",
         durability: 35,
         basePrice: 12.00,
+        repairMaterials: {
+            iron: 0.5,
+            wood: 1
+        },
+        repairTime: 25,
+        repairCoal: 2,
         category: "tool"
     },
     file: {
@@ -92,6 +116,11 @@ export const tools = {
         description: "For smoothing and final shaping",
         durability: 25,
         basePrice: 8.00,
+        repairMaterials: {
+            iron: 0.5
+        },
+        repairTime: 15,
+        repairCoal: 2,
         category: "tool"
     },
     chisel: {
@@ -99,6 +128,12 @@ export const tools = {
         description: "For detailed metal work",
         durability: 20,
         basePrice: 7.50,
+        repairMaterials: {
+            iron: 0.5,
+            wood: 0.5
+        },
+        repairTime: 15,
+        repairCoal: 2,
         category: "tool"
     },
     needle: {
@@ -106,6 +141,12 @@ export const tools = {
         description: "For working with leather",
         durability: 15,
         basePrice: 5.00,
+        repairMaterials: {
+            iron: 0.2,
+            leather: 0.5
+        },
+        repairTime: 10,
+        repairCoal: 1,
         category: "tool"
     },
     scissors: {
@@ -113,19 +154,207 @@ export const tools = {
         description: "For cutting leather and cloth",
         durability: 30,
         basePrice: 9.00,
+        repairMaterials: {
+            iron: 0.5,
+            leather: 0.5
+        },
+        repairTime: 15,
+        repairCoal: 2,
         category: "tool"
     }
 };
 
+// Tool quality tiers
+// - durabilityMultiplier: Multiplier on the tool's base durability
+// - speedMultiplier: Crafting speed when working with tools of this tier
+// - priceMultiplier: Multiplier on the tool's shop price
+// - materialMultiplier/craftingTimeMultiplier: Cost of forging a tool of this tier yourself
+// - requiredItems: Extra components needed to forge a tool of this tier
+export const toolTiers = {
+    crude: {
+        name: "Crude",
+        durabilityMultiplier: 0.6,
+        speedMultiplier: 0.85,
+        priceMultiplier: 0.5,
+        materialMultiplier: 0.6,
+        craftingTimeMultiplier: 0.6
+    },
+    standard: {
+        name: "Standard",
+        durabilityMultiplier: 1.0,
+        speedMultiplier: 1.0,
+        priceMultiplier: 1.0,
+        materialMultiplier: 1.0,
+        craftingTimeMultiplier: 1.0
+    },
+    fine: {
+        name: "Fine",
+        durabilityMultiplier: 1.5,
+        speedMultiplier: 1.2,
+        priceMultiplier: 2.2,
+        materialMultiplier: 1.5,
+        craftingTimeMultiplier: 1.75,
+        requiredItems: {
+            tool_steel_bar: 1
+        }
+    }
+};
+
+// Crafted item quality grades, worst to best
+// - rank: Order of the grade (higher is better)
+// - minScore: Lowest crafting score (0-1) that earns this grade
+// - priceMultiplier: Multiplier on the item's price at the storefront
+export const itemQualities = {
+    poor: {
+        name: "Poor",
+        rank: 0,
+        minScore: 0,
+        priceMultiplier: 0.6
+    },
+    common: {
+        name: "Common",
+        rank: 1,
+        minScore: 0.35,
+        priceMultiplier: 1.0
+    },
+    good: {
+        name: "Good",
+        rank: 2,
+        minScore: 0.6,
+        priceMultiplier: 1.25
+    },
+    fine: {
+        name: "Fine",
+        rank: 3,
+        minScore: 0.8,
+        priceMultiplier: 1.6
+    },
+    masterwork: {
+        name: "Masterwork",
+        rank: 4,
+        minScore: 0.93,
+        priceMultiplier: 2.25
+    }
+};
+
 // Craftable item definitions and recipes
+// Recipes may list requiredItems (crafted components, by item ID) alongside raw materials;
+// components come with the blueprints of the items that use them.
+// Smelted metals list a minTemperature (degrees Fahrenheit) the forge has to reach
+// before the work can go on.
 export const items = {
+    // Smelted metals, from soft wrought iron up to hard tool steel
+    iron_bar: {
+        name: "Wrought Iron Bar",
+        description: "Iron smelted with coal and hammered into bar stock, ready to be worked into parts",
+        category: "metal",
+        complexity: "simple",
+        craftingTime: 20,
+        basePrice: 6.00,
+        requiredMaterials: {
+            iron: 2,
+            coal: 0.5
+        },
+        requiredTools: ["hammer", "tongs", "anvil"],
+        coalUsage: 4,
+        minTemperature: 1600,
+        component: true,
+        unlocked: true
+    },
+    steel_bar: {
+        name: "Carbon Steel Bar",
+        description: "Wrought iron carburized in a hot fire into hard, springy steel",
+        category: "metal",
+        complexity: "medium",
+        craftingTime: 45,
+        basePrice: 16.00,
+        requiredMaterials: {
+            coal: 2
+        },
+        requiredItems: {
+            iron_bar: 2
+        },
+        requiredTools: ["hammer", "tongs", "anvil"],
+        coalUsage: 10,
+        minTemperature: 2000,
+        component: true,
+        unlocked: true
+    },
+    tool_steel_bar: {
+        name: "Tool Steel Bar",
+        description: "Carbon steel refined white-hot under the bellows; holds an edge like nothing else",
+        category: "metal",
+        complexity: "complex",
+        craftingTime: 60,
+        basePrice: 30.00,
+        requiredMaterials: {
+            coal: 3
+        },
+        requiredItems: {
+            steel_bar: 1
+        },
+        requiredTools: ["hammer", "tongs", "anvil"],
+        coalUsage: 12,
+        minTemperature: 2300,
+        component: true,
+        unlocked: true
+    },
+    
+    // Components (made to be used in other recipes)
+    gun_barrel: {
+        name: "Gun Barrel",
+        description: "Forged steel barrel, filed true",
+        category: "weapon",
+        complexity: "complex",
+        craftingTime: 50,
+        basePrice: 22.00,
+        requiredMaterials: {
+            coal: 1
+        },
+        requiredItems: {
+            steel_bar: 1
+        },
+        requiredTools: ["hammer", "tongs", "anvil", "file"],
+        coalUsage: 8,
+        component: true,
+        unlocked: false
+    },
+    wooden_handle: {
+        name: "Wooden Handle",
+        description: "Shaped hardwood handle or stock",
+        category: "wood",
+        complexity: "simple",
+        craftingTime: 20,
+        basePrice: 3.00,
+        requiredMaterials: {
+            wood: 1
+        },
+        requiredTools: ["saw", "chisel"],
+        component: true,
+        unlocked: false
+    },
+    leather_grip: {
+        name: "Leather Grip",
+        description: "Stitched leather wrap for a pistol grip",
+        category: "leather",
+        complexity: "simple",
+        craftingTime: 15,
+        basePrice: 2.50,
+        requiredMaterials: {
+            leather: 0.5
+        },
+        requiredTools: ["needle", "scissors"],
+        component: true,
+        unlocked: false
+    },
+    
     // Basic items (initially available)
     horseshoe: {
         name: "Horseshoe",
         description: "Standard horseshoe for horses",
         category: "metal",
         complexity: "simple",
-        craftingTime: 30, // seconds
+        craftingTime: 30, // game minutes
         basePrice: 5.00,
         requiredMaterials: {
             iron: 2,
@@ -198,16 +427,18 @@ export const items = {
     // Medium complexity items
     knife: {
         name: "Knife",
-        description: "General purpose knife",
+        description: "General purpose knife with a carbon steel blade",
         category: "metal",
         complexity: "medium",
         craftingTime: 40,
         basePrice: 8.00,
         requiredMaterials: {
-            iron: 1.5,
             wood: 0.5,
             leather: 0.5
         },
+        requiredItems: {
+            steel_bar: 1
+        },
         requiredTools: ["hammer", "tongs", "anvil", "file"],
         coalUsage: 5,
         unlocked: true
@@ -236,8 +467,11 @@ export const items = {
         craftingTime: 120,
         basePrice: 45.00,
         requiredMaterials: {
-            iron: 8,
-            wood: 2
+            iron: 2
+        },
+        requiredItems: {
+            gun_barrel: 1,
+            wooden_handle: 1
         },
         requiredTools: ["hammer", "tongs", "anvil", "file", "saw", "chisel"],
         coalUsage: 15,
@@ -252,8 +486,11 @@ export const items = {
         craftingTime: 100,
         basePrice: 35.00,
         requiredMaterials: {
-            iron: 5,
-            wood: 1
+            iron: 2
+        },
+        requiredItems: {
+            gun_barrel: 1,
+            leather_grip: 1
         },
         requiredTools: ["hammer", "tongs", "anvil", "file", "chisel"],
         coalUsage: 12,
@@ -278,6 +515,23 @@ export const items = {
         blueprintPrice: 25.00
     },
     
+    // Leather goods (unlockable, made at the leather bench)
+    holster: {
+        name: "Holster",
+        description: "Tooled leather holster for a sidearm",
+        category: "leather",
+        complexity: "medium",
+        craftingTime: 50,
+        basePrice: 9.00,
+        requiredMaterials: {
+            leather: 2,
+            iron: 0.2
+        },
+        requiredTools: ["needle", "scissors"],
+        unlocked: false,
+        blueprintPrice: 15.00
+    },
+    
     // Decorative items (unlockable)
     decorativeHorseshoe: {
         name: "Decorative Horseshoe",
@@ -0,0 +1,59 @@
+/**
+ * Crafting Station Definitions
+ * 
+ * Defines the workshop's crafting stations. Each station runs its own
+ * crafting line, so several items can be in progress at once.
+ */
+
+// Station definition structure:
+// - id: Unique identifier for the station
+// - name: Display name of the station
+// - description: Flavor text
+// - categories: Item categories this station can craft
+// - requiredTools: Tools the station needs to operate at all
+// - usesCoal: Whether jobs at this station draw heat (and coal) from the forge
+// - maxQueueSize: Maximum number of jobs waiting at the station
+
+export const stationDefinitions = [
+    {
+        id: "forge",
+        name: "Forge",
+        description: "The heart of the shop. Hot work, from horseshoes to new tools.",
+        categories: ["metal", "tool", "weapon"],
+        requiredTools: [],
+        usesCoal: true,
+        maxQueueSize: 5
+    },
+    {
+        id: "anvil_bench",
+        name: "Anvil Bench",
+        description: "A second anvil by the forge for shaping smaller pieces.",
+        categories: ["metal", "tool"],
+        requiredTools: ["anvil", "hammer"],
+        usesCoal: true,
+        maxQueueSize: 5
+    },
+    {
+        id: "leather_bench",
+        name: "Leather Bench",
+        description: "A quiet corner for cutting and stitching leather goods.",
+        categories: ["leather"],
+        requiredTools: ["needle", "scissors"],
+        usesCoal: false,
+        maxQueueSize: 5
+    },
+    {
+        id: "gunsmith_bench",
+        name: "Gunsmith Bench",
+        description: "Fine files and vises for fitting firearms and shaping their wooden stocks and handles.",
+        categories: ["weapon", "wood"],
+        requiredTools: ["file", "chisel"],
+        usesCoal: false,
+        maxQueueSize: 5
+    }
+];
+
+// Export the stations API
+export const stations = {
+    definitions: stationDefinitions
+};
\ No newline at end of file
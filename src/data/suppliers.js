@@ -0,0 +1,84 @@
+/**
+ * Supplier Definitions
+ * 
+ * Defines the suppliers the player can order materials from.
+ * Each supplier prices off the day's market price and ships on its own schedule.
+ */
+
+// Supplier definition structure:
+// - id: Unique identifier for the supplier
+// - name: Display name of the supplier
+// - description: Flavor text shown when ordering
+// - materials: Material IDs this supplier stocks
+// - priceMultiplier: Multiplier on the day's market price
+// - minOrder: Minimum total units per order
+// - bulkTiers: Discounts by total order size ({ minQuantity, discount } with discount as a fraction)
+// - deliveryHours: Game hours from ordering until the shipment arrives
+// - route: How the shipment travels (events can delay a whole route)
+
+export const supplierDefinitions = [
+    {
+        id: "general_store",
+        name: "Hadley's General Store",
+        description: "Right across the street. A little dear, but you can buy a single board and carry it home.",
+        materials: ["iron", "coal", "wood", "leather", "gunpowder", "copper"],
+        priceMultiplier: 1.1,
+        minOrder: 1,
+        bulkTiers: [],
+        deliveryHours: 1,
+        route: "town"
+    },
+    {
+        id: "company_store",
+        name: "Silver Creek Company Store",
+        description: "The mining company's store sells ore and coal straight from the diggings, plus precious metals from the assay office.",
+        materials: ["iron", "coal", "copper", "silver", "gold"],
+        priceMultiplier: 0.95,
+        minOrder: 20,
+        bulkTiers: [
+            { minQuantity: 50, discount: 0.05 },
+            { minQuantity: 100, discount: 0.1 }
+        ],
+        deliveryHours: 8,
+        route: "wagon"
+    },
+    {
+        id: "rail_depot",
+        name: "Union Pacific Freight Depot",
+        description: "Freight from back East by the carload. Cheapest by far, if you can wait for the train.",
+        materials: ["iron", "coal", "wood", "leather", "gunpowder", "copper"],
+        priceMultiplier: 0.85,
+        minOrder: 50,
+        bulkTiers: [
+            { minQuantity: 100, discount: 0.05 },
+            { minQuantity: 250, discount: 0.12 },
+            { minQuantity: 500, discount: 0.2 }
+        ],
+        deliveryHours: 24,
+        route: "rail"
+    }
+];
+
+/**
+ * Get the bulk discount for an order size
+ * @param {Object} supplier - Supplier definition
+ * @param {number} quantity - Total units in the order
+ * @returns {number} - Discount as a fraction (0 if no tier applies)
+ */
+export function getBulkDiscount(supplier, quantity) {
+    let discount = 0;
+    
+    for (const tier of supplier.bulkTiers) {
+        if (quantity >= tier.minQuantity) {
+            discount = Math.max(discount, tier.discount);
+        }
+    }
+    
+    return discount;
+}
+
+// Export the suppliers API
+export const suppliers = {
+    definitions: supplierDefinitions,
+    getBulkDiscount
+};
\ No newline at end of file
@@ -1,47 +1,20 @@
 // Western Blacksmith - Main Entry Point
-import { InventorySystem } from './systems/InventorySystem.js';
-import { CoalSystem } from './systems/CoalSystem.js';
-import { CraftingSystem } from './systems/CraftingSystem.js';
-import { StorefrontSystem } from './systems/StorefrontSystem.js';
-import { ContractSystem } from './systems/ContractSystem.js';
-import { BlueprintSystem } from './systems/BlueprintSystem.js';
-import { WorkerSystem } from './systems/WorkerSystem.js';
-import { EventSystem } from './systems/EventSystem.js';
-import { ToolDurability } from './systems/ToolDurability.js';
-import { TimeSystem } from './systems/TimeSystem.js';
+import { GameCore } from './GameCore.js';
 
 import { UIManager } from './ui/UIManager.js';
 import { ModalManager } from './ui/ModalManager.js';
 import { Notifications } from './ui/Notifications.js';
 
-import { EventEmitter } from './utils/EventEmitter.js';
-import { SaveSystem } from './utils/SaveSystem.js';
+import { createStorageAdapter } from './utils/StorageAdapters.js';
+import { Random } from './utils/Random.js';
 
-// Import game data
-import { items } from './data/items.js';
-import { contracts } from './data/contracts.js';
-import { events } from './data/events.js';
-
-class Game {
-    constructor() {
-        // Initialize event system first to allow other systems to register listeners
-        this.eventEmitter = new EventEmitter();
-        
-        // Initialize core systems
-        this.inventory = new InventorySystem(this.eventEmitter);
-        this.coal = new CoalSystem(this.eventEmitter, this.inventory);
-        this.toolDurability = new ToolDurability(this.eventEmitter, this.inventory);
-        this.crafting = new CraftingSystem(this.eventEmitter, this.inventory, this.coal, this.toolDurability, items);
-        this.blueprints = new BlueprintSystem(this.eventEmitter, items);
-        
-        // Initialize economy systems
-        this.storefront = new StorefrontSystem(this.eventEmitter, this.inventory);
-        this.contracts = new ContractSystem(this.eventEmitter, this.inventory, contracts);
-        this.workers = new WorkerSystem(this.eventEmitter, this.crafting, this.coal);
-        
-        // Initialize event and timing systems
-        this.time = new TimeSystem(this.eventEmitter);
-        this.events = new EventSystem(this.eventEmitter, events);
+class Game extends GameCore {
+    constructor(options = {}) {
+        // Build the simulation systems on the real-time clock and the storage chosen at startup
+        super({ realTime: true, ...options });
+        
+        // A seeded run (e.g. the daily challenge) starts a fresh game instead of loading the last save
+        this.isSeededRun = options.seed !== undefined;
         
         // Initialize UI systems
         this.notifications = new Notifications(this.eventEmitter);
@@ -55,21 +28,17 @@ class Game {
             this.storefront, 
             this.contracts, 
             this.workers,
-            this.time
+            this.time,
+            this.saveSystem,
+            this.market,
+            this.suppliers,
+            this.toolDurability,
+            this.planner,
+            this.reputation
         );
         
-        // Initialize save system
-        this.saveSystem = new SaveSystem(
-            this.eventEmitter,
-            {
-                inventory: this.inventory,
-                coal: this.coal,
-                blueprints: this.blueprints,
-                contracts: this.contracts,
-                workers: this.workers,
-                time: this.time
-            }
-        );
+        // Save the UI systems that keep state (e.g. the notification log) along with the simulation
+        this.saveSystem.registerAll(this);
         
         // Start the game
         this.init();
@@ -79,14 +48,13 @@ class Game {
         console.log("Western Blacksmith game initializing...");
         
         // Load saved game if available
-        this.saveSystem.loadGame();
+        if (!this.isSeededRun) {
+            this.saveSystem.loadGame();
+        }
         
         // Start the game time
         this.time.start();
         
-        // Setup game tick
-        this.setupGameLoop();
-        
         // Setup UI
         this.ui.initialize();
         
@@ -97,21 +65,9 @@ class Game {
         this.notifications.add("Welcome to your Blacksmith shop!");
     }
     
-    setupGameLoop() {
-        // Game tick runs every 1000ms (1 second)
-        setInterval(() => {
-            this.tick();
-        }, 1000);
-    }
-    
-    tick() {
+    tick(elapsedMinutes) {
         // Update all systems
-        this.coal.update();
-        this.crafting.update();
-        this.storefront.update();
-        this.contracts.update();
-        this.workers.update();
-        this.events.update();
+        super.tick(elapsedMinutes);
         
         // Update UI
         this.ui.update();
@@ -136,22 +92,90 @@ class Game {
         });
         
         this.eventEmitter.on('contract:available', (contract) => {
-            this.notifications.add(`New contract available: ${contract.quantity}x ${contract.item}`);
+            this.notifications.add(`New contract available: ${this.contracts.contractsData.describeContractGoods(contract)}`);
             this.modalManager.showContractModal(contract);
         });
         
         this.eventEmitter.on('contract:completed', (contract) => {
-            this.notifications.add(`Contract completed: ${contract.quantity}x ${contract.item} for $${contract.payout.toFixed(2)}`);
+            this.notifications.add(`Contract completed: ${this.contracts.contractsData.describeContractGoods(contract)} for $${contract.payout.toFixed(2)}`);
         });
         
         this.eventEmitter.on('event:triggered', (event) => {
             this.notifications.add(`EVENT: ${event.name} - ${event.description}`);
             this.modalManager.showEventModal(event);
         });
+        
+        this.eventEmitter.on('settings:show', () => {
+            this.showSettings();
+        });
+    }
+    
+    showSettings() {
+        const settings = {
+            autoSave: this.saveSystem.autoSaveEnabled,
+            autoSaveInterval: this.saveSystem.autoSaveInterval,
+            autoSaveHistorySize: this.saveSystem.autoSaveHistorySize,
+            offlineProgress: this.offlineProgress.enabled,
+            maxOfflineHours: Math.round(this.offlineProgress.maxOfflineMinutes / 60),
+            notificationDuration: this.notifications.displayDuration,
+            maxNotifications: this.notifications.maxNotifications,
+            timeMultiplier: this.time.timeMultiplier
+        };
+        
+        this.modalManager.showSettingsModal(settings, (newSettings) => this.applySettings(newSettings));
+    }
+    
+    applySettings(settings) {
+        // Number fields left blank come back as NaN and keep their current value
+        if (settings.autoSave !== this.saveSystem.autoSaveEnabled) {
+            this.saveSystem.setAutoSaveEnabled(settings.autoSave);
+        }
+        
+        if (Number.isFinite(settings.autoSaveInterval) && settings.autoSaveInterval !== this.saveSystem.autoSaveInterval) {
+            this.saveSystem.setAutoSaveInterval(settings.autoSaveInterval);
+        }
+        
+        if (Number.isFinite(settings.autoSaveHistorySize)) {
+            this.saveSystem.setAutoSaveHistorySize(settings.autoSaveHistorySize);
+        }
+        
+        this.offlineProgress.setEnabled(settings.offlineProgress);
+        
+        if (Number.isFinite(settings.maxOfflineHours)) {
+            this.offlineProgress.setMaxOfflineMinutes(settings.maxOfflineHours * 60);
+        }
+        
+        if (Number.isFinite(settings.notificationDuration)) {
+            this.notifications.setDisplayDuration(settings.notificationDuration);
+        }
+        
+        if (Number.isFinite(settings.maxNotifications)) {
+            this.notifications.setMaxNotifications(settings.maxNotifications);
+        }
+        
+        this.time.setTimeMultiplier(settings.timeMultiplier);
     }
 }
 
 // Initialize the game when the document is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.game = new Game();
+document.addEventListener('DOMContentLoaded', async () => {
+    // A fixed seed can be given in the URL (?seed=1234) or ?daily for today's challenge seed
+    const params = new URLSearchParams(window.location.search);
+    const options = {};
+    
+    // Save storage: IndexedDB when available, or forced with ?storage=localstorage|indexeddb|memory
+    try {
+        options.storage = await createStorageAdapter(params.get('storage') || 'auto');
+    } catch (error) {
+        console.error("Error opening save storage, falling back to localStorage:", error);
+        options.storage = await createStorageAdapter('localstorage');
+    }
+    
+    if (params.has('daily')) {
+        options.seed = Random.getDailySeed();
+    } else if (params.has('seed')) {
+        options.seed = params.get('seed');
+    }
+    
+    window.game = new Game(options);
 });
\ No newline at end of file
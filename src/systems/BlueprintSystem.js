@@ -68,9 +68,30 @@ export class BlueprintSystem {
         // Emit event
         this.eventEmitter.emit('blueprint:unlocked', itemId, this.itemsData[itemId]);
         
+        // Components come with the blueprints that use them
+        for (const componentId of Object.keys(this.itemsData[itemId].requiredItems || {})) {
+            this.unlockBlueprint(componentId);
+        }
+        
         return true;
     }
     
+    /**
+     * Add the blueprints for an item's components (and theirs) without fanfare
+     * @param {string} itemId - ID of the item
+     */
+    addComponentBlueprints(itemId) {
+        const itemData = this.itemsData[itemId];
+        if (!itemData) return;
+        
+        for (const componentId of Object.keys(itemData.requiredItems || {})) {
+            if (!this.unlockedBlueprints.has(componentId)) {
+                this.unlockedBlueprints.add(componentId);
+                this.addComponentBlueprints(componentId);
+            }
+        }
+    }
+    
     /**
      * Purchase a blueprint using player money
      * @param {string} itemId - ID of the item/blueprint to purchase
@@ -120,8 +141,10 @@ export class BlueprintSystem {
                                 <ul>
                                     ${Object.entries(itemData.requiredMaterials).map(([material, amount]) => 
                                         `<li>${material}: ${amount}</li>`).join('')}
+                                    ${Object.entries(itemData.requiredItems || {}).map(([componentId, amount]) => 
+                                        `<li>${this.itemsData[componentId].name}: ${amount}</li>`).join('')}
                                 </ul>
-                                <p>Crafting Time: ${itemData.craftingTime} seconds</p>
+                                <p>Crafting Time: ${itemData.craftingTime} minutes</p>
                                 <p>Base Price: $${itemData.basePrice.toFixed(2)}</p>
                             </div>
                         `
@@ -205,6 +228,7 @@ export class BlueprintSystem {
             name: itemData.name,
             description: itemData.description,
             requiredMaterials: itemData.requiredMaterials,
+            requiredItems: itemData.requiredItems || {},
             requiredTools: itemData.requiredTools,
             craftingTime: itemData.craftingTime,
             coalUsage: itemData.coalUsage,
@@ -235,6 +259,11 @@ export class BlueprintSystem {
         if (data.unlockedBlueprints) {
             this.unlockedBlueprints = new Set(data.unlockedBlueprints);
             
+            // Components come with the blueprints that use them
+            for (const itemId of [...this.unlockedBlueprints]) {
+                this.addComponentBlueprints(itemId);
+            }
+            
             // Update the item data to match
             for (const [itemId, itemData] of Object.entries(this.itemsData)) {
                 itemData.unlocked = this.unlockedBlueprints.has(itemId);
@@ -3,6 +3,8 @@
  * 
  * Manages the forge's heat level by tracking coal usage.
  * Coal depletes over time and needs to be refilled when it gets low.
+ * The forge's temperature follows the coal bed, and working the bellows
+ * drives it hotter at the cost of burning coal faster.
  */
 export class CoalSystem {
     constructor(eventEmitter, inventorySystem) {
@@ -12,7 +14,7 @@ export class CoalSystem {
         // Coal level as a percentage (0-100)
         this.level = 100;
         
-        // Rate at which coal depletes (percentage points per second)
+        // Rate at which coal depletes (percentage points per game minute)
         this.depletionRate = 0.5;
         
         // Threshold at which to warn about low coal
@@ -24,6 +26,27 @@ export class CoalSystem {
         // Flag to track if we've sent a low coal warning
         this.hasWarnedAboutLowCoal = false;
         
+        // Temperatures in degrees Fahrenheit: a lit fire gives fireHeat over the shop's air,
+        // a full bed of coal adds up to coalHeat on top, and the bellows add bellowsHeat
+        this.ambientTemperature = 70;
+        this.fireHeat = 1500;
+        this.coalHeat = 600;
+        this.bellowsHeat = 700;
+        
+        // Fraction of the gap to the fire's temperature closed each game minute
+        this.heatingRate = 0.1;
+        
+        // Temperature that counts as a full working heat for crafting quality
+        this.workingTemperature = 2200;
+        
+        // Game minutes of bellows work left, how long one session lasts and how much faster coal burns meanwhile
+        this.bellowsMinutes = 0;
+        this.bellowsDuration = 30;
+        this.bellowsBurnMultiplier = 2;
+        
+        // The forge starts lit and up to heat
+        this.temperature = this.getTargetTemperature();
+        
         // Register event listeners
         this.registerEventListeners();
     }
@@ -37,6 +60,11 @@ export class CoalSystem {
             this.refill();
         });
         
+        // Listen for bellows requests
+        this.eventEmitter.on('coal:bellows', () => {
+            this.workBellows();
+        });
+        
         // Listen for automatic refills from workers
         this.eventEmitter.on('worker:refill-coal', (workerName) => {
             const success = this.refill();
@@ -48,12 +76,15 @@ export class CoalSystem {
     
     /**
      * Update coal level (called on each game tick)
+     * @param {number} minutes - Game minutes elapsed since the last update
      */
-    update() {
+    update(minutes = 1) {
+        const bellowsActive = this.bellowsMinutes > 0;
+        
         // Only deplete coal if level is greater than 0
         if (this.level > 0) {
-            // Reduce the coal level
-            this.level -= this.depletionRate;
+            // Reduce the coal level (the bellows make it burn faster)
+            this.level -= this.depletionRate * minutes * (bellowsActive ? this.bellowsBurnMultiplier : 1);
             
             // Clamp to 0
             if (this.level < 0) {
@@ -74,6 +105,82 @@ export class CoalSystem {
             // Emit coal level updated event
             this.eventEmitter.emit('coal:updated', this.level);
         }
+        
+        // Move the temperature towards what the fire can give
+        const target = this.getTargetTemperature();
+        this.temperature += (target - this.temperature) * (1 - Math.pow(1 - this.heatingRate, minutes));
+        
+        // Run down the bellows
+        if (bellowsActive) {
+            this.bellowsMinutes = Math.max(0, this.bellowsMinutes - minutes);
+        }
+        
+        this.eventEmitter.emit('coal:temperature', this.temperature);
+    }
+    
+    /**
+     * Work the bellows, driving the fire hotter for a while
+     * @returns {boolean} - Whether the bellows were worked
+     */
+    workBellows() {
+        if (this.level <= 0) {
+            this.eventEmitter.emit('notification:error', "The forge is out. Add coal before working the bellows.");
+            return false;
+        }
+        
+        // A second session on top of the first keeps the fire roaring longer, up to two sessions' worth
+        this.bellowsMinutes = Math.min(this.bellowsMinutes + this.bellowsDuration, this.bellowsDuration * 2);
+        
+        this.eventEmitter.emit('coal:bellows-worked', this.bellowsMinutes);
+        
+        return true;
+    }
+    
+    /**
+     * Check whether the bellows are being worked
+     * @returns {boolean} - Whether the bellows are active
+     */
+    isBellowsActive() {
+        return this.bellowsMinutes > 0;
+    }
+    
+    /**
+     * Get the temperature the fire is heading towards
+     * @returns {number} - Target temperature in degrees Fahrenheit
+     */
+    getTargetTemperature() {
+        if (this.level <= 0) {
+            return this.ambientTemperature;
+        }
+        
+        return this.ambientTemperature + this.fireHeat + this.coalHeat * (this.level / 100) +
+            (this.bellowsMinutes > 0 ? this.bellowsHeat : 0);
+    }
+    
+    /**
+     * Get the forge's current temperature
+     * @returns {number} - Temperature in degrees Fahrenheit
+     */
+    getTemperature() {
+        return this.temperature;
+    }
+    
+    /**
+     * Get how close the forge is to a full working heat
+     * @returns {number} - Heat level (0-100)
+     */
+    getHeatLevel() {
+        const heat = (this.temperature - this.ambientTemperature) / (this.workingTemperature - this.ambientTemperature);
+        return Math.max(0, Math.min(1, heat)) * 100;
+    }
+    
+    /**
+     * Check whether the forge is hot enough for a job
+     * @param {number} temperature - Temperature needed in degrees Fahrenheit
+     * @returns {boolean} - Whether the forge is at least that hot
+     */
+    isHotEnough(temperature) {
+        return this.temperature >= temperature;
     }
     
     /**
@@ -150,6 +257,21 @@ export class CoalSystem {
         return true;
     }
     
+    /**
+     * Estimate the coal needed to keep the forge lit
+     * Counts the refills that the forge's own burn plus any crafting usage would trigger.
+     * @param {number} minutes - Game minutes the forge has to stay lit
+     * @param {number} extraUsage - Level points burned by crafting on top of that (default: 0)
+     * @returns {number} - Coal needed from inventory
+     */
+    estimateCoalNeeded(minutes, extraUsage = 0) {
+        const burned = this.depletionRate * minutes + extraUsage;
+        const headroom = Math.max(0, this.level - this.lowThreshold);
+        const refills = Math.ceil(Math.max(0, burned - headroom) / (100 - this.lowThreshold));
+        
+        return refills * this.coalPerRefill;
+    }
+    
     /**
      * Get current coal level
      * @returns {number} - Current coal level (0-100)
@@ -165,7 +287,9 @@ export class CoalSystem {
     serialize() {
         return {
             level: this.level,
-            hasWarnedAboutLowCoal: this.hasWarnedAboutLowCoal
+            hasWarnedAboutLowCoal: this.hasWarnedAboutLowCoal,
+            temperature: this.temperature,
+            bellowsMinutes: this.bellowsMinutes
         };
     }
     
@@ -178,6 +302,10 @@ export class CoalSystem {
         
         if (data.level !== undefined) this.level = data.level;
         if (data.hasWarnedAboutLowCoal !== undefined) this.hasWarnedAboutLowCoal = data.hasWarnedAboutLowCoal;
+        if (data.bellowsMinutes !== undefined) this.bellowsMinutes = data.bellowsMinutes;
+        
+        // Older saves have no temperature; their fire has had time to settle
+        this.temperature = data.temperature !== undefined ? data.temperature : this.getTargetTemperature();
         
         this.eventEmitter.emit('coal:updated', this.level);
     }
@@ -3,13 +3,21 @@
  * 
  * Manages contracts for bulk orders from various customers.
  * Handles contract generation, fulfillment, and expiry.
+ * Customers' standing with the shop decides how often they offer work and what they pay.
+ * Clients who think highly of the shop offer standing orders: a weekly delivery,
+ * paid each time, with a penalty for each missed delivery.
+ * Offers can be negotiated for a different quantity, a later deadline or more pay.
  */
 export class ContractSystem {
-    constructor(eventEmitter, inventorySystem, contractsData, itemsData) {
+    constructor(eventEmitter, inventorySystem, contractsData, itemsData, timeSystem, random, reputationSystem, storefrontSystem) {
         this.eventEmitter = eventEmitter;
         this.inventory = inventorySystem;
         this.contractsData = contractsData;
         this.itemsData = itemsData;
+        this.time = timeSystem;
+        this.random = random;
+        this.reputation = reputationSystem;
+        this.storefront = storefrontSystem;
         
         // Active contracts
         this.activeContracts = [];
@@ -17,15 +25,30 @@ export class ContractSystem {
         // Special contracts (from events)
         this.specialContracts = [];
         
-        // Timer for contract generation
+        // Timer for contract generation (game minutes since the last attempt)
         this.contractTimer = 0;
         
-        // Time between contract generation attempts (in seconds)
-        this.contractInterval = 180; // 3 minutes
+        // Time between contract generation attempts (in game minutes)
+        this.contractInterval = 180; // 3 game hours
         
         // Maximum number of active standard contracts
         this.maxContracts = 3;
         
+        // Standing orders from repeat clients (offers and accepted orders)
+        this.standingOrders = [];
+        
+        // Timer for standing order offers (game minutes since the last attempt)
+        this.standingOrderTimer = 0;
+        
+        // Time between standing order offers (in game minutes)
+        this.standingOrderInterval = 24 * 60; // 1 game day
+        
+        // Standing a client needs with the shop before offering a standing order
+        this.standingOrderReputation = 65;
+        
+        // Maximum number of standing orders (offered or accepted)
+        this.maxStandingOrders = 3;
+        
         // Register event listeners
         this.registerEventListeners();
     }
@@ -34,6 +57,11 @@ export class ContractSystem {
      * Register event listeners
      */
     registerEventListeners() {
+        // Listen for contract acceptance
+        this.eventEmitter.on('contract:accept', (contractId) => {
+            this.acceptContract(contractId);
+        });
+        
         // Listen for contract fulfillment requests
         this.eventEmitter.on('contract:fulfill', (contractId) => {
             this.fulfillContract(contractId);
@@ -44,6 +72,16 @@ export class ContractSystem {
             this.rejectContract(contractId);
         });
         
+        // Listen for proposed terms on a contract offer
+        this.eventEmitter.on('contract:negotiate', (contractId, proposal) => {
+            this.negotiateContract(contractId, proposal);
+        });
+        
+        // Listen for requests to change a standing order's quantity
+        this.eventEmitter.on('contract:renegotiate', (contractId, quantity) => {
+            this.renegotiateStandingOrder(contractId, quantity);
+        });
+        
         // Listen for blueprint unlocks to update available contracts
         this.eventEmitter.on('blueprint:unlocked', (itemId) => {
             // Check if this item could trigger special contracts
@@ -53,17 +91,25 @@ export class ContractSystem {
     
     /**
      * Update contract system (called on each game tick)
+     * @param {number} minutes - Game minutes elapsed since the last update
      */
-    update() {
+    update(minutes = 1) {
         // Update contract timer
-        this.contractTimer++;
+        this.contractTimer += minutes;
         
         // Check for contract generation
-        if (this.contractTimer >= this.contractInterval) {
-            this.contractTimer = 0;
+        while (this.contractTimer >= this.contractInterval) {
+            this.contractTimer -= this.contractInterval;
             this.generateContract();
         }
         
+        // Check for standing order offers
+        this.standingOrderTimer += minutes;
+        while (this.standingOrderTimer >= this.standingOrderInterval) {
+            this.standingOrderTimer -= this.standingOrderInterval;
+            this.offerStandingOrder();
+        }
+        
         // Check for expired contracts
         this.checkExpiredContracts();
     }
@@ -83,29 +129,38 @@ export class ContractSystem {
         // Generate a random contract
         const contract = this.contractsData.generate({
             availableItems,
-            timeMultiplier: 1
+            timeMultiplier: 1,
+            currentTime: this.time.getTotalMinutes(),
+            random: this.random,
+            customerWeights: this.reputation.getContractWeights()
         });
         
+        // No customer is willing to offer work right now
         if (!contract) {
-            console.warn("Failed to generate contract");
             return;
         }
         
-        // Get item data
-        const itemData = this.itemsData.items[contract.item];
-        
-        if (!itemData) {
-            console.warn(`Contract references unknown item: ${contract.item}`);
-            return;
+        // Get item data for everything the contract asks for
+        for (const line of contract.lineItems) {
+            const itemData = this.itemsData.items[line.item];
+            
+            if (!itemData) {
+                console.warn(`Contract references unknown item: ${line.item}`);
+                return;
+            }
+            
+            line.itemName = itemData.name;
         }
         
         // Calculate payout
-        const payout = this.contractsData.calculatePayout(contract, itemData);
+        contract.reputationMultiplier = this.reputation.getPayoutMultiplier(contract.customer);
+        const payout = this.contractsData.calculatePayout(contract, this.itemsData.items);
         
         // Add contract data
         contract.payout = payout;
-        contract.itemName = itemData.name;
-        contract.timeCreated = new Date();
+        contract.itemName = contract.itemName || contract.lineItems[0].itemName;
+        contract.timeCreated = this.time.getTotalMinutes();
+        contract.maxNegotiationRounds = this.contractsData.negotiationTerms.maxRounds;
         
         // Add to active contracts
         this.activeContracts.push(contract);
@@ -115,58 +170,415 @@ export class ContractSystem {
     }
     
     /**
-     * Fulfill a contract
-     * @param {string} contractId - ID of the contract to fulfill
-     * @returns {boolean} - Whether the contract was fulfilled
+     * Accept a contract, committing the shop to deliver it by its deadline
+     * @param {string} contractId - ID of the contract to accept
+     * @returns {boolean} - Whether the contract was accepted
      */
-    fulfillContract(contractId) {
-        // Find contract
-        const contractIndex = this.activeContracts.findIndex(c => c.id === contractId);
-        const specialIndex = this.specialContracts.findIndex(c => c.id === contractId);
+    acceptContract(contractId) {
+        const contract = this.getContract(contractId);
         
-        let contract;
-        let isSpecial = false;
+        if (!contract) {
+            this.eventEmitter.emit('notification:error', "Contract not found.");
+            return false;
+        }
         
-        if (contractIndex !== -1) {
-            contract = this.activeContracts[contractIndex];
-        } else if (specialIndex !== -1) {
-            contract = this.specialContracts[specialIndex];
-            isSpecial = true;
+        if (contract.accepted) {
+            return false;
+        }
+        
+        contract.accepted = true;
+        contract.timeAccepted = this.time.getTotalMinutes();
+        
+        // A standing order's first delivery is due one interval from now;
+        // other contracts pay a deposit up front
+        if (contract.isStanding) {
+            contract.expiryTime = contract.timeAccepted + contract.intervalMinutes;
+            contract.durationMinutes = contract.intervalMinutes;
         } else {
+            contract.deposit = contract.payout * this.contractsData.deliveryTerms.depositRate;
+            contract.paid = (contract.paid || 0) + contract.deposit;
+            this.inventory.addMoney(contract.deposit);
+        }
+        
+        // Emit events
+        this.eventEmitter.emit('contract:accepted', contract);
+        this.eventEmitter.emit('notification:success', contract.isStanding ?
+            `Accepted ${contract.customer}'s standing order for ${contract.quantity}x ${contract.itemName} a week.` :
+            `Accepted ${contract.customer}'s order for ${this.contractsData.describeContractGoods(contract)} with a $${contract.deposit.toFixed(2)} deposit.`);
+        
+        return true;
+    }
+    
+    /**
+     * Propose different terms for a contract offer
+     * The customer agrees to terms within their flexibility (and the shop is then
+     * committed to the contract), or comes back with a counter-offer the shop
+     * can accept or reject. After the last round their offer is final.
+     * @param {string} contractId - ID of the contract
+     * @param {Object} proposal - Proposed terms ({ quantity, durationMinutes, payout })
+     * @returns {boolean} - Whether the customer agreed to the proposal
+     */
+    negotiateContract(contractId, proposal) {
+        const contract = this.getContract(contractId);
+        
+        if (!contract) {
             this.eventEmitter.emit('notification:error', "Contract not found.");
             return false;
         }
         
-        // Check if player has enough items to fulfill
-        if (!this.inventory.hasItems({ [contract.item]: contract.quantity })) {
-            this.eventEmitter.emit('notification:error', `Not enough ${contract.itemName} to fulfill this contract.`);
+        if (contract.accepted || contract.isStanding) {
+            this.eventEmitter.emit('notification:error', `The terms with ${contract.customer} are already settled.`);
             return false;
         }
         
-        // Remove items from inventory
-        if (!this.inventory.removeItem(contract.item, contract.quantity)) {
-            this.eventEmitter.emit('notification:error', "Failed to remove items from inventory.");
+        // Contracts from before negotiation existed can't be negotiated
+        const round = (contract.negotiationRound || 0) + 1;
+        const maxRounds = contract.maxNegotiationRounds || 0;
+        if (round > maxRounds) {
+            this.eventEmitter.emit('notification:error', `${contract.customer} has made their final offer.`);
             return false;
         }
         
-        // Remove contract from active contracts
-        if (isSpecial) {
-            this.specialContracts.splice(specialIndex, 1);
+        if (!proposal || !(proposal.quantity >= 1) || !(proposal.durationMinutes > 0) || !(proposal.payout > 0)) {
+            this.eventEmitter.emit('notification:error', "Enter a quantity, deadline and payout to propose.");
+            return false;
+        }
+        
+        // Keep the original offer to measure every proposal against
+        if (!contract.originalTerms) {
+            contract.originalTerms = {
+                quantity: contract.quantity,
+                durationMinutes: contract.durationMinutes,
+                priceMultiplier: 1,
+                payout: contract.payout
+            };
+        }
+        
+        // A bundle's customer weighs the demand for everything in it
+        const lines = this.contractsData.getLineItems(contract);
+        const demand = lines.reduce((sum, line) => sum + this.storefront.getDemandMultiplier(line.item), 0) / lines.length;
+        
+        const result = this.contractsData.evaluateCounterOffer(contract, proposal, {
+            items: this.itemsData.items,
+            reputation: this.reputation.getCustomerReputation(contract.customer),
+            demand,
+            round
+        });
+        
+        contract.negotiationRound = round;
+        this.applyContractTerms(contract, result.terms);
+        
+        this.eventEmitter.emit('contract:negotiated', contract, result.agreed);
+        
+        if (result.agreed) {
+            this.eventEmitter.emit('notification:success', `${contract.customer} agreed to your terms.`);
+            this.acceptContract(contract.id);
+        } else {
+            const finalNote = round >= maxRounds ? ' That is their final offer.' : '';
+            this.eventEmitter.emit('notification:info',
+                `${contract.customer} counters: ${this.contractsData.describeContractGoods(contract)} within ${this.time.formatDuration(contract.durationMinutes)} for $${contract.payout.toFixed(2)}.${finalNote}`);
+        }
+        
+        return result.agreed;
+    }
+    
+    /**
+     * Store negotiated terms on a contract and update its quantity, deadline and payout
+     * @param {Object} contract - Contract object
+     * @param {Object} terms - Terms ({ quantity, durationMinutes, priceMultiplier })
+     */
+    applyContractTerms(contract, terms) {
+        // The deadline moves by however much the time allowed changed
+        contract.expiryTime += terms.durationMinutes - contract.durationMinutes;
+        contract.durationMinutes = terms.durationMinutes;
+        contract.quantity = terms.quantity;
+        contract.terms = { ...terms };
+        
+        // A single-item contract's line follows the quantity (a bundle's lines are fixed)
+        if (!contract.isBundle) {
+            contract.lineItems[0].quantity = terms.quantity;
+        }
+        
+        contract.payout = this.contractsData.calculatePayout(contract, this.itemsData.items);
+    }
+    
+    /**
+     * Deliver goods for a contract
+     * Accepted contracts take partial shipments of whatever acceptable stock is on hand,
+     * line item by line item, each paid for as it arrives (less its share of the deposit
+     * and any late penalty). An offer that hasn't been accepted must be filled in one go.
+     * @param {string} contractId - ID of the contract to fulfill
+     * @param {number|null} quantity - Most pieces of each line item to send (default: as many as are outstanding)
+     * @returns {boolean} - Whether anything was delivered
+     */
+    fulfillContract(contractId, quantity = null) {
+        const contract = this.getContract(contractId);
+        
+        if (!contract) {
+            this.eventEmitter.emit('notification:error', "Contract not found.");
+            return false;
+        }
+        
+        if (contract.isStanding) {
+            return this.deliverStandingOrder(contract);
+        }
+        
+        // Check if player has enough items of acceptable quality for the shipment
+        const minQuality = contract.minQuality || null;
+        const shipments = contract.lineItems.map(line => {
+            const outstanding = line.quantity - (line.deliveredQuantity || 0);
+            const available = this.inventory.getItemCount(line.item, minQuality);
+            const shipment = contract.accepted ? Math.min(quantity || outstanding, outstanding, available) : outstanding;
+            return { line, shipment, available };
+        }).filter(entry => entry.shipment > 0);
+        
+        const short = shipments.filter(entry => entry.available < entry.shipment);
+        if (shipments.length === 0 || short.length > 0) {
+            const qualityNote = minQuality ? ` of ${this.itemsData.itemQualities[minQuality].name.toLowerCase()} quality or better` : '';
+            this.eventEmitter.emit('notification:error', short.length > 0 ?
+                `Not enough ${short.map(entry => entry.line.itemName).join(', ')}${qualityNote} to fulfill this contract.` :
+                `Nothing${qualityNote} is ready to deliver for ${contract.customer}'s order.`);
+            return false;
+        }
+        
+        // Remove items from inventory (lowest acceptable quality first)
+        const shipped = [];
+        let pieces = 0;
+        let payment = 0;
+        for (const { line, shipment } of shipments) {
+            const delivered = this.inventory.takeItems(line.item, shipment, minQuality);
+            if (!delivered) {
+                this.eventEmitter.emit('notification:error', "Failed to remove items from inventory.");
+                break;
+            }
+            
+            payment += this.recordShipment(contract, line, shipment, delivered);
+            pieces += shipment;
+            shipped.push(`${shipment}x ${line.itemName}`);
+        }
+        
+        if (shipped.length === 0) {
+            return false;
+        }
+        
+        if (this.getOutstandingQuantity(contract) <= 0) {
+            this.completeContract(contract);
         } else {
-            this.activeContracts.splice(contractIndex, 1);
+            this.eventEmitter.emit('contract:delivered', contract, pieces, payment);
+            this.eventEmitter.emit('notification:success',
+                `Delivered ${shipped.join(', ')} to ${contract.customer} for $${payment.toFixed(2)} ` +
+                `(${this.getOutstandingQuantity(contract)} still to go).`);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Pay for a shipment of one line item on a contract
+     * Each piece earns its share of the payout and quality premium, less its share of the
+     * deposit already paid and the late penalty at the time it arrives.
+     * @param {Object} contract - Contract object
+     * @param {Object} line - Line item delivered against
+     * @param {number} shipment - Pieces delivered
+     * @param {Object} delivered - Amounts delivered by quality grade
+     * @returns {number} - Payment for the shipment
+     */
+    recordShipment(contract, line, shipment, delivered) {
+        const share = this.getLineShare(contract, line, shipment);
+        const penaltyRate = this.contractsData.calculateLatePenalty(contract, this.time.getTotalMinutes()) || 0;
+        
+        // Customers pay extra for better work than they asked for
+        const premium = this.contractsData.calculateQualityPremium(contract, delivered, this.itemsData.itemQualities) * share;
+        const latePenalty = contract.payout * share * penaltyRate;
+        const payment = Math.max(0, contract.payout * share - latePenalty - (contract.deposit || 0) * share + premium);
+        
+        line.deliveredQuantity = (line.deliveredQuantity || 0) + shipment;
+        line.deliveredStacks = line.deliveredStacks || {};
+        contract.deliveredQuantity = (contract.deliveredQuantity || 0) + shipment;
+        contract.deliveredStacks = contract.deliveredStacks || {};
+        for (const [quality, amount] of Object.entries(delivered)) {
+            line.deliveredStacks[quality] = (line.deliveredStacks[quality] || 0) + amount;
+            contract.deliveredStacks[quality] = (contract.deliveredStacks[quality] || 0) + amount;
+        }
+        contract.paid = (contract.paid || 0) + payment;
+        contract.premiumPaid = (contract.premiumPaid || 0) + premium;
+        contract.latePenalty = (contract.latePenalty || 0) + latePenalty;
+        
+        // Add money to inventory
+        this.inventory.addMoney(payment);
+        
+        return payment;
+    }
+    
+    /**
+     * Close a fully delivered contract
+     * @param {Object} contract - Contract object
+     */
+    completeContract(contract) {
+        // Remove contract from active contracts
+        this.activeContracts = this.activeContracts.filter(c => c.id !== contract.id);
+        this.specialContracts = this.specialContracts.filter(c => c.id !== contract.id);
+        
+        // Bundles pay their bonus once everything is in (less any late penalty)
+        const penaltyRate = this.contractsData.calculateLatePenalty(contract, this.time.getTotalMinutes()) || 0;
+        const bonus = this.contractsData.calculateBundleBonus(contract) * (1 - penaltyRate);
+        if (bonus > 0) {
+            this.inventory.addMoney(bonus);
+            contract.paid += bonus;
+        }
+        contract.bonusPaid = bonus;
+        
+        const premium = contract.premiumPaid || 0;
+        const latePenalty = contract.latePenalty || 0;
+        const notes = [];
+        if (bonus > 0) notes.push(`a $${bonus.toFixed(2)} bundle bonus`);
+        if (premium > 0) notes.push(`$${premium.toFixed(2)} for quality`);
+        
+        // Emit events (the payout is everything received, deposit included)
+        this.eventEmitter.emit('contract:completed', { ...contract, payout: contract.paid, premium, delivered: contract.deliveredStacks });
+        this.eventEmitter.emit('notification:success', 
+            `Contract completed: ${this.contractsData.describeContractGoods(contract)} for $${contract.paid.toFixed(2)}` +
+            (notes.length > 0 ? ` (including ${notes.join(' and ')})` : '') +
+            (latePenalty > 0 ? `, less $${latePenalty.toFixed(2)} for lateness` : ''));
+    }
+    
+    /**
+     * Deliver this week's quantity for a standing order
+     * @param {Object} contract - Standing order
+     * @returns {boolean} - Whether the delivery was made
+     */
+    deliverStandingOrder(contract) {
+        // Standing orders are delivered once per interval, after they're agreed
+        if (!this.canDeliverStandingOrder(contract)) {
+            return false;
         }
         
+        // Check if player has enough items of acceptable quality to fulfill
+        const minQuality = contract.minQuality || null;
+        if (!this.inventory.hasItems({ [contract.item]: contract.quantity }, minQuality)) {
+            const qualityNote = minQuality ? ` of ${this.itemsData.itemQualities[minQuality].name.toLowerCase()} quality or better` : '';
+            this.eventEmitter.emit('notification:error', `Not enough ${contract.itemName}${qualityNote} for this week's delivery.`);
+            return false;
+        }
+        
+        // Remove items from inventory (lowest acceptable quality first)
+        const delivered = this.inventory.takeItems(contract.item, contract.quantity, minQuality);
+        if (!delivered) {
+            this.eventEmitter.emit('notification:error', "Failed to remove items from inventory.");
+            return false;
+        }
+        
+        // Customers pay extra for better work than they asked for
+        const premium = this.contractsData.calculateQualityPremium(contract, delivered, this.itemsData.itemQualities);
+        const payout = contract.payout + premium;
+        
         // Add money to inventory
-        this.inventory.addMoney(contract.payout);
+        this.inventory.addMoney(payout);
         
         // Emit events
-        this.eventEmitter.emit('contract:completed', contract);
+        this.eventEmitter.emit('contract:completed', { ...contract, payout, premium, delivered });
         this.eventEmitter.emit('notification:success', 
-            `Contract completed: ${contract.quantity}x ${contract.itemName} for $${contract.payout.toFixed(2)}`);
+            `Standing order delivered: ${contract.quantity}x ${contract.itemName} for $${payout.toFixed(2)}` +
+            (premium > 0 ? ` (including $${premium.toFixed(2)} for quality)` : ''));
+        
+        // Move on to the next delivery
+        contract.deliveries++;
+        contract.missed = 0;
+        contract.expiryTime += contract.intervalMinutes;
         
         return true;
     }
     
+    /**
+     * Get how many pieces of a contract are still to be delivered
+     * @param {Object} contract - Contract object
+     * @returns {number} - Outstanding quantity
+     */
+    getOutstandingQuantity(contract) {
+        return contract.quantity - (contract.deliveredQuantity || 0);
+    }
+    
+    /**
+     * Get the line items still to be delivered on a contract
+     * @param {Object} contract - Contract object
+     * @returns {Object[]} - Outstanding lines ({ item, itemName, quantity }), fully delivered lines left out
+     */
+    getOutstandingLines(contract) {
+        return this.contractsData.getLineItems(contract)
+            .map(line => ({
+                item: line.item,
+                itemName: line.itemName || contract.itemName,
+                quantity: line.quantity - (line.deliveredQuantity || 0)
+            }))
+            .filter(line => line.quantity > 0);
+    }
+    
+    /**
+     * Get the share of a contract's value in some pieces of one of its line items
+     * Lines are weighed by their item's base price, so a hatchet counts for more than a nail.
+     * @param {Object} contract - Contract object
+     * @param {Object} line - Line item
+     * @param {number} pieces - Pieces of the line item
+     * @returns {number} - Share of the contract's value (0-1)
+     */
+    getLineShare(contract, line, pieces) {
+        const price = (itemId) => (this.itemsData.items[itemId] || {}).basePrice || 0;
+        const total = this.contractsData.getLineItems(contract)
+            .reduce((sum, entry) => sum + price(entry.item) * entry.quantity, 0);
+        
+        return total > 0 ? price(line.item) * pieces / total : pieces / contract.quantity;
+    }
+    
+    /**
+     * Get the share of a contract's value still to be delivered
+     * @param {Object} contract - Contract object
+     * @returns {number} - Outstanding share (0-1)
+     */
+    getOutstandingShare(contract) {
+        return this.getOutstandingLines(contract)
+            .reduce((sum, line) => sum + this.getLineShare(contract, line, line.quantity), 0);
+    }
+    
+    /**
+     * Get what a contract is expected to pay in all
+     * Counts what has been received (deposit included) plus the outstanding pieces
+     * and any bundle bonus at today's late penalty; quality premiums are only known on delivery.
+     * @param {Object} contract - Contract object
+     * @returns {number} - Projected total payout
+     */
+    getProjectedPayout(contract) {
+        const bonus = this.contractsData.calculateBundleBonus(contract);
+        
+        if (contract.isStanding || !contract.accepted) {
+            return contract.payout + bonus;
+        }
+        
+        const share = this.getOutstandingShare(contract);
+        const penaltyRate = this.contractsData.calculateLatePenalty(contract, this.time.getTotalMinutes()) || 0;
+        
+        return (contract.paid || 0) + (contract.payout * share + bonus) * (1 - penaltyRate) - (contract.deposit || 0) * share;
+    }
+    
+    /**
+     * Charge the shop for cancelling an accepted contract
+     * The deposit for the outstanding pieces goes back, along with a fee on their value.
+     * @param {Object} contract - Contract object
+     * @returns {number} - Amount charged
+     */
+    chargeCancellation(contract) {
+        const share = this.getOutstandingShare(contract);
+        const owed = (contract.deposit || 0) * share + contract.payout * share * this.contractsData.deliveryTerms.cancellationFeeRate;
+        const charge = Math.min(this.inventory.getMoney(), owed);
+        
+        if (charge > 0) {
+            this.inventory.removeMoney(charge);
+        }
+        
+        contract.cancellationFee = charge;
+        
+        return charge;
+    }
+    
     /**
      * Reject a contract
      * @param {string} contractId - ID of the contract to reject
@@ -176,30 +588,34 @@ export class ContractSystem {
         // Find contract
         const contractIndex = this.activeContracts.findIndex(c => c.id === contractId);
         const specialIndex = this.specialContracts.findIndex(c => c.id === contractId);
+        const standingIndex = this.standingOrders.findIndex(c => c.id === contractId);
         
         let contract;
-        let isSpecial = false;
         
         if (contractIndex !== -1) {
-            contract = this.activeContracts[contractIndex];
+            contract = this.activeContracts.splice(contractIndex, 1)[0];
         } else if (specialIndex !== -1) {
-            contract = this.specialContracts[specialIndex];
-            isSpecial = true;
+            contract = this.specialContracts.splice(specialIndex, 1)[0];
+        } else if (standingIndex !== -1) {
+            contract = this.standingOrders.splice(standingIndex, 1)[0];
         } else {
             this.eventEmitter.emit('notification:error', "Contract not found.");
             return false;
         }
         
-        // Remove contract
-        if (isSpecial) {
-            this.specialContracts.splice(specialIndex, 1);
-        } else {
-            this.activeContracts.splice(contractIndex, 1);
-        }
+        // Backing out of an accepted contract costs the deposit back and a fee
+        const charge = contract.accepted && !contract.isStanding ? this.chargeCancellation(contract) : 0;
         
         // Emit events
         this.eventEmitter.emit('contract:rejected', contract);
-        this.eventEmitter.emit('notification:info', `Rejected contract from ${contract.customer}.`);
+        if (contract.isStanding && contract.accepted) {
+            this.eventEmitter.emit('notification:info', `Cancelled the standing order with ${contract.customer}.`);
+        } else if (contract.accepted) {
+            this.eventEmitter.emit('notification:warning',
+                `Cancelled the contract with ${contract.customer}, returning $${charge.toFixed(2)} in deposit and fees.`);
+        } else {
+            this.eventEmitter.emit('notification:info', `Rejected contract from ${contract.customer}.`);
+        }
         
         return true;
     }
@@ -208,12 +624,37 @@ export class ContractSystem {
      * Check for expired contracts
      */
     checkExpiredContracts() {
-        const now = new Date();
+        const now = this.time.getTotalMinutes();
         const expiredContracts = [];
         
+        // Offers expire at their deadline; accepted contracts run late until the customer gives up
+        const isExpired = (contract) => {
+            if (contract.expiryTime > now) {
+                return false;
+            }
+            
+            if (!contract.accepted) {
+                return true;
+            }
+            
+            if (this.contractsData.calculateLatePenalty(contract, now) === null) {
+                this.chargeCancellation(contract);
+                return true;
+            }
+            
+            if (!contract.late) {
+                contract.late = true;
+                this.eventEmitter.emit('contract:late', contract);
+                this.eventEmitter.emit('notification:warning',
+                    `${contract.customer}'s order for ${this.contractsData.describeContractGoods(contract)} is late. Pieces delivered now are paid less.`);
+            }
+            
+            return false;
+        };
+        
         // Check standard contracts
         this.activeContracts = this.activeContracts.filter(contract => {
-            if (contract.expiryTime <= now) {
+            if (isExpired(contract)) {
                 expiredContracts.push(contract);
                 return false;
             }
@@ -222,19 +663,181 @@ export class ContractSystem {
         
         // Check special contracts
         this.specialContracts = this.specialContracts.filter(contract => {
-            if (contract.expiryTime <= now) {
+            if (isExpired(contract)) {
+                expiredContracts.push(contract);
+                return false;
+            }
+            return true;
+        });
+        
+        // Check standing order offers (accepted orders miss a delivery instead of expiring)
+        this.standingOrders = this.standingOrders.filter(contract => {
+            if (!contract.accepted && contract.expiryTime <= now) {
                 expiredContracts.push(contract);
                 return false;
             }
             return true;
         });
         
+        for (const contract of this.standingOrders.filter(c => c.accepted && c.expiryTime <= now)) {
+            this.missStandingDelivery(contract);
+        }
+        
         // Notify about expired contracts
         for (const contract of expiredContracts) {
             this.eventEmitter.emit('contract:expired', contract);
             this.eventEmitter.emit('notification:warning', 
-                `Contract expired: ${contract.customer}'s order for ${contract.quantity}x ${contract.itemName}`);
+                `Contract expired: ${contract.customer}'s order for ${this.contractsData.describeContractGoods(contract)}` +
+                (contract.cancellationFee ? ` (returned $${contract.cancellationFee.toFixed(2)} in deposit and fees)` : ''));
+        }
+    }
+    
+    /**
+     * Offer a standing order from a client who thinks well enough of the shop
+     * @returns {Object|null} - The offer, or null if no client is ready to offer one
+     */
+    offerStandingOrder() {
+        if (this.standingOrders.length >= this.maxStandingOrders) {
+            return null;
+        }
+        
+        // Clients with enough regard for the shop and no standing order already
+        const customers = [...new Set(this.contractsData.definitions.map(definition => definition.customer))]
+            .filter(customer => this.reputation.getCustomerReputation(customer) >= this.standingOrderReputation)
+            .filter(customer => !this.standingOrders.some(order => order.customer === customer));
+        
+        if (customers.length === 0) {
+            return null;
+        }
+        
+        const order = this.contractsData.generateStandingOrder({
+            customer: this.random.pick(customers),
+            availableItems: this.getAvailableItemsForContracts(),
+            currentTime: this.time.getTotalMinutes(),
+            random: this.random
+        });
+        
+        if (!order) {
+            return null;
+        }
+        
+        const itemData = this.itemsData.items[order.item];
+        
+        // Each delivery is paid like a contract for the weekly quantity
+        order.reputationMultiplier = this.reputation.getPayoutMultiplier(order.customer);
+        order.payout = this.contractsData.calculatePayout(order, this.itemsData.items);
+        order.itemName = itemData.name;
+        order.timeCreated = this.time.getTotalMinutes();
+        
+        this.standingOrders.push(order);
+        
+        // Emit events
+        this.eventEmitter.emit('contract:standing-offered', order);
+        this.eventEmitter.emit('notification:info',
+            `${order.customer} offers a standing order: ${order.quantity}x ${order.itemName} every week for $${order.payout.toFixed(2)} a delivery.`);
+        
+        return order;
+    }
+    
+    /**
+     * Check whether a standing order's next delivery can be made now
+     * Deliveries open one interval before they're due, so each week is delivered once.
+     * @param {Object} contract - Standing order
+     * @returns {boolean} - Whether the delivery can be made
+     */
+    canDeliverStandingOrder(contract) {
+        if (!contract.accepted) {
+            this.eventEmitter.emit('notification:error', `Accept ${contract.customer}'s standing order before delivering.`);
+            return false;
+        }
+        
+        const opensAt = contract.expiryTime - contract.intervalMinutes;
+        if (this.time.getTotalMinutes() < opensAt) {
+            this.eventEmitter.emit('notification:error',
+                `${contract.customer} has this week's delivery. The next one can go out from ${this.time.formatDateTime(opensAt)}.`);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Charge a missed standing order delivery
+     * The client keeps back part of a delivery's payment, and cancels after too many misses in a row.
+     * @param {Object} contract - Standing order whose delivery is overdue
+     */
+    missStandingDelivery(contract) {
+        const penalty = Math.min(this.inventory.getMoney(), contract.payout * contract.penaltyRate);
+        if (penalty > 0) {
+            this.inventory.removeMoney(penalty);
+        }
+        
+        contract.missed++;
+        contract.expiryTime += contract.intervalMinutes;
+        
+        this.eventEmitter.emit('contract:standing-missed', contract, penalty);
+        
+        if (contract.missed >= contract.maxMissed) {
+            this.standingOrders = this.standingOrders.filter(order => order.id !== contract.id);
+            
+            this.eventEmitter.emit('contract:standing-cancelled', contract);
+            this.eventEmitter.emit('notification:error',
+                `${contract.customer} cancelled their standing order after ${contract.missed} missed deliveries.`);
+            return;
+        }
+        
+        this.eventEmitter.emit('notification:warning',
+            `Missed a delivery of ${contract.quantity}x ${contract.itemName} to ${contract.customer}` +
+            (penalty > 0 ? `; they charged a $${penalty.toFixed(2)} penalty.` : '.'));
+    }
+    
+    /**
+     * Change the weekly quantity of a standing order
+     * Clients agree to new terms once per delivery, within the range they're prepared to take,
+     * and only agree to more while they still think highly of the shop.
+     * @param {string} contractId - ID of the standing order
+     * @param {number} quantity - New weekly quantity
+     * @returns {boolean} - Whether the client agreed
+     */
+    renegotiateStandingOrder(contractId, quantity) {
+        const contract = this.standingOrders.find(c => c.id === contractId);
+        
+        if (!contract) {
+            this.eventEmitter.emit('notification:error', "Standing order not found.");
+            return false;
+        }
+        
+        if (!Number.isInteger(quantity) || quantity < contract.minQuantity || quantity > contract.maxQuantity) {
+            this.eventEmitter.emit('notification:error',
+                `${contract.customer} will take between ${contract.minQuantity} and ${contract.maxQuantity} a week.`);
+            return false;
+        }
+        
+        // Terms are agreed per delivery, which is identified by its due date
+        if (contract.renegotiatedFor === contract.expiryTime) {
+            this.eventEmitter.emit('notification:error',
+                `${contract.customer} won't revisit the terms again until after the next delivery.`);
+            return false;
         }
+        
+        if (quantity > contract.quantity && this.reputation.getCustomerReputation(contract.customer) < this.standingOrderReputation) {
+            this.eventEmitter.emit('notification:warning',
+                `${contract.customer} isn't ready to take more from the shop right now.`);
+            return false;
+        }
+        
+        contract.quantity = quantity;
+        contract.renegotiatedFor = contract.expiryTime;
+        
+        // Payment follows the new quantity at the client's current regard for the shop
+        contract.reputationMultiplier = this.reputation.getPayoutMultiplier(contract.customer);
+        contract.payout = this.contractsData.calculatePayout(contract, this.itemsData.items);
+        
+        this.eventEmitter.emit('contract:renegotiated', contract);
+        this.eventEmitter.emit('notification:success',
+            `${contract.customer} agreed to ${quantity}x ${contract.itemName} a week for $${contract.payout.toFixed(2)} a delivery.`);
+        
+        return true;
     }
     
     /**
@@ -242,22 +845,34 @@ export class ContractSystem {
      * @param {Object} contract - Contract data
      */
     addSpecialContract(contract) {
-        // Get item data
-        const itemData = this.itemsData.items[contract.item];
+        // Special contracts ask for a single item unless they list line items
+        contract.lineItems = (contract.lineItems || [{ item: contract.item, quantity: contract.quantity }])
+            .map(line => ({ deliveredQuantity: 0, deliveredStacks: {}, ...line }));
+        contract.isBundle = contract.lineItems.length > 1;
         
-        if (!itemData) {
-            console.warn(`Special contract references unknown item: ${contract.item}`);
-            return;
+        // Get item data
+        for (const line of contract.lineItems) {
+            const itemData = this.itemsData.items[line.item];
+            
+            if (!itemData) {
+                console.warn(`Special contract references unknown item: ${line.item}`);
+                return;
+            }
+            
+            line.itemName = itemData.name;
         }
+        contract.quantity = contract.lineItems.reduce((sum, line) => sum + line.quantity, 0);
         
         // Calculate payout if not already set
         if (!contract.payout) {
-            contract.payout = this.contractsData.calculatePayout(contract, itemData);
+            contract.reputationMultiplier = this.reputation.getPayoutMultiplier(contract.customer);
+            contract.payout = this.contractsData.calculatePayout(contract, this.itemsData.items);
         }
         
         // Add additional data
-        contract.itemName = itemData.name;
-        contract.timeCreated = new Date();
+        contract.itemName = contract.itemName || contract.lineItems[0].itemName;
+        contract.timeCreated = this.time.getTotalMinutes();
+        contract.maxNegotiationRounds = this.contractsData.negotiationTerms.maxRounds;
         
         // Add to special contracts
         this.specialContracts.push(contract);
@@ -265,7 +880,7 @@ export class ContractSystem {
         // Emit events
         this.eventEmitter.emit('contract:special-available', contract);
         this.eventEmitter.emit('notification:info', 
-            `Special contract available: ${contract.customer} wants ${contract.quantity}x ${contract.itemName}`);
+            `Special contract available: ${contract.customer} wants ${this.contractsData.describeContractGoods(contract)}`);
     }
     
     /**
@@ -281,34 +896,36 @@ export class ContractSystem {
                 description: "The sheriff wants to test your craftsmanship with a first order.",
                 quantity: 2,
                 payoutMultiplier: 1.5,
-                durationMinutes: 30
+                durationHours: 30
             },
             'revolver': {
                 customer: "Silver Dollar Saloon",
                 description: "The saloon owner needs protection for his establishment.",
                 quantity: 1,
                 payoutMultiplier: 1.4,
-                durationMinutes: 20
+                durationHours: 20
             },
             'decorativeHorseshoe': {
                 customer: "Wilson Ranch",
                 description: "The Wilson family wants decorative horseshoes for their new barn.",
                 quantity: 3,
                 payoutMultiplier: 1.3,
-                durationMinutes: 25
+                durationHours: 25
             }
         };
         
         // Check if this item has a special introductory contract
         if (specialItems[itemId]) {
+            const durationMinutes = specialItems[itemId].durationHours * 60;
             const specialContract = {
-                id: `intro_${itemId}_${Date.now()}`,
+                id: `intro_${itemId}_${this.random.id()}`,
                 item: itemId,
                 customer: specialItems[itemId].customer,
                 description: specialItems[itemId].description,
                 quantity: specialItems[itemId].quantity,
                 payoutMultiplier: specialItems[itemId].payoutMultiplier,
-                expiryTime: new Date(Date.now() + specialItems[itemId].durationMinutes * 60 * 1000),
+                durationMinutes,
+                expiryTime: this.time.getTotalMinutes() + durationMinutes,
                 isSpecial: true
             };
             
@@ -340,39 +957,59 @@ export class ContractSystem {
     getContracts() {
         return {
             standard: [...this.activeContracts],
-            special: [...this.specialContracts]
+            special: [...this.specialContracts],
+            standing: [...this.standingOrders]
         };
     }
     
     /**
-     * Calculate time remaining for a contract
+     * Find a standard or special contract or a standing order
+     * @param {string} contractId - ID of the contract
+     * @returns {Object|null} - Contract or null if not found
+     */
+    getContract(contractId) {
+        return this.activeContracts.find(c => c.id === contractId) ||
+            this.specialContracts.find(c => c.id === contractId) ||
+            this.standingOrders.find(c => c.id === contractId) || null;
+    }
+    
+    /**
+     * Get the contracts the shop has accepted, soonest deadline first
+     * (a standing order's deadline is its next delivery)
+     * @returns {Array} - Array of accepted contracts
+     */
+    getAcceptedContracts() {
+        return [...this.activeContracts, ...this.specialContracts, ...this.standingOrders]
+            .filter(contract => contract.accepted)
+            .sort((a, b) => a.expiryTime - b.expiryTime);
+    }
+    
+    /**
+     * Calculate game time remaining for a contract
      * @param {Object} contract - Contract object
-     * @returns {Object} - Time remaining details
+     * @returns {Object} - Time remaining details (hours and minutes of game time)
      */
     getContractTimeRemaining(contract) {
-        if (!contract || !contract.expiryTime) {
-            return { minutes: 0, seconds: 0, percentage: 0 };
+        if (!contract || contract.expiryTime === undefined) {
+            return { totalMinutes: 0, hours: 0, minutes: 0, percentage: 0 };
         }
         
-        const now = new Date();
-        const expiryTime = new Date(contract.expiryTime);
-        const totalMs = expiryTime - now;
+        const totalMinutes = contract.expiryTime - this.time.getTotalMinutes();
         
-        if (totalMs <= 0) {
-            return { minutes: 0, seconds: 0, percentage: 0 };
+        if (totalMinutes <= 0) {
+            return { totalMinutes: 0, hours: 0, minutes: 0, percentage: 0 };
         }
         
-        const minutes = Math.floor(totalMs / (1000 * 60));
-        const seconds = Math.floor((totalMs % (1000 * 60)) / 1000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = Math.floor(totalMinutes % 60);
         
         // Calculate percentage if we know duration
         let percentage = 0;
         if (contract.durationMinutes) {
-            const totalDurationMs = contract.durationMinutes * 60 * 1000;
-            percentage = (totalMs / totalDurationMs) * 100;
+            percentage = (totalMinutes / contract.durationMinutes) * 100;
         }
         
-        return { minutes, seconds, percentage };
+        return { totalMinutes, hours, minutes, percentage };
     }
     
     /**
@@ -383,7 +1020,9 @@ export class ContractSystem {
         return {
             activeContracts: this.activeContracts,
             specialContracts: this.specialContracts,
-            contractTimer: this.contractTimer
+            standingOrders: this.standingOrders,
+            contractTimer: this.contractTimer,
+            standingOrderTimer: this.standingOrderTimer
         };
     }
     
@@ -396,25 +1035,8 @@ export class ContractSystem {
         
         if (data.activeContracts) this.activeContracts = [...data.activeContracts];
         if (data.specialContracts) this.specialContracts = [...data.specialContracts];
+        if (data.standingOrders) this.standingOrders = [...data.standingOrders];
         if (data.contractTimer !== undefined) this.contractTimer = data.contractTimer;
-        
-        // Convert date strings back to Date objects
-        for (const contract of this.activeContracts) {
-            if (contract.expiryTime && typeof contract.expiryTime === 'string') {
-                contract.expiryTime = new Date(contract.expiryTime);
-            }
-            if (contract.timeCreated && typeof contract.timeCreated === 'string') {
-                contract.timeCreated = new Date(contract.timeCreated);
-            }
-        }
-        
-        for (const contract of this.specialContracts) {
-            if (contract.expiryTime && typeof contract.expiryTime === 'string') {
-                contract.expiryTime = new Date(contract.expiryTime);
-            }
-            if (contract.timeCreated && typeof contract.timeCreated === 'string') {
-                contract.timeCreated = new Date(contract.timeCreated);
-            }
-        }
+        if (data.standingOrderTimer !== undefined) this.standingOrderTimer = data.standingOrderTimer;
     }
 }
\ No newline at end of file
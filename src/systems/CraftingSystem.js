@@ -2,25 +2,54 @@
  * Crafting System
  * 
  * Manages all crafting operations, including material consumption,
- * tool usage, and craft queue management.
+ * tool usage, tool repairs, and craft queue management.
+ * The workshop has several crafting stations (forge, anvil bench, leather bench,
+ * gunsmith bench), each with its own queue, so jobs run in parallel.
  */
 export class CraftingSystem {
-    constructor(eventEmitter, inventorySystem, coalSystem, toolDurability, itemsData) {
+    constructor(eventEmitter, inventorySystem, coalSystem, toolDurability, itemsData, stationsData, random) {
         this.eventEmitter = eventEmitter;
         this.inventory = inventorySystem;
         this.coal = coalSystem;
         this.toolDurability = toolDurability;
         this.itemsData = itemsData;
+        this.stationsData = stationsData;
+        this.random = random;
         
-        // Queue of items being crafted
-        this.craftingQueue = [];
+        // Crafting stations by ID, each with its current job, queue and assigned worker
+        this.stations = {};
         
-        // Current active crafting job
-        this.currentCraft = null;
+        for (const definition of this.stationsData.definitions) {
+            this.stations[definition.id] = {
+                id: definition.id,
+                currentCraft: null,
+                queue: [],
+                workerId: null
+            };
+        }
+        
+        // Crafts waiting for their components to be made
+        // ({ id, itemId, quantity, workerId, forItemId, contractId, deadline }), soonest deadline first
+        this.pendingCrafts = [];
         
         // Crafting speed multiplier (modified by tools, workers, etc.)
         this.speedMultiplier = 1.0;
         
+        // Skill of whoever is starting the next job (0-1; the player is a seasoned smith)
+        this.playerSkill = 0.7;
+        this.skillLevel = this.playerSkill;
+        
+        // How much each factor counts towards a crafted item's quality
+        this.qualityWeights = {
+            skill: 0.45,
+            tools: 0.3,
+            heat: 0.25,
+            components: 0.2
+        };
+        
+        // Random spread on the quality score, so the same setup doesn't always give the same grade
+        this.qualityVariance = 0.08;
+        
         // Register event listeners
         this.registerEventListeners();
     }
@@ -30,17 +59,41 @@ export class CraftingSystem {
      */
     registerEventListeners() {
         // Listen for craft requests
-        this.eventEmitter.on('crafting:start', (itemId, quantity = 1, workerId = null) => {
-            this.startCrafting(itemId, quantity, workerId);
+        this.eventEmitter.on('crafting:start', (itemId, quantity = 1, workerId = null, toolTier = 'standard', stationId = null) => {
+            this.startCrafting(itemId, quantity, workerId, toolTier, stationId);
+        });
+        
+        // Listen for requests to craft an item along with any components it's missing
+        this.eventEmitter.on('crafting:queue-with-components', (itemId, quantity = 1, workerId = null) => {
+            this.queueWithComponents(itemId, quantity, workerId);
+        });
+        
+        // Listen for tool repair requests
+        this.eventEmitter.on('crafting:repair', (toolName, workerId = null) => {
+            this.startRepair(toolName, workerId);
         });
         
         // Listen for coal level changes
         this.eventEmitter.on('coal:updated', (level) => {
-            if (level <= 0 && this.currentCraft) {
-                this.pauseCrafting("Not enough coal");
+            if (level > 0) return;
+            
+            for (const station of Object.values(this.stations)) {
+                if (station.currentCraft && this.getStationDefinition(station.id).usesCoal) {
+                    this.pauseCrafting("Not enough coal", station.id);
+                }
             }
         });
         
+        // Listen for station assignments
+        this.eventEmitter.on('crafting:assign-station', (workerId, stationId) => {
+            this.assignWorkerToStation(workerId, stationId);
+        });
+        
+        // Fired workers leave their station
+        this.eventEmitter.on('worker:fired', (worker) => {
+            this.unassignWorker(worker.id);
+        });
+        
         // Listen for item blueprint unlocks to notify about new craftable items
         this.eventEmitter.on('blueprint:unlocked', (itemId) => {
             const item = this.itemsData.items[itemId];
@@ -51,56 +104,225 @@ export class CraftingSystem {
     }
     
     /**
-     * Update crafting progress (called on each game tick)
+     * Update crafting progress at every station (called on each game tick)
+     * @param {number} minutes - Game minutes elapsed since the last update
+     */
+    update(minutes = 1) {
+        // Start any waiting crafts whose components are ready
+        this.processPendingCrafts();
+        
+        for (const station of Object.values(this.stations)) {
+            this.updateStation(station, minutes);
+        }
+    }
+    
+    /**
+     * Update crafting progress at one station
+     * @param {Object} station - Station state
+     * @param {number} minutes - Game minutes elapsed since the last update
      */
-    update() {
+    updateStation(station, minutes) {
         // Skip if no active crafting job
-        if (!this.currentCraft) {
+        if (!station.currentCraft) {
             // Check if there's anything in the queue
-            if (this.craftingQueue.length > 0) {
-                this.currentCraft = this.craftingQueue.shift();
-                this.eventEmitter.emit('crafting:started', this.currentCraft);
+            if (station.queue.length > 0) {
+                station.currentCraft = station.queue.shift();
+                this.eventEmitter.emit('crafting:started', station.currentCraft);
             } else {
                 return;
             }
         }
         
+        const job = station.currentCraft;
+        
         // Check if crafting is paused
-        if (this.currentCraft.paused) {
+        if (job.paused) {
             return;
         }
         
-        // Update progress
-        this.currentCraft.progress += (1 * this.speedMultiplier);
+        // Smelting waits until the forge is hot enough
+        const minTemperature = job.itemData.minTemperature;
+        if (minTemperature && this.getStationDefinition(station.id).usesCoal) {
+            const hotEnough = this.coal.isHotEnough(minTemperature);
+            if (job.waitingForHeat !== !hotEnough) {
+                job.waitingForHeat = !hotEnough;
+                this.eventEmitter.emit('crafting:heat-changed', job);
+            }
+            if (!hotEnough) return;
+        }
+        
+        // Update progress (crafting time is measured in game minutes; better tools and workers go faster)
+        const toolSpeed = job.toolSpeedMultiplier || 1;
+        const speed = job.speedMultiplier !== undefined ? job.speedMultiplier : this.speedMultiplier;
+        job.progress += (minutes * speed * toolSpeed);
         
-        // Check if there's still enough coal
-        if (!this.coal.hasEnoughCoal()) {
-            this.pauseCrafting("Not enough coal");
-            return;
+        // Check if there's still enough coal for stations that work hot
+        if (this.getStationDefinition(station.id).usesCoal) {
+            if (!this.coal.hasEnoughCoal()) {
+                this.pauseCrafting("Not enough coal", station.id);
+                return;
+            }
+            
+            // Track how hot the forge ran during the job
+            job.heatTotal = (job.heatTotal || 0) + this.coal.getHeatLevel() * minutes;
+            job.heatMinutes = (job.heatMinutes || 0) + minutes;
         }
         
         // Check if crafting is complete
-        if (this.currentCraft.progress >= this.currentCraft.craftingTime) {
-            this.completeCrafting();
+        if (job.progress >= job.craftingTime) {
+            this.completeCrafting(station.id);
         } else {
             // Emit progress update
             this.eventEmitter.emit('crafting:progress', {
-                itemId: this.currentCraft.itemId,
-                progress: this.currentCraft.progress,
-                total: this.currentCraft.craftingTime,
-                percentage: (this.currentCraft.progress / this.currentCraft.craftingTime) * 100
+                stationId: station.id,
+                itemId: job.itemId,
+                progress: job.progress,
+                total: job.craftingTime,
+                percentage: (job.progress / job.craftingTime) * 100
             });
         }
     }
     
+    /**
+     * Get a station definition
+     * @param {string} stationId - ID of the station
+     * @returns {Object|null} - Station definition or null if not found
+     */
+    getStationDefinition(stationId) {
+        return this.stationsData.definitions.find(s => s.id === stationId) || null;
+    }
+    
+    /**
+     * Get tools a station is missing
+     * @param {string} stationId - ID of the station
+     * @returns {string[]} - Array of missing tool names
+     */
+    getMissingStationTools(stationId) {
+        const definition = this.getStationDefinition(stationId);
+        return definition.requiredTools.filter(tool => !this.inventory.hasTool(tool));
+    }
+    
+    /**
+     * Get stations that can craft an item's category
+     * @param {Object} itemData - Item definition
+     * @returns {string[]} - Array of station IDs
+     */
+    getCompatibleStations(itemData) {
+        const category = itemData.category || 'metal';
+        
+        return this.stationsData.definitions
+            .filter(definition => definition.categories.includes(category))
+            .map(definition => definition.id);
+    }
+    
+    /**
+     * Check if a station can craft an item's category
+     * @param {string} stationId - ID of the station
+     * @param {string} itemId - ID of the item
+     * @returns {boolean} - Whether the item can be made at the station
+     */
+    canStationCraft(stationId, itemId) {
+        const itemData = this.itemsData.items[itemId];
+        return !!itemData && this.getCompatibleStations(itemData).includes(stationId);
+    }
+    
+    /**
+     * Pick the station a job should go to
+     * Workers craft at their own station; otherwise the least busy compatible,
+     * fully equipped station is used.
+     * @param {Object} itemData - Item definition
+     * @param {string|null} workerId - Optional ID of worker doing the crafting
+     * @param {string|null} stationId - Optional station requested by the player
+     * @returns {Object} - { stationId, reason } with stationId null if no station fits
+     */
+    routeJob(itemData, workerId = null, stationId = null) {
+        const compatible = this.getCompatibleStations(itemData);
+        
+        // Use the worker's station if they have one
+        const requestedId = stationId || (workerId ? this.getWorkerStation(workerId) : null);
+        
+        if (requestedId) {
+            const definition = this.getStationDefinition(requestedId);
+            
+            if (!definition) {
+                return { stationId: null, reason: 'Unknown station' };
+            }
+            
+            if (!compatible.includes(requestedId)) {
+                return { stationId: null, reason: `${itemData.name} can't be made at the ${definition.name}` };
+            }
+            
+            const missingTools = this.getMissingStationTools(requestedId);
+            if (missingTools.length > 0) {
+                return { stationId: null, reason: `${definition.name} is missing tools: ${missingTools.join(', ')}` };
+            }
+            
+            if (!this.hasQueueSpace(requestedId)) {
+                return { stationId: null, reason: `${definition.name} queue is full` };
+            }
+            
+            return { stationId: requestedId, reason: null };
+        }
+        
+        // Otherwise pick the least busy equipped station
+        const candidates = compatible.filter(id => this.getMissingStationTools(id).length === 0 && this.hasQueueSpace(id));
+        
+        if (candidates.length === 0) {
+            if (compatible.length === 0) {
+                return { stationId: null, reason: `No station can make ${itemData.name}` };
+            }
+            
+            const missingTools = this.getMissingStationTools(compatible[0]);
+            return {
+                stationId: null,
+                reason: missingTools.length > 0 ? `Missing station tools: ${missingTools.join(', ')}` : 'All stations are busy'
+            };
+        }
+        
+        candidates.sort((a, b) => this.getStationLoad(a) - this.getStationLoad(b));
+        
+        return { stationId: candidates[0], reason: null };
+    }
+    
+    /**
+     * Get how many jobs a station has (current plus queued)
+     * @param {string} stationId - ID of the station
+     * @returns {number} - Number of jobs
+     */
+    getStationLoad(stationId) {
+        const station = this.stations[stationId];
+        return (station.currentCraft ? 1 : 0) + station.queue.length;
+    }
+    
+    /**
+     * Add a job to a station's line
+     * @param {string} stationId - ID of the station
+     * @param {Object} job - Crafting job
+     */
+    addJobToStation(stationId, job) {
+        const station = this.stations[stationId];
+        job.stationId = stationId;
+        
+        // Add to queue or set as current
+        if (station.currentCraft) {
+            station.queue.push(job);
+            this.eventEmitter.emit('crafting:queued', job);
+        } else {
+            station.currentCraft = job;
+            this.eventEmitter.emit('crafting:started', job);
+        }
+    }
+    
     /**
      * Start a new crafting job
      * @param {string} itemId - ID of the item to craft
      * @param {number} quantity - Number of items to craft
      * @param {string|null} workerId - Optional ID of worker doing the crafting
+     * @param {string} toolTier - Quality tier when forging a tool (crude, standard, fine)
+     * @param {string|null} stationId - Optional station to craft at (default: routed by category)
      * @returns {boolean} - Whether crafting was started successfully
      */
-    startCrafting(itemId, quantity = 1, workerId = null) {
+    startCrafting(itemId, quantity = 1, workerId = null, toolTier = 'standard', stationId = null) {
         // Get item definition
         const itemData = this.itemsData.items[itemId];
         
@@ -122,14 +344,36 @@ export class CraftingSystem {
             return false;
         }
         
+        // Find a station for the job
+        const route = this.routeJob(itemData, workerId, stationId);
+        if (!route.stationId) {
+            this.eventEmitter.emit('notification:error', `Can't craft ${itemData.name}: ${route.reason}`);
+            return false;
+        }
+        
+        const usesCoal = this.getStationDefinition(route.stationId).usesCoal;
+        
+        // Forged tools cost more or less depending on their tier
+        const tier = itemData.createsTool ? this.toolDurability.getToolTier(toolTier) : null;
+        const requiredMaterials = this.getRequiredMaterials(itemData, toolTier);
+        
         // Check for required materials
-        if (!this.inventory.hasMaterials(itemData.requiredMaterials)) {
+        if (!this.inventory.hasMaterials(this.scaleAmounts(requiredMaterials, quantity))) {
             this.eventEmitter.emit('notification:error', `Not enough materials to craft ${itemData.name}`);
             return false;
         }
         
+        // Check for required components
+        const requiredItems = this.scaleAmounts(this.getRequiredItems(itemData, toolTier), quantity);
+        if (!this.inventory.hasItems(requiredItems)) {
+            const missing = this.getMissingComponents(itemId, quantity, toolTier);
+            this.eventEmitter.emit('notification:error',
+                `Missing components for ${itemData.name}: ${Object.entries(missing).map(([id, amount]) => `${amount}x ${this.itemsData.items[id].name}`).join(', ')}`);
+            return false;
+        }
+        
         // Check for coal
-        if (!this.coal.hasEnoughCoal()) {
+        if (usesCoal && !this.coal.hasEnoughCoal()) {
             this.eventEmitter.emit('notification:error', `Not enough coal in the forge to craft ${itemData.name}`);
             return false;
         }
@@ -139,7 +383,7 @@ export class CraftingSystem {
         const actualQuantity = batchSize * quantity;
         
         // Consume materials
-        for (const [materialName, amount] of Object.entries(itemData.requiredMaterials)) {
+        for (const [materialName, amount] of Object.entries(requiredMaterials)) {
             // Multiply amount by quantity
             const totalAmount = amount * quantity;
             if (!this.inventory.removeMaterial(materialName, totalAmount)) {
@@ -149,146 +393,387 @@ export class CraftingSystem {
             }
         }
         
+        // Consume components (lowest quality first)
+        const consumedItems = {};
+        for (const [componentId, amount] of Object.entries(requiredItems)) {
+            consumedItems[componentId] = this.inventory.takeItems(componentId, amount);
+        }
+        
         // Consume initial coal
-        const coalUsage = itemData.coalUsage || 5;
-        this.coal.consumeCoal(coalUsage);
+        if (usesCoal) {
+            const coalUsage = itemData.coalUsage || 5;
+            this.coal.consumeCoal(coalUsage);
+        }
         
         // Create crafting job
         const craftingJob = {
             itemId,
-            name: itemData.name,
-            craftingTime: itemData.craftingTime,
+            name: tier ? `${tier.name} ${itemData.name}` : itemData.name,
+            craftingTime: tier ? Math.round(itemData.craftingTime * tier.craftingTimeMultiplier) : itemData.craftingTime,
             progress: 0,
             quantity: actualQuantity,
             workerId,
             paused: false,
             pauseReason: null,
-            itemData: { ...itemData }
+            toolTier: tier ? toolTier : null,
+            speedMultiplier: this.speedMultiplier,
+            skillLevel: this.skillLevel,
+            heatTotal: 0,
+            heatMinutes: 0,
+            toolSpeedMultiplier: this.toolDurability.getToolSpeedMultiplier(itemData),
+            consumedItems,
+            itemData: { ...itemData, requiredMaterials }
         };
         
-        // Add to queue or set as current
-        if (this.currentCraft) {
-            this.craftingQueue.push(craftingJob);
-            this.eventEmitter.emit('crafting:queued', craftingJob);
-        } else {
-            this.currentCraft = craftingJob;
-            this.eventEmitter.emit('crafting:started', craftingJob);
+        this.addJobToStation(route.stationId, craftingJob);
+        
+        return true;
+    }
+    
+    /**
+     * Start repairing a tool at the forge
+     * Repairs use materials, coal and time like any other job and go through the same queue.
+     * @param {string} toolName - Name of the tool to repair
+     * @param {string|null} workerId - Optional ID of worker doing the repair
+     * @returns {boolean} - Whether the repair was started successfully
+     */
+    startRepair(toolName, workerId = null) {
+        const check = this.canRepair(toolName, workerId);
+        
+        if (!check.canRepair) {
+            this.eventEmitter.emit('notification:error', `Can't repair ${toolName}: ${check.reason}`);
+            return false;
         }
         
+        const cost = this.toolDurability.getRepairCost(toolName);
+        
+        // Consume materials and coal
+        for (const [materialName, amount] of Object.entries(cost.materials)) {
+            if (!this.inventory.removeMaterial(materialName, amount)) {
+                console.error(`Failed to remove ${amount} ${materialName}`);
+                return false;
+            }
+        }
+        
+        this.coal.consumeCoal(cost.coal);
+        
+        const toolData = this.itemsData.tools[toolName];
+        const repairJob = {
+            itemId: toolName,
+            name: `Repair ${toolData.name}`,
+            craftingTime: cost.time,
+            progress: 0,
+            quantity: 1,
+            workerId,
+            paused: false,
+            pauseReason: null,
+            repairTool: toolName,
+            speedMultiplier: this.speedMultiplier,
+            itemData: {
+                name: toolData.name,
+                category: 'tool',
+                complexity: 'simple',
+                requiredMaterials: cost.materials,
+                requiredTools: []
+            }
+        };
+        
+        this.addJobToStation(check.stationId, repairJob);
+        
         return true;
     }
     
     /**
-     * Complete current crafting job
+     * Check if a tool can be repaired right now
+     * @param {string} toolName - Name of the tool
+     * @param {string|null} workerId - Optional ID of worker doing the repair
+     * @returns {Object} - Result object with canRepair, reason and the stationId to use
      */
-    completeCrafting() {
-        if (!this.currentCraft) return;
+    canRepair(toolName, workerId = null) {
+        const toolCheck = this.toolDurability.canRepairTool(toolName);
         
-        const { itemId, name, quantity, workerId } = this.currentCraft;
-        const itemData = this.currentCraft.itemData;
+        if (!toolCheck.canRepair) {
+            return toolCheck;
+        }
+        
+        // Don't queue a second repair for the same tool
+        if (this.getAllJobs().some(job => job.repairTool === toolName)) {
+            return { canRepair: false, reason: 'Repair already underway' };
+        }
+        
+        // Repairs are hot work
+        const route = this.routeJob({ name: 'Repairs', category: 'tool' }, workerId);
+        if (!route.stationId) {
+            return { canRepair: false, reason: route.reason };
+        }
+        
+        const cost = this.toolDurability.getRepairCost(toolName);
+        
+        if (!this.inventory.hasMaterials(cost.materials)) {
+            return { canRepair: false, reason: 'Not enough materials' };
+        }
+        
+        if (!this.coal.hasEnoughCoal()) {
+            return { canRepair: false, reason: 'Not enough coal' };
+        }
+        
+        return { canRepair: true, reason: null, stationId: route.stationId };
+    }
+    
+    /**
+     * Get the materials needed for one craft of an item
+     * @param {Object} itemData - Item definition
+     * @param {string} toolTier - Quality tier when forging a tool
+     * @returns {Object} - Material amounts by material ID
+     */
+    getRequiredMaterials(itemData, toolTier = 'standard') {
+        if (!itemData.createsTool) {
+            return itemData.requiredMaterials;
+        }
+        
+        const tier = this.toolDurability.getToolTier(toolTier);
+        const requiredMaterials = {};
+        
+        for (const [materialName, amount] of Object.entries(itemData.requiredMaterials)) {
+            requiredMaterials[materialName] = Math.round(amount * tier.materialMultiplier * 10) / 10;
+        }
+        
+        return requiredMaterials;
+    }
+    
+    /**
+     * Get the components needed for one craft of an item
+     * @param {Object} itemData - Item definition
+     * @param {string} toolTier - Quality tier when forging a tool
+     * @returns {Object} - Component amounts by item ID
+     */
+    getRequiredItems(itemData, toolTier = 'standard') {
+        const requiredItems = { ...(itemData.requiredItems || {}) };
+        
+        // Better tools are forged from better steel
+        if (itemData.createsTool) {
+            const tier = this.toolDurability.getToolTier(toolTier);
+            for (const [componentId, amount] of Object.entries(tier.requiredItems || {})) {
+                requiredItems[componentId] = (requiredItems[componentId] || 0) + amount;
+            }
+        }
+        
+        return requiredItems;
+    }
+    
+    /**
+     * Complete the current crafting job at a station
+     * @param {string} stationId - ID of the station (default: forge)
+     */
+    completeCrafting(stationId = 'forge') {
+        const station = this.stations[stationId];
+        if (!station || !station.currentCraft) return;
+        
+        const { itemId, name, quantity, workerId } = station.currentCraft;
+        const itemData = station.currentCraft.itemData;
+        
+        // Grade the work before the tools wear down any further
+        const quality = this.calculateQuality(station.currentCraft);
         
         // Use tools for crafting
         this.toolDurability.useToolsForItem(itemData);
         
-        // If this creates a tool, add it to inventory
-        if (itemData.createsTool) {
-            this.inventory.addOrReplaceTool(itemData.createsTool);
+        // Repairs restore the tool instead of producing an item
+        if (station.currentCraft.repairTool) {
+            this.toolDurability.repairTool(station.currentCraft.repairTool);
+            this.eventEmitter.emit('tool:repair-completed', station.currentCraft.repairTool, workerId);
+            this.eventEmitter.emit('notification:success', `Finished repairing the ${itemData.name.toLowerCase()}`);
+        } else if (itemData.createsTool) {
+            const toolTier = station.currentCraft.toolTier || 'standard';
+            const maxUses = this.toolDurability.getMaxDurability(itemData.createsTool, toolTier);
+            this.inventory.addOrReplaceTool(itemData.createsTool, maxUses, toolTier);
             this.eventEmitter.emit('notification:success', `Crafted a new ${name}`);
         } else {
             // Add crafted item to inventory
-            this.inventory.addItem(itemId, quantity);
+            this.inventory.addItem(itemId, quantity, quality);
             
-            // Get craftee name with quantity
-            const itemDesc = quantity > 1 ? `${quantity}x ${name}` : name;
+            // Get craftee name with quantity and grade
+            const qualityName = this.itemsData.itemQualities[quality].name;
+            const itemDesc = quantity > 1 ? `${quantity}x ${qualityName} ${name}` : `${qualityName} ${name}`;
             
             // Emit events
-            this.eventEmitter.emit('item:crafted', itemId, quantity, workerId);
+            this.eventEmitter.emit('item:crafted', itemId, quantity, workerId, quality);
             this.eventEmitter.emit('notification:success', `Crafted ${itemDesc}`);
             
-            // Auto-add to storefront if configured
-            if (this.autoAddToStorefront) {
-                this.eventEmitter.emit('storefront:add', itemId, quantity);
+            // Auto-add to storefront if configured (components stay in the workshop)
+            if (this.autoAddToStorefront && !itemData.component) {
+                this.eventEmitter.emit('storefront:add', itemId, quantity, quality);
             }
         }
         
         // Clear current craft
-        this.currentCraft = null;
+        station.currentCraft = null;
         
         // Check if there's something else in the queue
-        if (this.craftingQueue.length > 0) {
-            this.currentCraft = this.craftingQueue.shift();
-            this.eventEmitter.emit('crafting:started', this.currentCraft);
+        if (station.queue.length > 0) {
+            station.currentCraft = station.queue.shift();
+            this.eventEmitter.emit('crafting:started', station.currentCraft);
         } else {
-            this.eventEmitter.emit('crafting:queue-empty');
+            this.eventEmitter.emit('crafting:queue-empty', stationId);
         }
     }
     
     /**
-     * Pause the current crafting job
+     * Work out the quality grade of a finished job
+     * Skill of the crafter, condition of the tools and how hot the forge ran
+     * each count towards a score from 0 to 1, which maps onto a quality grade.
+     * @param {Object} job - Crafting job
+     * @returns {string} - Quality grade ID
+     */
+    calculateQuality(job) {
+        const factors = [
+            { weight: this.qualityWeights.skill, value: job.skillLevel !== undefined ? job.skillLevel : this.playerSkill }
+        ];
+        
+        // Worn tools make for rougher work
+        const ownedTools = this.toolDurability.getRequiredToolsForItem(job.itemData)
+            .filter(tool => this.inventory.hasTool(tool));
+        
+        if (ownedTools.length > 0) {
+            const condition = ownedTools
+                .reduce((sum, tool) => sum + this.inventory.getToolDurabilityPercentage(tool), 0) / ownedTools.length;
+            factors.push({ weight: this.qualityWeights.tools, value: condition / 100 });
+        }
+        
+        // A forge kept well stoked works the metal evenly (cold-station jobs skip this)
+        if (job.heatMinutes > 0) {
+            factors.push({ weight: this.qualityWeights.heat, value: job.heatTotal / job.heatMinutes / 100 });
+        }
+        
+        // Good parts make a good whole
+        const componentStacks = Object.values(job.consumedItems || {});
+        if (componentStacks.length > 0) {
+            const qualities = this.itemsData.itemQualities;
+            const topRank = Math.max(...Object.values(qualities).map(quality => quality.rank));
+            let rankTotal = 0;
+            let count = 0;
+            
+            for (const stacks of componentStacks) {
+                for (const [quality, amount] of Object.entries(stacks)) {
+                    rankTotal += qualities[quality].rank * amount;
+                    count += amount;
+                }
+            }
+            
+            if (count > 0) {
+                factors.push({ weight: this.qualityWeights.components, value: rankTotal / count / topRank });
+            }
+        }
+        
+        const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+        const baseScore = factors.reduce((sum, factor) => sum + factor.weight * factor.value, 0) / totalWeight;
+        const score = baseScore + (this.random.next() * 2 - 1) * this.qualityVariance;
+        
+        return this.getQualityForScore(score);
+    }
+    
+    /**
+     * Get the quality grade for a crafting score
+     * @param {number} score - Crafting score (0-1)
+     * @returns {string} - Quality grade ID
+     */
+    getQualityForScore(score) {
+        let grade = 'poor';
+        
+        for (const [qualityId, quality] of Object.entries(this.itemsData.itemQualities)) {
+            if (score >= quality.minScore && quality.minScore >= this.itemsData.itemQualities[grade].minScore) {
+                grade = qualityId;
+            }
+        }
+        
+        return grade;
+    }
+    
+    /**
+     * Set the skill level for jobs started from now on
+     * @param {number} skill - Skill level (0-1)
+     */
+    setSkillLevel(skill) {
+        this.skillLevel = skill;
+    }
+    
+    /**
+     * Pause the current crafting job at a station
      * @param {string} reason - Reason for pausing
+     * @param {string} stationId - ID of the station (default: forge)
      */
-    pauseCrafting(reason = "Unknown reason") {
-        if (!this.currentCraft) return;
+    pauseCrafting(reason = "Unknown reason", stationId = 'forge') {
+        const station = this.stations[stationId];
+        if (!station || !station.currentCraft) return;
         
-        this.currentCraft.paused = true;
-        this.currentCraft.pauseReason = reason;
+        station.currentCraft.paused = true;
+        station.currentCraft.pauseReason = reason;
         
         this.eventEmitter.emit('crafting:paused', {
-            itemId: this.currentCraft.itemId,
+            stationId,
+            itemId: station.currentCraft.itemId,
             reason: reason
         });
     }
     
     /**
-     * Resume the current crafting job
+     * Resume the current crafting job at a station
+     * @param {string} stationId - ID of the station (default: forge)
      * @returns {boolean} - Whether resuming was successful
      */
-    resumeCrafting() {
-        if (!this.currentCraft || !this.currentCraft.paused) return false;
+    resumeCrafting(stationId = 'forge') {
+        const station = this.stations[stationId];
+        if (!station || !station.currentCraft || !station.currentCraft.paused) return false;
         
         // Check if resume conditions are met
-        if (this.currentCraft.pauseReason === "Not enough coal" && !this.coal.hasEnoughCoal()) {
+        if (station.currentCraft.pauseReason === "Not enough coal" && !this.coal.hasEnoughCoal()) {
             this.eventEmitter.emit('notification:error', "Cannot resume crafting: Still not enough coal");
             return false;
         }
         
-        this.currentCraft.paused = false;
-        this.currentCraft.pauseReason = null;
+        station.currentCraft.paused = false;
+        station.currentCraft.pauseReason = null;
         
         this.eventEmitter.emit('crafting:resumed', {
-            itemId: this.currentCraft.itemId
+            stationId,
+            itemId: station.currentCraft.itemId
         });
         
         return true;
     }
     
     /**
-     * Cancel the current crafting job
+     * Cancel the current crafting job at a station
+     * @param {string} stationId - ID of the station (default: forge)
      * @returns {boolean} - Whether cancel was successful
      */
-    cancelCurrentCraft() {
-        if (!this.currentCraft) return false;
+    cancelCurrentCraft(stationId = 'forge') {
+        const station = this.stations[stationId];
+        if (!station || !station.currentCraft) return false;
         
         // Refund materials (partial refund based on progress)
-        const refundRatio = 1 - (this.currentCraft.progress / this.currentCraft.craftingTime);
+        const job = station.currentCraft;
+        const refundRatio = 1 - (job.progress / job.craftingTime);
         if (refundRatio > 0.5) {  // Only refund if more than 50% of materials can be recovered
-            for (const [materialName, amount] of Object.entries(this.currentCraft.itemData.requiredMaterials)) {
+            for (const [materialName, amount] of Object.entries(job.itemData.requiredMaterials)) {
                 const refundAmount = Math.floor(amount * refundRatio);
                 if (refundAmount > 0) {
                     this.inventory.addMaterial(materialName, refundAmount);
                 }
             }
+            
+            this.refundComponents(job);
         }
         
-        const canceledItem = this.currentCraft.name;
+        const canceledItem = job.name;
         
         // Clear current craft
-        this.currentCraft = null;
+        station.currentCraft = null;
         
         // Move to the next item in queue
-        if (this.craftingQueue.length > 0) {
-            this.currentCraft = this.craftingQueue.shift();
-            this.eventEmitter.emit('crafting:started', this.currentCraft);
+        if (station.queue.length > 0) {
+            station.currentCraft = station.queue.shift();
+            this.eventEmitter.emit('crafting:started', station.currentCraft);
         }
         
         this.eventEmitter.emit('notification:info', `Canceled crafting of ${canceledItem}`);
@@ -298,30 +783,342 @@ export class CraftingSystem {
     }
     
     /**
-     * Cancel a specific job from the crafting queue
+     * Cancel a specific job from a station's queue
      * @param {number} index - Index of job in the queue
+     * @param {string} stationId - ID of the station (default: forge)
      * @returns {boolean} - Whether cancel was successful
      */
-    cancelQueuedCraft(index) {
-        if (index < 0 || index >= this.craftingQueue.length) return false;
+    cancelQueuedCraft(index, stationId = 'forge') {
+        const station = this.stations[stationId];
+        if (!station || index < 0 || index >= station.queue.length) return false;
         
         // Refund all materials (100%)
-        const job = this.craftingQueue[index];
+        const job = station.queue[index];
         for (const [materialName, amount] of Object.entries(job.itemData.requiredMaterials)) {
             this.inventory.addMaterial(materialName, amount);
         }
+        this.refundComponents(job);
         
         const canceledItem = job.name;
         
         // Remove from queue
-        this.craftingQueue.splice(index, 1);
+        station.queue.splice(index, 1);
         
         this.eventEmitter.emit('notification:info', `Removed ${canceledItem} from crafting queue`);
-        this.eventEmitter.emit('crafting:queue-updated', this.craftingQueue);
+        this.eventEmitter.emit('crafting:queue-updated', station.queue);
         
         return true;
     }
     
+    /**
+     * Return a job's components to inventory
+     * @param {Object} job - Crafting job
+     */
+    refundComponents(job) {
+        for (const [componentId, stacks] of Object.entries(job.consumedItems || {})) {
+            this.inventory.addItemStacks(componentId, stacks);
+        }
+    }
+    
+    /**
+     * Multiply recipe amounts by a number of crafts
+     * @param {Object} amounts - Amounts by material or item ID
+     * @param {number} quantity - Number of crafts
+     * @returns {Object} - Scaled amounts
+     */
+    scaleAmounts(amounts, quantity) {
+        const scaled = {};
+        
+        for (const [id, amount] of Object.entries(amounts)) {
+            scaled[id] = amount * quantity;
+        }
+        
+        return scaled;
+    }
+    
+    /**
+     * Get the components an item is short of
+     * @param {string} itemId - ID of the item
+     * @param {number} quantity - Number of crafts
+     * @param {string} toolTier - Quality tier when forging a tool
+     * @returns {Object} - Missing amounts by component item ID
+     */
+    getMissingComponents(itemId, quantity = 1, toolTier = 'standard') {
+        const itemData = this.itemsData.items[itemId];
+        const missing = {};
+        
+        for (const [componentId, amount] of Object.entries(this.getRequiredItems(itemData, toolTier))) {
+            const shortfall = amount * quantity - this.inventory.getItemCount(componentId);
+            if (shortfall > 0) {
+                missing[componentId] = shortfall;
+            }
+        }
+        
+        return missing;
+    }
+    
+    /**
+     * Build the full recipe tree for an item
+     * Components already in stock are set aside as the tree is walked, so two
+     * branches never count the same stock twice.
+     * @param {string} itemId - ID of the item
+     * @param {number} quantity - Number of items wanted
+     * @param {Object|null} stock - Item counts still available (default: current inventory)
+     * @param {boolean} useStock - Whether stock of this item counts towards the quantity
+     * @returns {Object} - Tree node ({ itemId, name, quantity, inStock, crafts, materials, unlocked, blocker, children })
+     */
+    getRecipeTree(itemId, quantity = 1, stock = null, useStock = false) {
+        const itemData = this.itemsData.items[itemId];
+        const available = stock || this.inventory.getItems();
+        
+        const inStock = useStock ? Math.min(available[itemId] || 0, quantity) : 0;
+        available[itemId] = (available[itemId] || 0) - inStock;
+        
+        const batchSize = itemData.batchSize || 1;
+        const crafts = Math.ceil((quantity - inStock) / batchSize);
+        
+        const node = {
+            itemId,
+            name: itemData.name,
+            quantity,
+            inStock,
+            crafts,
+            materials: this.scaleAmounts(itemData.requiredMaterials, crafts),
+            unlocked: !!itemData.unlocked,
+            blocker: crafts > 0 ? this.canCraft(itemId, null, crafts).reason : null,
+            children: []
+        };
+        
+        for (const [componentId, amount] of Object.entries(itemData.requiredItems || {})) {
+            node.children.push(this.getRecipeTree(componentId, amount * crafts, available, true));
+        }
+        
+        return node;
+    }
+    
+    /**
+     * Get the crafts needed to make an item, components first
+     * @param {string} itemId - ID of the item
+     * @param {number} quantity - Number of crafts of the item
+     * @returns {Array} - Steps in crafting order ({ itemId, quantity } with quantity in crafts)
+     */
+    getCraftSteps(itemId, quantity = 1) {
+        const batchSize = this.itemsData.items[itemId].batchSize || 1;
+        const tree = this.getRecipeTree(itemId, quantity * batchSize);
+        const steps = [];
+        
+        const walk = (node) => {
+            node.children.forEach(walk);
+            if (node.crafts > 0) {
+                steps.push({ itemId: node.itemId, quantity: node.crafts });
+            }
+        };
+        walk(tree);
+        
+        return steps;
+    }
+    
+    /**
+     * Queue an item along with any components it's missing
+     * Each step waits until its own components are in stock, then starts like any other job.
+     * @param {string} itemId - ID of the item
+     * @param {number} quantity - Number of crafts
+     * @param {string|null} workerId - Optional ID of worker doing the crafting
+     * @returns {boolean} - Whether the crafts were queued
+     */
+    queueWithComponents(itemId, quantity = 1, workerId = null) {
+        const itemData = this.itemsData.items[itemId];
+        
+        if (!itemData) {
+            this.eventEmitter.emit('notification:error', `Unknown item: ${itemId}`);
+            return false;
+        }
+        
+        const steps = this.getCraftSteps(itemId, quantity);
+        
+        // Every blueprint in the tree has to be known
+        const locked = steps.filter(step => !this.itemsData.items[step.itemId].unlocked);
+        if (locked.length > 0) {
+            this.eventEmitter.emit('notification:error',
+                `You haven't unlocked the blueprint for ${locked.map(step => this.itemsData.items[step.itemId].name).join(', ')} yet.`);
+            return false;
+        }
+        
+        this.eventEmitter.emit('notification:info',
+            `Queued ${itemData.name}${steps.length > 1 ? ` and ${steps.length - 1} component craft${steps.length > 2 ? 's' : ''}` : ''}.`);
+        this.addPendingCrafts(steps, { workerId, forItemId: itemId });
+        
+        return true;
+    }
+    
+    /**
+     * Add crafts to the pending list
+     * Crafts with a deadline go ahead of any that are due later or have no deadline.
+     * @param {Array} steps - Steps in crafting order ({ itemId, quantity } with quantity in crafts)
+     * @param {Object} details - Shared details ({ workerId, forItemId, contractId, deadline })
+     */
+    addPendingCrafts(steps, details = {}) {
+        const deadline = details.deadline !== undefined ? details.deadline : null;
+        
+        const entries = steps.map(step => ({
+            id: `pending_${this.random.id()}`,
+            itemId: step.itemId,
+            quantity: step.quantity,
+            workerId: details.workerId || null,
+            forItemId: details.forItemId && step.itemId !== details.forItemId ? details.forItemId : null,
+            contractId: details.contractId || null,
+            deadline
+        }));
+        
+        let index = this.pendingCrafts.length;
+        if (deadline !== null) {
+            const later = this.pendingCrafts.findIndex(pending => pending.deadline === null || pending.deadline === undefined || pending.deadline > deadline);
+            if (later !== -1) index = later;
+        }
+        
+        this.pendingCrafts.splice(index, 0, ...entries);
+        this.processPendingCrafts();
+        this.eventEmitter.emit('crafting:pending-updated', this.pendingCrafts);
+    }
+    
+    /**
+     * Start waiting crafts whose components and materials are ready, in order
+     */
+    processPendingCrafts() {
+        if (this.pendingCrafts.length === 0) return;
+        
+        const started = [];
+        
+        for (const pending of this.pendingCrafts) {
+            if (!this.canCraft(pending.itemId, pending.workerId, pending.quantity).canCraft) continue;
+            
+            if (this.startCrafting(pending.itemId, pending.quantity, pending.workerId)) {
+                started.push(pending.id);
+            }
+        }
+        
+        if (started.length > 0) {
+            this.pendingCrafts = this.pendingCrafts.filter(pending => !started.includes(pending.id));
+            this.eventEmitter.emit('crafting:pending-updated', this.pendingCrafts);
+        }
+    }
+    
+    /**
+     * Get crafts waiting for components, with why each is waiting
+     * @returns {Array} - Pending crafts with name and reason
+     */
+    getPendingCrafts() {
+        return this.pendingCrafts.map(pending => ({
+            ...pending,
+            name: this.itemsData.items[pending.itemId].name,
+            reason: this.canCraft(pending.itemId, pending.workerId, pending.quantity).reason
+        }));
+    }
+    
+    /**
+     * Drop a waiting craft
+     * @param {string} pendingId - ID of the pending craft
+     * @returns {boolean} - Whether the craft was removed
+     */
+    cancelPendingCraft(pendingId) {
+        const index = this.pendingCrafts.findIndex(pending => pending.id === pendingId);
+        if (index === -1) return false;
+        
+        this.pendingCrafts.splice(index, 1);
+        this.eventEmitter.emit('crafting:pending-updated', this.pendingCrafts);
+        
+        return true;
+    }
+    
+    /**
+     * Assign a worker to a station
+     * Each station has room for one worker; workers move rather than share.
+     * @param {string} workerId - ID of the worker
+     * @param {string|null} stationId - ID of the station (null to unassign)
+     * @returns {boolean} - Whether the assignment was successful
+     */
+    assignWorkerToStation(workerId, stationId) {
+        if (stationId && !this.stations[stationId]) {
+            this.eventEmitter.emit('notification:error', `Unknown station: ${stationId}`);
+            return false;
+        }
+        
+        if (stationId && this.stations[stationId].workerId && this.stations[stationId].workerId !== workerId) {
+            this.eventEmitter.emit('notification:error', `${this.getStationDefinition(stationId).name} already has a worker.`);
+            return false;
+        }
+        
+        this.unassignWorker(workerId);
+        
+        if (stationId) {
+            this.stations[stationId].workerId = workerId;
+        }
+        
+        this.eventEmitter.emit('crafting:station-assigned', workerId, stationId);
+        
+        return true;
+    }
+    
+    /**
+     * Remove a worker from whichever station they work at
+     * @param {string} workerId - ID of the worker
+     */
+    unassignWorker(workerId) {
+        for (const station of Object.values(this.stations)) {
+            if (station.workerId === workerId) {
+                station.workerId = null;
+            }
+        }
+    }
+    
+    /**
+     * Get the station a worker is assigned to
+     * @param {string} workerId - ID of the worker
+     * @returns {string|null} - Station ID or null if unassigned
+     */
+    getWorkerStation(workerId) {
+        const station = Object.values(this.stations).find(s => s.workerId === workerId);
+        return station ? station.id : null;
+    }
+    
+    /**
+     * Check whether a station is free to start a new job
+     * @param {string} stationId - ID of the station
+     * @returns {boolean} - Whether the station has no current or queued job
+     */
+    isStationIdle(stationId) {
+        return this.getStationLoad(stationId) === 0;
+    }
+    
+    /**
+     * Get every station with its definition and state
+     * @returns {Array} - Array of stations ({ ...definition, currentCraft, queue, workerId, missingTools })
+     */
+    getStations() {
+        return this.stationsData.definitions.map(definition => ({
+            ...definition,
+            currentCraft: this.stations[definition.id].currentCraft,
+            queue: [...this.stations[definition.id].queue],
+            workerId: this.stations[definition.id].workerId,
+            missingTools: this.getMissingStationTools(definition.id)
+        }));
+    }
+    
+    /**
+     * Get every job in the workshop (current and queued, all stations)
+     * @returns {Array} - Array of crafting jobs
+     */
+    getAllJobs() {
+        const jobs = [];
+        
+        for (const station of Object.values(this.stations)) {
+            if (station.currentCraft) jobs.push(station.currentCraft);
+            jobs.push(...station.queue);
+        }
+        
+        return jobs;
+    }
+    
     /**
      * Set crafting speed multiplier
      * @param {number} multiplier - Speed multiplier (default: 1.0)
@@ -332,27 +1129,39 @@ export class CraftingSystem {
     
     /**
      * Get current crafting job
+     * @param {string} stationId - ID of the station (default: the first station with a job)
      * @returns {Object|null} - Current crafting job or null
      */
-    getCurrentCraft() {
-        return this.currentCraft;
+    getCurrentCraft(stationId = null) {
+        if (stationId) {
+            return this.stations[stationId] ? this.stations[stationId].currentCraft : null;
+        }
+        
+        const active = Object.values(this.stations).find(station => station.currentCraft);
+        return active ? active.currentCraft : null;
     }
     
     /**
      * Get crafting queue
+     * @param {string} stationId - ID of the station (default: all stations)
      * @returns {Array} - Array of queued crafting jobs
      */
-    getCraftingQueue() {
-        return [...this.craftingQueue];
+    getCraftingQueue(stationId = null) {
+        if (stationId) {
+            return this.stations[stationId] ? [...this.stations[stationId].queue] : [];
+        }
+        
+        return Object.values(this.stations).flatMap(station => station.queue);
     }
     
     /**
-     * Check if crafting queue has space
-     * @param {number} maxQueueSize - Maximum queue size (default: 5)
+     * Check if a station's queue has space
+     * @param {string} stationId - ID of the station (default: forge)
      * @returns {boolean} - Whether queue has space
      */
-    hasQueueSpace(maxQueueSize = 5) {
-        return this.craftingQueue.length < maxQueueSize;
+    hasQueueSpace(stationId = 'forge') {
+        const definition = this.getStationDefinition(stationId);
+        return this.stations[stationId].queue.length < (definition.maxQueueSize || 5);
     }
     
     /**
@@ -385,9 +1194,11 @@ export class CraftingSystem {
     /**
      * Check if an item can be crafted
      * @param {string} itemId - ID of the item
+     * @param {string|null} workerId - Optional ID of worker doing the crafting
+     * @param {number} quantity - Number of crafts (default: 1)
      * @returns {Object} - Result object with canCraft and reason
      */
-    canCraft(itemId) {
+    canCraft(itemId, workerId = null, quantity = 1) {
         const result = {
             canCraft: false,
             reason: null
@@ -414,14 +1225,27 @@ export class CraftingSystem {
             return result;
         }
         
+        // Check for a station
+        const route = this.routeJob(itemData, workerId);
+        if (!route.stationId) {
+            result.reason = route.reason;
+            return result;
+        }
+        
         // Check for required materials
-        if (!this.inventory.hasMaterials(itemData.requiredMaterials)) {
+        if (!this.inventory.hasMaterials(this.scaleAmounts(itemData.requiredMaterials, quantity))) {
             result.reason = "Not enough materials";
             return result;
         }
         
+        // Check for required components
+        if (Object.keys(this.getMissingComponents(itemId, quantity)).length > 0) {
+            result.reason = "Missing components";
+            return result;
+        }
+        
         // Check for coal
-        if (!this.coal.hasEnoughCoal()) {
+        if (this.getStationDefinition(route.stationId).usesCoal && !this.coal.hasEnoughCoal()) {
             result.reason = "Not enough coal";
             return result;
         }
@@ -437,8 +1261,8 @@ export class CraftingSystem {
      */
     serialize() {
         return {
-            currentCraft: this.currentCraft,
-            craftingQueue: this.craftingQueue,
+            stations: this.stations,
+            pendingCrafts: this.pendingCrafts,
             speedMultiplier: this.speedMultiplier,
             autoAddToStorefront: this.autoAddToStorefront
         };
@@ -451,18 +1275,31 @@ export class CraftingSystem {
     deserialize(data) {
         if (!data) return;
         
-        if (data.currentCraft) this.currentCraft = data.currentCraft;
-        if (data.craftingQueue) this.craftingQueue = [...data.craftingQueue];
+        if (data.stations) {
+            for (const [stationId, stationData] of Object.entries(data.stations)) {
+                if (!this.stations[stationId]) continue;
+                
+                this.stations[stationId] = {
+                    id: stationId,
+                    currentCraft: stationData.currentCraft || null,
+                    queue: [...(stationData.queue || [])],
+                    workerId: stationData.workerId || null
+                };
+            }
+        }
+        if (data.pendingCrafts) this.pendingCrafts = [...data.pendingCrafts];
         if (data.speedMultiplier !== undefined) this.speedMultiplier = data.speedMultiplier;
         if (data.autoAddToStorefront !== undefined) this.autoAddToStorefront = data.autoAddToStorefront;
         
         // Emit events to update UI
-        if (this.currentCraft) {
-            this.eventEmitter.emit('crafting:started', this.currentCraft);
+        for (const station of Object.values(this.stations)) {
+            if (station.currentCraft) {
+                this.eventEmitter.emit('crafting:started', station.currentCraft);
+            }
         }
         
-        if (this.craftingQueue.length > 0) {
-            this.eventEmitter.emit('crafting:queue-updated', this.craftingQueue);
+        if (this.getCraftingQueue().length > 0) {
+            this.eventEmitter.emit('crafting:queue-updated', this.getCraftingQueue());
         }
     }
 }
\ No newline at end of file
@@ -5,17 +5,28 @@
  * Handles event triggers, activation, and expiry.
  */
 export class EventSystem {
-    constructor(eventEmitter, eventsData) {
+    /**
+     * @param {Object} eventEmitter - Shared event emitter
+     * @param {Object} eventsData - Event definitions and helpers (data/events.js)
+     * @param {Object} timeSystem - Game clock
+     * @param {Object} random - Seeded random number generator
+     * @param {Object} systems - Live systems that event conditions and effects act on
+     *   (blueprints, storefront, market, suppliers, contracts, workers, inventory)
+     */
+    constructor(eventEmitter, eventsData, timeSystem, random, systems = {}) {
         this.eventEmitter = eventEmitter;
         this.eventsData = eventsData;
+        this.time = timeSystem;
+        this.random = random;
+        this.systems = systems;
         
         // Active events
         this.activeEvents = [];
         
-        // Event check interval (in seconds)
-        this.eventCheckInterval = 3600; // Check for events every in-game hour
+        // Event check interval (in game minutes)
+        this.eventCheckInterval = 60; // Check for events every in-game hour
         
-        // Event check timer
+        // Event check timer (game minutes since the last check)
         this.eventCheckTimer = 0;
         
         // Event chance percentage (5% per check)
@@ -40,14 +51,15 @@ export class EventSystem {
     
     /**
      * Update event system (called on each game tick)
+     * @param {number} minutes - Game minutes elapsed since the last update
      */
-    update() {
+    update(minutes = 1) {
         // Increment event check timer
-        this.eventCheckTimer++;
+        this.eventCheckTimer += minutes;
         
         // Check for event trigger
-        if (this.eventCheckTimer >= this.eventCheckInterval) {
-            this.eventCheckTimer = 0;
+        while (this.eventCheckTimer >= this.eventCheckInterval) {
+            this.eventCheckTimer -= this.eventCheckInterval;
             this.checkForEvent();
         }
         
@@ -63,7 +75,7 @@ export class EventSystem {
         const chance = chanceOverride || this.eventChance;
         
         // Roll for event trigger
-        if (Math.random() * 100 <= chance) {
+        if (this.random.next() * 100 <= chance) {
             this.triggerRandomEvent();
         }
     }
@@ -76,7 +88,7 @@ export class EventSystem {
         const gameState = this.getGameState();
         
         // Generate a random event
-        const event = this.eventsData.generate(gameState);
+        const event = this.eventsData.generate(gameState, this.random);
         
         if (!event) {
             console.warn("Failed to generate event");
@@ -104,7 +116,7 @@ export class EventSystem {
      * Check for expired events
      */
     checkExpiredEvents() {
-        const now = new Date();
+        const now = this.time.getTotalMinutes();
         const expiredEvents = [];
         
         // Remove expired events
@@ -154,13 +166,13 @@ export class EventSystem {
             }
         }
         
-        // Create event instance
-        const currentTime = new Date();
-        const expiryTime = new Date(currentTime.getTime() + eventDef.duration * 60 * 1000);
+        // Create event instance (duration is in game hours)
+        const currentTime = this.time.getTotalMinutes();
+        const expiryTime = currentTime + eventDef.duration * 60;
         
         const event = {
             ...eventDef,
-            instanceId: `${eventDef.id}_${Date.now()}`,
+            instanceId: `${eventDef.id}_${this.random.id()}`,
             startTime: currentTime,
             expiryTime: expiryTime,
             active: true
@@ -184,21 +196,18 @@ export class EventSystem {
      * @returns {Object} - Game state
      */
     getGameState() {
-        // This is a placeholder - in the actual game, we'll collect
-        // state from various systems through the event bus
         return {
-            // These references would be filled in by the game class
-            blueprints: {
-                isUnlocked: (itemId) => {
-                    // For now, just return true for testing
-                    return true;
-                }
-            },
-            storefront: null,
-            materials: null,
-            contracts: null,
-            workers: null,
-            tools: null
+            // Current game time in total game minutes
+            currentTime: this.time.getTotalMinutes(),
+            
+            // Live systems; effects for a missing system are skipped with a warning
+            blueprints: this.systems.blueprints || null,
+            storefront: this.systems.storefront || null,
+            market: this.systems.market || null,
+            suppliers: this.systems.suppliers || null,
+            contracts: this.systems.contracts || null,
+            workers: this.systems.workers || null,
+            inventory: this.systems.inventory || null
         };
     }
     
@@ -211,7 +220,7 @@ export class EventSystem {
     }
     
     /**
-     * Get remaining time for an active event
+     * Get remaining game time for an active event
      * @param {string} eventInstanceId - Instance ID of the event
      * @returns {Object|null} - Time remaining details or null if not found
      */
@@ -222,23 +231,19 @@ export class EventSystem {
             return null;
         }
         
-        const now = new Date();
-        const expiryTime = new Date(event.expiryTime);
-        const totalMs = expiryTime - now;
+        const totalMinutes = event.expiryTime - this.time.getTotalMinutes();
         
-        if (totalMs <= 0) {
-            return { minutes: 0, seconds: 0, percentage: 0 };
+        if (totalMinutes <= 0) {
+            return { totalMinutes: 0, hours: 0, minutes: 0, percentage: 0 };
         }
         
-        const minutes = Math.floor(totalMs / (1000 * 60));
-        const seconds = Math.floor((totalMs % (1000 * 60)) / 1000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = Math.floor(totalMinutes % 60);
         
-        // Calculate percentage of time remaining
-        const originalDurationMs = event.duration * 60 * 1000;
-        const elapsedMs = originalDurationMs - totalMs;
-        const percentage = 100 - ((elapsedMs / originalDurationMs) * 100);
+        // Calculate percentage of time remaining (duration is in game hours)
+        const percentage = (totalMinutes / (event.duration * 60)) * 100;
         
-        return { minutes, seconds, percentage };
+        return { totalMinutes, hours, minutes, percentage };
     }
     
     /**
@@ -251,7 +256,7 @@ export class EventSystem {
     
     /**
      * Set event check interval
-     * @param {number} interval - New interval in seconds
+     * @param {number} interval - New interval in game minutes
      */
     setEventCheckInterval(interval) {
         this.eventCheckInterval = Math.max(60, interval);
@@ -282,15 +287,5 @@ export class EventSystem {
         if (data.eventCheckTimer !== undefined) this.eventCheckTimer = data.eventCheckTimer;
         if (data.eventChance !== undefined) this.eventChance = data.eventChance;
         if (data.eventCheckInterval !== undefined) this.eventCheckInterval = data.eventCheckInterval;
-        
-        // Convert date strings back to Date objects
-        for (const event of this.activeEvents) {
-            if (event.startTime && typeof event.startTime === 'string') {
-                event.startTime = new Date(event.startTime);
-            }
-            if (event.expiryTime && typeof event.expiryTime === 'string') {
-                event.expiryTime = new Date(event.expiryTime);
-            }
-        }
     }
 }
\ No newline at end of file
@@ -5,8 +5,9 @@
  * Handles adding/removing items and checks for resource availability.
  */
 export class InventorySystem {
-    constructor(eventEmitter) {
+    constructor(eventEmitter, itemQualities) {
         this.eventEmitter = eventEmitter;
+        this.itemQualities = itemQualities;
         
         // Default starting inventory
         this.materials = {
@@ -20,18 +21,18 @@ export class InventorySystem {
             gold: 1
         };
         
-        // Crafted items inventory
+        // Crafted items inventory, stacked by quality (itemId -> {quality: count})
         this.items = {
-            pickaxe: 1,
-            hatchet: 1,
-            horseshoe: 2
+            pickaxe: { common: 1 },
+            hatchet: { common: 1 },
+            horseshoe: { common: 2 }
         };
         
-        // Tools with durability
+        // Tools with durability and quality tier
         this.tools = {
-            hammer: { uses: 25, maxUses: 30 },
-            anvil: { uses: 50, maxUses: 50 },
-            tongs: { uses: 40, maxUses: 40 }
+            hammer: { uses: 25, maxUses: 30, tier: 'standard' },
+            anvil: { uses: 50, maxUses: 50, tier: 'standard' },
+            tongs: { uses: 40, maxUses: 40, tier: 'standard' }
         };
         
         // Money/currency
@@ -58,25 +59,26 @@ export class InventorySystem {
                 this.addMaterial(material, amount);
             }
             
+            this.eventEmitter.emit('materials:purchased', materials, cost);
             this.eventEmitter.emit('inventory:updated');
             this.eventEmitter.emit('notification:success', `Purchased materials for $${cost.toFixed(2)}`);
         });
         
         // Listen for tool purchases
-        this.eventEmitter.on('purchase:tool', (toolName, cost) => {
+        this.eventEmitter.on('purchase:tool', (toolName, cost, tier = 'standard', maxUses = null) => {
             if (!this.removeMoney(cost)) {
                 this.eventEmitter.emit('notification:error', "Not enough money to purchase this tool.");
                 return;
             }
             
-            this.addOrReplaceTool(toolName);
+            this.addOrReplaceTool(toolName, maxUses, tier);
             this.eventEmitter.emit('inventory:updated');
-            this.eventEmitter.emit('notification:success', `Purchased new ${toolName} for $${cost.toFixed(2)}`);
+            this.eventEmitter.emit('notification:success', `Purchased new ${tier} ${toolName} for $${cost.toFixed(2)}`);
         });
         
         // Listen for item sales
-        this.eventEmitter.on('item:sell', (itemName, price) => {
-            if (this.removeItem(itemName, 1)) {
+        this.eventEmitter.on('item:sell', (itemName, price, quality = null) => {
+            if (this.removeItem(itemName, 1, quality)) {
                 this.addMoney(price);
                 this.eventEmitter.emit('inventory:updated');
             }
@@ -160,53 +162,128 @@ export class InventorySystem {
      * Add a crafted item to inventory
      * @param {string} itemName - Name of the item
      * @param {number} amount - Amount to add (default: 1)
+     * @param {string} quality - Quality grade of the items (default: common)
      * @returns {boolean} - Success status
      */
-    addItem(itemName, amount = 1) {
+    addItem(itemName, amount = 1, quality = 'common') {
         if (amount <= 0) {
             return false;
         }
         
         // Initialize if doesn't exist
         if (!this.items[itemName]) {
-            this.items[itemName] = 0;
+            this.items[itemName] = {};
         }
         
-        this.items[itemName] += amount;
+        this.items[itemName][quality] = (this.items[itemName][quality] || 0) + amount;
         this.eventEmitter.emit('inventory:updated');
         return true;
     }
     
+    /**
+     * Add several quality stacks of an item at once
+     * @param {string} itemName - Name of the item
+     * @param {Object} stacks - Amounts by quality grade
+     */
+    addItemStacks(itemName, stacks) {
+        for (const [quality, amount] of Object.entries(stacks)) {
+            this.addItem(itemName, amount, quality);
+        }
+    }
+    
     /**
      * Remove a crafted item from inventory
      * @param {string} itemName - Name of the item
      * @param {number} amount - Amount to remove (default: 1)
+     * @param {string|null} quality - Quality grade to remove (default: lowest grades first)
      * @returns {boolean} - Success status
      */
-    removeItem(itemName, amount = 1) {
-        if (!this.items[itemName] || this.items[itemName] < amount) {
-            return false;
+    removeItem(itemName, amount = 1, quality = null) {
+        return !!this.takeItems(itemName, amount, quality, quality);
+    }
+    
+    /**
+     * Remove crafted items, lowest acceptable quality first
+     * @param {string} itemName - Name of the item
+     * @param {number} amount - Amount to remove
+     * @param {string|null} minQuality - Lowest quality grade to take (default: any)
+     * @param {string|null} maxQuality - Highest quality grade to take (default: any)
+     * @returns {Object|null} - Amounts taken by quality grade, or null if there weren't enough
+     */
+    takeItems(itemName, amount, minQuality = null, maxQuality = null) {
+        if (this.getItemCount(itemName, minQuality, maxQuality) < amount) {
+            return null;
         }
         
-        this.items[itemName] -= amount;
+        const taken = {};
+        let remaining = amount;
         
-        // Clean up if zero
-        if (this.items[itemName] === 0) {
+        for (const quality of this.getQualityOrder(minQuality, maxQuality)) {
+            const available = this.items[itemName][quality] || 0;
+            const count = Math.min(available, remaining);
+            
+            if (count <= 0) continue;
+            
+            taken[quality] = count;
+            remaining -= count;
+            this.items[itemName][quality] -= count;
+            
+            // Clean up if zero
+            if (this.items[itemName][quality] === 0) {
+                delete this.items[itemName][quality];
+            }
+            
+            if (remaining === 0) break;
+        }
+        
+        if (Object.keys(this.items[itemName]).length === 0) {
             delete this.items[itemName];
         }
         
         this.eventEmitter.emit('inventory:updated');
-        return true;
+        return taken;
+    }
+    
+    /**
+     * Count crafted items within a range of quality grades
+     * @param {string} itemName - Name of the item
+     * @param {string|null} minQuality - Lowest quality grade to count (default: any)
+     * @param {string|null} maxQuality - Highest quality grade to count (default: any)
+     * @returns {number} - Number of items
+     */
+    getItemCount(itemName, minQuality = null, maxQuality = null) {
+        const stacks = this.items[itemName];
+        if (!stacks) return 0;
+        
+        return this.getQualityOrder(minQuality, maxQuality)
+            .reduce((total, quality) => total + (stacks[quality] || 0), 0);
+    }
+    
+    /**
+     * Get quality grade IDs from worst to best, optionally within a range
+     * @param {string|null} minQuality - Lowest quality grade to include
+     * @param {string|null} maxQuality - Highest quality grade to include
+     * @returns {string[]} - Quality grade IDs
+     */
+    getQualityOrder(minQuality = null, maxQuality = null) {
+        const minRank = minQuality ? this.itemQualities[minQuality].rank : -Infinity;
+        const maxRank = maxQuality ? this.itemQualities[maxQuality].rank : Infinity;
+        
+        return Object.entries(this.itemQualities)
+            .filter(([, quality]) => quality.rank >= minRank && quality.rank <= maxRank)
+            .sort(([, a], [, b]) => a.rank - b.rank)
+            .map(([qualityId]) => qualityId);
     }
     
     /**
      * Check if items are available without removing them
      * @param {Object} requiredItems - Object mapping item names to required amounts
+     * @param {string|null} minQuality - Lowest quality grade that counts (default: any)
      * @returns {boolean} - Whether all items are available
      */
-    hasItems(requiredItems) {
+    hasItems(requiredItems, minQuality = null) {
         for (const [name, amount] of Object.entries(requiredItems)) {
-            if (!this.items[name] || this.items[name] < amount) {
+            if (this.getItemCount(name, minQuality) < amount) {
                 return false;
             }
         }
@@ -218,9 +295,10 @@ export class InventorySystem {
      * Add a new tool or replace an existing one
      * @param {string} toolName - Name of the tool
      * @param {number} maxUses - Maximum durability (optional)
+     * @param {string} tier - Quality tier (crude, standard, fine)
      * @returns {boolean} - Success status
      */
-    addOrReplaceTool(toolName, maxUses = null) {
+    addOrReplaceTool(toolName, maxUses = null, tier = 'standard') {
         // Get default max uses if not specified
         if (maxUses === null) {
             // Default durability values for tools
@@ -237,7 +315,8 @@ export class InventorySystem {
         
         this.tools[toolName] = {
             uses: maxUses,
-            maxUses: maxUses
+            maxUses: maxUses,
+            tier
         };
         
         this.eventEmitter.emit('inventory:updated');
@@ -338,10 +417,30 @@ export class InventorySystem {
     
     /**
      * Get all crafted items
-     * @returns {Object} - Items inventory
+     * @returns {Object} - Item counts across all quality grades
      */
     getItems() {
-        return { ...this.items };
+        const counts = {};
+        
+        for (const itemName of Object.keys(this.items)) {
+            counts[itemName] = this.getItemCount(itemName);
+        }
+        
+        return counts;
+    }
+    
+    /**
+     * Get all crafted items stacked by quality
+     * @returns {Object} - Amounts by quality grade for each item
+     */
+    getItemStacks() {
+        const stacks = {};
+        
+        for (const [itemName, qualities] of Object.entries(this.items)) {
+            stacks[itemName] = { ...qualities };
+        }
+        
+        return stacks;
     }
     
     /**
@@ -359,7 +458,7 @@ export class InventorySystem {
     serialize() {
         return {
             materials: { ...this.materials },
-            items: { ...this.items },
+            items: this.getItemStacks(),
             tools: { ...this.tools },
             money: this.money
         };
@@ -373,7 +472,12 @@ export class InventorySystem {
         if (!data) return;
         
         if (data.materials) this.materials = { ...data.materials };
-        if (data.items) this.items = { ...data.items };
+        if (data.items) {
+            this.items = {};
+            for (const [itemName, qualities] of Object.entries(data.items)) {
+                this.items[itemName] = { ...qualities };
+            }
+        }
         if (data.tools) this.tools = { ...data.tools };
         if (data.money !== undefined) this.money = data.money;
         
@@ -0,0 +1,419 @@
+/**
+ * Market System
+ * 
+ * Tracks what materials and tools cost in town.
+ * Material prices move once per game day: they drift with the seasons,
+ * jump on random supply shocks and climb when the player buys heavily.
+ * Events can temporarily push prices up or down on top of that, and
+ * every day's prices are kept as a history for trend displays.
+ */
+export class MarketSystem {
+    constructor(eventEmitter, itemsData, timeSystem, random) {
+        this.eventEmitter = eventEmitter;
+        this.itemsData = itemsData;
+        this.time = timeSystem;
+        this.random = random;
+        
+        // Today's market price for each material before event modifiers
+        this.prices = {};
+        
+        // Daily price history by material ID ([{ day, price }], oldest first)
+        this.priceHistory = {};
+        
+        // Units of each material the player bought today
+        this.purchaseVolume = {};
+        
+        // Buying pressure carried over from previous days (decays daily)
+        this.demandPressure = {};
+        
+        // Active supply shocks by material ID ({ multiplier, expiryDay, reason })
+        this.supplyShocks = {};
+        
+        // Temporary material price multipliers by material ID ({ multiplier, expiryTime })
+        this.materialPriceMultipliers = {};
+        
+        // Temporary multiplier applied to every tool price ({ multiplier, expiryTime } or null)
+        this.toolPriceMultiplier = null;
+        
+        // Daily price movement settings
+        this.settings = {
+            // Random day-to-day swing (fraction of the price)
+            volatility: 0.04,
+            // How quickly prices move back toward their seasonal target each day
+            reversion: 0.25,
+            // Length of a season cycle in game days, and how far prices drift over it
+            seasonLength: 28,
+            seasonalAmplitude: 0.1,
+            // Daily chance (percent) of a supply shock per material
+            shockChance: 3,
+            // Units bought that push a price up by 10%
+            referenceVolume: 50,
+            // Cap on how far player buying can push a price
+            maxDemandFactor: 1.3,
+            // Fraction of buying pressure carried into the next day
+            pressureDecay: 0.5,
+            // Prices stay within these multiples of the base price
+            minPriceFactor: 0.5,
+            maxPriceFactor: 2.0
+        };
+        
+        // Number of days of price history to keep
+        this.maxHistoryDays = 30;
+        
+        // Start every material at its base price
+        for (const [materialId, materialData] of Object.entries(this.itemsData.materials)) {
+            this.prices[materialId] = materialData.basePrice;
+            this.priceHistory[materialId] = [{ day: this.time.getTime().day, price: materialData.basePrice }];
+        }
+        
+        // Register event listeners
+        this.registerEventListeners();
+    }
+    
+    /**
+     * Register event listeners
+     */
+    registerEventListeners() {
+        // Prices move at the start of each game day
+        this.eventEmitter.on('time:new-day', (day) => {
+            this.updateDailyPrices(day);
+        });
+        
+        // Track how much the player buys
+        this.eventEmitter.on('materials:purchased', (materials) => {
+            for (const [materialId, amount] of Object.entries(materials)) {
+                this.purchaseVolume[materialId] = (this.purchaseVolume[materialId] || 0) + amount;
+            }
+        });
+    }
+    
+    /**
+     * Update market modifiers (called on each game tick)
+     * @param {number} minutes - Game minutes elapsed since the last update
+     */
+    update(minutes = 1) {
+        this.updatePriceMultipliers();
+    }
+    
+    /**
+     * Move every material price for a new game day
+     * @param {number} day - The new game day
+     */
+    updateDailyPrices(day) {
+        for (const [materialId, materialData] of Object.entries(this.itemsData.materials)) {
+            const basePrice = materialData.basePrice;
+            const currentPrice = this.prices[materialId] || basePrice;
+            
+            // Roll for new supply shocks and clear old ones
+            this.updateSupplyShock(materialId, day);
+            
+            // Fold today's buying into the carried-over pressure
+            const pressure = (this.demandPressure[materialId] || 0) * this.settings.pressureDecay +
+                (this.purchaseVolume[materialId] || 0);
+            this.demandPressure[materialId] = pressure;
+            
+            // Price the market is heading toward today
+            const target = basePrice *
+                this.getSeasonalFactor(materialId, day) *
+                this.getDemandFactor(materialId) *
+                (this.supplyShocks[materialId] ? this.supplyShocks[materialId].multiplier : 1);
+            
+            // Move part of the way toward the target, plus a random swing
+            const swing = currentPrice * this.settings.volatility * (this.random.next() * 2 - 1);
+            let newPrice = currentPrice + (target - currentPrice) * this.settings.reversion + swing;
+            
+            // Keep within sensible bounds
+            newPrice = Math.max(basePrice * this.settings.minPriceFactor, Math.min(basePrice * this.settings.maxPriceFactor, newPrice));
+            this.prices[materialId] = Math.round(newPrice * 100) / 100;
+            
+            this.recordPrice(materialId, day);
+        }
+        
+        // Start counting a fresh day of purchases
+        this.purchaseVolume = {};
+        
+        this.eventEmitter.emit('market:prices-changed');
+    }
+    
+    /**
+     * Roll for a supply shock on a material and expire finished ones
+     * @param {string} materialId - ID of the material
+     * @param {number} day - Current game day
+     */
+    updateSupplyShock(materialId, day) {
+        const materialName = this.itemsData.materials[materialId].name;
+        const shock = this.supplyShocks[materialId];
+        
+        if (shock && shock.expiryDay <= day) {
+            delete this.supplyShocks[materialId];
+            this.eventEmitter.emit('notification:info', `The ${shock.reason} of ${materialName} is over.`);
+        }
+        
+        if (this.supplyShocks[materialId] || this.random.next() * 100 >= this.settings.shockChance) {
+            return;
+        }
+        
+        // Shortages push prices up, gluts pull them down
+        const isShortage = this.random.next() < 0.5;
+        const multiplier = isShortage ? 1.3 + this.random.next() * 0.3 : 0.6 + this.random.next() * 0.2;
+        const reason = isShortage ? 'shortage' : 'glut';
+        
+        this.supplyShocks[materialId] = {
+            multiplier: Math.round(multiplier * 100) / 100,
+            expiryDay: day + this.random.int(2, 5),
+            reason
+        };
+        
+        this.eventEmitter.emit('notification:info', 
+            isShortage ? `A shortage of ${materialName} is driving prices up.` : `A glut of ${materialName} is driving prices down.`);
+    }
+    
+    /**
+     * Get the seasonal price factor for a material
+     * Each material follows its own cycle so they don't all peak together.
+     * @param {string} materialId - ID of the material
+     * @param {number} day - Game day
+     * @returns {number} - Seasonal multiplier
+     */
+    getSeasonalFactor(materialId, day) {
+        const materialIds = Object.keys(this.itemsData.materials);
+        const phase = (materialIds.indexOf(materialId) / materialIds.length) * 2 * Math.PI;
+        const angle = (day / this.settings.seasonLength) * 2 * Math.PI + phase;
+        
+        return 1 + this.settings.seasonalAmplitude * Math.sin(angle);
+    }
+    
+    /**
+     * Get the price factor caused by the player's recent buying
+     * @param {string} materialId - ID of the material
+     * @returns {number} - Demand multiplier
+     */
+    getDemandFactor(materialId) {
+        const pressure = this.demandPressure[materialId] || 0;
+        
+        return Math.min(this.settings.maxDemandFactor, 1 + 0.1 * pressure / this.settings.referenceVolume);
+    }
+    
+    /**
+     * Add today's price for a material to its history
+     * @param {string} materialId - ID of the material
+     * @param {number} day - Game day
+     */
+    recordPrice(materialId, day) {
+        if (!this.priceHistory[materialId]) {
+            this.priceHistory[materialId] = [];
+        }
+        
+        const history = this.priceHistory[materialId];
+        history.push({ day, price: this.prices[materialId] });
+        
+        // Trim old history
+        if (history.length > this.maxHistoryDays) {
+            history.splice(0, history.length - this.maxHistoryDays);
+        }
+    }
+    
+    /**
+     * Get the price history for a material
+     * @param {string} materialId - ID of the material
+     * @param {number} days - Number of most recent days to return (default: all)
+     * @returns {Array} - Array of { day, price }, oldest first
+     */
+    getPriceHistory(materialId, days) {
+        const history = this.priceHistory[materialId] || [];
+        
+        return days ? history.slice(-days) : [...history];
+    }
+    
+    /**
+     * Get how a material's market price moved since the previous day
+     * @param {string} materialId - ID of the material
+     * @returns {Object} - { direction: 'up'|'down'|'steady', change } with change as a fraction
+     */
+    getPriceTrend(materialId) {
+        const history = this.priceHistory[materialId] || [];
+        
+        if (history.length < 2) {
+            return { direction: 'steady', change: 0 };
+        }
+        
+        const previous = history[history.length - 2].price;
+        const current = history[history.length - 1].price;
+        const change = previous > 0 ? (current - previous) / previous : 0;
+        
+        // Ignore movements under half a percent
+        if (Math.abs(change) < 0.005) {
+            return { direction: 'steady', change };
+        }
+        
+        return { direction: change > 0 ? 'up' : 'down', change };
+    }
+    
+    /**
+     * Get the current price of a material
+     * @param {string} materialId - ID of the material
+     * @returns {number} - Price per unit
+     */
+    getMaterialPrice(materialId) {
+        const materialData = this.itemsData.materials[materialId];
+        
+        if (!materialData) {
+            return 0;
+        }
+        
+        const marketPrice = this.prices[materialId] !== undefined ? this.prices[materialId] : materialData.basePrice;
+        
+        return Math.round(marketPrice * this.getMaterialPriceMultiplier(materialId) * 100) / 100;
+    }
+    
+    /**
+     * Get today's price list for all materials
+     * @returns {Array} - Array of { id, name, price, basePrice, unit, trend, shock }
+     */
+    getMaterialPrices() {
+        return Object.entries(this.itemsData.materials).map(([id, materialData]) => ({
+            id,
+            name: materialData.name,
+            price: this.getMaterialPrice(id),
+            basePrice: materialData.basePrice,
+            unit: materialData.unit,
+            trend: this.getPriceTrend(id),
+            shock: this.supplyShocks[id] ? this.supplyShocks[id].reason : null,
+            eventModifier: this.getMaterialPriceMultiplier(id)
+        }));
+    }
+    
+    /**
+     * Get the current price of a tool
+     * @param {string} toolId - ID of the tool
+     * @param {string} tierId - Quality tier (default: standard)
+     * @returns {number} - Price
+     */
+    getToolPrice(toolId, tierId = 'standard') {
+        const toolData = this.itemsData.tools[toolId];
+        
+        if (!toolData) {
+            return 0;
+        }
+        
+        const tier = this.itemsData.toolTiers[tierId] || this.itemsData.toolTiers.standard;
+        
+        return Math.round(toolData.basePrice * tier.priceMultiplier * this.getToolPriceMultiplier() * 100) / 100;
+    }
+    
+    /**
+     * Set a temporary price multiplier for a material
+     * @param {string} materialId - ID of the material
+     * @param {number} multiplier - Price multiplier
+     * @param {number} expiryTime - Total game minutes when the modifier ends
+     */
+    setMaterialPriceMultiplier(materialId, multiplier, expiryTime) {
+        this.materialPriceMultipliers[materialId] = {
+            multiplier,
+            expiryTime
+        };
+        
+        const materialName = this.itemsData.materials[materialId]?.name || materialId;
+        this.eventEmitter.emit('market:prices-changed');
+        this.eventEmitter.emit('notification:info', `Price of ${materialName} has changed (×${multiplier}).`);
+    }
+    
+    /**
+     * Get the current price multiplier for a material
+     * @param {string} materialId - ID of the material
+     * @returns {number} - Current price multiplier
+     */
+    getMaterialPriceMultiplier(materialId) {
+        const modifier = this.materialPriceMultipliers[materialId];
+        
+        if (modifier && modifier.expiryTime > this.time.getTotalMinutes()) {
+            return modifier.multiplier;
+        }
+        
+        return 1.0;
+    }
+    
+    /**
+     * Set a temporary price multiplier for all tools
+     * @param {number} multiplier - Price multiplier
+     * @param {number} expiryTime - Total game minutes when the modifier ends
+     */
+    setToolPriceMultiplier(multiplier, expiryTime) {
+        this.toolPriceMultiplier = {
+            multiplier,
+            expiryTime
+        };
+        
+        this.eventEmitter.emit('market:prices-changed');
+        this.eventEmitter.emit('notification:info', `Tool prices have changed (×${multiplier}).`);
+    }
+    
+    /**
+     * Get the current price multiplier for tools
+     * @returns {number} - Current price multiplier
+     */
+    getToolPriceMultiplier() {
+        if (this.toolPriceMultiplier && this.toolPriceMultiplier.expiryTime > this.time.getTotalMinutes()) {
+            return this.toolPriceMultiplier.multiplier;
+        }
+        
+        return 1.0;
+    }
+    
+    /**
+     * Remove expired price multipliers
+     */
+    updatePriceMultipliers() {
+        const now = this.time.getTotalMinutes();
+        
+        for (const [materialId, data] of Object.entries(this.materialPriceMultipliers)) {
+            if (data.expiryTime <= now) {
+                // Modifier expired
+                delete this.materialPriceMultipliers[materialId];
+                
+                const materialName = this.itemsData.materials[materialId]?.name || materialId;
+                this.eventEmitter.emit('market:prices-changed');
+                this.eventEmitter.emit('notification:info', `Price of ${materialName} has returned to normal.`);
+            }
+        }
+        
+        if (this.toolPriceMultiplier && this.toolPriceMultiplier.expiryTime <= now) {
+            this.toolPriceMultiplier = null;
+            
+            this.eventEmitter.emit('market:prices-changed');
+            this.eventEmitter.emit('notification:info', 'Tool prices have returned to normal.');
+        }
+    }
+    
+    /**
+     * Save market state
+     * @returns {Object} - Serialized market
+     */
+    serialize() {
+        return {
+            prices: this.prices,
+            priceHistory: this.priceHistory,
+            purchaseVolume: this.purchaseVolume,
+            demandPressure: this.demandPressure,
+            supplyShocks: this.supplyShocks,
+            materialPriceMultipliers: this.materialPriceMultipliers,
+            toolPriceMultiplier: this.toolPriceMultiplier
+        };
+    }
+    
+    /**
+     * Load market state
+     * @param {Object} data - Serialized market data
+     */
+    deserialize(data) {
+        if (!data) return;
+        
+        if (data.prices) this.prices = { ...this.prices, ...data.prices };
+        if (data.priceHistory) this.priceHistory = { ...this.priceHistory, ...data.priceHistory };
+        if (data.purchaseVolume) this.purchaseVolume = { ...data.purchaseVolume };
+        if (data.demandPressure) this.demandPressure = { ...data.demandPressure };
+        if (data.supplyShocks) this.supplyShocks = { ...data.supplyShocks };
+        if (data.materialPriceMultipliers) this.materialPriceMultipliers = { ...data.materialPriceMultipliers };
+        if (data.toolPriceMultiplier !== undefined) this.toolPriceMultiplier = data.toolPriceMultiplier;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Offline Progress
+ * 
+ * Fast-forwards the simulation for the time the player was away when a save is loaded.
+ * Simulates coal depletion, worker crafting, customer visits, daily wages,
+ * material deliveries and contract expiry, then reports a "While you were away" summary.
+ */
+export class OfflineProgress {
+    constructor(eventEmitter, systems, options = {}) {
+        this.eventEmitter = eventEmitter;
+        this.time = systems.time;
+        this.coal = systems.coal;
+        this.crafting = systems.crafting;
+        this.workers = systems.workers;
+        this.storefront = systems.storefront;
+        this.contracts = systems.contracts;
+        this.suppliers = systems.suppliers;
+        
+        // Maximum game minutes simulated on load (default: one game day)
+        this.maxOfflineMinutes = options.maxOfflineMinutes !== undefined ? options.maxOfflineMinutes : 24 * 60;
+        
+        // Size of each simulation step (in game minutes)
+        this.stepMinutes = 1;
+        
+        // Whether offline progress is enabled
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        
+        // Whether a catch-up simulation is currently running
+        this.isSimulating = false;
+        
+        // Register event listeners
+        this.registerEventListeners();
+    }
+    
+    /**
+     * Register event listeners
+     */
+    registerEventListeners() {
+        // Catch up whenever a save is restored
+        this.eventEmitter.on('save:loaded', (slotName, gameState, options = {}) => {
+            if (!gameState || !gameState.meta) return;
+            
+            // Rewinding to an autosave restores the past, it doesn't fast-forward it
+            if (options.isRewind) return;
+            
+            // Don't advance a game that was saved while paused
+            if (gameState.time && gameState.time.isRunning === false) return;
+            
+            this.catchUp(gameState.meta.saveDate);
+        });
+    }
+    
+    /**
+     * Calculate how many game minutes passed since a save was made
+     * @param {string} saveDate - ISO date the save was written
+     * @param {number} now - Current real time in ms (default: Date.now())
+     * @returns {number} - Game minutes to simulate (capped at maxOfflineMinutes)
+     */
+    getOfflineMinutes(saveDate, now = Date.now()) {
+        const savedAt = new Date(saveDate).getTime();
+        
+        if (isNaN(savedAt) || now <= savedAt) {
+            return 0;
+        }
+        
+        // Convert real seconds to game minutes at the saved game speed
+        const realSeconds = (now - savedAt) / 1000;
+        const gameMinutes = Math.floor(realSeconds * this.time.timeMultiplier / 60);
+        
+        return Math.min(gameMinutes, this.maxOfflineMinutes);
+    }
+    
+    /**
+     * Simulate the time elapsed since a save date
+     * @param {string} saveDate - ISO date the save was written
+     * @returns {Object|null} - Summary of what happened, or null if nothing was simulated
+     */
+    catchUp(saveDate) {
+        if (!this.enabled || this.isSimulating) {
+            return null;
+        }
+        
+        const minutes = this.getOfflineMinutes(saveDate);
+        
+        if (minutes < this.stepMinutes) {
+            return null;
+        }
+        
+        return this.simulate(minutes);
+    }
+    
+    /**
+     * Run the simulation for a number of game minutes
+     * @param {number} minutes - Game minutes to simulate
+     * @returns {Object} - Summary of what happened
+     */
+    simulate(minutes) {
+        this.isSimulating = true;
+        
+        const summary = {
+            minutes,
+            awayText: this.time.formatDuration(minutes),
+            capped: minutes >= this.maxOfflineMinutes,
+            sales: { count: 0, revenue: 0 },
+            wagesPaid: 0,
+            wagesMissed: 0,
+            contractsLost: [],
+            itemsCrafted: {},
+            shipmentsArrived: []
+        };
+        
+        // Collect results from the regular game events while simulating
+        const unsubscribers = [
+            this.eventEmitter.on('item:sold', (itemId, price, quantity = 1) => {
+                summary.sales.count += quantity;
+                summary.sales.revenue += price;
+            }),
+            this.eventEmitter.on('worker:wages-paid', (amount) => {
+                summary.wagesPaid += amount;
+            }),
+            this.eventEmitter.on('worker:wages-missed', (amount) => {
+                summary.wagesMissed += amount;
+            }),
+            this.eventEmitter.on('contract:expired', (contract) => {
+                summary.contractsLost.push({
+                    customer: contract.customer,
+                    goods: this.contracts.contractsData.describeContractGoods(contract)
+                });
+            }),
+            this.eventEmitter.on('shipment:arrived', (shipment) => {
+                summary.shipmentsArrived.push(shipment.supplierName);
+            }),
+            this.eventEmitter.on('item:crafted', (itemId, quantity = 1) => {
+                const itemData = this.crafting.itemsData.items[itemId];
+                
+                if (!summary.itemsCrafted[itemId]) {
+                    summary.itemsCrafted[itemId] = {
+                        name: itemData ? itemData.name : itemId,
+                        quantity: 0
+                    };
+                }
+                
+                summary.itemsCrafted[itemId].quantity += quantity;
+            })
+        ];
+        
+        this.eventEmitter.emit('offline:started', minutes);
+        
+        try {
+            let remaining = minutes;
+            
+            while (remaining > 0) {
+                const step = Math.min(this.stepMinutes, remaining);
+                
+                // Advance the clock without a 'time:tick' so only the offline systems run;
+                // hour and day events (like daily wages) still fire
+                this.time.incrementTime(step);
+                
+                this.coal.update(step);
+                this.workers.update(step);
+                this.crafting.update(step);
+                this.storefront.update(step);
+                this.contracts.checkExpiredContracts();
+                if (this.suppliers) this.suppliers.update(step);
+                
+                remaining -= step;
+            }
+        } finally {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            this.isSimulating = false;
+        }
+        
+        this.eventEmitter.emit('offline:completed', summary);
+        this.eventEmitter.emit('time:updated', this.time.getTime());
+        
+        return summary;
+    }
+    
+    /**
+     * Set the maximum number of game minutes simulated on load
+     * @param {number} minutes - New cap in game minutes
+     */
+    setMaxOfflineMinutes(minutes) {
+        this.maxOfflineMinutes = Math.max(0, minutes);
+    }
+    
+    /**
+     * Enable or disable offline progress
+     * @param {boolean} enabled - Whether offline progress should run on load
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,383 @@
+/**
+ * Production Planner
+ * 
+ * Works out what it takes to deliver the accepted contracts: what can come
+ * from stock, what is already being made, the crafts still needed and the
+ * materials to buy. Crafts are scheduled station by station against each
+ * contract's deadline, and the plan can be queued in one go.
+ */
+export class ProductionPlanner {
+    /**
+     * @param {Object} eventEmitter - Shared event emitter
+     * @param {Object} systems - Live systems the plan is built from
+     *   (contracts, crafting, inventory, coal, suppliers)
+     * @param {Object} itemsData - Item definitions (data/items.js)
+     * @param {Object} timeSystem - Game clock
+     */
+    constructor(eventEmitter, systems, itemsData, timeSystem) {
+        this.eventEmitter = eventEmitter;
+        this.systems = systems;
+        this.itemsData = itemsData;
+        this.time = timeSystem;
+        
+        // Register event listeners
+        this.registerEventListeners();
+    }
+    
+    /**
+     * Register event listeners
+     */
+    registerEventListeners() {
+        // Listen for requests to queue the plan (one contract or all of them)
+        this.eventEmitter.on('planner:enqueue', (contractId = null) => {
+            this.enqueuePlan(contractId);
+        });
+        
+        // Crafts for a contract that's gone are no longer needed
+        this.eventEmitter.on('contract:rejected', (contract) => {
+            this.dropPendingCrafts(contract.id);
+        });
+        
+        this.eventEmitter.on('contract:expired', (contract) => {
+            this.dropPendingCrafts(contract.id);
+        });
+        
+        this.eventEmitter.on('contract:standing-cancelled', (contract) => {
+            this.dropPendingCrafts(contract.id);
+        });
+    }
+    
+    /**
+     * Build a production plan for every accepted contract
+     * Contracts are planned soonest deadline first, so earlier orders get first call
+     * on stock, work in progress and station time.
+     * @returns {Object} - Plan ({ contracts, steps, purchases, coalNeeded, warnings, feasible })
+     */
+    buildPlan() {
+        const now = this.time.getTotalMinutes();
+        const stock = this.systems.inventory.getItems();
+        const taken = {};
+        const supply = this.getCommittedSupply();
+        const schedule = this.getStationSchedule(now);
+        const materials = {};
+        
+        const plan = {
+            contracts: [],
+            steps: [],
+            purchases: [],
+            coalNeeded: 0,
+            warnings: [],
+            feasible: true
+        };
+        
+        for (const contract of this.systems.contracts.getAcceptedContracts()) {
+            // A bundle is planned line item by line item
+            for (const line of this.systems.contracts.getOutstandingLines(contract)) {
+                const itemData = this.itemsData.items[line.item];
+                const batchSize = itemData.batchSize || 1;
+                
+                // Stock of acceptable quality goes first, then what's already being made
+                const acceptable = this.systems.inventory.getItemCount(line.item, contract.minQuality || null);
+                const fromStock = Math.max(0, Math.min(line.quantity, acceptable - (taken[line.item] || 0)));
+                taken[line.item] = (taken[line.item] || 0) + fromStock;
+                stock[line.item] = (stock[line.item] || 0) - fromStock;
+                
+                const inProduction = Math.min(line.quantity - fromStock, supply[line.item] || 0);
+                supply[line.item] = (supply[line.item] || 0) - inProduction;
+                
+                const entry = {
+                    contractId: contract.id,
+                    customer: contract.customer,
+                    itemId: line.item,
+                    itemName: line.itemName || itemData.name,
+                    quantity: line.quantity,
+                    fromStock,
+                    inProduction,
+                    toMake: line.quantity - fromStock - inProduction,
+                    deadline: contract.expiryTime,
+                    estimatedFinish: inProduction > 0 ? Math.max(now, schedule.itemFinish[line.item] || now) : now,
+                    steps: [],
+                    blockers: [],
+                    status: 'ready'
+                };
+                
+                if (entry.toMake > 0) {
+                    const crafts = Math.ceil(entry.toMake / batchSize);
+                    const tree = this.systems.crafting.getRecipeTree(line.item, crafts * batchSize, stock);
+                    const finish = this.scheduleNode(tree, entry, schedule, materials, now);
+                    entry.estimatedFinish = Math.max(entry.estimatedFinish, finish);
+                    plan.steps.push(...entry.steps);
+                }
+                
+                if (entry.blockers.length > 0) {
+                    entry.status = 'blocked';
+                    plan.feasible = false;
+                    plan.warnings.push(`${entry.customer}'s ${entry.itemName} can't be made: ${entry.blockers.join('; ')}.`);
+                } else if (entry.estimatedFinish > entry.deadline) {
+                    entry.status = 'late';
+                    plan.feasible = false;
+                    plan.warnings.push(`${entry.customer}'s ${entry.quantity}x ${entry.itemName} won't be ready in time ` +
+                        `(about ${this.time.formatDuration(entry.estimatedFinish - entry.deadline)} late).`);
+                } else if (entry.toMake > 0 || entry.inProduction > 0) {
+                    entry.status = 'planned';
+                }
+                
+                plan.contracts.push(entry);
+            }
+        }
+        
+        // Keep the forge lit until the last contract is done
+        const horizon = plan.contracts.reduce((latest, entry) => Math.max(latest, entry.estimatedFinish), now) - now;
+        plan.coalNeeded = this.systems.coal.estimateCoalNeeded(horizon, schedule.coalUsage);
+        if (plan.coalNeeded > 0) {
+            materials.coal = (materials.coal || 0) + plan.coalNeeded;
+        }
+        
+        plan.purchases = this.getPurchaseList(materials);
+        
+        const missingCoal = plan.purchases.find(purchase => purchase.materialId === 'coal' && purchase.toBuy > 0);
+        if (missingCoal) {
+            plan.feasible = false;
+            plan.warnings.push(`The forge will run out of coal before the work is done. Order at least ${Math.ceil(missingCoal.toBuy)} more coal.`);
+        }
+        
+        const otherPurchases = plan.purchases.filter(purchase => purchase.materialId !== 'coal' && purchase.toBuy > 0);
+        if (otherPurchases.length > 0) {
+            plan.warnings.push(`Crafts will wait for materials until you buy ${otherPurchases.map(purchase => `${Math.ceil(purchase.toBuy)} ${purchase.materialId}`).join(', ')}.`);
+        }
+        
+        return plan;
+    }
+    
+    /**
+     * Schedule the crafts in a recipe tree, components first
+     * Each craft goes to the compatible station that frees up soonest and can't
+     * start before its components are done.
+     * @param {Object} node - Recipe tree node (CraftingSystem.getRecipeTree)
+     * @param {Object} entry - Contract plan the crafts belong to
+     * @param {Object} schedule - Station schedule (updated in place)
+     * @param {Object} materials - Material totals for the plan (updated in place)
+     * @param {number} now - Current game time in minutes
+     * @returns {number} - Game time at which the node's items are ready
+     */
+    scheduleNode(node, entry, schedule, materials, now) {
+        const ready = node.children.reduce((latest, child) =>
+            Math.max(latest, this.scheduleNode(child, entry, schedule, materials, now)), now);
+        
+        if (node.crafts === 0) {
+            return ready;
+        }
+        
+        const itemData = this.itemsData.items[node.itemId];
+        
+        for (const [materialId, amount] of Object.entries(node.materials)) {
+            materials[materialId] = (materials[materialId] || 0) + amount;
+        }
+        
+        const blocker = this.getBlocker(node.itemId);
+        if (blocker) {
+            entry.blockers.push(blocker);
+            return ready;
+        }
+        
+        // Pick the station that frees up soonest
+        const stationId = this.getUsableStations(itemData)
+            .reduce((best, id) => (best === null || schedule.freeAt[id] < schedule.freeAt[best] ? id : best), null);
+        
+        const speed = this.systems.crafting.speedMultiplier * this.systems.crafting.toolDurability.getToolSpeedMultiplier(itemData);
+        const start = Math.max(ready, schedule.freeAt[stationId]);
+        const finish = start + itemData.craftingTime / speed;
+        schedule.freeAt[stationId] = finish;
+        
+        if (this.systems.crafting.getStationDefinition(stationId).usesCoal) {
+            schedule.coalUsage += itemData.coalUsage || 5;
+        }
+        
+        entry.steps.push({
+            contractId: entry.contractId,
+            itemId: node.itemId,
+            name: node.name,
+            quantity: node.crafts,
+            stationId,
+            start,
+            finish
+        });
+        
+        return finish;
+    }
+    
+    /**
+     * Get what stops an item being made at all, regardless of stock
+     * @param {string} itemId - ID of the item
+     * @returns {string|null} - Reason or null if the item can be made
+     */
+    getBlocker(itemId) {
+        const itemData = this.itemsData.items[itemId];
+        
+        if (!itemData.unlocked) {
+            return `${itemData.name} blueprint not unlocked`;
+        }
+        
+        const missingTools = this.systems.crafting.toolDurability.getMissingTools(itemData);
+        if (missingTools.length > 0) {
+            return `${itemData.name} needs ${missingTools.join(', ')}`;
+        }
+        
+        if (this.getUsableStations(itemData).length === 0) {
+            return `no equipped station can make ${itemData.name}`;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the stations that can make an item and have all their tools
+     * @param {Object} itemData - Item definition
+     * @returns {string[]} - Array of station IDs
+     */
+    getUsableStations(itemData) {
+        return this.systems.crafting.getCompatibleStations(itemData)
+            .filter(stationId => this.systems.crafting.getMissingStationTools(stationId).length === 0);
+    }
+    
+    /**
+     * Work out when each station frees up from the jobs and crafts it already has
+     * @param {number} now - Current game time in minutes
+     * @returns {Object} - Schedule ({ freeAt, itemFinish, coalUsage })
+     */
+    getStationSchedule(now) {
+        const crafting = this.systems.crafting;
+        const schedule = { freeAt: {}, itemFinish: {}, coalUsage: 0 };
+        
+        for (const station of crafting.getStations()) {
+            let time = now;
+            
+            for (const job of [station.currentCraft, ...station.queue].filter(Boolean)) {
+                const speed = (job.speedMultiplier !== undefined ? job.speedMultiplier : crafting.speedMultiplier) * (job.toolSpeedMultiplier || 1);
+                time += Math.max(0, job.craftingTime - job.progress) / speed;
+                
+                if (!job.repairTool) {
+                    schedule.itemFinish[job.itemId] = Math.max(schedule.itemFinish[job.itemId] || now, time);
+                }
+            }
+            
+            schedule.freeAt[station.id] = time;
+        }
+        
+        // Crafts still waiting to start take their turn after that
+        for (const pending of crafting.getPendingCrafts()) {
+            const itemData = this.itemsData.items[pending.itemId];
+            const stationIds = this.getUsableStations(itemData);
+            if (stationIds.length === 0) continue;
+            
+            const stationId = stationIds.reduce((best, id) => (schedule.freeAt[id] < schedule.freeAt[best] ? id : best));
+            const speed = crafting.speedMultiplier * crafting.toolDurability.getToolSpeedMultiplier(itemData);
+            schedule.freeAt[stationId] += itemData.craftingTime / speed;
+            schedule.itemFinish[pending.itemId] = Math.max(schedule.itemFinish[pending.itemId] || now, schedule.freeAt[stationId]);
+            
+            if (crafting.getStationDefinition(stationId).usesCoal) {
+                schedule.coalUsage += itemData.coalUsage || 5;
+            }
+        }
+        
+        return schedule;
+    }
+    
+    /**
+     * Count the items already being made (station jobs and pending crafts)
+     * @returns {Object} - Item counts by item ID
+     */
+    getCommittedSupply() {
+        const supply = {};
+        
+        for (const job of this.systems.crafting.getAllJobs()) {
+            if (job.repairTool) continue;
+            supply[job.itemId] = (supply[job.itemId] || 0) + job.quantity;
+        }
+        
+        for (const pending of this.systems.crafting.getPendingCrafts()) {
+            const batchSize = this.itemsData.items[pending.itemId].batchSize || 1;
+            supply[pending.itemId] = (supply[pending.itemId] || 0) + pending.quantity * batchSize;
+        }
+        
+        return supply;
+    }
+    
+    /**
+     * Compare the materials a plan needs with what's on hand and on its way
+     * @param {Object} materials - Material totals needed by the plan
+     * @returns {Array} - Purchase list ({ materialId, needed, onHand, incoming, toBuy })
+     */
+    getPurchaseList(materials) {
+        const incoming = {};
+        
+        for (const shipment of this.systems.suppliers.getIncomingShipments()) {
+            for (const [materialId, amount] of Object.entries(shipment.materials)) {
+                incoming[materialId] = (incoming[materialId] || 0) + amount;
+            }
+        }
+        
+        return Object.entries(materials).map(([materialId, needed]) => {
+            const onHand = this.systems.inventory.materials[materialId] || 0;
+            const onItsWay = incoming[materialId] || 0;
+            
+            return {
+                materialId,
+                needed,
+                onHand,
+                incoming: onItsWay,
+                toBuy: Math.max(0, needed - onHand - onItsWay)
+            };
+        });
+    }
+    
+    /**
+     * Queue the crafts from the plan
+     * Only crafts that aren't already covered by stock or work in progress are added,
+     * so queueing the plan twice doesn't double up.
+     * @param {string|null} contractId - Contract to queue (default: every planned contract)
+     * @returns {number} - Number of crafts queued
+     */
+    enqueuePlan(contractId = null) {
+        const plan = this.buildPlan();
+        let queued = 0;
+        
+        for (const entry of plan.contracts) {
+            if (contractId && entry.contractId !== contractId) continue;
+            if (entry.steps.length === 0 || entry.blockers.length > 0) continue;
+            
+            this.systems.crafting.addPendingCrafts(entry.steps, {
+                forItemId: entry.itemId,
+                contractId: entry.contractId,
+                deadline: entry.deadline
+            });
+            queued += entry.steps.length;
+        }
+        
+        if (queued === 0) {
+            this.eventEmitter.emit('notification:info', "Nothing new to queue for accepted contracts.");
+        } else {
+            this.eventEmitter.emit('notification:success', `Queued ${queued} craft${queued > 1 ? 's' : ''} for accepted contracts.`);
+        }
+        
+        for (const warning of plan.warnings) {
+            this.eventEmitter.emit('notification:warning', warning);
+        }
+        
+        this.eventEmitter.emit('planner:enqueued', plan, queued);
+        
+        return queued;
+    }
+    
+    /**
+     * Drop the crafts still waiting to start for a contract
+     * @param {string} contractId - ID of the contract
+     */
+    dropPendingCrafts(contractId) {
+        for (const pending of this.systems.crafting.getPendingCrafts()) {
+            if (pending.contractId === contractId) {
+                this.systems.crafting.cancelPendingCraft(pending.id);
+            }
+        }
+    }
+}
\ No newline at end of file
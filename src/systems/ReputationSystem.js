@@ -0,0 +1,350 @@
+/**
+ * Reputation System
+ * 
+ * Remembers how the shop treats its customers. Tracks a standing with the town
+ * as a whole and with each contract customer, moved by deliveries, the quality
+ * of the work, broken promises and the prices charged at the counter.
+ * Standing brings more walk-in customers, more contract offers and better pay.
+ */
+export class ReputationSystem {
+    constructor(eventEmitter, contractsData, itemsData, timeSystem) {
+        this.eventEmitter = eventEmitter;
+        this.contractsData = contractsData;
+        this.itemsData = itemsData;
+        this.time = timeSystem;
+        
+        // Standing runs from 0 (shunned) to 100 (the best smith in the territory)
+        this.minReputation = 0;
+        this.maxReputation = 100;
+        this.startingReputation = 50;
+        
+        // Standing with the town as a whole
+        this.town = this.startingReputation;
+        
+        // Standing with each contract customer (customer name -> standing)
+        this.customers = {};
+        
+        // Recent changes, newest first ({ time, customer, change, reason }; customer is null for the town)
+        this.history = [];
+        this.maxHistory = 20;
+        
+        // Standing levels, lowest first
+        this.tiers = [
+            { id: 'shunned', name: 'Shunned', min: 0 },
+            { id: 'doubted', name: 'Doubted', min: 20 },
+            { id: 'known', name: 'Known', min: 40 },
+            { id: 'respected', name: 'Respected', min: 65 },
+            { id: 'renowned', name: 'Renowned', min: 85 }
+        ];
+        
+        // Register event listeners
+        this.registerEventListeners();
+    }
+    
+    /**
+     * Register event listeners
+     */
+    registerEventListeners() {
+        // Delivered contracts build standing
+        this.eventEmitter.on('contract:completed', (contract) => {
+            this.handleContractCompleted(contract);
+        });
+        
+        // Broken promises cost it
+        this.eventEmitter.on('contract:expired', (contract) => {
+            this.handleContractExpired(contract);
+        });
+        
+        this.eventEmitter.on('contract:rejected', (contract) => {
+            this.handleContractRejected(contract);
+        });
+        
+        this.eventEmitter.on('contract:standing-missed', (contract) => {
+            this.adjustCustomer(contract.customer, -8, `Missed a standing delivery of ${contract.quantity}x ${contract.itemName}`);
+            this.adjustTown(-2, `Let ${contract.customer} down`);
+        });
+        
+        this.eventEmitter.on('contract:standing-cancelled', (contract) => {
+            this.adjustCustomer(contract.customer, -10, `Lost ${contract.customer}'s standing order`);
+        });
+        
+        // Word gets around about the shop's work and prices
+        this.eventEmitter.on('item:sold', (itemId, price, quantity, sold, fairPrice) => {
+            this.handleItemSold(itemId, price, quantity, sold, fairPrice);
+        });
+    }
+    
+    /**
+     * Credit a delivered contract
+     * Quality above the minimum and time to spare add to the customer's goodwill;
+     * delivering after the deadline takes away from it.
+     * @param {Object} contract - Completed contract (with the delivered quality stacks)
+     */
+    handleContractCompleted(contract) {
+        let change = 6;
+        
+        // Better work than asked for
+        change += this.getQualityScore(contract.delivered || {}, contract.minQuality) * 2;
+        
+        // Timeliness, relative to the time the customer allowed
+        const now = this.time.getTotalMinutes();
+        const duration = contract.durationMinutes || 0;
+        if (now > contract.expiryTime) {
+            const lateness = duration > 0 ? (now - contract.expiryTime) / duration : 1;
+            change -= Math.min(10, 4 + lateness * 10);
+        } else if (duration > 0 && contract.expiryTime - now >= duration / 2) {
+            change += 2;
+        }
+        
+        this.adjustCustomer(contract.customer, change, `Delivered ${this.contractsData.describeContractGoods(contract)}`);
+        this.adjustTown(Math.max(-2, Math.min(3, change / 3)), `Delivered ${contract.customer}'s order`);
+    }
+    
+    /**
+     * Charge a contract that ran out
+     * An accepted order that was never delivered is a broken promise;
+     * an offer left unanswered only disappoints a little.
+     * @param {Object} contract - Expired contract
+     */
+    handleContractExpired(contract) {
+        if (contract.accepted) {
+            this.adjustCustomer(contract.customer, -15, `Missed the deadline on ${this.contractsData.describeContractGoods(contract)}`);
+            this.adjustTown(-4, `Let ${contract.customer} down`);
+        } else {
+            this.adjustCustomer(contract.customer, -0.25, `Left an offer for ${contract.itemName} unanswered`);
+        }
+    }
+    
+    /**
+     * Charge a rejected contract
+     * @param {Object} contract - Rejected contract
+     */
+    handleContractRejected(contract) {
+        if (contract.accepted) {
+            this.adjustCustomer(contract.customer, -10, `Backed out of ${this.contractsData.describeContractGoods(contract)}`);
+            this.adjustTown(-2, `Backed out of ${contract.customer}'s order`);
+        } else {
+            this.adjustCustomer(contract.customer, -0.5, `Turned down ${contract.itemName}`);
+        }
+    }
+    
+    /**
+     * Weigh a counter sale
+     * Good work and fair prices please the town; gouging and shoddy goods don't.
+     * Only sales to customers count (they carry the going rate they measured the price against).
+     * @param {string} itemId - ID of the item
+     * @param {number} price - Total sale price
+     * @param {number} quantity - Quantity sold
+     * @param {Object} sold - Amounts sold by quality grade
+     * @param {number} fairPrice - Total going rate for the goods sold
+     */
+    handleItemSold(itemId, price, quantity, sold, fairPrice) {
+        if (!fairPrice) return;
+        
+        const markup = price / fairPrice - 1;
+        const fairness = Math.max(-1, Math.min(0.2, -markup));
+        const quality = this.getQualityScore(sold) * 0.3;
+        
+        const change = (fairness + quality) * Math.min(3, quantity) * 0.5;
+        if (Math.abs(change) < 0.01) return;
+        
+        const itemData = this.itemsData.items[itemId];
+        const reason = markup > 0.2 ? `Charged a steep price for ${itemData ? itemData.name : itemId}` :
+            `Sold ${quantity}x ${itemData ? itemData.name : itemId}`;
+        
+        this.adjustTown(change, reason);
+    }
+    
+    /**
+     * Score delivered goods against a minimum quality grade
+     * @param {Object} stacks - Amounts by quality grade
+     * @param {string|null} minQuality - Grade the buyer expected (default: common)
+     * @returns {number} - Average grades above (positive) or below (negative) the expected grade
+     */
+    getQualityScore(stacks, minQuality = null) {
+        const grades = this.itemsData.itemQualities;
+        const expectedRank = grades[minQuality || 'common'].rank;
+        let total = 0;
+        let count = 0;
+        
+        for (const [quality, amount] of Object.entries(stacks)) {
+            total += (grades[quality].rank - expectedRank) * amount;
+            count += amount;
+        }
+        
+        return count > 0 ? total / count : 0;
+    }
+    
+    /**
+     * Change the town's opinion of the shop
+     * @param {number} change - Amount to add (negative to take away)
+     * @param {string} reason - What caused it
+     */
+    adjustTown(change, reason) {
+        const previous = this.town;
+        this.town = this.clamp(this.town + change);
+        
+        this.recordChange(null, previous, this.town, reason);
+    }
+    
+    /**
+     * Change a contract customer's opinion of the shop
+     * @param {string} customer - Customer name
+     * @param {number} change - Amount to add (negative to take away)
+     * @param {string} reason - What caused it
+     */
+    adjustCustomer(customer, change, reason) {
+        const previous = this.getCustomerReputation(customer);
+        this.customers[customer] = this.clamp(previous + change);
+        
+        this.recordChange(customer, previous, this.customers[customer], reason);
+    }
+    
+    /**
+     * Log a change in standing and announce it
+     * @param {string|null} customer - Customer name (null for the town)
+     * @param {number} previous - Standing before the change
+     * @param {number} current - Standing after the change
+     * @param {string} reason - What caused it
+     */
+    recordChange(customer, previous, current, reason) {
+        const change = current - previous;
+        if (change === 0) return;
+        
+        this.history.unshift({ time: this.time.getTotalMinutes(), customer, change, reason });
+        this.history.length = Math.min(this.history.length, this.maxHistory);
+        
+        this.eventEmitter.emit('reputation:changed', customer, current, change, reason);
+        
+        // Announce moving up or down a level
+        const before = this.getTier(previous);
+        const after = this.getTier(current);
+        if (before.id !== after.id) {
+            const who = customer || 'the town';
+            const type = after.min > before.min ? 'success' : 'warning';
+            this.eventEmitter.emit(`notification:${type}`, `Your shop is now ${after.name.toLowerCase()} with ${who}.`);
+        }
+    }
+    
+    /**
+     * Keep standing within bounds
+     * @param {number} value - Standing
+     * @returns {number} - Bounded standing
+     */
+    clamp(value) {
+        return Math.max(this.minReputation, Math.min(this.maxReputation, value));
+    }
+    
+    /**
+     * Get the town's standing
+     * @returns {number} - Standing (0-100)
+     */
+    getTownReputation() {
+        return this.town;
+    }
+    
+    /**
+     * Get a contract customer's standing
+     * @param {string} customer - Customer name
+     * @returns {number} - Standing (0-100; new customers take the town's word)
+     */
+    getCustomerReputation(customer) {
+        return this.customers[customer] !== undefined ? this.customers[customer] : this.town;
+    }
+    
+    /**
+     * Get the standing level for a value
+     * @param {number} value - Standing
+     * @returns {Object} - Tier definition
+     */
+    getTier(value) {
+        return [...this.tiers].reverse().find(tier => value >= tier.min) || this.tiers[0];
+    }
+    
+    /**
+     * Get how often walk-in customers come by, relative to an ordinary shop
+     * @returns {number} - Multiplier (0.5 shunned - 1.5 renowned)
+     */
+    getCustomerArrivalMultiplier() {
+        return 0.5 + this.town / 100;
+    }
+    
+    /**
+     * Get how often a customer offers contracts, relative to an ordinary shop
+     * Customers the shop has let down badly stop asking altogether.
+     * @param {string} customer - Customer name
+     * @returns {number} - Weight multiplier (0 - 1.75)
+     */
+    getContractWeightMultiplier(customer) {
+        const standing = this.getCustomerReputation(customer);
+        
+        if (standing < this.tiers[1].min) {
+            return 0;
+        }
+        
+        return 0.25 + standing / 100 * 1.5;
+    }
+    
+    /**
+     * Get contract weight multipliers for every known contract customer
+     * @returns {Object} - Map of customer name -> weight multiplier
+     */
+    getContractWeights() {
+        const weights = {};
+        
+        for (const definition of this.contractsData.definitions) {
+            weights[definition.customer] = this.getContractWeightMultiplier(definition.customer);
+        }
+        
+        return weights;
+    }
+    
+    /**
+     * Get what a customer will pay for a contract, relative to the usual rate
+     * @param {string} customer - Customer name
+     * @returns {number} - Payout multiplier (0.85 - 1.15)
+     */
+    getPayoutMultiplier(customer) {
+        return 0.85 + this.getCustomerReputation(customer) / 100 * 0.3;
+    }
+    
+    /**
+     * Get the standing with the town and every customer the shop has dealt with
+     * @returns {Object} - { town: { value, tier }, customers: [{ name, value, tier }], history }
+     */
+    getStandings() {
+        const customers = Object.entries(this.customers)
+            .map(([name, value]) => ({ name, value, tier: this.getTier(value) }))
+            .sort((a, b) => b.value - a.value);
+        
+        return {
+            town: { value: this.town, tier: this.getTier(this.town) },
+            customers,
+            history: this.history
+        };
+    }
+    
+    /**
+     * Save reputation system state
+     * @returns {Object} - Serialized state
+     */
+    serialize() {
+        return {
+            town: this.town,
+            customers: this.customers,
+            history: this.history
+        };
+    }
+    
+    /**
+     * Load reputation system state
+     * @param {Object} data - Serialized state
+     */
+    deserialize(data) {
+        if (!data) return;
+        
+        if (data.town !== undefined) this.town = data.town;
+        if (data.customers) this.customers = { ...data.customers };
+        if (data.history) this.history = [...data.history];
+    }
+}
\ No newline at end of file
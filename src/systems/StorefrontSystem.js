@@ -3,12 +3,18 @@
  * 
  * Manages the player's storefront where crafted items are sold.
  * Handles customer visits, item demand, and sales.
+ * Customers come in as personas with their own tastes, budgets and feelings
+ * about the posted price; some will haggle rather than walk out.
  */
 export class StorefrontSystem {
-    constructor(eventEmitter, inventorySystem, itemsData) {
+    constructor(eventEmitter, inventorySystem, itemsData, timeSystem, random, customersData, reputationSystem) {
         this.eventEmitter = eventEmitter;
         this.inventory = inventorySystem;
         this.itemsData = itemsData;
+        this.time = timeSystem;
+        this.random = random;
+        this.customersData = customersData;
+        this.reputation = reputationSystem;
         
         // Items for sale in the storefront
         this.storefrontItems = {};
@@ -16,13 +22,24 @@ export class StorefrontSystem {
         // Base chance of a customer visiting per tick (percentage)
         this.baseCustomerChance = 10;
         
-        // Time between customer visit checks (in seconds)
+        // Time between customer visit checks (in game minutes)
         this.customerCheckInterval = 30;
         
-        // Timer for customer visits
+        // Timer for customer visits (game minutes since the last check)
         this.customerTimer = 0;
         
-        // Demand multipliers for items (itemId -> {multiplier, expiryTime})
+        // Chance that an ordinary customer buys an item at a fair price
+        this.basePurchaseChance = 0.6;
+        
+        // Customers waiting on an answer to their offer
+        // ({ id, personaId, customerName, itemId, itemName, quality, qualityName, quantity, askingPrice, offer, maxPrice, round, expiryTime })
+        this.haggles = [];
+        
+        // Game minutes a haggling customer waits for an answer, and how many counter offers they'll hear
+        this.hagglePatience = 30;
+        this.maxHaggleRounds = 2;
+        
+        // Demand multipliers for items (itemId -> {multiplier, expiryTime in game minutes})
         this.demandMultipliers = {};
         
         // Price modifiers for the storefront
@@ -41,18 +58,36 @@ export class StorefrontSystem {
      */
     registerEventListeners() {
         // Listen for add to storefront requests
-        this.eventEmitter.on('storefront:add', (itemId, quantity = 1) => {
-            this.addItemToStorefront(itemId, quantity);
+        this.eventEmitter.on('storefront:add', (itemId, quantity = 1, quality = null) => {
+            this.addItemToStorefront(itemId, quantity, quality);
         });
         
         // Listen for remove from storefront requests
-        this.eventEmitter.on('storefront:remove', (itemId, quantity = 1) => {
-            this.removeItemFromStorefront(itemId, quantity);
+        this.eventEmitter.on('storefront:remove', (itemId, quantity = 1, quality = null) => {
+            this.removeItemFromStorefront(itemId, quantity, quality);
         });
         
         // Listen for sell item requests (manual sales)
-        this.eventEmitter.on('storefront:sell', (itemId, quantity = 1) => {
-            this.sellItem(itemId, quantity);
+        this.eventEmitter.on('storefront:sell', (itemId, quantity = 1, quality = null) => {
+            this.sellItem(itemId, quantity, quality);
+        });
+        
+        // Listen for posted price changes
+        this.eventEmitter.on('storefront:set-price', (itemId, price) => {
+            this.setItemPrice(itemId, price);
+        });
+        
+        // Listen for answers to haggling customers
+        this.eventEmitter.on('storefront:haggle-accept', (haggleId) => {
+            this.acceptHaggle(haggleId);
+        });
+        
+        this.eventEmitter.on('storefront:haggle-counter', (haggleId, price) => {
+            this.counterHaggle(haggleId, price);
+        });
+        
+        this.eventEmitter.on('storefront:haggle-refuse', (haggleId) => {
+            this.refuseHaggle(haggleId);
         });
         
         // Listen for price modifier changes
@@ -63,17 +98,21 @@ export class StorefrontSystem {
     
     /**
      * Update storefront (called on each game tick)
+     * @param {number} minutes - Game minutes elapsed since the last update
      */
-    update() {
+    update(minutes = 1) {
         // Update customer timer
-        this.customerTimer++;
+        this.customerTimer += minutes;
         
         // Check for expired demand multipliers
         this.updateDemandMultipliers();
         
-        // Check for customer visits
-        if (this.customerTimer >= this.customerCheckInterval) {
-            this.customerTimer = 0;
+        // Haggling customers don't wait forever
+        this.updateHaggles();
+        
+        // Check for customer visits (more than one check may be due after a long step)
+        while (this.customerTimer >= this.customerCheckInterval) {
+            this.customerTimer -= this.customerCheckInterval;
             this.checkForCustomers();
         }
     }
@@ -82,11 +121,13 @@ export class StorefrontSystem {
      * Add an item to the storefront
      * @param {string} itemId - ID of the item
      * @param {number} quantity - Quantity to add
+     * @param {string|null} quality - Quality grade to stock (default: lowest grades first)
      * @returns {boolean} - Whether the item was added
      */
-    addItemToStorefront(itemId, quantity = 1) {
+    addItemToStorefront(itemId, quantity = 1, quality = null) {
         // Try to remove from inventory first
-        if (!this.inventory.removeItem(itemId, quantity)) {
+        const taken = this.inventory.takeItems(itemId, quantity, quality, quality);
+        if (!taken) {
             this.eventEmitter.emit('notification:error', `Not enough ${itemId} in inventory.`);
             return false;
         }
@@ -95,13 +136,18 @@ export class StorefrontSystem {
         if (!this.storefrontItems[itemId]) {
             this.storefrontItems[itemId] = {
                 quantity: 0,
-                price: this.getItemBasePrice(itemId),
+                qualities: {},
+                price: null, // Posted price (null: the going rate)
                 lastSold: null
             };
         }
         
         // Add to storefront
-        this.storefrontItems[itemId].quantity += quantity;
+        const entry = this.storefrontItems[itemId];
+        for (const [qualityId, amount] of Object.entries(taken)) {
+            entry.qualities[qualityId] = (entry.qualities[qualityId] || 0) + amount;
+        }
+        entry.quantity += quantity;
         
         // Emit event
         this.eventEmitter.emit('storefront:updated', this.storefrontItems);
@@ -110,29 +156,69 @@ export class StorefrontSystem {
         return true;
     }
     
+    /**
+     * Take items off the storefront shelf
+     * @param {string} itemId - ID of the item
+     * @param {number} quantity - Quantity to take
+     * @param {string|null} quality - Quality grade to take (default: any)
+     * @param {boolean} bestFirst - Whether to take the best grades first (default: worst first)
+     * @returns {Object|null} - Amounts taken by quality grade, or null if there weren't enough
+     */
+    takeFromStorefront(itemId, quantity, quality = null, bestFirst = false) {
+        const entry = this.storefrontItems[itemId];
+        if (!entry) return null;
+        
+        const grades = quality ? [quality] : this.inventory.getQualityOrder();
+        if (bestFirst) grades.reverse();
+        
+        const available = grades.reduce((sum, grade) => sum + (entry.qualities[grade] || 0), 0);
+        if (available < quantity) return null;
+        
+        const taken = {};
+        let remaining = quantity;
+        
+        for (const grade of grades) {
+            const count = Math.min(entry.qualities[grade] || 0, remaining);
+            if (count <= 0) continue;
+            
+            taken[grade] = count;
+            remaining -= count;
+            entry.qualities[grade] -= count;
+            
+            if (entry.qualities[grade] === 0) {
+                delete entry.qualities[grade];
+            }
+            
+            if (remaining === 0) break;
+        }
+        
+        entry.quantity -= quantity;
+        
+        // Clean up if zero
+        if (entry.quantity === 0) {
+            delete this.storefrontItems[itemId];
+        }
+        
+        return taken;
+    }
+    
     /**
      * Remove an item from the storefront
      * @param {string} itemId - ID of the item
      * @param {number} quantity - Quantity to remove
+     * @param {string|null} quality - Quality grade to remove (default: lowest grades first)
      * @returns {boolean} - Whether the item was removed
      */
-    removeItemFromStorefront(itemId, quantity = 1) {
-        // Check if item exists in storefront
-        if (!this.storefrontItems[itemId] || this.storefrontItems[itemId].quantity < quantity) {
+    removeItemFromStorefront(itemId, quantity = 1, quality = null) {
+        // Remove from storefront
+        const taken = this.takeFromStorefront(itemId, quantity, quality);
+        if (!taken) {
             this.eventEmitter.emit('notification:error', `Not enough ${itemId} in storefront.`);
             return false;
         }
         
-        // Remove from storefront
-        this.storefrontItems[itemId].quantity -= quantity;
-        
         // Add back to inventory
-        this.inventory.addItem(itemId, quantity);
-        
-        // Clean up if zero
-        if (this.storefrontItems[itemId].quantity === 0) {
-            delete this.storefrontItems[itemId];
-        }
+        this.inventory.addItemStacks(itemId, taken);
         
         // Emit event
         this.eventEmitter.emit('storefront:updated', this.storefrontItems);
@@ -145,27 +231,40 @@ export class StorefrontSystem {
      * Sell an item (player-initiated sale)
      * @param {string} itemId - ID of the item
      * @param {number} quantity - Quantity to sell
+     * @param {string|null} quality - Quality grade to sell (default: best grades first)
      * @returns {boolean} - Whether the sale was successful
      */
-    sellItem(itemId, quantity = 1) {
-        // Check if item exists in storefront
-        if (!this.storefrontItems[itemId] || this.storefrontItems[itemId].quantity < quantity) {
+    sellItem(itemId, quantity = 1, quality = null) {
+        // Calculate sale price before the entry can be cleaned up
+        const unitPrices = this.getQualityPrices(itemId);
+        
+        // Remove from storefront
+        const sold = this.takeFromStorefront(itemId, quantity, quality, true);
+        if (!sold) {
             this.eventEmitter.emit('notification:error', `Not enough ${itemId} in storefront.`);
             return false;
         }
         
-        // Calculate sale price
-        const price = this.getItemPrice(itemId) * quantity;
+        const price = this.getSalePrice(unitPrices, sold);
+        this.recordSale(itemId, quantity, sold, price);
         
-        // Remove from storefront
-        this.storefrontItems[itemId].quantity -= quantity;
+        this.eventEmitter.emit('notification:success', `Sold ${quantity}x ${itemId} for $${price.toFixed(2)}.`);
         
+        return true;
+    }
+    
+    /**
+     * Take the money for a sale
+     * @param {string} itemId - ID of the item
+     * @param {number} quantity - Quantity sold
+     * @param {Object} sold - Amounts sold by quality grade
+     * @param {number} price - Total sale price
+     * @param {number|null} fairPrice - Total going rate of the goods, for sales to customers (default: null)
+     */
+    recordSale(itemId, quantity, sold, price, fairPrice = null) {
         // Update last sold time
-        this.storefrontItems[itemId].lastSold = new Date();
-        
-        // Clean up if zero
-        if (this.storefrontItems[itemId].quantity === 0) {
-            delete this.storefrontItems[itemId];
+        if (this.storefrontItems[itemId]) {
+            this.storefrontItems[itemId].lastSold = this.time.getTotalMinutes();
         }
         
         // Add money to inventory
@@ -173,10 +272,42 @@ export class StorefrontSystem {
         
         // Emit events
         this.eventEmitter.emit('storefront:updated', this.storefrontItems);
-        this.eventEmitter.emit('item:sold', itemId, price, quantity);
-        this.eventEmitter.emit('notification:success', `Sold ${quantity}x ${itemId} for $${price.toFixed(2)}.`);
+        this.eventEmitter.emit('item:sold', itemId, price, quantity, sold, fairPrice);
+    }
+    
+    /**
+     * Total the going rate of goods sold
+     * @param {string} itemId - ID of the item
+     * @param {Object} sold - Amounts sold by quality grade
+     * @returns {number} - Total going rate
+     */
+    getFairSalePrice(itemId, sold) {
+        return Object.entries(sold).reduce((sum, [quality, amount]) => sum + this.getFairPrice(itemId, quality) * amount, 0);
+    }
+    
+    /**
+     * Get the unit price of each quality grade of an item
+     * @param {string} itemId - ID of the item
+     * @returns {Object} - Unit prices by quality grade
+     */
+    getQualityPrices(itemId) {
+        const prices = {};
         
-        return true;
+        for (const quality of Object.keys(this.itemsData.itemQualities)) {
+            prices[quality] = this.getItemPrice(itemId, quality);
+        }
+        
+        return prices;
+    }
+    
+    /**
+     * Total the price of a sale
+     * @param {Object} unitPrices - Unit prices by quality grade
+     * @param {Object} sold - Amounts sold by quality grade
+     * @returns {number} - Total sale price
+     */
+    getSalePrice(unitPrices, sold) {
+        return Object.entries(sold).reduce((sum, [quality, amount]) => sum + unitPrices[quality] * amount, 0);
     }
     
     /**
@@ -188,11 +319,11 @@ export class StorefrontSystem {
             return;
         }
         
-        // Calculate customer chance
-        const customerChance = this.baseCustomerChance / 100; // Convert to decimal
+        // Calculate customer chance (a well-thought-of shop sees more of the town)
+        const customerChance = this.baseCustomerChance / 100 * this.reputation.getCustomerArrivalMultiplier(); // Convert to decimal
         
         // Roll for customer visit
-        if (Math.random() < customerChance) {
+        if (this.random.next() < customerChance) {
             this.handleCustomerVisit();
         }
     }
@@ -209,76 +340,294 @@ export class StorefrontSystem {
             return;
         }
         
-        // Get a weighted random item based on demand
-        const itemId = this.getWeightedRandomItem(availableItems);
+        // See who walks in and how much they're carrying
+        const persona = this.customersData.pickPersona(this.random);
+        const budget = persona.budget.min + this.random.next() * (persona.budget.max - persona.budget.min);
+        
+        // Get a weighted random item based on demand and the customer's taste
+        const itemId = this.getWeightedRandomItem(availableItems, persona);
         
         if (!itemId) {
             return;
         }
         
-        // Calculate purchase chance based on demand
+        const itemData = this.itemsData.items[itemId];
+        const itemName = itemData ? itemData.name : itemId;
+        
+        // Customers look at the finest piece on the shelf
+        const quality = this.getBestShelfQuality(itemId);
+        const askingPrice = this.getItemPrice(itemId, quality);
+        
+        // Determine quantity to buy (usually 1, but can be more for high demand), as far as their money goes
         const demandMultiplier = this.getDemandMultiplier(itemId);
-        const purchaseChance = 0.6 * demandMultiplier; // 60% base chance modified by demand
+        const wanted = Math.min(
+            this.storefrontItems[itemId].quantity,
+            persona.maxQuantity,
+            Math.floor(this.random.next() * 3 * demandMultiplier) + 1
+        );
+        const quantity = Math.min(wanted, Math.floor(budget / askingPrice));
         
         // Roll for purchase
-        if (Math.random() < purchaseChance) {
-            // Determine quantity to buy (usually 1, but can be more for high demand)
-            const maxQty = Math.min(
-                this.storefrontItems[itemId].quantity,
-                Math.floor(Math.random() * 3 * demandMultiplier) + 1
-            );
-            
-            const quantity = Math.max(1, maxQty);
-            
-            // Calculate price
-            const price = this.getItemPrice(itemId) * quantity;
-            
-            // Remove from storefront
-            this.storefrontItems[itemId].quantity -= quantity;
-            
-            // Update last sold time
-            this.storefrontItems[itemId].lastSold = new Date();
-            
-            // Clean up if zero
-            if (this.storefrontItems[itemId].quantity === 0) {
-                delete this.storefrontItems[itemId];
-            }
-            
-            // Add money to inventory
-            this.inventory.addMoney(price);
-            
-            // Get item name
-            const itemData = this.itemsData.items[itemId];
-            const itemName = itemData ? itemData.name : itemId;
-            
-            // Emit events
-            this.eventEmitter.emit('storefront:updated', this.storefrontItems);
-            this.eventEmitter.emit('item:sold', itemId, price, quantity);
-            this.eventEmitter.emit('notification:success', `Customer bought ${quantity}x ${itemName} for $${price.toFixed(2)}.`);
+        const purchaseChance = this.getPurchaseChance(persona, itemId, askingPrice, this.getFairPrice(itemId, quality));
+        if (quantity >= 1 && this.random.next() < purchaseChance) {
+            this.sellToCustomer(persona, itemId, quantity);
+            return;
+        }
+        
+        // Too dear: some customers try their luck at haggling, the rest walk out
+        if (this.random.next() < persona.haggleChance) {
+            this.startHaggle(persona, itemId, quality, Math.max(1, quantity), budget);
+            return;
         }
+        
+        this.eventEmitter.emit('storefront:customer-left', persona.id, itemId);
+        this.eventEmitter.emit('notification:info',
+            `A ${persona.name.toLowerCase()} looked over the ${itemName.toLowerCase()} and left without buying.`);
+    }
+    
+    /**
+     * Sell items to a customer at the posted prices
+     * @param {Object} persona - Customer persona
+     * @param {string} itemId - ID of the item
+     * @param {number} quantity - Quantity bought
+     */
+    sellToCustomer(persona, itemId, quantity) {
+        // Customers pick the finest pieces on the shelf
+        const unitPrices = this.getQualityPrices(itemId);
+        const sold = this.takeFromStorefront(itemId, quantity, null, true);
+        const price = this.getSalePrice(unitPrices, sold);
+        
+        this.recordSale(itemId, quantity, sold, price, this.getFairSalePrice(itemId, sold));
+        
+        const itemData = this.itemsData.items[itemId];
+        const itemName = itemData ? itemData.name : itemId;
+        this.eventEmitter.emit('notification:success', `A ${persona.name.toLowerCase()} bought ${quantity}x ${itemName} for $${price.toFixed(2)}.`);
+    }
+    
+    /**
+     * Get the chance a customer buys an item at a price
+     * Taste and demand raise the chance; a price above the going rate lowers it,
+     * more so for customers who watch their money.
+     * @param {Object} persona - Customer persona
+     * @param {string} itemId - ID of the item
+     * @param {number} price - Unit price asked
+     * @param {number} fairPrice - Going rate for the item
+     * @returns {number} - Purchase chance (0-1)
+     */
+    getPurchaseChance(persona, itemId, price, fairPrice) {
+        const itemData = this.itemsData.items[itemId];
+        const preference = this.customersData.getPreference(persona, itemId, itemData);
+        const interest = Math.min(1.5, 0.5 + preference / 2);
+        
+        const markup = fairPrice > 0 ? price / fairPrice - 1 : 0;
+        const priceFactor = Math.max(0, Math.min(1.5, 1 - markup * persona.priceSensitivity * 2));
+        
+        return Math.min(0.95, this.basePurchaseChance * this.getDemandMultiplier(itemId) * interest * priceFactor);
+    }
+    
+    /**
+     * Get the best quality grade of an item on the shelf
+     * @param {string} itemId - ID of the item
+     * @returns {string} - Quality grade ID
+     */
+    getBestShelfQuality(itemId) {
+        const qualities = this.storefrontItems[itemId].qualities;
+        return [...this.inventory.getQualityOrder()].reverse().find(quality => qualities[quality] > 0) || 'common';
+    }
+    
+    /**
+     * Start haggling with a customer who finds the price too steep
+     * @param {Object} persona - Customer persona
+     * @param {string} itemId - ID of the item
+     * @param {string} quality - Quality grade they're after
+     * @param {number} quantity - Quantity they want
+     * @param {number} budget - Money they're carrying
+     * @returns {Object} - The haggle
+     */
+    startHaggle(persona, itemId, quality, quantity, budget) {
+        const askingPrice = this.getItemPrice(itemId, quality);
+        const fairPrice = this.getFairPrice(itemId, quality);
+        
+        // The most they'll pay: a little over the going rate for the less fussy, never more than they carry
+        const maxPrice = Math.min(askingPrice, budget / quantity, fairPrice * (1 + (1 - persona.priceSensitivity) * 0.3));
+        
+        const itemData = this.itemsData.items[itemId];
+        const haggle = {
+            id: `haggle_${this.random.id()}`,
+            personaId: persona.id,
+            customerName: persona.name,
+            itemId,
+            itemName: itemData ? itemData.name : itemId,
+            quality,
+            qualityName: this.itemsData.itemQualities[quality].name,
+            quantity,
+            askingPrice,
+            // They open low
+            offer: this.roundPrice(maxPrice * (0.7 + this.random.next() * 0.15)),
+            maxPrice,
+            round: 1,
+            expiryTime: this.time.getTotalMinutes() + this.hagglePatience
+        };
+        
+        this.haggles.push(haggle);
+        this.eventEmitter.emit('storefront:haggle', haggle);
+        
+        return haggle;
+    }
+    
+    /**
+     * Accept a haggling customer's offer
+     * @param {string} haggleId - ID of the haggle
+     * @returns {boolean} - Whether the sale went through
+     */
+    acceptHaggle(haggleId) {
+        const haggle = this.getHaggle(haggleId);
+        if (!haggle) return false;
+        
+        return this.closeHaggle(haggle, haggle.offer);
+    }
+    
+    /**
+     * Counter a haggling customer's offer
+     * They take any price up to what they're willing to pay; otherwise they come
+     * up part of the way, until their patience runs out.
+     * @param {string} haggleId - ID of the haggle
+     * @param {number} price - Unit price asked in return
+     * @returns {boolean} - Whether the sale went through
+     */
+    counterHaggle(haggleId, price) {
+        const haggle = this.getHaggle(haggleId);
+        if (!haggle) return false;
+        
+        if (!(price > 0)) {
+            this.eventEmitter.emit('notification:error', "Name a price to counter with.");
+            this.eventEmitter.emit('storefront:haggle', haggle);
+            return false;
+        }
+        
+        if (price <= haggle.maxPrice) {
+            return this.closeHaggle(haggle, Math.min(price, haggle.askingPrice));
+        }
+        
+        if (haggle.round >= this.maxHaggleRounds) {
+            this.endHaggle(haggle, `The ${haggle.customerName.toLowerCase()} shook their head and walked out.`);
+            return false;
+        }
+        
+        haggle.round++;
+        haggle.offer = this.roundPrice(Math.max(haggle.offer, (haggle.offer + haggle.maxPrice) / 2));
+        haggle.expiryTime = this.time.getTotalMinutes() + this.hagglePatience;
+        
+        this.eventEmitter.emit('storefront:haggle', haggle);
+        
+        return false;
+    }
+    
+    /**
+     * Refuse a haggling customer's offer
+     * @param {string} haggleId - ID of the haggle
+     */
+    refuseHaggle(haggleId) {
+        const haggle = this.getHaggle(haggleId);
+        if (!haggle) return;
+        
+        this.endHaggle(haggle, `The ${haggle.customerName.toLowerCase()} left without the ${haggle.itemName.toLowerCase()}.`);
+    }
+    
+    /**
+     * Sell to a haggling customer at an agreed price
+     * @param {Object} haggle - The haggle
+     * @param {number} unitPrice - Agreed unit price
+     * @returns {boolean} - Whether the sale went through
+     */
+    closeHaggle(haggle, unitPrice) {
+        const sold = this.takeFromStorefront(haggle.itemId, haggle.quantity, haggle.quality);
+        if (!sold) {
+            this.endHaggle(haggle, `The ${haggle.itemName.toLowerCase()} the ${haggle.customerName.toLowerCase()} wanted is no longer on the shelf.`);
+            return false;
+        }
+        
+        const price = unitPrice * haggle.quantity;
+        this.recordSale(haggle.itemId, haggle.quantity, sold, price, this.getFairSalePrice(haggle.itemId, sold));
+        
+        this.haggles = this.haggles.filter(h => h.id !== haggle.id);
+        this.eventEmitter.emit('storefront:haggle-ended', haggle, true);
+        this.eventEmitter.emit('notification:success',
+            `Sold ${haggle.quantity}x ${haggle.itemName} to a ${haggle.customerName.toLowerCase()} for $${price.toFixed(2)} after haggling.`);
+        
+        return true;
+    }
+    
+    /**
+     * End a haggle without a sale
+     * @param {Object} haggle - The haggle
+     * @param {string} message - What the player is told
+     */
+    endHaggle(haggle, message) {
+        this.haggles = this.haggles.filter(h => h.id !== haggle.id);
+        this.eventEmitter.emit('storefront:haggle-ended', haggle, false);
+        this.eventEmitter.emit('notification:info', message);
+    }
+    
+    /**
+     * Send away haggling customers who have waited too long
+     */
+    updateHaggles() {
+        const now = this.time.getTotalMinutes();
+        
+        for (const haggle of this.haggles.filter(h => h.expiryTime <= now)) {
+            this.endHaggle(haggle, `The ${haggle.customerName.toLowerCase()} got tired of waiting and left.`);
+        }
+    }
+    
+    /**
+     * Find an open haggle
+     * @param {string} haggleId - ID of the haggle
+     * @returns {Object|null} - The haggle or null if the customer has gone
+     */
+    getHaggle(haggleId) {
+        const haggle = this.haggles.find(h => h.id === haggleId);
+        
+        if (!haggle) {
+            this.eventEmitter.emit('notification:error', "That customer has already left.");
+            return null;
+        }
+        
+        return haggle;
+    }
+    
+    /**
+     * Round a price to the cent
+     * @param {number} price - Price in dollars
+     * @returns {number} - Rounded price
+     */
+    roundPrice(price) {
+        return Math.round(price * 100) / 100;
     }
     
     /**
      * Get a weighted random item based on demand
      * @param {string[]} availableItems - Array of available item IDs
+     * @param {Object|null} persona - Customer persona whose taste also counts (default: demand only)
      * @returns {string|null} - Selected item ID or null
      */
-    getWeightedRandomItem(availableItems) {
+    getWeightedRandomItem(availableItems, persona = null) {
         if (availableItems.length === 0) {
             return null;
         }
         
-        // Calculate weights based on demand
-        const weights = availableItems.map(itemId => this.getDemandMultiplier(itemId));
+        // Calculate weights based on demand and taste
+        const weights = availableItems.map(itemId => this.getDemandMultiplier(itemId) *
+            (persona ? this.customersData.getPreference(persona, itemId, this.itemsData.items[itemId]) : 1));
         const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
         
-        // If total weight is 0, return a random item
+        // If total weight is 0, return a random item (a customer with no interest in anything on the shelf just leaves)
         if (totalWeight === 0) {
-            return availableItems[Math.floor(Math.random() * availableItems.length)];
+            return persona ? null : this.random.pick(availableItems);
         }
         
         // Select weighted random item
-        let random = Math.random() * totalWeight;
+        let random = this.random.next() * totalWeight;
         for (let i = 0; i < availableItems.length; i++) {
             random -= weights[i];
             if (random <= 0) {
@@ -294,7 +643,7 @@ export class StorefrontSystem {
      * Set demand multiplier for an item
      * @param {string} itemId - ID of the item
      * @param {number} multiplier - Demand multiplier
-     * @param {Date} expiryTime - When the multiplier expires
+     * @param {number} expiryTime - Game minute at which the multiplier expires
      */
     setDemandMultiplier(itemId, multiplier, expiryTime) {
         this.demandMultipliers[itemId] = {
@@ -312,7 +661,7 @@ export class StorefrontSystem {
      */
     getDemandMultiplier(itemId) {
         if (this.demandMultipliers[itemId] && 
-            this.demandMultipliers[itemId].expiryTime > new Date()) {
+            this.demandMultipliers[itemId].expiryTime > this.time.getTotalMinutes()) {
             return this.demandMultipliers[itemId].multiplier;
         }
         
@@ -323,7 +672,7 @@ export class StorefrontSystem {
      * Update demand multipliers and remove expired ones
      */
     updateDemandMultipliers() {
-        const now = new Date();
+        const now = this.time.getTotalMinutes();
         
         for (const [itemId, data] of Object.entries(this.demandMultipliers)) {
             if (data.expiryTime <= now) {
@@ -371,11 +720,13 @@ export class StorefrontSystem {
     }
     
     /**
-     * Get current price of an item with all modifiers applied
+     * Get the going rate for an item with all modifiers applied
+     * This is what customers think the item is worth, whatever price is posted.
      * @param {string} itemId - ID of the item
-     * @returns {number} - Current price
+     * @param {string} quality - Quality grade (default: common)
+     * @returns {number} - Fair price
      */
-    getItemPrice(itemId) {
+    getFairPrice(itemId, quality = 'common') {
         // Get base price
         let price = this.getItemBasePrice(itemId);
         
@@ -393,18 +744,36 @@ export class StorefrontSystem {
             price *= this.priceModifiers.byItem[itemId];
         }
         
+        // Better work fetches more
+        const qualityData = this.itemsData.itemQualities[quality];
+        if (qualityData) {
+            price *= qualityData.priceMultiplier;
+        }
+        
+        return price;
+    }
+    
+    /**
+     * Get current price of an item
+     * The shop's posted price replaces the going rate when one is set.
+     * @param {string} itemId - ID of the item
+     * @param {string} quality - Quality grade (default: common)
+     * @returns {number} - Current price
+     */
+    getItemPrice(itemId, quality = 'common') {
         // Apply storefront specific pricing if set
         if (this.storefrontItems[itemId] && this.storefrontItems[itemId].price) {
-            price = this.storefrontItems[itemId].price;
+            const qualityData = this.itemsData.itemQualities[quality];
+            return this.storefrontItems[itemId].price * (qualityData ? qualityData.priceMultiplier : 1);
         }
         
-        return price;
+        return this.getFairPrice(itemId, quality);
     }
     
     /**
      * Set custom price for an item in the storefront
      * @param {string} itemId - ID of the item
-     * @param {number} price - New price
+     * @param {number|null} price - New price for a common piece (null or 0: back to the going rate)
      * @returns {boolean} - Whether the price was set
      */
     setItemPrice(itemId, price) {
@@ -412,7 +781,12 @@ export class StorefrontSystem {
             return false;
         }
         
-        this.storefrontItems[itemId].price = price;
+        if (price !== null && (typeof price !== 'number' || isNaN(price) || price < 0)) {
+            this.eventEmitter.emit('notification:error', "Enter a valid price.");
+            return false;
+        }
+        
+        this.storefrontItems[itemId].price = price || null;
         this.eventEmitter.emit('storefront:updated', this.storefrontItems);
         
         return true;
@@ -434,6 +808,9 @@ export class StorefrontSystem {
                 description: itemData ? itemData.description : '',
                 category: itemData ? itemData.category : '',
                 currentPrice: this.getItemPrice(itemId),
+                fairPrice: this.getFairPrice(itemId),
+                postedPrice: data.price,
+                qualityPrices: this.getQualityPrices(itemId),
                 basePrice: this.getItemBasePrice(itemId),
                 demand: this.getDemandMultiplier(itemId)
             };
@@ -451,7 +828,8 @@ export class StorefrontSystem {
             storefrontItems: this.storefrontItems,
             demandMultipliers: this.demandMultipliers,
             priceModifiers: this.priceModifiers,
-            customerTimer: this.customerTimer
+            customerTimer: this.customerTimer,
+            haggles: this.haggles
         };
     }
     
@@ -466,6 +844,7 @@ export class StorefrontSystem {
         if (data.demandMultipliers) this.demandMultipliers = { ...data.demandMultipliers };
         if (data.priceModifiers) this.priceModifiers = { ...data.priceModifiers };
         if (data.customerTimer !== undefined) this.customerTimer = data.customerTimer;
+        if (data.haggles) this.haggles = [...data.haggles];
         
         this.eventEmitter.emit('storefront:updated', this.storefrontItems);
     }
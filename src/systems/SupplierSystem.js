@@ -0,0 +1,297 @@
+/**
+ * Supplier System
+ * 
+ * Handles material orders from the town's suppliers.
+ * Orders are paid up front and arrive as shipments after the supplier's
+ * delivery time; events can hold up every shipment on a route.
+ */
+export class SupplierSystem {
+    constructor(eventEmitter, inventorySystem, marketSystem, suppliersData, timeSystem, random) {
+        this.eventEmitter = eventEmitter;
+        this.inventory = inventorySystem;
+        this.market = marketSystem;
+        this.suppliersData = suppliersData;
+        this.time = timeSystem;
+        this.random = random;
+        
+        // Shipments on their way ({ id, supplierId, materials, cost, orderTime, arrivalTime, delayedBy })
+        this.shipments = [];
+        
+        // Active route delays by route ({ hours, expiryTime, reason })
+        this.routeDelays = {};
+        
+        // Register event listeners
+        this.registerEventListeners();
+    }
+    
+    /**
+     * Register event listeners
+     */
+    registerEventListeners() {
+        // Listen for order requests from the UI
+        this.eventEmitter.on('supplier:order', (supplierId, materials) => {
+            this.placeOrder(supplierId, materials);
+        });
+    }
+    
+    /**
+     * Update shipments (called on each game tick)
+     * @param {number} minutes - Game minutes elapsed since the last update
+     */
+    update(minutes = 1) {
+        this.updateRouteDelays();
+        this.deliverArrivedShipments();
+    }
+    
+    /**
+     * Get a supplier definition
+     * @param {string} supplierId - ID of the supplier
+     * @returns {Object|null} - Supplier definition or null if not found
+     */
+    getSupplier(supplierId) {
+        return this.suppliersData.definitions.find(s => s.id === supplierId) || null;
+    }
+    
+    /**
+     * Get all suppliers with today's prices
+     * @returns {Array} - Suppliers with a `prices` list and any current route delay
+     */
+    getSuppliers() {
+        const marketPrices = this.market.getMaterialPrices();
+        
+        return this.suppliersData.definitions.map(supplier => ({
+            ...supplier,
+            prices: supplier.materials.map(materialId => ({
+                ...marketPrices.find(m => m.id === materialId),
+                price: this.getSupplierPrice(supplier, materialId)
+            })),
+            delay: this.getRouteDelay(supplier.route)
+        }));
+    }
+    
+    /**
+     * Get a supplier's unit price for a material (before bulk discounts)
+     * @param {Object} supplier - Supplier definition
+     * @param {string} materialId - ID of the material
+     * @returns {number} - Price per unit
+     */
+    getSupplierPrice(supplier, materialId) {
+        return Math.round(this.market.getMaterialPrice(materialId) * supplier.priceMultiplier * 100) / 100;
+    }
+    
+    /**
+     * Price an order without placing it
+     * @param {string} supplierId - ID of the supplier
+     * @param {Object} materials - Units to order by material ID
+     * @returns {Object} - { quantity, subtotal, discount, total, deliveryHours, errors }
+     */
+    getQuote(supplierId, materials) {
+        const supplier = this.getSupplier(supplierId);
+        const errors = [];
+        
+        if (!supplier) {
+            return { quantity: 0, subtotal: 0, discount: 0, total: 0, deliveryHours: 0, errors: ['Unknown supplier'] };
+        }
+        
+        let quantity = 0;
+        let subtotal = 0;
+        
+        for (const [materialId, amount] of Object.entries(materials)) {
+            if (amount <= 0) continue;
+            
+            if (!supplier.materials.includes(materialId)) {
+                errors.push(`${supplier.name} doesn't stock ${materialId}`);
+                continue;
+            }
+            
+            quantity += amount;
+            subtotal += amount * this.getSupplierPrice(supplier, materialId);
+        }
+        
+        if (quantity === 0) {
+            errors.push('No materials selected');
+        } else if (quantity < supplier.minOrder) {
+            errors.push(`${supplier.name} has a minimum order of ${supplier.minOrder} units`);
+        }
+        
+        const discount = this.suppliersData.getBulkDiscount(supplier, quantity);
+        const total = Math.round(subtotal * (1 - discount) * 100) / 100;
+        const delay = this.getRouteDelay(supplier.route);
+        
+        return {
+            quantity,
+            subtotal: Math.round(subtotal * 100) / 100,
+            discount,
+            total,
+            deliveryHours: supplier.deliveryHours + (delay ? delay.hours : 0),
+            errors
+        };
+    }
+    
+    /**
+     * Place an order with a supplier
+     * @param {string} supplierId - ID of the supplier
+     * @param {Object} materials - Units to order by material ID
+     * @returns {Object|null} - The new shipment, or null if the order failed
+     */
+    placeOrder(supplierId, materials) {
+        const supplier = this.getSupplier(supplierId);
+        const quote = this.getQuote(supplierId, materials);
+        
+        if (quote.errors.length > 0) {
+            this.eventEmitter.emit('notification:error', quote.errors[0]);
+            return null;
+        }
+        
+        // Pay up front
+        if (!this.inventory.removeMoney(quote.total)) {
+            this.eventEmitter.emit('notification:error', `Not enough money for this order. Cost: $${quote.total.toFixed(2)}`);
+            return null;
+        }
+        
+        const now = this.time.getTotalMinutes();
+        const orderedMaterials = {};
+        
+        for (const [materialId, amount] of Object.entries(materials)) {
+            if (amount > 0) orderedMaterials[materialId] = amount;
+        }
+        
+        const shipment = {
+            id: `shipment_${this.random.id()}`,
+            supplierId,
+            supplierName: supplier.name,
+            route: supplier.route,
+            materials: orderedMaterials,
+            cost: quote.total,
+            orderTime: now,
+            arrivalTime: now + quote.deliveryHours * 60,
+            delayedBy: quote.deliveryHours - supplier.deliveryHours
+        };
+        
+        this.shipments.push(shipment);
+        
+        this.eventEmitter.emit('materials:purchased', orderedMaterials, quote.total);
+        this.eventEmitter.emit('shipment:ordered', shipment);
+        this.eventEmitter.emit('notification:success',
+            `Ordered materials from ${supplier.name} for $${quote.total.toFixed(2)}. Arrives in ${this.time.formatDuration(quote.deliveryHours * 60)}.`);
+        
+        return shipment;
+    }
+    
+    /**
+     * Move arrived shipments into inventory
+     */
+    deliverArrivedShipments() {
+        const now = this.time.getTotalMinutes();
+        const arrived = [];
+        
+        this.shipments = this.shipments.filter(shipment => {
+            if (shipment.arrivalTime <= now) {
+                arrived.push(shipment);
+                return false;
+            }
+            return true;
+        });
+        
+        for (const shipment of arrived) {
+            for (const [materialId, amount] of Object.entries(shipment.materials)) {
+                this.inventory.addMaterial(materialId, amount);
+            }
+            
+            this.eventEmitter.emit('shipment:arrived', shipment);
+            this.eventEmitter.emit('inventory:updated');
+            this.eventEmitter.emit('notification:success', `Shipment from ${shipment.supplierName} has arrived.`);
+        }
+    }
+    
+    /**
+     * Delay a delivery route (e.g. a railroad strike)
+     * Shipments already on the route are held up, as are new orders until the delay ends.
+     * @param {string} route - Route to delay (rail, wagon, town)
+     * @param {number} hours - Game hours of delay
+     * @param {number} expiryTime - Total game minutes when new orders stop being delayed
+     * @param {string} reason - Why the route is delayed
+     */
+    setRouteDelay(route, hours, expiryTime, reason = 'Delivery delays') {
+        this.routeDelays[route] = { hours, expiryTime, reason };
+        
+        let delayedCount = 0;
+        
+        for (const shipment of this.shipments) {
+            if (shipment.route === route) {
+                shipment.arrivalTime += hours * 60;
+                shipment.delayedBy = (shipment.delayedBy || 0) + hours;
+                delayedCount++;
+            }
+        }
+        
+        if (delayedCount > 0) {
+            this.eventEmitter.emit('shipment:delayed', route, hours);
+            this.eventEmitter.emit('notification:warning',
+                `${reason}: ${delayedCount} shipment${delayedCount > 1 ? 's' : ''} delayed by ${hours} hours.`);
+        }
+    }
+    
+    /**
+     * Get the current delay for a route
+     * @param {string} route - Route to check
+     * @returns {Object|null} - Delay data or null if the route is clear
+     */
+    getRouteDelay(route) {
+        const delay = this.routeDelays[route];
+        
+        if (delay && delay.expiryTime > this.time.getTotalMinutes()) {
+            return delay;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Remove expired route delays
+     */
+    updateRouteDelays() {
+        const now = this.time.getTotalMinutes();
+        
+        for (const [route, delay] of Object.entries(this.routeDelays)) {
+            if (delay.expiryTime <= now) {
+                delete this.routeDelays[route];
+                this.eventEmitter.emit('notification:info', `Deliveries by ${route} are back on schedule.`);
+            }
+        }
+    }
+    
+    /**
+     * Get all shipments on their way, soonest first
+     * @returns {Array} - Array of shipments with minutesRemaining
+     */
+    getIncomingShipments() {
+        const now = this.time.getTotalMinutes();
+        
+        return this.shipments
+            .map(shipment => ({ ...shipment, minutesRemaining: Math.max(0, shipment.arrivalTime - now) }))
+            .sort((a, b) => a.arrivalTime - b.arrivalTime);
+    }
+    
+    /**
+     * Save supplier state
+     * @returns {Object} - Serialized supplier system
+     */
+    serialize() {
+        return {
+            shipments: this.shipments,
+            routeDelays: this.routeDelays
+        };
+    }
+    
+    /**
+     * Load supplier state
+     * @param {Object} data - Serialized supplier data
+     */
+    deserialize(data) {
+        if (!data) return;
+        
+        if (data.shipments) this.shipments = [...data.shipments];
+        if (data.routeDelays) this.routeDelays = { ...data.routeDelays };
+    }
+}
\ No newline at end of file
@@ -8,8 +8,11 @@ export class TimeSystem {
     constructor(eventEmitter) {
         this.eventEmitter = eventEmitter;
         
-        // Game time (1 real second = 1 game minute by default)
-        this.timeMultiplier = 60; // 60x speed - 1 real second = 1 game minute
+        // Game speed in game minutes per real minute (60 = 1 game minute per real second)
+        this.timeMultiplier = 60;
+        
+        // Real milliseconds between clock ticks
+        this.tickInterval = 1000;
         
         // Current game time
         this.time = {
@@ -25,6 +28,10 @@ export class TimeSystem {
         // Interval ID for the time ticker
         this.tickerInterval = null;
         
+        // Whether loading a running save restarts the real-time ticker
+        // (headless runs drive the clock manually with advance())
+        this.autoResume = true;
+        
         // Start and end hours for the work day
         this.workHours = {
             start: 8, // 8:00 AM
@@ -42,10 +49,10 @@ export class TimeSystem {
         
         this.isRunning = true;
         
-        // Start time ticker (updates every second)
+        // Start time ticker
         this.tickerInterval = setInterval(() => {
             this.tick();
-        }, 1000);
+        }, this.tickInterval);
         
         this.eventEmitter.emit('time:started');
     }
@@ -84,24 +91,38 @@ export class TimeSystem {
     }
     
     /**
-     * Update time (called every second)
+     * Update time (called by the ticker every tickInterval)
      */
     tick() {
+        // Convert the real time of one tick to game minutes
+        const realSeconds = this.tickInterval / 1000;
+        const gameMinutes = realSeconds * this.timeMultiplier / 60;
+        
+        this.advance(gameMinutes);
+    }
+    
+    /**
+     * Advance the simulation clock. This is the single source of elapsed time:
+     * every 'time:tick' carries the game minutes that systems should simulate.
+     * @param {number} gameMinutes - Game minutes to advance
+     */
+    advance(gameMinutes) {
+        if (gameMinutes <= 0) {
+            return;
+        }
+        
         // Increment game time
-        this.incrementTime(1);
+        this.incrementTime(gameMinutes);
         
-        // Emit time tick event
-        this.eventEmitter.emit('time:tick', this.getTime());
+        // Emit time tick event with the elapsed game minutes
+        this.eventEmitter.emit('time:tick', this.getTime(), gameMinutes);
     }
     
     /**
      * Increment game time by specified minutes
-     * @param {number} realSeconds - Real seconds elapsed
+     * @param {number} gameMinutes - Game minutes elapsed
      */
-    incrementTime(realSeconds) {
-        // Convert real seconds to game minutes based on time multiplier
-        const gameMinutes = realSeconds * this.timeMultiplier;
-        
+    incrementTime(gameMinutes) {
         // Add to total minutes
         this.time.totalMinutes += gameMinutes;
         
@@ -148,7 +169,7 @@ export class TimeSystem {
      */
     getFormattedTime() {
         const hour = this.time.hour.toString().padStart(2, '0');
-        const minute = this.time.minute.toString().padStart(2, '0');
+        const minute = Math.floor(this.time.minute).toString().padStart(2, '0');
         return `${hour}:${minute}`;
     }
     
@@ -159,10 +180,47 @@ export class TimeSystem {
     getFormattedDateTime() {
         const ampm = this.time.hour >= 12 ? 'PM' : 'AM';
         const hour12 = this.time.hour % 12 || 12; // Convert to 12-hour format
-        const minute = this.time.minute.toString().padStart(2, '0');
+        const minute = Math.floor(this.time.minute).toString().padStart(2, '0');
         return `Day ${this.time.day}, ${hour12}:${minute} ${ampm}`;
     }
     
+    /**
+     * Format a moment in game time as a date and time (e.g. "Day 8, 2:30 PM")
+     * @param {number} totalMinutes - Moment in total game minutes
+     * @returns {string} - Formatted date and time string
+     */
+    formatDateTime(totalMinutes) {
+        // Count from midnight of day 1 so the offset carries into days and hours
+        const minuteOfGame = Math.floor((this.time.day - 1) * 24 * 60 + this.time.hour * 60 + this.time.minute +
+            (totalMinutes - this.time.totalMinutes));
+        const day = Math.floor(minuteOfGame / (24 * 60)) + 1;
+        const hour = Math.floor(minuteOfGame / 60) % 24;
+        const ampm = hour >= 12 ? 'PM' : 'AM';
+        const hour12 = hour % 12 || 12;
+        const minute = (minuteOfGame % 60).toString().padStart(2, '0');
+        return `Day ${day}, ${hour12}:${minute} ${ampm}`;
+    }
+    
+    /**
+     * Get total game minutes elapsed since the start of the game
+     * @returns {number} - Total game minutes
+     */
+    getTotalMinutes() {
+        return this.time.totalMinutes;
+    }
+    
+    /**
+     * Format a duration in game minutes (e.g. "2h 15m")
+     * @param {number} gameMinutes - Duration in game minutes
+     * @returns {string} - Formatted duration
+     */
+    formatDuration(gameMinutes) {
+        const totalMinutes = Math.max(0, Math.floor(gameMinutes));
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+    
     /**
      * Check if current time is during work hours
      * @returns {boolean} - Whether it's currently work hours
@@ -173,7 +231,7 @@ export class TimeSystem {
     
     /**
      * Set time multiplier
-     * @param {number} multiplier - New time multiplier
+     * @param {number} multiplier - New time multiplier (game minutes per real minute)
      */
     setTimeMultiplier(multiplier) {
         if (multiplier <= 0) {
@@ -248,13 +306,14 @@ export class TimeSystem {
     }
     
     /**
-     * Skip time forward by a specific amount
+     * Skip time forward by a specific amount. Systems simulate the skipped
+     * minutes through the regular 'time:tick' event.
      * @param {number} hours - Hours to skip
      * @param {number} minutes - Minutes to skip
      */
     skipTime(hours = 0, minutes = 0) {
         const totalMinutes = (hours * 60) + minutes;
-        this.incrementTime(totalMinutes / this.timeMultiplier);
+        this.advance(totalMinutes);
         
         this.eventEmitter.emit('time:skipped', { hours, minutes });
     }
@@ -287,7 +346,7 @@ export class TimeSystem {
         this.eventEmitter.emit('time:updated', this.getTime());
         
         // Restart time system if it was running
-        if (data.isRunning) {
+        if (data.isRunning && this.autoResume) {
             this.start();
         }
     }
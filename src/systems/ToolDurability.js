@@ -2,12 +2,14 @@
  * Tool Durability System
  * 
  * Manages tool durability and wear. Tools are used during crafting and
- * eventually break after repeated use.
+ * eventually break after repeated use. Each tool has a quality tier
+ * (crude, standard, fine) that sets its durability and crafting speed.
  */
 export class ToolDurability {
-    constructor(eventEmitter, inventorySystem) {
+    constructor(eventEmitter, inventorySystem, itemsData) {
         this.eventEmitter = eventEmitter;
         this.inventory = inventorySystem;
+        this.itemsData = itemsData;
         
         // Default tool usage cost for different crafting operations
         this.toolUsageCosts = {
@@ -16,7 +18,7 @@ export class ToolDurability {
             complex: 3    // Complex items like rifles
         };
         
-        // Tool requirements for different item types
+        // Fallback tool requirements by item category (for items without their own requiredTools)
         this.toolRequirements = {
             // Mapping from item category to required tools
             metal: ['hammer', 'tongs', 'anvil'],
@@ -25,6 +27,12 @@ export class ToolDurability {
             leather: ['needle', 'scissors']
         };
         
+        // Fraction of a tool's max durability lost with each repair
+        this.repairWear = 0.1;
+        
+        // A tool can't be repaired once its max durability falls this low
+        this.minRepairableDurability = 5;
+        
         // Register event listeners
         this.registerEventListeners();
     }
@@ -51,25 +59,20 @@ export class ToolDurability {
      * @returns {boolean} - Whether all required tools are available
      */
     checkToolsForItem(itemData) {
-        const category = itemData.category || 'metal';
-        const requiredTools = this.toolRequirements[category] || ['hammer'];
-        
-        // Check if all required tools are available
-        for (const tool of requiredTools) {
-            if (!this.inventory.hasTool(tool)) {
-                return false;
-            }
-        }
-        
-        return true;
+        return this.getMissingTools(itemData).length === 0;
     }
     
     /**
      * Get list of required tools for an item
-     * @param {Object} itemData - Item data containing category
+     * Uses the item's own requiredTools list, falling back to its category.
+     * @param {Object} itemData - Item data containing requiredTools or category
      * @returns {string[]} - Array of required tool names
      */
     getRequiredToolsForItem(itemData) {
+        if (Array.isArray(itemData.requiredTools)) {
+            return itemData.requiredTools;
+        }
+        
         const category = itemData.category || 'metal';
         return this.toolRequirements[category] || ['hammer'];
     }
@@ -79,9 +82,8 @@ export class ToolDurability {
      * @param {Object} itemData - Item data containing category and complexity
      */
     useToolsForItem(itemData) {
-        const category = itemData.category || 'metal';
         const complexity = itemData.complexity || 'medium';
-        const requiredTools = this.toolRequirements[category] || ['hammer'];
+        const requiredTools = this.getRequiredToolsForItem(itemData);
         
         // Calculate usage amount based on complexity
         const usageAmount = this.toolUsageCosts[complexity] || 1;
@@ -110,7 +112,8 @@ export class ToolDurability {
             durabilityDetails[toolName] = {
                 percentage: (toolData.uses / toolData.maxUses) * 100,
                 current: toolData.uses,
-                max: toolData.maxUses
+                max: toolData.maxUses,
+                tier: toolData.tier || 'standard'
             };
         }
         
@@ -118,21 +121,26 @@ export class ToolDurability {
     }
     
     /**
-     * Repair a tool, restoring some durability
+     * Repair a tool, restoring durability
+     * Every repair wears the tool down a little, lowering its max durability.
      * @param {string} toolName - Name of the tool to repair
-     * @param {number} repairAmount - Amount of uses to restore
+     * @param {number} repairAmount - Amount of uses to restore (default: all)
      * @returns {boolean} - Whether the repair was successful
      */
-    repairTool(toolName, repairAmount) {
+    repairTool(toolName, repairAmount = Infinity) {
         const tools = this.inventory.getTools();
         
         if (!tools[toolName]) {
             return false;
         }
         
+        // Wear down the max durability
+        const maxDurability = this.getMaxDurabilityAfterRepair(tools[toolName]);
+        tools[toolName].maxUses = maxDurability;
+        tools[toolName].repairs = (tools[toolName].repairs || 0) + 1;
+        
         // Calculate new durability
-        const currentDurability = tools[toolName].uses;
-        const maxDurability = tools[toolName].maxUses;
+        const currentDurability = Math.min(tools[toolName].uses, maxDurability);
         const newDurability = Math.min(currentDurability + repairAmount, maxDurability);
         
         // Update the tool
@@ -140,18 +148,74 @@ export class ToolDurability {
         
         // Emit event
         this.eventEmitter.emit('tool:repaired', toolName, newDurability, maxDurability);
+        this.eventEmitter.emit('inventory:updated');
         
         return true;
     }
     
+    /**
+     * Get what a tool's max durability will be after one more repair
+     * @param {Object} toolData - Owned tool data ({ uses, maxUses })
+     * @returns {number} - Max durability after the repair
+     */
+    getMaxDurabilityAfterRepair(toolData) {
+        const wear = Math.max(1, Math.round(toolData.maxUses * this.repairWear));
+        return Math.max(1, toolData.maxUses - wear);
+    }
+    
+    /**
+     * Get the cost of repairing a tool
+     * @param {string} toolName - Name of the tool
+     * @returns {Object|null} - { materials, coal, time } or null if the tool can't be repaired
+     */
+    getRepairCost(toolName) {
+        const toolData = this.itemsData.tools[toolName];
+        
+        if (!toolData || !toolData.repairMaterials) {
+            return null;
+        }
+        
+        return {
+            materials: { ...toolData.repairMaterials },
+            coal: toolData.repairCoal || 2,
+            time: toolData.repairTime || 20
+        };
+    }
+    
+    /**
+     * Check whether a tool can be repaired
+     * @param {string} toolName - Name of the tool
+     * @returns {Object} - Result object with canRepair and reason
+     */
+    canRepairTool(toolName) {
+        const tool = this.inventory.getTools()[toolName];
+        
+        if (!tool) {
+            return { canRepair: false, reason: 'Tool not owned' };
+        }
+        
+        if (!this.getRepairCost(toolName)) {
+            return { canRepair: false, reason: 'This tool cannot be repaired' };
+        }
+        
+        if (tool.uses >= tool.maxUses) {
+            return { canRepair: false, reason: 'Already in full repair' };
+        }
+        
+        if (tool.maxUses <= this.minRepairableDurability) {
+            return { canRepair: false, reason: 'Too worn to repair; replace it' };
+        }
+        
+        return { canRepair: true, reason: null };
+    }
+    
     /**
      * Get missing tools that the player needs to craft
      * @param {Object} itemData - Item data containing category
      * @returns {string[]} - Array of missing tool names
      */
     getMissingTools(itemData) {
-        const category = itemData.category || 'metal';
-        const requiredTools = this.toolRequirements[category] || ['hammer'];
+        const requiredTools = this.getRequiredToolsForItem(itemData);
         const missingTools = [];
         
         for (const tool of requiredTools) {
@@ -163,6 +227,47 @@ export class ToolDurability {
         return missingTools;
     }
     
+    /**
+     * Get a tool quality tier definition
+     * @param {string} tierId - Tier ID (crude, standard, fine)
+     * @returns {Object} - Tier definition (standard if unknown)
+     */
+    getToolTier(tierId) {
+        return this.itemsData.toolTiers[tierId] || this.itemsData.toolTiers.standard;
+    }
+    
+    /**
+     * Get the maximum durability of a tool at a quality tier
+     * @param {string} toolName - Name of the tool
+     * @param {string} tierId - Tier ID (default: standard)
+     * @returns {number} - Maximum uses
+     */
+    getMaxDurability(toolName, tierId = 'standard') {
+        const toolData = this.itemsData.tools[toolName];
+        const baseDurability = toolData ? toolData.durability : 30;
+        
+        return Math.round(baseDurability * this.getToolTier(tierId).durabilityMultiplier);
+    }
+    
+    /**
+     * Get the crafting speed multiplier from the tools used for an item
+     * Averages the speed of each required tool's tier, so one fine tool helps a little.
+     * @param {Object} itemData - Item data containing requiredTools or category
+     * @returns {number} - Speed multiplier
+     */
+    getToolSpeedMultiplier(itemData) {
+        const tools = this.inventory.getTools();
+        const speeds = this.getRequiredToolsForItem(itemData)
+            .filter(toolName => tools[toolName])
+            .map(toolName => this.getToolTier(tools[toolName].tier).speedMultiplier);
+        
+        if (speeds.length === 0) {
+            return 1.0;
+        }
+        
+        return speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length;
+    }
+    
     /**
      * Save tool durability system state
      * @returns {Object} - Serialized tool system data
@@ -170,7 +275,8 @@ export class ToolDurability {
     serialize() {
         return {
             toolUsageCosts: { ...this.toolUsageCosts },
-            toolRequirements: { ...this.toolRequirements }
+            toolRequirements: { ...this.toolRequirements },
+            repairWear: this.repairWear
         };
     }
     
@@ -183,5 +289,6 @@ export class ToolDurability {
         
         if (data.toolUsageCosts) this.toolUsageCosts = { ...data.toolUsageCosts };
         if (data.toolRequirements) this.toolRequirements = { ...data.toolRequirements };
+        if (data.repairWear !== undefined) this.repairWear = data.repairWear;
     }
 }
\ No newline at end of file
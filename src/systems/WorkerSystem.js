@@ -5,11 +5,13 @@
  * Handles hiring, firing, assigning tasks, and worker fatigue.
  */
 export class WorkerSystem {
-    constructor(eventEmitter, craftingSystem, coalSystem, inventorySystem) {
+    constructor(eventEmitter, craftingSystem, coalSystem, inventorySystem, timeSystem, random) {
         this.eventEmitter = eventEmitter;
         this.crafting = craftingSystem;
         this.coal = coalSystem;
         this.inventory = inventorySystem;
+        this.time = timeSystem;
+        this.random = random;
         
         // Hired workers
         this.workers = {};
@@ -22,6 +24,7 @@ export class WorkerSystem {
                 baseSalary: 5.00, // per in-game day
                 crafting: {
                     speedMultiplier: 0.8,
+                    skill: 0.3,
                     fatigueRate: 1.2
                 },
                 fatigue: {
@@ -36,6 +39,7 @@ export class WorkerSystem {
                 baseSalary: 8.00,
                 crafting: {
                     speedMultiplier: 1.0,
+                    skill: 0.6,
                     fatigueRate: 1.0
                 },
                 fatigue: {
@@ -50,6 +54,7 @@ export class WorkerSystem {
                 baseSalary: 15.00,
                 crafting: {
                     speedMultiplier: 1.3,
+                    skill: 0.9,
                     fatigueRate: 0.8
                 },
                 fatigue: {
@@ -60,7 +65,7 @@ export class WorkerSystem {
             }
         };
         
-        // Hiring discounts (workerId -> {multiplier, expiryTime})
+        // Hiring discounts (workerId -> {multiplier, expiryTime in game minutes})
         this.hiringDiscounts = {};
         
         // Day counter for salary payments
@@ -103,15 +108,21 @@ export class WorkerSystem {
         this.eventEmitter.on('time:new-day', () => {
             this.processDailyWages();
         });
+        
+        // Repair tasks end once the tool is fixed
+        this.eventEmitter.on('tool:repair-completed', (toolName, workerId) => {
+            this.completeRepairTask(workerId, toolName);
+        });
     }
     
     /**
      * Update worker system (called on each game tick)
+     * @param {number} minutes - Game minutes elapsed since the last update
      */
-    update() {
+    update(minutes = 1) {
         // Update each worker
         for (const [workerId, worker] of Object.entries(this.workers)) {
-            this.updateWorker(workerId, worker);
+            this.updateWorker(workerId, worker, minutes);
         }
         
         // Check for expired hiring discounts
@@ -122,12 +133,13 @@ export class WorkerSystem {
      * Update a specific worker
      * @param {string} workerId - ID of the worker
      * @param {Object} worker - Worker data
+     * @param {number} minutes - Game minutes elapsed since the last update
      */
-    updateWorker(workerId, worker) {
+    updateWorker(workerId, worker, minutes = 1) {
         // Skip if worker is resting
         if (worker.resting) {
             // Recover fatigue during rest
-            this.recoverFatigue(workerId, worker);
+            this.recoverFatigue(workerId, worker, minutes);
             return;
         }
         
@@ -154,10 +166,14 @@ export class WorkerSystem {
             case 'coal':
                 this.handleCoalTask(workerId, worker);
                 break;
+                
+            case 'repair':
+                this.handleRepairTask(workerId, worker);
+                break;
         }
         
         // Increase fatigue based on work type
-        this.increaseFatigue(workerId, worker);
+        this.increaseFatigue(workerId, worker, minutes);
     }
     
     /**
@@ -168,23 +184,25 @@ export class WorkerSystem {
     handleCraftingTask(workerId, worker) {
         const task = worker.currentTask;
         
-        // If no active crafting job, start one
-        if (!this.crafting.getCurrentCraft() && 
-            this.crafting.getCraftingQueue().length === 0) {
+        // If the worker has no job at any station, start one
+        if (!this.hasCraftingJob(workerId)) {
             
             // Check if we can craft the item
-            const canCraft = this.crafting.canCraft(task.itemId);
+            const canCraft = this.crafting.canCraft(task.itemId, workerId);
             
             if (canCraft.canCraft) {
-                // Start crafting with worker speed boost
+                // Start crafting with worker speed boost and skill
                 const originalSpeedMultiplier = this.crafting.speedMultiplier;
+                const originalSkillLevel = this.crafting.skillLevel;
                 this.crafting.setSpeedMultiplier(worker.workerType.crafting.speedMultiplier);
+                this.crafting.setSkillLevel(worker.workerType.crafting.skill);
                 
                 // Start crafting
                 this.eventEmitter.emit('crafting:start', task.itemId, 1, workerId);
                 
-                // Reset speed multiplier to original value
+                // Reset speed multiplier and skill to original values
                 this.crafting.setSpeedMultiplier(originalSpeedMultiplier);
+                this.crafting.setSkillLevel(originalSkillLevel);
             } else {
                 // Can't craft for some reason
                 this.eventEmitter.emit('notification:warning', 
@@ -197,6 +215,84 @@ export class WorkerSystem {
         }
     }
     
+    /**
+     * Handle tool repair task for a worker
+     * @param {string} workerId - ID of the worker
+     * @param {Object} worker - Worker data
+     */
+    handleRepairTask(workerId, worker) {
+        const task = worker.currentTask;
+        
+        // A finished repair clears the task itself; if the job is gone without finishing, it was cancelled
+        if (task.started) {
+            if (!this.hasRepairJob(workerId, task.toolName)) {
+                worker.currentTask = null;
+                worker.status = 'Idle';
+                
+                this.eventEmitter.emit('notification:info', `${worker.name} stopped repairing the ${task.toolName}.`);
+            }
+            return;
+        }
+        
+        // Wait until the worker's current job is done
+        if (this.hasCraftingJob(workerId)) {
+            return;
+        }
+        
+        const canRepair = this.crafting.canRepair(task.toolName, workerId);
+        
+        if (canRepair.canRepair) {
+            task.started = true;
+            this.eventEmitter.emit('crafting:repair', task.toolName, workerId);
+        } else {
+            // Can't repair for some reason
+            this.eventEmitter.emit('notification:warning', 
+                `${worker.name} can't repair the ${task.toolName}: ${canRepair.reason}`);
+            
+            // Set task to idle
+            worker.currentTask = null;
+            worker.status = 'idle';
+        }
+    }
+    
+    /**
+     * Check whether a worker already has a job at one of the stations
+     * @param {string} workerId - ID of the worker
+     * @returns {boolean} - Whether the worker has a current or queued job
+     */
+    hasCraftingJob(workerId) {
+        return this.crafting.getAllJobs().some(job => job.workerId === workerId);
+    }
+    
+    /**
+     * Check whether a worker's repair of a tool is still current or queued at a station
+     * @param {string} workerId - ID of the worker
+     * @param {string} toolName - Name of the tool being repaired
+     * @returns {boolean} - Whether the repair job is still in the workshop
+     */
+    hasRepairJob(workerId, toolName) {
+        return this.crafting.getAllJobs().some(job => job.repairTool === toolName && job.workerId === workerId);
+    }
+    
+    /**
+     * Finish a worker's repair task
+     * @param {string} workerId - ID of the worker who did the repair
+     * @param {string} toolName - Name of the repaired tool
+     */
+    completeRepairTask(workerId, toolName) {
+        const worker = this.workers[workerId];
+        
+        if (!worker || !worker.currentTask || worker.currentTask.type !== 'repair' || worker.currentTask.toolName !== toolName) {
+            return;
+        }
+        
+        worker.currentTask = null;
+        worker.status = 'Idle';
+        
+        this.eventEmitter.emit('worker:task-completed', { workerId, toolName });
+        this.eventEmitter.emit('notification:info', `${worker.name} has repaired the ${toolName}.`);
+    }
+    
     /**
      * Handle coal monitoring task for a worker
      * @param {string} workerId - ID of the worker
@@ -208,6 +304,13 @@ export class WorkerSystem {
             // Try to refill coal
             this.eventEmitter.emit('worker:refill-coal', worker.name);
         }
+        
+        // Keep the bellows going while smelting waits on the heat
+        if (!this.coal.isBellowsActive() && this.crafting.getAllJobs().some(job => job.waitingForHeat)) {
+            if (this.coal.workBellows()) {
+                this.eventEmitter.emit('notification:info', `${worker.name} is working the bellows.`);
+            }
+        }
     }
     
     /**
@@ -240,7 +343,7 @@ export class WorkerSystem {
         }
         
         // Generate a unique worker ID
-        const workerId = `${workerTypeId}_${Date.now()}`;
+        const workerId = `${workerTypeId}_${this.random.id()}`;
         
         // Generate a random name
         const firstName = this.getRandomFirstName();
@@ -333,8 +436,21 @@ export class WorkerSystem {
                 this.eventEmitter.emit('notification:error', "No item specified for crafting task.");
                 return false;
             }
+            
+            // Workers with a station can only craft what that station makes
+            const stationId = this.crafting.getWorkerStation(workerId);
+            if (stationId && !this.crafting.canStationCraft(stationId, task.itemId)) {
+                this.eventEmitter.emit('notification:error', `${worker.name}'s station can't make ${task.itemId}.`);
+                return false;
+            }
         } else if (task.type === 'coal') {
             // No additional validation for coal monitoring
+        } else if (task.type === 'repair') {
+            const canRepair = this.crafting.canRepair(task.toolName, workerId);
+            if (!canRepair.canRepair) {
+                this.eventEmitter.emit('notification:error', `Can't repair ${task.toolName}: ${canRepair.reason}`);
+                return false;
+            }
         } else {
             this.eventEmitter.emit('notification:error', `Unknown task type: ${task.type}`);
             return false;
@@ -352,6 +468,10 @@ export class WorkerSystem {
             case 'coal':
                 worker.status = 'Monitoring coal';
                 break;
+                
+            case 'repair':
+                worker.status = `Repairing ${task.toolName}`;
+                break;
         }
         
         // Emit events
@@ -403,14 +523,15 @@ export class WorkerSystem {
      * Increase worker fatigue based on work
      * @param {string} workerId - ID of the worker
      * @param {Object} worker - Worker data
+     * @param {number} minutes - Game minutes worked
      */
-    increaseFatigue(workerId, worker) {
-        // Base fatigue increase per tick
+    increaseFatigue(workerId, worker, minutes = 1) {
+        // Base fatigue increase per game minute
         let fatigueIncrease = 0.1;
         
         // Adjust based on task type
         if (worker.currentTask) {
-            if (worker.currentTask.type === 'crafting') {
+            if (worker.currentTask.type === 'crafting' || worker.currentTask.type === 'repair') {
                 fatigueIncrease = 0.2 * worker.workerType.crafting.fatigueRate;
             } else if (worker.currentTask.type === 'coal') {
                 fatigueIncrease = 0.05;
@@ -418,7 +539,7 @@ export class WorkerSystem {
         }
         
         // Increase fatigue
-        worker.fatigue += fatigueIncrease;
+        worker.fatigue += fatigueIncrease * minutes;
         
         // Cap at max fatigue
         if (worker.fatigue > worker.workerType.fatigue.maxFatigue) {
@@ -438,13 +559,14 @@ export class WorkerSystem {
      * Recover worker fatigue during rest
      * @param {string} workerId - ID of the worker
      * @param {Object} worker - Worker data
+     * @param {number} minutes - Game minutes rested
      */
-    recoverFatigue(workerId, worker) {
-        // Base recovery rate
+    recoverFatigue(workerId, worker, minutes = 1) {
+        // Base recovery rate per game minute
         const recoveryRate = 0.2 * worker.workerType.fatigue.recoveryRate;
         
         // Decrease fatigue
-        worker.fatigue -= recoveryRate;
+        worker.fatigue -= recoveryRate * minutes;
         
         // Cap at minimum fatigue
         if (worker.fatigue < 0) {
@@ -486,10 +608,12 @@ export class WorkerSystem {
         
         // Pay wages
         if (this.inventory.removeMoney(totalWages)) {
+            this.eventEmitter.emit('worker:wages-paid', totalWages, Object.keys(this.workers).length);
             this.eventEmitter.emit('notification:info', 
                 `Paid $${totalWages.toFixed(2)} in wages to ${Object.keys(this.workers).length} worker(s).`);
         } else {
             // Not enough money to pay wages!
+            this.eventEmitter.emit('worker:wages-missed', totalWages);
             this.eventEmitter.emit('notification:error', 
                 `Not enough money to pay worker wages! ($${totalWages.toFixed(2)} needed)`);
             
@@ -501,7 +625,7 @@ export class WorkerSystem {
      * Set hiring discount for a worker type
      * @param {string} workerTypeId - Type of worker or 'all' for all types
      * @param {number} multiplier - Discount multiplier (0.7 = 30% off)
-     * @param {Date} expiryTime - When the discount expires
+     * @param {number} expiryTime - Game minute at which the discount expires
      */
     setHiringDiscount(workerTypeId, multiplier, expiryTime) {
         this.hiringDiscounts[workerTypeId] = {
@@ -520,15 +644,17 @@ export class WorkerSystem {
      * @returns {number|null} - Current discount multiplier or null
      */
     getHiringDiscount(workerTypeId) {
+        const now = this.time.getTotalMinutes();
+        
         // Check for specific worker type discount
         if (this.hiringDiscounts[workerTypeId] && 
-            this.hiringDiscounts[workerTypeId].expiryTime > new Date()) {
+            this.hiringDiscounts[workerTypeId].expiryTime > now) {
             return this.hiringDiscounts[workerTypeId].multiplier;
         }
         
         // Check for general discount
         if (this.hiringDiscounts['all'] && 
-            this.hiringDiscounts['all'].expiryTime > new Date()) {
+            this.hiringDiscounts['all'].expiryTime > now) {
             return this.hiringDiscounts['all'].multiplier;
         }
         
@@ -539,7 +665,7 @@ export class WorkerSystem {
      * Update hiring discounts and remove expired ones
      */
     updateHiringDiscounts() {
-        const now = new Date();
+        const now = this.time.getTotalMinutes();
         
         for (const [workerTypeId, data] of Object.entries(this.hiringDiscounts)) {
             if (data.expiryTime <= now) {
@@ -576,6 +702,7 @@ export class WorkerSystem {
                 salary: typeData.baseSalary,
                 hireCost: hireCost,
                 speedMultiplier: typeData.crafting.speedMultiplier,
+                skill: typeData.crafting.skill,
                 fatigueRate: typeData.crafting.fatigueRate,
                 hasDiscount: discount !== null
             });
@@ -599,9 +726,11 @@ export class WorkerSystem {
             salary: worker.salary,
             status: worker.status,
             resting: worker.resting,
+            stationId: this.crafting.getWorkerStation(worker.id),
             task: worker.currentTask ? {
                 type: worker.currentTask.type,
-                details: worker.currentTask.type === 'crafting' ? worker.currentTask.itemId : ''
+                details: worker.currentTask.type === 'crafting' ? worker.currentTask.itemId :
+                    worker.currentTask.type === 'repair' ? worker.currentTask.toolName : ''
             } : null
         }));
     }
@@ -618,7 +747,7 @@ export class WorkerSystem {
             "Matthew", "Andrew", "David", "Frederick", "Oliver", "Jacob", "Theodore", "Richard"
         ];
         
-        return firstNames[Math.floor(Math.random() * firstNames.length)];
+        return this.random.pick(firstNames);
     }
     
     /**
@@ -634,7 +763,7 @@ export class WorkerSystem {
             "Coleman", "Brooks", "Powell", "Sullivan", "Murphy", "Barnes", "Bell", "Fisher"
         ];
         
-        return lastNames[Math.floor(Math.random() * lastNames.length)];
+        return this.random.pick(lastNames);
     }
     
     /**
@@ -661,12 +790,6 @@ export class WorkerSystem {
         if (data.dayCounter !== undefined) this.dayCounter = data.dayCounter;
         
         // Convert date strings back to Date objects
-        for (const discount of Object.values(this.hiringDiscounts)) {
-            if (discount.expiryTime && typeof discount.expiryTime === 'string') {
-                discount.expiryTime = new Date(discount.expiryTime);
-            }
-        }
-        
         for (const worker of Object.values(this.workers)) {
             if (worker.hireDate && typeof worker.hireDate === 'string') {
                 worker.hireDate = new Date(worker.hireDate);
@@ -71,6 +71,11 @@ export class ModalManager {
             this.hideModal();
         });
         
+        // Listen for confirmation requests
+        this.eventEmitter.on('modal:confirm', (message, onConfirm, onCancel, confirmText, cancelText) => {
+            this.showConfirmation(message, onConfirm, onCancel, confirmText, cancelText);
+        });
+        
         // Listen for contract appearance
         this.eventEmitter.on('contract:available', (contract) => {
             this.showContractModal(contract);
@@ -85,6 +90,37 @@ export class ModalManager {
         this.eventEmitter.on('event:triggered', (event) => {
             this.showEventModal(event);
         });
+        
+        // Listen for offline progress summaries
+        this.eventEmitter.on('offline:completed', (summary) => {
+            this.showOfflineSummaryModal(summary);
+        });
+        
+        // Listen for requests to negotiate a contract offer
+        this.eventEmitter.on('contract:negotiate-start', (contract) => {
+            this.showNegotiationModal(contract);
+        });
+        
+        // Show a customer's counter-offer
+        this.eventEmitter.on('contract:negotiated', (contract, agreed) => {
+            if (!agreed) {
+                this.showContractModal(contract, contract.isSpecial);
+            }
+        });
+        
+        // Listen for haggling customers
+        this.eventEmitter.on('storefront:haggle', (haggle) => {
+            this.showHaggleModal(haggle);
+        });
+        
+        // Close the offer once the customer has bought or gone
+        this.eventEmitter.on('storefront:haggle-ended', (haggle) => {
+            this.modalQueue = this.modalQueue.filter(modal => modal.haggleId !== haggle.id);
+            
+            if (this.activeModal && this.activeModal.haggleId === haggle.id) {
+                this.hideModal();
+            }
+        });
     }
     
     /**
@@ -99,6 +135,7 @@ export class ModalManager {
      * @param {string} modalData.confirmText - Text for confirm button
      * @param {string} modalData.cancelText - Text for cancel button
      * @param {boolean} modalData.closeOnConfirm - Whether to close modal on confirm
+     * @param {Function} modalData.onShow - Called once the modal is on screen, to wire up custom controls
      */
     showModal(modalData) {
         // If a modal is already open, queue this one
@@ -177,6 +214,10 @@ export class ModalManager {
             }
         }
         
+        if (modalData.onShow) {
+            modalData.onShow(this.modalBody);
+        }
+        
         // Emit event
         this.eventEmitter.emit('modal:shown', modalData);
     }
@@ -234,35 +275,52 @@ export class ModalManager {
      * @param {boolean} isSpecial - Whether this is a special contract
      */
     showContractModal(contract, isSpecial = false) {
-        // Format expiry time
-        const expiryTime = new Date(contract.expiryTime);
-        const expiryString = expiryTime.toLocaleString();
+        // Format deadline (contract durations are in game minutes)
+        const deadlineHours = Math.round((contract.durationMinutes || 0) / 60);
+        const expiryString = `${deadlineHours} game hours`;
+        
+        // Offers can be negotiated until the customer's offer is final
+        const canNegotiate = !contract.accepted && (contract.negotiationRound || 0) < (contract.maxNegotiationRounds || 0);
         
         // Create modal content
         const content = `
             <div class="contract-details ${isSpecial ? 'special-contract' : ''}">
                 <div class="contract-header">
                     <h3>${contract.customer}</h3>
-                    <span class="contract-expiry">Expires: ${expiryString}</span>
+                    <span class="contract-expiry">Deadline: ${expiryString}</span>
                 </div>
                 <p class="contract-description">${contract.description || 'No description available.'}</p>
                 <div class="contract-requirements">
-                    <h4>Requirements:</h4>
+                    <h4>${contract.isBundle ? `Requirements (${contract.itemName}):` : 'Requirements:'}</h4>
                     <ul>
-                        <li><strong>${contract.quantity}x</strong> ${contract.itemName || contract.item}</li>
+                        ${(contract.lineItems || [contract]).map(line => `<li><strong>${line.quantity}x</strong> ${line.itemName || line.item}</li>`).join('')}
                     </ul>
                 </div>
                 <div class="contract-reward">
                     <h4>Reward:</h4>
                     <p>$${contract.payout.toFixed(2)}</p>
+                    ${contract.bundleBonus ? `<p class="contract-bonus">+$${(contract.payout * contract.bundleBonus).toFixed(2)} bundle bonus for delivering everything</p>` : ''}
                 </div>
+                ${contract.originalTerms ? `
+                    <p class="contract-original">Original offer: ${contract.isBundle ? '' : `${contract.originalTerms.quantity}x `}in ${Math.round(contract.originalTerms.durationMinutes / 60)} game hours for $${contract.originalTerms.payout.toFixed(2)}</p>
+                ` : ''}
+                ${canNegotiate ? '<button id="contract-negotiate-btn" class="btn-secondary">Negotiate</button>' : ''}
             </div>
         `;
         
         // Show the modal
         this.showModal({
-            title: isSpecial ? 'Special Contract Offer' : 'New Contract',
+            title: contract.negotiationRound ? `Counter-Offer from ${contract.customer}` : (isSpecial ? 'Special Contract Offer' : 'New Contract'),
             content,
+            onShow: (modalBody) => {
+                const negotiateBtn = modalBody.querySelector('#contract-negotiate-btn');
+                if (negotiateBtn) {
+                    negotiateBtn.addEventListener('click', () => {
+                        this.hideModal();
+                        this.showNegotiationModal(contract);
+                    });
+                }
+            },
             showConfirm: true,
             showCancel: true,
             confirmText: 'Accept',
@@ -278,6 +336,100 @@ export class ModalManager {
         });
     }
     
+    /**
+     * Show a form for proposing different contract terms
+     * @param {Object} contract - Contract data
+     */
+    showNegotiationModal(contract) {
+        const round = (contract.negotiationRound || 0) + 1;
+        const deadlineHours = Math.round(contract.durationMinutes / 60);
+        
+        const content = `
+            <div class="negotiation-details">
+                <p>${contract.customer} offers $${contract.payout.toFixed(2)} for ${contract.isBundle ? `the ${contract.itemName}` : `${contract.quantity}x ${contract.itemName || contract.item}`} within ${deadlineHours} game hours.
+                Ask for too much and they'll only meet you part of the way.${contract.isBundle ? ' A bundle is delivered as asked, so only the deadline and payout are open.' : ''}</p>
+                <div class="negotiation-fields">
+                    <label for="negotiate-quantity">Quantity</label>
+                    <input type="number" id="negotiate-quantity" min="1" step="1" value="${contract.quantity}"${contract.isBundle ? ' disabled' : ''}>
+                    <label for="negotiate-hours">Deadline (game hours)</label>
+                    <input type="number" id="negotiate-hours" min="${deadlineHours}" step="1" value="${deadlineHours}">
+                    <label for="negotiate-payout">Payout $</label>
+                    <input type="number" id="negotiate-payout" min="0" step="0.01" value="${contract.payout.toFixed(2)}">
+                </div>
+                <p class="negotiation-round">Round ${round} of ${contract.maxNegotiationRounds}. If they agree, you're committed to the contract.</p>
+            </div>
+        `;
+        
+        this.showModal({
+            title: `Negotiate with ${contract.customer}`,
+            content,
+            showConfirm: true,
+            showCancel: true,
+            confirmText: 'Propose',
+            onConfirm: () => {
+                const hours = parseFloat(this.modalBody.querySelector('#negotiate-hours').value);
+                this.eventEmitter.emit('contract:negotiate', contract.id, {
+                    quantity: parseInt(this.modalBody.querySelector('#negotiate-quantity').value, 10),
+                    durationMinutes: hours * 60,
+                    payout: parseFloat(this.modalBody.querySelector('#negotiate-payout').value)
+                });
+            }
+        });
+    }
+    
+    /**
+     * Show a haggling customer's offer
+     * @param {Object} haggle - Haggle data
+     */
+    showHaggleModal(haggle) {
+        // Drop any earlier round of the same haggle still waiting in the queue
+        this.modalQueue = this.modalQueue.filter(modal => modal.haggleId !== haggle.id);
+        
+        const qualityLabel = haggle.quality !== 'common' ? `${haggle.qualityName} ` : '';
+        
+        const content = `
+            <div class="haggle-details">
+                <p>A ${haggle.customerName.toLowerCase()} has their eye on ${haggle.quantity}x ${qualityLabel}${haggle.itemName} but won't pay the posted price.</p>
+                <div class="haggle-prices">
+                    <div><span>Asking:</span> $${haggle.askingPrice.toFixed(2)} each</div>
+                    <div><span>Offer:</span> <strong>$${haggle.offer.toFixed(2)}</strong> each</div>
+                </div>
+                <div class="haggle-counter">
+                    <label for="haggle-counter-price">Counter at $</label>
+                    <input type="number" id="haggle-counter-price" min="0" step="0.01" value="${haggle.askingPrice.toFixed(2)}">
+                    <button id="haggle-counter-btn" class="btn-secondary">Counter</button>
+                </div>
+                ${haggle.round > 1 ? '<p class="haggle-warning">They look ready to walk out.</p>' : ''}
+            </div>
+        `;
+        
+        this.showModal({
+            title: 'Haggling Customer',
+            content,
+            haggleId: haggle.id,
+            showConfirm: true,
+            showCancel: true,
+            confirmText: 'Accept Offer',
+            cancelText: 'Refuse',
+            onConfirm: () => {
+                this.eventEmitter.emit('storefront:haggle-accept', haggle.id);
+            },
+            onCancel: () => {
+                this.eventEmitter.emit('storefront:haggle-refuse', haggle.id);
+            },
+            onShow: (modalBody) => {
+                const counterBtn = modalBody.querySelector('#haggle-counter-btn');
+                counterBtn.addEventListener('click', () => {
+                    const price = parseFloat(modalBody.querySelector('#haggle-counter-price').value);
+                    
+                    // A further round re-opens the modal, so close this one first
+                    this.hideModal();
+                    this.eventEmitter.emit('storefront:haggle-counter', haggle.id, price);
+                });
+            }
+        });
+    }
+    
     /**
      * Show an event modal
      * @param {Object} event - Event data
@@ -299,7 +451,7 @@ export class ModalManager {
             <div class="event-details">
                 <p class="event-description">${event.description}</p>
                 ${effectsList}
-                <p class="event-duration">This event will last for ${event.duration} minutes.</p>
+                <p class="event-duration">This event will last for ${event.duration} game hours.</p>
             </div>
         `;
         
@@ -316,6 +468,75 @@ export class ModalManager {
         });
     }
     
+    /**
+     * Show a summary of what happened while the player was away
+     * @param {Object} summary - Offline progress summary
+     */
+    showOfflineSummaryModal(summary) {
+        // Format sales
+        const salesText = summary.sales.count > 0
+            ? `Sold ${summary.sales.count} item(s) for $${summary.sales.revenue.toFixed(2)}`
+            : 'No sales';
+        
+        // Format wages
+        let wagesText = summary.wagesPaid > 0 ? `$${summary.wagesPaid.toFixed(2)}` : 'None';
+        if (summary.wagesMissed > 0) {
+            wagesText += ` <span class="warning">($${summary.wagesMissed.toFixed(2)} could not be paid)</span>`;
+        }
+        
+        // Format lost contracts
+        let contractsList = '<p>None</p>';
+        if (summary.contractsLost.length > 0) {
+            contractsList = `
+                <ul>
+                    ${summary.contractsLost.map(contract => `<li>${contract.customer}: ${contract.goods}</li>`).join('')}
+                </ul>
+            `;
+        }
+        
+        // Format crafted items
+        const crafted = Object.values(summary.itemsCrafted);
+        let craftedList = '<p>None</p>';
+        if (crafted.length > 0) {
+            craftedList = `
+                <ul>
+                    ${crafted.map(item => `<li>${item.quantity}x ${item.name}</li>`).join('')}
+                </ul>
+            `;
+        }
+        
+        // Format arrived shipments
+        const shipmentsText = summary.shipmentsArrived && summary.shipmentsArrived.length > 0
+            ? `${summary.shipmentsArrived.length} shipment(s) arrived from ${[...new Set(summary.shipmentsArrived)].join(', ')}`
+            : 'None';
+        
+        // Create modal content
+        const content = `
+            <div class="offline-summary">
+                <p>You were away for ${summary.awayText} of game time${summary.capped ? ' (the maximum that can be caught up)' : ''}.</p>
+                <h4>Sales:</h4>
+                <p>${salesText}</p>
+                <h4>Wages Paid:</h4>
+                <p>${wagesText}</p>
+                <h4>Contracts Lost:</h4>
+                ${contractsList}
+                <h4>Items Crafted:</h4>
+                ${craftedList}
+                <h4>Shipments Received:</h4>
+                <p>${shipmentsText}</p>
+            </div>
+        `;
+        
+        // Show the modal
+        this.showModal({
+            title: 'While You Were Away',
+            content,
+            showConfirm: true,
+            showCancel: false,
+            confirmText: 'Back to Work'
+        });
+    }
+    
     /**
      * Show a blueprint purchase modal
      * @param {Object} blueprint - Blueprint data
@@ -334,6 +555,17 @@ export class ModalManager {
             `;
         }
         
+        // Format components list
+        if (blueprint.requiredItems && Object.keys(blueprint.requiredItems).length > 0) {
+            materialsList += `
+                <h4>Required Components:</h4>
+                <ul>
+                    ${Object.entries(blueprint.requiredItems).map(([componentId, amount]) => 
+                        `<li>${componentId}: ${amount}</li>`).join('')}
+                </ul>
+            `;
+        }
+        
         // Create modal content
         const content = `
             <div class="blueprint-details">
@@ -372,6 +604,7 @@ export class ModalManager {
                 <div class="worker-stats">
                     <p><strong>Daily Salary:</strong> $${workerType.salary.toFixed(2)}</p>
                     <p><strong>Crafting Speed:</strong> ${(workerType.speedMultiplier * 100).toFixed(0)}%</p>
+                    <p><strong>Skill:</strong> ${(workerType.skill * 100).toFixed(0)}%</p>
                     <p><strong>Fatigue Rate:</strong> ${(workerType.fatigueRate * 100).toFixed(0)}%</p>
                 </div>
                 <div class="worker-cost">
@@ -409,8 +642,20 @@ export class ModalManager {
                         <input type="checkbox" id="setting-autosave" ${settings.autoSave ? 'checked' : ''}>
                     </div>
                     <div class="setting">
-                        <label for="setting-autosave-interval">Auto-Save Interval (seconds):</label>
-                        <input type="number" id="setting-autosave-interval" value="${settings.autoSaveInterval}" min="30" max="300" step="30">
+                        <label for="setting-autosave-interval">Auto-Save Interval (game minutes):</label>
+                        <input type="number" id="setting-autosave-interval" value="${settings.autoSaveInterval}" min="15" max="1440" step="15">
+                    </div>
+                    <div class="setting">
+                        <label for="setting-autosave-history">Autosaves Kept for Rewind:</label>
+                        <input type="number" id="setting-autosave-history" value="${settings.autoSaveHistorySize}" min="1" max="20" step="1">
+                    </div>
+                    <div class="setting">
+                        <label for="setting-offline-progress">Offline Progress:</label>
+                        <input type="checkbox" id="setting-offline-progress" ${settings.offlineProgress ? 'checked' : ''}>
+                    </div>
+                    <div class="setting">
+                        <label for="setting-max-offline-hours">Offline Catch-up Limit (game hours):</label>
+                        <input type="number" id="setting-max-offline-hours" value="${settings.maxOfflineHours}" min="1" max="168" step="1">
                     </div>
                 </div>
                 <div class="setting-group">
@@ -452,6 +697,9 @@ export class ModalManager {
                 const newSettings = {
                     autoSave: document.getElementById('setting-autosave').checked,
                     autoSaveInterval: parseInt(document.getElementById('setting-autosave-interval').value),
+                    autoSaveHistorySize: parseInt(document.getElementById('setting-autosave-history').value),
+                    offlineProgress: document.getElementById('setting-offline-progress').checked,
+                    maxOfflineHours: parseInt(document.getElementById('setting-max-offline-hours').value),
                     notificationDuration: parseInt(document.getElementById('setting-notification-duration').value) * 1000,
                     maxNotifications: parseInt(document.getElementById('setting-max-notifications').value),
                     timeMultiplier: parseInt(document.getElementById('setting-time-multiplier').value)
@@ -20,6 +20,9 @@ export class Notifications {
         // Notification history
         this.notifications = [];
         
+        // Whether toasts are suppressed (e.g. during offline catch-up)
+        this.suppressed = false;
+        
         // Register event listeners
         this.registerEventListeners();
         
@@ -52,6 +55,15 @@ export class Notifications {
         this.eventEmitter.on('notification:event', (message) => {
             this.add(message, 'event');
         });
+        
+        // Offline catch-up is reported in a single summary instead
+        this.eventEmitter.on('offline:started', () => {
+            this.suppressed = true;
+        });
+        
+        this.eventEmitter.on('offline:completed', () => {
+            this.suppressed = false;
+        });
     }
     
     /**
@@ -74,6 +86,9 @@ export class Notifications {
      * @param {string} type - Notification type (info, success, warning, danger, event)
      */
     add(message, type = 'info') {
+        // Skip while suppressed
+        if (this.suppressed) return;
+        
         // Create notification object
         const notification = {
             id: Date.now(),
@@ -116,11 +131,13 @@ export class Notifications {
         // Format timestamp
         const time = notification.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         
-        // Add content
-        element.innerHTML = `
-            <div class="notification-time">${time}</div>
-            <div class="notification-message">${notification.message}</div>
-        `;
+        // Add content (messages can quote player-entered text such as slot names, so they are never parsed as HTML)
+        element.innerHTML = `<div class="notification-time">${time}</div>`;
+        
+        const messageElement = document.createElement('div');
+        messageElement.className = 'notification-message';
+        messageElement.textContent = notification.message;
+        element.appendChild(messageElement);
         
         // Add to container
         this.notificationsContainer.insertBefore(element, this.notificationsContainer.firstChild);
@@ -14,7 +14,13 @@ export class UIManager {
         storefrontSystem,
         contractSystem,
         workerSystem,
-        timeSystem
+        timeSystem,
+        saveSystem,
+        marketSystem,
+        supplierSystem,
+        toolDurability,
+        productionPlanner,
+        reputationSystem
     ) {
         this.eventEmitter = eventEmitter;
         this.inventory = inventorySystem;
@@ -25,36 +31,54 @@ export class UIManager {
         this.contracts = contractSystem;
         this.workers = workerSystem;
         this.time = timeSystem;
+        this.saveSystem = saveSystem;
+        this.market = marketSystem;
+        this.suppliers = supplierSystem;
+        this.toolDurability = toolDurability;
+        this.planner = productionPlanner;
+        this.reputation = reputationSystem;
         
         // DOM element references
         this.elements = {
             // Header elements
             gameTime: document.getElementById('game-time'),
             money: document.getElementById('money'),
+            savesBtn: document.getElementById('saves-btn'),
+            settingsBtn: document.getElementById('settings-btn'),
+            reputationBtn: document.getElementById('reputation-btn'),
             
             // Materials inventory
             materialsTable: document.getElementById('materials-table').querySelector('tbody'),
             buyMaterialsBtn: document.getElementById('buy-materials-btn'),
+            incomingShipments: document.getElementById('incoming-shipments'),
             
             // Coal/forge status
             coalBar: document.getElementById('coal-bar'),
             coalPercentage: document.getElementById('coal-percentage'),
             refillCoalBtn: document.getElementById('refill-coal-btn'),
+            bellowsBtn: document.getElementById('bellows-btn'),
+            forgeTemperature: document.getElementById('forge-temperature'),
             
             // Tools section
             toolsTable: document.getElementById('tools-table').querySelector('tbody'),
+            toolShopBtn: document.getElementById('tool-shop-btn'),
             
             // Crafting section
             recipeSelect: document.getElementById('recipe-select'),
+            toolTierSelect: document.getElementById('tool-tier-select'),
             craftBtn: document.getElementById('craft-btn'),
-            craftingJob: document.getElementById('crafting-job'),
-            craftingBar: document.getElementById('crafting-bar'),
+            recipeTreeBtn: document.getElementById('recipe-tree-btn'),
+            pendingCrafts: document.getElementById('pending-crafts'),
+            stationSelect: document.getElementById('station-select'),
+            craftingStations: document.getElementById('crafting-stations'),
             
             // Storefront section
             storefrontTable: document.getElementById('storefront-table').querySelector('tbody'),
+            stockTable: document.getElementById('stock-table').querySelector('tbody'),
             
             // Contracts section
             availableContracts: document.getElementById('available-contracts'),
+            planProductionBtn: document.getElementById('plan-production-btn'),
             
             // Employees section
             employeesTable: document.getElementById('employees-table').querySelector('tbody'),
@@ -75,11 +99,14 @@ export class UIManager {
     initialize() {
         // Initial UI render
         this.updateMoneyDisplay();
+        this.updateReputationDisplay();
         this.updateMaterialsUI();
+        this.updateShipmentsUI();
         this.updateCoalUI();
         this.updateToolsUI();
         this.updateCraftingUI();
         this.updateStorefrontUI();
+        this.updateStockUI();
         this.updateContractsUI();
         this.updateWorkersUI();
         this.updateBlueprintsUI();
@@ -97,17 +124,41 @@ export class UIManager {
             this.updateMoneyDisplay();
             this.updateMaterialsUI();
             this.updateToolsUI();
+            this.updateStockUI();
         });
         
         this.eventEmitter.on('money:updated', (amount) => {
             this.updateMoneyDisplay();
         });
         
+        // Reputation events
+        this.eventEmitter.on('reputation:changed', () => {
+            this.updateReputationDisplay();
+            this.updateContractsUI();
+        });
+        
+        // Shipment events
+        this.eventEmitter.on('shipment:ordered', () => {
+            this.updateShipmentsUI();
+        });
+        
+        this.eventEmitter.on('shipment:arrived', () => {
+            this.updateShipmentsUI();
+        });
+        
+        this.eventEmitter.on('shipment:delayed', () => {
+            this.updateShipmentsUI();
+        });
+        
         // Coal events
         this.eventEmitter.on('coal:updated', (level) => {
             this.updateCoalUI();
         });
         
+        this.eventEmitter.on('coal:temperature', () => {
+            this.updateTemperatureUI();
+        });
+        
         // Crafting events
         this.eventEmitter.on('crafting:started', (job) => {
             this.updateCraftingUI();
@@ -121,6 +172,10 @@ export class UIManager {
             this.updateCraftingUI();
         });
         
+        this.eventEmitter.on('crafting:heat-changed', () => {
+            this.updateCraftingUI();
+        });
+        
         this.eventEmitter.on('crafting:paused', () => {
             this.updateCraftingUI();
         });
@@ -133,6 +188,23 @@ export class UIManager {
             this.updateCraftingUI();
         });
         
+        this.eventEmitter.on('crafting:queued', () => {
+            this.updateCraftingUI();
+        });
+        
+        this.eventEmitter.on('crafting:queue-empty', () => {
+            this.updateCraftingUI();
+        });
+        
+        this.eventEmitter.on('crafting:pending-updated', () => {
+            this.updatePendingCraftsUI();
+        });
+        
+        this.eventEmitter.on('crafting:station-assigned', () => {
+            this.updateCraftingUI();
+            this.updateWorkersUI();
+        });
+        
         this.eventEmitter.on('crafting:queue-updated', () => {
             this.updateCraftingUI();
         });
@@ -157,6 +229,10 @@ export class UIManager {
             this.updateContractsUI();
         });
         
+        this.eventEmitter.on('contract:accepted', () => {
+            this.updateContractsUI();
+        });
+        
         this.eventEmitter.on('contract:completed', () => {
             this.updateContractsUI();
         });
@@ -165,6 +241,39 @@ export class UIManager {
             this.updateContractsUI();
         });
         
+        this.eventEmitter.on('contract:rejected', () => {
+            this.updateContractsUI();
+        });
+        
+        this.eventEmitter.on('contract:negotiated', () => {
+            this.updateContractsUI();
+        });
+        
+        this.eventEmitter.on('contract:delivered', () => {
+            this.updateContractsUI();
+        });
+        
+        this.eventEmitter.on('contract:late', () => {
+            this.updateContractsUI();
+        });
+        
+        // Standing order events
+        this.eventEmitter.on('contract:standing-offered', () => {
+            this.updateContractsUI();
+        });
+        
+        this.eventEmitter.on('contract:standing-missed', () => {
+            this.updateContractsUI();
+        });
+        
+        this.eventEmitter.on('contract:standing-cancelled', () => {
+            this.updateContractsUI();
+        });
+        
+        this.eventEmitter.on('contract:renegotiated', () => {
+            this.updateContractsUI();
+        });
+        
         // Worker events
         this.eventEmitter.on('worker:hired', () => {
             this.updateWorkersUI();
@@ -178,6 +287,10 @@ export class UIManager {
             this.updateWorkersUI();
         });
         
+        this.eventEmitter.on('worker:task-completed', () => {
+            this.updateWorkersUI();
+        });
+        
         this.eventEmitter.on('worker:resting', () => {
             this.updateWorkersUI();
         });
@@ -210,16 +323,59 @@ export class UIManager {
             });
         }
         
+        // Bellows button
+        if (this.elements.bellowsBtn) {
+            this.elements.bellowsBtn.addEventListener('click', () => {
+                this.eventEmitter.emit('coal:bellows');
+            });
+        }
+        
         // Craft button
         if (this.elements.craftBtn) {
             this.elements.craftBtn.addEventListener('click', () => {
                 const selectedRecipe = this.elements.recipeSelect.value;
                 if (selectedRecipe) {
-                    this.eventEmitter.emit('crafting:start', selectedRecipe);
+                    const toolTier = this.elements.toolTierSelect ? this.elements.toolTierSelect.value : 'standard';
+                    const stationId = this.elements.stationSelect ? this.elements.stationSelect.value || null : null;
+                    this.eventEmitter.emit('crafting:start', selectedRecipe, 1, null, toolTier, stationId);
+                }
+            });
+        }
+        
+        // Only tool recipes have a quality tier to choose
+        if (this.elements.recipeSelect && this.elements.toolTierSelect) {
+            this.elements.recipeSelect.addEventListener('change', () => {
+                this.updateToolTierSelect();
+                this.updateStationSelect();
+            });
+        }
+        
+        // Recipe tree button
+        if (this.elements.recipeTreeBtn) {
+            this.elements.recipeTreeBtn.addEventListener('click', () => {
+                const selectedRecipe = this.elements.recipeSelect.value;
+                if (selectedRecipe) {
+                    this.showRecipeTreeModal(selectedRecipe);
+                } else {
+                    this.eventEmitter.emit('notification:warning', 'No item selected');
                 }
             });
         }
         
+        // Tool shop button
+        if (this.elements.toolShopBtn) {
+            this.elements.toolShopBtn.addEventListener('click', () => {
+                this.showToolShopModal();
+            });
+        }
+        
+        // Production plan button
+        if (this.elements.planProductionBtn) {
+            this.elements.planProductionBtn.addEventListener('click', () => {
+                this.showProductionPlanModal();
+            });
+        }
+        
         // Hire employee button
         if (this.elements.hireEmployeeBtn) {
             this.elements.hireEmployeeBtn.addEventListener('click', () => {
@@ -233,6 +389,27 @@ export class UIManager {
                 this.showBuyBlueprintModal();
             });
         }
+        
+        // Save manager button
+        if (this.elements.savesBtn) {
+            this.elements.savesBtn.addEventListener('click', () => {
+                this.showSaveManagerModal();
+            });
+        }
+        
+        // Settings button (the game owns the settings it applies)
+        if (this.elements.settingsBtn) {
+            this.elements.settingsBtn.addEventListener('click', () => {
+                this.eventEmitter.emit('settings:show');
+            });
+        }
+        
+        // Reputation button
+        if (this.elements.reputationBtn) {
+            this.elements.reputationBtn.addEventListener('click', () => {
+                this.showReputationModal();
+            });
+        }
     }
     
     /**
@@ -243,6 +420,7 @@ export class UIManager {
         
         // Update time-sensitive UI elements
         this.updateContractsUI(); // Update contract timers
+        this.updateShipmentsUI(); // Update shipment arrival times
         this.updateWorkersUI();   // Update worker fatigue displays
     }
     
@@ -255,6 +433,16 @@ export class UIManager {
         }
     }
     
+    /**
+     * Update the town reputation display
+     */
+    updateReputationDisplay() {
+        if (this.elements.reputationBtn) {
+            const town = this.reputation.getStandings().town;
+            this.elements.reputationBtn.textContent = `Standing: ${town.tier.name}`;
+        }
+    }
+    
     /**
      * Update the materials inventory UI
      */
@@ -322,6 +510,24 @@ export class UIManager {
         if (this.elements.refillCoalBtn) {
             this.elements.refillCoalBtn.disabled = coalLevel >= 100 || this.inventory.materials.coal <= 0;
         }
+        
+        this.updateTemperatureUI();
+    }
+    
+    /**
+     * Update the forge temperature display
+     */
+    updateTemperatureUI() {
+        if (!this.elements.forgeTemperature) return;
+        
+        const temperature = Math.round(this.coal.getTemperature());
+        const bellows = this.coal.isBellowsActive();
+        
+        this.elements.forgeTemperature.textContent = `${temperature}°F${bellows ? ' (bellows)' : ''}`;
+        
+        if (this.elements.bellowsBtn) {
+            this.elements.bellowsBtn.disabled = this.coal.getLevel() <= 0;
+        }
     }
     
     /**
@@ -341,9 +547,10 @@ export class UIManager {
             
             // Calculate durability percentage
             const durabilityPercent = (toolData.uses / toolData.maxUses) * 100;
+            const tier = this.toolDurability.getToolTier(toolData.tier);
             
             row.innerHTML = `
-                <td>${toolId}</td>
+                <td>${toolId} <span class="tool-tier ${toolData.tier || 'standard'}">${tier.name}</span></td>
                 <td>
                     <div class="progress-container">
                         <div class="progress-bar" style="width: ${durabilityPercent}%; background-color: ${this.getDurabilityColor(durabilityPercent)}"></div>
@@ -363,8 +570,7 @@ export class UIManager {
         repairButtons.forEach(button => {
             button.addEventListener('click', (e) => {
                 const toolId = e.target.dataset.tool;
-                // Implement repair action if needed
-                console.log(`Repairing tool: ${toolId}`);
+                this.showRepairToolModal(toolId);
             });
         });
     }
@@ -419,88 +625,231 @@ export class UIManager {
             this.elements.craftBtn.disabled = !canCraft;
         }
         
-        // Update current craft job
-        this.updateCurrentCraftJob();
+        // Show the tier choice for tool recipes
+        this.updateToolTierSelect();
+        
+        // Update station choices and station lines
+        this.updateStationSelect();
+        this.updateStationsUI();
+        this.updatePendingCraftsUI();
     }
     
     /**
-     * Update the current craft job display
+     * Update the list of crafts waiting for components
      */
-    updateCurrentCraftJob() {
-        if (!this.elements.craftingJob || !this.elements.craftingBar) return;
+    updatePendingCraftsUI() {
+        if (!this.elements.pendingCrafts) return;
         
-        const currentCraft = this.crafting.getCurrentCraft();
+        const pendingCrafts = this.crafting.getPendingCrafts();
         
-        if (!currentCraft) {
-            this.elements.craftingJob.textContent = 'No active crafting job';
-            this.elements.craftingBar.style.width = '0%';
+        if (pendingCrafts.length === 0) {
+            this.elements.pendingCrafts.innerHTML = '';
             return;
         }
         
-        // Get item name and progress
-        const itemName = currentCraft.name;
-        const progress = (currentCraft.progress / currentCraft.craftingTime) * 100;
-        
-        // Update job text
-        if (currentCraft.paused) {
-            this.elements.craftingJob.innerHTML = `
-                <div>Crafting ${itemName} - PAUSED</div>
-                <div class="pause-reason">${currentCraft.pauseReason || 'Unknown reason'}</div>
-                <button id="resume-craft" class="small-btn">Resume</button>
-                <button id="cancel-craft" class="small-btn">Cancel</button>
-            `;
+        this.elements.pendingCrafts.innerHTML = `
+            <h4>Waiting</h4>
+            ${pendingCrafts.map(pending => `
+                <div class="pending-craft">
+                    ${pending.quantity}x ${pending.name}
+                    <span class="pending-reason">${pending.reason || 'Ready'}</span>
+                    <button class="small-btn" data-action="cancel-pending" data-pending="${pending.id}">Cancel</button>
+                </div>
+            `).join('')}
+        `;
+        
+        // Add event listeners for buttons
+        const cancelButtons = this.elements.pendingCrafts.querySelectorAll('[data-action="cancel-pending"]');
+        cancelButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.crafting.cancelPendingCraft(e.target.dataset.pending);
+            });
+        });
+    }
+    
+    /**
+     * Render a recipe tree node and its components as nested lists
+     * @param {Object} node - Recipe tree node
+     * @returns {string} - HTML for the node
+     */
+    renderRecipeNode(node) {
+        const materials = Object.entries(node.materials)
+            .map(([materialId, amount]) => `${Math.round(amount * 10) / 10} ${materialId}`)
+            .join(', ');
+        
+        let status = '';
+        if (node.crafts === 0) {
+            status = '<span class="recipe-ready">in stock</span>';
+        } else if (!node.unlocked) {
+            status = '<span class="recipe-blocked">blueprint needed</span>';
+        } else if (node.blocker && node.blocker !== 'Missing components') {
+            status = `<span class="recipe-blocked">${node.blocker}</span>`;
+        }
+        
+        return `
+            <li>
+                <strong>${node.quantity}x ${node.name}</strong>
+                ${node.inStock > 0 ? `(${node.inStock} in stock)` : ''}
+                ${node.crafts > 0 ? `- ${node.crafts} craft${node.crafts > 1 ? 's' : ''}${materials ? ` using ${materials}` : ''}` : ''}
+                ${status}
+                ${node.children.length > 0 ? `<ul>${node.children.map(child => this.renderRecipeNode(child)).join('')}</ul>` : ''}
+            </li>
+        `;
+    }
+    
+    /**
+     * Show the full recipe tree for an item, with the option to queue missing components
+     * @param {string} itemId - ID of the item
+     */
+    showRecipeTreeModal(itemId) {
+        const tree = this.crafting.getRecipeTree(itemId);
+        const steps = this.crafting.getCraftSteps(itemId);
+        
+        const content = `
+            <div class="recipe-tree">
+                <ul>${this.renderRecipeNode(tree)}</ul>
+                <p>${steps.length > 1 ?
+                    `Queueing makes ${steps.length - 1} component craft${steps.length > 2 ? 's' : ''} first; each step starts as soon as its parts are ready.` :
+                    'All components are in stock.'}</p>
+            </div>
+        `;
+        
+        this.eventEmitter.emit('modal:show', {
+            title: `Recipe: ${tree.name}`,
+            content: content,
+            showConfirm: true,
+            showCancel: true,
+            confirmText: steps.length > 1 ? 'Queue With Components' : 'Queue',
+            cancelText: 'Close',
+            onConfirm: () => {
+                this.eventEmitter.emit('crafting:queue-with-components', itemId, 1);
+            }
+        });
+    }
+    
+    /**
+     * Update the station select with stations that can make the selected recipe
+     */
+    updateStationSelect() {
+        if (!this.elements.stationSelect || !this.elements.recipeSelect) return;
+        
+        const currentSelection = this.elements.stationSelect.value;
+        const itemData = this.crafting.itemsData.items[this.elements.recipeSelect.value];
+        const compatible = itemData ? this.crafting.getCompatibleStations(itemData) : [];
+        
+        this.elements.stationSelect.innerHTML = '<option value="">Any Station</option>';
+        
+        for (const station of this.crafting.getStations()) {
+            if (itemData && !compatible.includes(station.id)) continue;
             
-            // Add event listeners
-            const resumeBtn = document.getElementById('resume-craft');
-            const cancelBtn = document.getElementById('cancel-craft');
+            const option = document.createElement('option');
+            option.value = station.id;
+            option.textContent = station.name;
             
-            if (resumeBtn) {
-                resumeBtn.addEventListener('click', () => {
-                    this.crafting.resumeCrafting();
-                });
+            if (station.missingTools.length > 0) {
+                option.disabled = true;
+                option.textContent += ` (needs ${station.missingTools.join(', ')})`;
             }
             
-            if (cancelBtn) {
-                cancelBtn.addEventListener('click', () => {
-                    this.crafting.cancelCurrentCraft();
-                });
+            this.elements.stationSelect.appendChild(option);
+        }
+        
+        // Restore selection if possible
+        if (Array.from(this.elements.stationSelect.options).some(option => option.value === currentSelection && !option.disabled)) {
+            this.elements.stationSelect.value = currentSelection;
+        }
+    }
+    
+    /**
+     * Show the tool tier select only when the selected recipe forges a tool
+     */
+    updateToolTierSelect() {
+        if (!this.elements.toolTierSelect || !this.elements.recipeSelect) return;
+        
+        const itemData = this.crafting.itemsData.items[this.elements.recipeSelect.value];
+        this.elements.toolTierSelect.classList.toggle('hidden', !(itemData && itemData.createsTool));
+    }
+    
+    /**
+     * Update the crafting stations display
+     */
+    updateStationsUI() {
+        if (!this.elements.craftingStations) return;
+        
+        const workers = this.workers.getHiredWorkers();
+        
+        this.elements.craftingStations.innerHTML = '';
+        
+        for (const station of this.crafting.getStations()) {
+            const job = station.currentCraft;
+            const worker = workers.find(w => w.id === station.workerId);
+            const progress = job ? (job.progress / job.craftingTime) * 100 : 0;
+            
+            let status = 'Idle';
+            if (station.missingTools.length > 0) {
+                status = `Needs ${station.missingTools.join(', ')}`;
+            } else if (job) {
+                status = `${job.repairTool ? '' : 'Crafting '}${job.name}${job.paused ? ' - PAUSED' : ''}` +
+                    (job.waitingForHeat ? ` - waiting for ${job.itemData.minTemperature}°F` : '');
             }
-        } else {
-            this.elements.craftingJob.innerHTML = `
-                <div>Crafting ${itemName}</div>
-                <div>${Math.floor(currentCraft.progress)}/${currentCraft.craftingTime} seconds</div>
-                <button id="cancel-craft" class="small-btn">Cancel</button>
+            
+            const card = document.createElement('div');
+            card.className = `station-card${job && job.paused ? ' paused' : ''}`;
+            card.dataset.station = station.id;
+            card.innerHTML = `
+                <div class="station-header">
+                    <strong>${station.name}</strong>
+                    <span class="station-worker">${worker ? worker.name : 'Unstaffed'}</span>
+                </div>
+                <div class="station-job">${status}</div>
+                ${job && job.paused ? `<div class="pause-reason">${job.pauseReason || 'Unknown reason'}</div>` : ''}
+                <div class="station-time">${job ? `${Math.floor(job.progress)}/${job.craftingTime} minutes` : ''}</div>
+                <div class="progress-container">
+                    <div class="progress-bar" style="width: ${progress}%"></div>
+                </div>
+                ${station.queue.length > 0 ? `
+                    <div class="station-queue">Queued: ${station.queue.map(queued => queued.name).join(', ')}</div>
+                ` : ''}
+                ${job && job.paused ? `<button class="small-btn" data-action="resume" data-station="${station.id}">Resume</button>` : ''}
+                ${job ? `<button class="small-btn" data-action="cancel" data-station="${station.id}">Cancel</button>` : ''}
             `;
             
-            // Add event listener
-            const cancelBtn = document.getElementById('cancel-craft');
-            if (cancelBtn) {
-                cancelBtn.addEventListener('click', () => {
-                    this.crafting.cancelCurrentCraft();
-                });
-            }
+            this.elements.craftingStations.appendChild(card);
         }
         
-        // Update progress bar
-        this.elements.craftingBar.style.width = `${progress}%`;
+        // Add event listeners for buttons
+        const resumeButtons = this.elements.craftingStations.querySelectorAll('[data-action="resume"]');
+        resumeButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.crafting.resumeCrafting(e.target.dataset.station);
+            });
+        });
+        
+        const cancelButtons = this.elements.craftingStations.querySelectorAll('[data-action="cancel"]');
+        cancelButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.crafting.cancelCurrentCraft(e.target.dataset.station);
+            });
+        });
     }
     
     /**
-     * Update the crafting progress display
+     * Update the crafting progress display for one station
      */
     updateCraftingProgress(progress) {
-        if (!this.elements.craftingBar) return;
+        if (!this.elements.craftingStations) return;
         
-        const percentage = progress.percentage;
-        this.elements.craftingBar.style.width = `${percentage}%`;
+        const card = this.elements.craftingStations.querySelector(`[data-station="${progress.stationId}"]`);
+        if (!card) return;
         
-        // Update current job text if needed
-        const currentCraft = this.crafting.getCurrentCraft();
-        if (currentCraft && !currentCraft.paused && this.elements.craftingJob) {
-            const progressText = this.elements.craftingJob.querySelector('div:nth-child(2)');
-            if (progressText) {
-                progressText.textContent = `${Math.floor(currentCraft.progress)}/${currentCraft.craftingTime} seconds`;
-            }
+        const bar = card.querySelector('.progress-bar');
+        if (bar) {
+            bar.style.width = `${progress.percentage}%`;
+        }
+        
+        const progressText = card.querySelector('.station-time');
+        if (progressText) {
+            progressText.textContent = `${Math.floor(progress.progress)}/${progress.total} minutes`;
         }
     }
     
@@ -520,10 +869,17 @@ export class UIManager {
             const row = document.createElement('tr');
             
             row.innerHTML = `
-                <td>${itemData.name}</td>
-                <td>$${itemData.currentPrice.toFixed(2)}</td>
+                <td>
+                    ${itemData.name}
+                    <div class="quality-stacks">${this.formatQualityStacks(itemData.qualities)}</div>
+                </td>
+                <td>
+                    $${itemData.currentPrice.toFixed(2)}
+                    ${itemData.postedPrice ? `<div class="price-note">Going rate $${itemData.fairPrice.toFixed(2)}</div>` : ''}
+                </td>
                 <td>${itemData.quantity}</td>
                 <td>
+                    <button class="small-btn" data-action="set-price" data-item="${itemId}">Price</button>
                     <button class="small-btn" data-action="remove-from-storefront" data-item="${itemId}">Remove</button>
                     <button class="small-btn" data-action="sell-item" data-item="${itemId}">Sell</button>
                 </td>
@@ -557,6 +913,107 @@ export class UIManager {
                 this.eventEmitter.emit('storefront:sell', itemId, 1);
             });
         });
+        
+        const priceButtons = this.elements.storefrontTable.querySelectorAll('[data-action="set-price"]');
+        priceButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.showSetPriceModal(e.target.dataset.item);
+            });
+        });
+    }
+    
+    /**
+     * Show a modal for posting a storefront item's price
+     * @param {string} itemId - ID of the item
+     */
+    showSetPriceModal(itemId) {
+        const itemData = this.storefront.getStorefrontItems()[itemId];
+        if (!itemData) return;
+        
+        const content = `
+            <div class="set-price">
+                <p>Going rate for a common ${itemData.name.toLowerCase()}: $${itemData.fairPrice.toFixed(2)}. Better grades sell for more in proportion.</p>
+                <label for="posted-price">Posted price $</label>
+                <input type="number" id="posted-price" min="0" step="0.01" value="${(itemData.postedPrice || itemData.fairPrice).toFixed(2)}">
+                <p class="price-note">Customers who mind their money walk out or haggle over a steep price. Leave blank to sell at the going rate.</p>
+            </div>
+        `;
+        
+        this.eventEmitter.emit('modal:show', {
+            title: `Price ${itemData.name}`,
+            content,
+            showConfirm: true,
+            showCancel: true,
+            confirmText: 'Set Price',
+            onConfirm: () => {
+                const value = document.getElementById('posted-price').value;
+                this.eventEmitter.emit('storefront:set-price', itemId, value === '' ? null : parseFloat(value));
+            }
+        });
+    }
+    
+    /**
+     * Describe quality stacks, best first (e.g. "1 Fine, 2 Common")
+     * @param {Object} qualities - Amounts by quality grade
+     * @returns {string} - Description of the stacks
+     */
+    formatQualityStacks(qualities = {}) {
+        const grades = this.crafting.itemsData.itemQualities;
+        
+        return Object.entries(qualities)
+            .sort(([a], [b]) => grades[b].rank - grades[a].rank)
+            .map(([quality, amount]) => `${amount} ${grades[quality].name}`)
+            .join(', ');
+    }
+    
+    /**
+     * Update the workshop stock table (crafted items not yet on the shelf)
+     */
+    updateStockUI() {
+        if (!this.elements.stockTable) return;
+        
+        const stacks = this.inventory.getItemStacks();
+        const grades = this.crafting.itemsData.itemQualities;
+        
+        // Clear the table
+        this.elements.stockTable.innerHTML = '';
+        
+        // Add a row for each quality stack of each item
+        for (const [itemId, qualities] of Object.entries(stacks)) {
+            const itemData = this.crafting.itemsData.items[itemId];
+            
+            for (const [quality, amount] of Object.entries(qualities)) {
+                const row = document.createElement('tr');
+                
+                row.innerHTML = `
+                    <td>${itemData ? itemData.name : itemId}</td>
+                    <td><span class="item-quality ${quality}">${grades[quality].name}</span></td>
+                    <td>${amount}</td>
+                    <td>
+                        <button class="small-btn" data-action="stock-item" data-item="${itemId}" data-quality="${quality}">Stock</button>
+                    </td>
+                `;
+                
+                this.elements.stockTable.appendChild(row);
+            }
+        }
+        
+        // Add empty state if no items
+        if (Object.keys(stacks).length === 0) {
+            const emptyRow = document.createElement('tr');
+            emptyRow.innerHTML = `
+                <td colspan="4" class="text-center">No crafted items in stock</td>
+            `;
+            this.elements.stockTable.appendChild(emptyRow);
+        }
+        
+        // Add event listeners for buttons
+        const stockButtons = this.elements.stockTable.querySelectorAll('[data-action="stock-item"]');
+        stockButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.eventEmitter.emit('storefront:add', e.target.dataset.item, 1, e.target.dataset.quality);
+            });
+        });
     }
     
     /**
@@ -566,7 +1023,7 @@ export class UIManager {
         if (!this.elements.availableContracts) return;
         
         const contracts = this.contracts.getContracts();
-        const allContracts = [...contracts.standard, ...contracts.special];
+        const allContracts = [...contracts.standing, ...contracts.standard, ...contracts.special];
         
         // Clear the container
         this.elements.availableContracts.innerHTML = '';
@@ -578,24 +1035,54 @@ export class UIManager {
             
             // Create card element
             const card = document.createElement('div');
-            card.className = `card contract-card ${contract.isSpecial ? 'special-contract' : ''}`;
+            card.className = `card contract-card ${contract.isSpecial ? 'special-contract' : ''} ${contract.isStanding ? 'standing-order' : ''} ${contract.accepted ? 'accepted-contract' : ''}`;
             card.dataset.contractId = contract.id;
             
+            // Standing orders show their delivery schedule instead of a one-off deadline
+            const scheduleDetails = contract.isStanding && contract.accepted ? `
+                    <div>Next Delivery: ${this.time.formatDateTime(contract.expiryTime)} (in ${timeRemaining.hours}h ${timeRemaining.minutes}m)</div>
+                    <div>Delivered: ${contract.deliveries} | Missed: ${contract.missed}/${contract.maxMissed}</div>
+                    <div>Penalty: $${(contract.payout * contract.penaltyRate).toFixed(2)} per missed delivery</div>
+                ` : `
+                    <div>${contract.isStanding ? 'Offer Open' : 'Time Remaining'}: ${timeRemaining.hours}h ${timeRemaining.minutes}m</div>
+                `;
+            
+            // Accepted contracts are delivered a piece at a time and paid as they go
+            const deliveryDetails = contract.accepted && !contract.isStanding ? this.getDeliveryDetails(contract) : '';
+            
             card.innerHTML = `
-                <div class="card-title">${contract.customer}</div>
+                <div class="card-title">
+                    ${contract.customer}
+                    ${contract.isStanding ? ' <span class="contract-status">Standing Order</span>' : ''}
+                    ${contract.accepted ? ' <span class="contract-status">Accepted</span>' : ''}
+                </div>
                 <div class="card-description">${contract.description || 'No description'}</div>
                 <div class="contract-details">
+                    ${contract.isBundle ? this.getLineItemDetails(contract) : `
                     <div>Item: ${contract.itemName || contract.item}</div>
-                    <div>Quantity: ${contract.quantity}</div>
-                    <div>Payout: $${contract.payout.toFixed(2)}</div>
-                    <div>Time Remaining: ${timeRemaining.minutes}m ${timeRemaining.seconds}s</div>
+                    <div>Quantity: ${contract.quantity}${contract.isStanding ? ' a week' : ''}</div>
+                    `}
+                    ${contract.minQuality ? `<div>Quality: ${this.crafting.itemsData.itemQualities[contract.minQuality].name} or better</div>` : ''}
+                    <div>Payout: $${contract.payout.toFixed(2)}${contract.isStanding ? ' per delivery' : ''}</div>
+                    ${contract.bundleBonus ? `<div>Bundle Bonus: $${this.contracts.contractsData.calculateBundleBonus(contract).toFixed(2)} when everything is delivered</div>` : ''}
+                    <div>Standing: ${this.reputation.getTier(this.reputation.getCustomerReputation(contract.customer)).name}</div>
+                    ${contract.terms ? `<div class="contract-terms">Negotiated (round ${contract.negotiationRound} of ${contract.maxNegotiationRounds})</div>` : ''}
+                    ${contract.late ? '' : scheduleDetails}
+                    ${deliveryDetails}
                 </div>
                 <div class="progress-container">
                     <div class="progress-bar" style="width: ${timeRemaining.percentage}%; background-color: ${this.getTimeRemainingColor(timeRemaining.percentage)}"></div>
                 </div>
                 <div class="card-actions">
-                    <button class="btn-primary" data-action="fulfill-contract" data-contract="${contract.id}">Fulfill</button>
-                    <button class="btn-secondary" data-action="reject-contract" data-contract="${contract.id}">Reject</button>
+                    ${contract.accepted ?
+                        `<button class="btn-secondary" data-action="plan-contract" data-contract="${contract.id}">Queue Crafts</button>` :
+                        `<button class="btn-secondary" data-action="accept-contract" data-contract="${contract.id}">Accept</button>`
+                    }
+                    <button class="btn-primary" data-action="fulfill-contract" data-contract="${contract.id}">${contract.accepted ? 'Deliver' : 'Fulfill'}</button>
+                    ${contract.isStanding ? `<button class="btn-secondary" data-action="renegotiate-contract" data-contract="${contract.id}">Renegotiate</button>` : ''}
+                    ${!contract.accepted && (contract.negotiationRound || 0) < (contract.maxNegotiationRounds || 0) ?
+                        `<button class="btn-secondary" data-action="negotiate-contract" data-contract="${contract.id}">Negotiate</button>` : ''}
+                    <button class="btn-secondary" data-action="reject-contract" data-contract="${contract.id}">${contract.accepted ? 'Cancel' : 'Reject'}</button>
                 </div>
             `;
             
@@ -611,6 +1098,22 @@ export class UIManager {
         }
         
         // Add event listeners for buttons
+        const acceptButtons = this.elements.availableContracts.querySelectorAll('[data-action="accept-contract"]');
+        acceptButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const contractId = e.target.dataset.contract;
+                this.eventEmitter.emit('contract:accept', contractId);
+            });
+        });
+        
+        const planButtons = this.elements.availableContracts.querySelectorAll('[data-action="plan-contract"]');
+        planButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const contractId = e.target.dataset.contract;
+                this.eventEmitter.emit('planner:enqueue', contractId);
+            });
+        });
+        
         const fulfillButtons = this.elements.availableContracts.querySelectorAll('[data-action="fulfill-contract"]');
         fulfillButtons.forEach(button => {
             button.addEventListener('click', (e) => {
@@ -626,6 +1129,273 @@ export class UIManager {
                 this.eventEmitter.emit('contract:reject', contractId);
             });
         });
+        
+        const negotiateButtons = this.elements.availableContracts.querySelectorAll('[data-action="negotiate-contract"]');
+        negotiateButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const contract = this.contracts.getContract(e.target.dataset.contract);
+                if (contract) {
+                    this.eventEmitter.emit('contract:negotiate-start', contract);
+                }
+            });
+        });
+        
+        const renegotiateButtons = this.elements.availableContracts.querySelectorAll('[data-action="renegotiate-contract"]');
+        renegotiateButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.showRenegotiateModal(e.target.dataset.contract);
+            });
+        });
+    }
+    
+    /**
+     * Build the line item list for a bundled contract card
+     * @param {Object} contract - Bundled contract
+     * @returns {string} - HTML for the card
+     */
+    getLineItemDetails(contract) {
+        const lines = contract.lineItems.map(line => {
+            const progress = contract.accepted ? `${line.deliveredQuantity || 0} / ${line.quantity}` : `${line.quantity}`;
+            const done = line.deliveredQuantity >= line.quantity ? ' class="line-item-done"' : '';
+            return `<li${done}>${line.itemName || line.item}: ${progress}</li>`;
+        });
+        
+        return `
+                    <div>Bundle: ${contract.itemName}</div>
+                    <ul class="contract-line-items">${lines.join('')}</ul>
+                `;
+    }
+    
+    /**
+     * Build the delivery progress lines for an accepted contract card
+     * @param {Object} contract - Accepted contract
+     * @returns {string} - HTML for the card
+     */
+    getDeliveryDetails(contract) {
+        const contractsData = this.contracts.contractsData;
+        const delivered = contract.deliveredQuantity || 0;
+        const outstanding = this.contracts.getOutstandingQuantity(contract);
+        
+        let lateness = '';
+        if (contract.late) {
+            const penalty = contractsData.calculateLatePenalty(contract, this.time.getTotalMinutes()) || 0;
+            lateness = `
+                    <div class="contract-overdue">Overdue: pieces paid ${Math.round(penalty * 100)}% less, cancelled ${this.time.formatDateTime(contractsData.getContractCancelTime(contract))}</div>
+                `;
+        }
+        
+        return `
+                    <div>Delivered: ${delivered} / ${contract.quantity} (${outstanding} outstanding)</div>
+                    <div>Deposit: $${(contract.deposit || 0).toFixed(2)}</div>
+                    <div>Projected Payout: $${this.contracts.getProjectedPayout(contract).toFixed(2)}</div>
+                    ${lateness}
+                `;
+    }
+    
+    /**
+     * Show a modal for changing a standing order's weekly quantity
+     * @param {string} contractId - ID of the standing order
+     */
+    showRenegotiateModal(contractId) {
+        const contract = this.contracts.getContract(contractId);
+        if (!contract || !contract.isStanding) return;
+        
+        const content = `
+            <div class="renegotiate-order">
+                <p>${contract.customer} currently takes ${contract.quantity}x ${contract.itemName} a week for $${contract.payout.toFixed(2)} a delivery.
+                They'll consider anything from ${contract.minQuantity} to ${contract.maxQuantity} a week, once per delivery.</p>
+                <label for="standing-quantity">Weekly quantity</label>
+                <input type="number" id="standing-quantity" min="${contract.minQuantity}" max="${contract.maxQuantity}" step="1" value="${contract.quantity}">
+            </div>
+        `;
+        
+        this.eventEmitter.emit('modal:show', {
+            title: 'Renegotiate Standing Order',
+            content,
+            showConfirm: true,
+            showCancel: true,
+            confirmText: 'Propose',
+            onConfirm: () => {
+                const quantity = parseInt(document.getElementById('standing-quantity').value, 10);
+                this.eventEmitter.emit('contract:renegotiate', contractId, quantity);
+            }
+        });
+    }
+    
+    /**
+     * Show the production plan for accepted contracts
+     */
+    showProductionPlanModal() {
+        if (!this.planner) return;
+        
+        const plan = this.planner.buildPlan();
+        const now = this.time.getTotalMinutes();
+        const statusLabels = {
+            ready: 'In stock',
+            planned: 'On schedule',
+            late: 'Late',
+            blocked: 'Blocked'
+        };
+        
+        let content = '<div class="production-plan">';
+        
+        if (plan.contracts.length === 0) {
+            content += '<p>Accept a contract to plan its production.</p>';
+        } else {
+            content += `
+                <h4>Contracts</h4>
+                <table class="plan-contracts">
+                    <thead>
+                        <tr>
+                            <th>Order</th>
+                            <th>Stock</th>
+                            <th>In Progress</th>
+                            <th>To Make</th>
+                            <th>Ready In</th>
+                            <th>Due In</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${plan.contracts.map(entry => `
+                            <tr class="plan-${entry.status}">
+                                <td>${entry.customer}: ${entry.quantity}x ${entry.itemName}</td>
+                                <td>${entry.fromStock}</td>
+                                <td>${entry.inProduction}</td>
+                                <td>${entry.toMake}</td>
+                                <td>${entry.status === 'blocked' ? '-' : this.time.formatDuration(entry.estimatedFinish - now)}</td>
+                                <td>${this.time.formatDuration(entry.deadline - now)}</td>
+                                <td>${statusLabels[entry.status]}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+            
+            if (plan.steps.length > 0) {
+                content += `
+                    <h4>Craft Sequence</h4>
+                    <ol class="plan-steps">
+                        ${plan.steps.map(step => `
+                            <li>${step.quantity}x ${step.name}${step.stationId ? ` at the ${this.getStationName(step.stationId)}` : ''}</li>
+                        `).join('')}
+                    </ol>
+                `;
+            }
+            
+            if (plan.purchases.length > 0) {
+                content += `
+                    <h4>Materials</h4>
+                    <table class="plan-purchases">
+                        <thead>
+                            <tr>
+                                <th>Material</th>
+                                <th>Needed</th>
+                                <th>On Hand</th>
+                                <th>On Its Way</th>
+                                <th>To Buy</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${plan.purchases.map(purchase => `
+                                <tr${purchase.toBuy > 0 ? ' class="plan-shortfall"' : ''}>
+                                    <td>${purchase.materialId}</td>
+                                    <td>${purchase.needed.toFixed(1)}</td>
+                                    <td>${purchase.onHand.toFixed(1)}</td>
+                                    <td>${purchase.incoming.toFixed(1)}</td>
+                                    <td>${purchase.toBuy > 0 ? Math.ceil(purchase.toBuy) : '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            }
+            
+            if (plan.warnings.length > 0) {
+                content += `
+                    <ul class="plan-warnings">
+                        ${plan.warnings.map(warning => `<li>${warning}</li>`).join('')}
+                    </ul>
+                `;
+            }
+        }
+        
+        content += '</div>';
+        
+        this.eventEmitter.emit('modal:show', {
+            title: 'Production Plan',
+            content,
+            showConfirm: plan.steps.length > 0,
+            showCancel: true,
+            confirmText: 'Queue Crafts',
+            cancelText: 'Close',
+            onConfirm: () => {
+                this.eventEmitter.emit('planner:enqueue');
+            }
+        });
+    }
+    
+    /**
+     * Show the shop's standing with the town and its contract customers
+     */
+    showReputationModal() {
+        const standings = this.reputation.getStandings();
+        const now = this.time.getTotalMinutes();
+        
+        let content = `
+            <div class="reputation-details">
+                <p>The town thinks your shop is <strong>${standings.town.tier.name.toLowerCase()}</strong> (${Math.round(standings.town.value)}/100).
+                Walk-in trade runs at ${Math.round(this.reputation.getCustomerArrivalMultiplier() * 100)}% of an ordinary shop's.</p>
+        `;
+        
+        if (standings.customers.length > 0) {
+            content += `
+                <h4>Contract Customers</h4>
+                <table class="reputation-customers">
+                    <thead>
+                        <tr>
+                            <th>Customer</th>
+                            <th>Standing</th>
+                            <th>Offers</th>
+                            <th>Pay</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${standings.customers.map(customer => `
+                            <tr class="reputation-${customer.tier.id}">
+                                <td>${customer.name}</td>
+                                <td>${customer.tier.name} (${Math.round(customer.value)})</td>
+                                <td>${this.reputation.getContractWeightMultiplier(customer.name) > 0 ? `x${this.reputation.getContractWeightMultiplier(customer.name).toFixed(2)}` : 'None'}</td>
+                                <td>${Math.round(this.reputation.getPayoutMultiplier(customer.name) * 100)}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        
+        if (standings.history.length > 0) {
+            content += `
+                <h4>Recent Word</h4>
+                <ul class="reputation-history">
+                    ${standings.history.map(entry => `
+                        <li class="${entry.change > 0 ? 'reputation-up' : 'reputation-down'}">
+                            ${entry.reason} (${entry.customer || 'town'} ${entry.change > 0 ? '+' : ''}${entry.change.toFixed(1)}, ${this.time.formatDuration(now - entry.time)} ago)
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+        
+        content += '</div>';
+        
+        this.eventEmitter.emit('modal:show', {
+            title: 'Reputation',
+            content,
+            showConfirm: false,
+            showCancel: true,
+            cancelText: 'Close'
+        });
     }
     
     /**
@@ -655,7 +1425,7 @@ export class UIManager {
                     </div>
                     <span>${Math.floor(fatiguePercent)}%</span>
                 </td>
-                <td>${worker.status}</td>
+                <td>${worker.status}${worker.stationId ? `<div class="worker-station">${this.getStationName(worker.stationId)}</div>` : ''}</td>
                 <td>
                     ${worker.resting ?
                         `<button class="small-btn" data-action="work" data-worker="${worker.id}">Work</button>` :
@@ -784,40 +1554,106 @@ export class UIManager {
         }
     }
     
+    /**
+     * Format a material's price trend as an arrow with today's change
+     * @param {Object} material - Material price entry from MarketSystem.getMaterialPrices()
+     * @returns {string} - HTML for the trend indicator
+     */
+    formatPriceTrend(material) {
+        const arrows = { up: '▲', down: '▼', steady: '▬' };
+        const { direction, change } = material.trend;
+        const percent = Math.abs(change * 100).toFixed(1);
+        
+        let note = '';
+        if (material.shock) {
+            note = ` (${material.shock})`;
+        } else if (material.eventModifier !== 1) {
+            note = ' (event)';
+        }
+        
+        return `<span class="price-trend ${direction}" title="Change since yesterday">${arrows[direction]} ${percent}%${note}</span>`;
+    }
+    
     /**
      * Show material purchase modal
+     * Orders go to the selected supplier and arrive as a shipment.
+     * @param {string} supplierId - Supplier to show first (default: the first supplier)
      */
-    showMaterialPurchaseModal() {
-        // Get materials data
-        const materialsList = [];
-        
-        // This would typically come from a data file
-        // but for now we'll use some hardcoded values
-        const materialTypes = [
-            { id: 'iron', name: 'Iron', price: 2.50, unit: 'pound' },
-            { id: 'coal', name: 'Coal', price: 1.00, unit: 'pound' },
-            { id: 'wood', name: 'Wood', price: 1.50, unit: 'board' },
-            { id: 'leather', name: 'Leather', price: 3.00, unit: 'piece' },
-            { id: 'gunpowder', name: 'Gunpowder', price: 5.00, unit: 'ounce' },
-            { id: 'copper', name: 'Copper', price: 3.00, unit: 'pound' }
-        ];
-        
-        // Create purchase callback
-        const onPurchase = (materials, totalCost) => {
-            // Check if any materials selected
-            if (Object.keys(materials).length === 0) {
-                this.eventEmitter.emit('notification:warning', 'No materials selected');
-                return;
-            }
+    showMaterialPurchaseModal(supplierId) {
+        // Today's supplier prices (including any event price modifiers)
+        const suppliers = this.suppliers.getSuppliers();
+        let supplier = suppliers.find(s => s.id === supplierId) || suppliers[0];
+        
+        // Collect the quantities entered for the selected supplier
+        const getOrder = () => {
+            const order = {};
             
-            // Check if can afford
-            if (this.inventory.getMoney() < totalCost) {
-                this.eventEmitter.emit('notification:error', 'Not enough money');
-                return;
+            for (const material of supplier.prices) {
+                const quantity = parseInt(document.getElementById(`buy-${material.id}`)?.value) || 0;
+                if (quantity > 0) {
+                    order[material.id] = quantity;
+                }
             }
             
-            // Purchase materials
-            this.eventEmitter.emit('purchase:materials', materials, totalCost);
+            return order;
+        };
+        
+        // Render the selected supplier's terms and price list
+        const renderSupplier = () => {
+            const tiers = supplier.bulkTiers.length > 0
+                ? supplier.bulkTiers.map(tier => `${tier.minQuantity}+ units: ${Math.round(tier.discount * 100)}% off`).join(', ')
+                : 'None';
+            
+            return `
+                <div class="supplier-terms">
+                    <p>${supplier.description}</p>
+                    <div>Minimum order: ${supplier.minOrder} unit${supplier.minOrder > 1 ? 's' : ''}</div>
+                    <div>Bulk discounts: ${tiers}</div>
+                    <div>Delivery: ${supplier.deliveryHours} hours${supplier.delay ? ` <span class="warning">(+${supplier.delay.hours}h: ${supplier.delay.reason})</span>` : ''}</div>
+                </div>
+                <div class="materials-list">
+                    ${supplier.prices.map(material => `
+                        <div class="material-item">
+                            <div class="material-info">
+                                <span class="material-name">${material.name}</span>
+                                <span class="material-price">$${material.price.toFixed(2)} per ${material.unit}</span>
+                                ${this.formatPriceTrend(material)}
+                            </div>
+                            <div class="material-controls">
+                                <input type="number" id="buy-${material.id}" min="0" value="0" class="material-quantity">
+                                <span class="material-total">$0.00</span>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        };
+        
+        // Refresh the order total from the supplier's quote
+        const updateTotal = () => {
+            const quote = this.suppliers.getQuote(supplier.id, getOrder());
+            const totalAmountElement = document.getElementById('purchase-total-amount');
+            
+            if (totalAmountElement) {
+                const discountText = quote.discount > 0 ? ` (${Math.round(quote.discount * 100)}% bulk discount)` : '';
+                totalAmountElement.textContent = `$${quote.total.toFixed(2)}${discountText}`;
+            }
+        };
+        
+        // Attach quantity listeners for the rendered supplier
+        const attachListeners = () => {
+            for (const material of supplier.prices) {
+                const input = document.getElementById(`buy-${material.id}`);
+                if (!input) continue;
+                
+                const totalSpan = input.parentElement.querySelector('.material-total');
+                
+                input.addEventListener('input', () => {
+                    const quantity = parseInt(input.value) || 0;
+                    totalSpan.textContent = `$${(quantity * material.price).toFixed(2)}`;
+                    updateTotal();
+                });
+            }
         };
         
         // Show modal
@@ -825,19 +1661,12 @@ export class UIManager {
             title: 'Purchase Materials',
             content: `
                 <div class="purchase-materials">
-                    <div class="materials-list">
-                        ${materialTypes.map(material => `
-                            <div class="material-item">
-                                <div class="material-info">
-                                    <span class="material-name">${material.name}</span>
-                                    <span class="material-price">$${material.price.toFixed(2)} per ${material.unit}</span>
-                                </div>
-                                <div class="material-controls">
-                                    <input type="number" id="buy-${material.id}" min="0" max="100" value="0" class="material-quantity">
-                                    <span class="material-total">$0.00</span>
-                                </div>
-                            </div>
-                        `).join('')}
+                    <label for="supplier-select">Supplier:</label>
+                    <select id="supplier-select">
+                        ${suppliers.map(s => `<option value="${s.id}" ${s.id === supplier.id ? 'selected' : ''}>${s.name}</option>`).join('')}
+                    </select>
+                    <div id="supplier-details">
+                        ${renderSupplier()}
                     </div>
                     <div class="purchase-total">
                         <span>Total:</span>
@@ -847,55 +1676,76 @@ export class UIManager {
             `,
             showConfirm: true,
             showCancel: true,
-            confirmText: 'Purchase',
+            confirmText: 'Place Order',
             cancelText: 'Cancel',
             onConfirm: () => {
-                // Collect purchase data
-                const purchase = {};
-                let totalCost = 0;
+                const order = getOrder();
+                const quote = this.suppliers.getQuote(supplier.id, order);
                 
-                for (const material of materialTypes) {
-                    const quantity = parseInt(document.getElementById(`buy-${material.id}`).value) || 0;
-                    if (quantity > 0) {
-                        purchase[material.id] = quantity;
-                        totalCost += quantity * material.price;
-                    }
+                if (quote.errors.length > 0) {
+                    this.eventEmitter.emit('notification:warning', quote.errors[0]);
+                    return;
                 }
                 
-                // Call purchase callback with data
-                onPurchase(purchase, totalCost);
+                // Check if can afford
+                if (this.inventory.getMoney() < quote.total) {
+                    this.eventEmitter.emit('notification:error', 'Not enough money');
+                    return;
+                }
+                
+                this.eventEmitter.emit('supplier:order', supplier.id, order);
             }
         });
         
-        // Set up change listeners for quantity inputs after modal is shown
+        // Set up listeners after modal is shown
         setTimeout(() => {
-            for (const material of materialTypes) {
-                const input = document.getElementById(`buy-${material.id}`);
-                if (!input) continue;
-                
-                const totalSpan = input.parentElement.querySelector('.material-total');
-                
-                input.addEventListener('input', () => {
-                    const quantity = parseInt(input.value) || 0;
-                    const total = quantity * material.price;
-                    totalSpan.textContent = `${total.toFixed(2)}`;
-                    
-                    // Update grand total
-                    let grandTotal = 0;
-                    for (const mat of materialTypes) {
-                        const qty = parseInt(document.getElementById(`buy-${mat.id}`)?.value) || 0;
-                        grandTotal += qty * mat.price;
-                    }
-                    
-                    const totalAmountElement = document.getElementById('purchase-total-amount');
-                    if (totalAmountElement) {
-                        totalAmountElement.textContent = `${grandTotal.toFixed(2)}`;
-                    }
+            const supplierSelect = document.getElementById('supplier-select');
+            const details = document.getElementById('supplier-details');
+            
+            if (supplierSelect && details) {
+                supplierSelect.addEventListener('change', () => {
+                    supplier = suppliers.find(s => s.id === supplierSelect.value);
+                    details.innerHTML = renderSupplier();
+                    attachListeners();
+                    updateTotal();
                 });
             }
+            
+            attachListeners();
         }, 100);
     }
     
+    /**
+     * Update the incoming shipments panel
+     */
+    updateShipmentsUI() {
+        if (!this.elements.incomingShipments) return;
+        
+        const shipments = this.suppliers.getIncomingShipments();
+        
+        if (shipments.length === 0) {
+            this.elements.incomingShipments.innerHTML = '<div class="empty-state">No shipments on the way</div>';
+            return;
+        }
+        
+        this.elements.incomingShipments.innerHTML = shipments.map(shipment => {
+            const contents = Object.entries(shipment.materials)
+                .map(([materialId, amount]) => `${amount}x ${materialId}`)
+                .join(', ');
+            
+            return `
+                <div class="shipment">
+                    <div class="shipment-supplier">${shipment.supplierName}</div>
+                    <div class="shipment-contents">${contents}</div>
+                    <div class="shipment-eta">
+                        Arrives in ${this.time.formatDuration(shipment.minutesRemaining)}
+                        ${shipment.delayedBy > 0 ? `<span class="warning">(delayed ${shipment.delayedBy}h)</span>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
     /**
      * Show hire employee modal
      */
@@ -914,6 +1764,7 @@ export class UIManager {
                     <div class="worker-stats">
                         <div>Daily Salary: ${workerType.salary.toFixed(2)}</div>
                         <div>Crafting Speed: ${(workerType.speedMultiplier * 100).toFixed(0)}%</div>
+                        <div>Skill: ${(workerType.skill * 100).toFixed(0)}%</div>
                         <div>Fatigue Rate: ${(workerType.fatigueRate * 100).toFixed(0)}%</div>
                     </div>
                     <div class="worker-cost">
@@ -951,6 +1802,16 @@ export class UIManager {
         }, 100);
     }
     
+    /**
+     * Get a station's display name
+     * @param {string} stationId - ID of the station
+     * @returns {string} - Station name
+     */
+    getStationName(stationId) {
+        const definition = this.crafting.getStationDefinition(stationId);
+        return definition ? definition.name : stationId;
+    }
+    
     /**
      * Show assign task modal
      * @param {string} workerId - ID of the worker
@@ -964,6 +1825,9 @@ export class UIManager {
         
         // Get available tasks
         const craftableItems = this.crafting.getCraftableItems();
+        const damagedTools = Object.entries(this.inventory.getTools())
+            .filter(([toolId, tool]) => tool.uses < tool.maxUses)
+            .map(([toolId, tool]) => ({ id: toolId, uses: tool.uses, maxUses: tool.maxUses }));
         
         // Create modal content
         let content = `
@@ -984,6 +1848,26 @@ export class UIManager {
                 <div class="task-group">
                     <h4>Maintenance</h4>
                     <button id="assign-coal" class="btn-primary">Assign Coal Monitoring</button>
+                    ${damagedTools.length > 0 ? `
+                        <select id="repair-tool-select">
+                            ${damagedTools.map(tool => `
+                                <option value="${tool.id}">${tool.id} (${tool.uses}/${tool.maxUses})</option>
+                            `).join('')}
+                        </select>
+                        <button id="assign-repair-tool" class="btn-primary">Assign Tool Repair</button>
+                    ` : ''}
+                </div>
+                
+                <div class="task-group">
+                    <h4>Station</h4>
+                    <select id="station-assign-select">
+                        <option value="">No station</option>
+                        ${this.crafting.getStations().map(station => `
+                            <option value="${station.id}" ${station.id === worker.stationId ? 'selected' : ''}
+                                ${station.workerId && station.workerId !== worker.id ? 'disabled' : ''}>${station.name}</option>
+                        `).join('')}
+                    </select>
+                    <button id="assign-station" class="btn-primary">Assign Station</button>
                 </div>
                 
                 <div class="task-group">
@@ -1035,6 +1919,29 @@ export class UIManager {
                 });
             }
             
+            // Repair task
+            const assignRepairBtn = document.getElementById('assign-repair-tool');
+            if (assignRepairBtn) {
+                assignRepairBtn.addEventListener('click', () => {
+                    this.eventEmitter.emit('worker:assign-task', workerId, {
+                        type: 'repair',
+                        toolName: document.getElementById('repair-tool-select').value
+                    });
+                    
+                    this.eventEmitter.emit('modal:hide');
+                });
+            }
+            
+            // Station
+            const assignStationBtn = document.getElementById('assign-station');
+            if (assignStationBtn) {
+                assignStationBtn.addEventListener('click', () => {
+                    const stationId = document.getElementById('station-assign-select').value || null;
+                    this.eventEmitter.emit('crafting:assign-station', workerId, stationId);
+                    this.eventEmitter.emit('modal:hide');
+                });
+            }
+            
             // Rest
             const assignRestBtn = document.getElementById('assign-rest');
             if (assignRestBtn) {
@@ -1137,6 +2044,150 @@ export class UIManager {
         }, 100);
     }
     
+    /**
+     * Show the repair modal for a tool
+     * Compares the repair cost and wear with buying a replacement.
+     * @param {string} toolId - ID of the tool to repair
+     */
+    showRepairToolModal(toolId) {
+        const tool = this.inventory.getTools()[toolId];
+        const cost = this.toolDurability.getRepairCost(toolId);
+        
+        if (!tool || !cost) return;
+        
+        const check = this.crafting.canRepair(toolId);
+        const maxAfterRepair = this.toolDurability.getMaxDurabilityAfterRepair(tool);
+        const replacementPrice = this.market.getToolPrice(toolId, tool.tier);
+        const materialsCost = Object.entries(cost.materials)
+            .map(([materialId, amount]) => `${amount} ${materialId}`)
+            .join(', ');
+        
+        // Workers who could take the job
+        const workers = this.workers.getHiredWorkers().filter(worker => !worker.resting);
+        
+        const content = `
+            <div class="repair-tool">
+                <p>Condition: ${tool.uses}/${tool.maxUses} uses${tool.repairs ? ` (repaired ${tool.repairs} time${tool.repairs > 1 ? 's' : ''})` : ''}</p>
+                <h4>Repair</h4>
+                <div>Materials: ${materialsCost}</div>
+                <div>Coal: ${cost.coal}</div>
+                <div>Time: ${this.time.formatDuration(cost.time)}</div>
+                <div>Max durability after repair: ${maxAfterRepair} (was ${tool.maxUses})</div>
+                <h4>Replace</h4>
+                <div>New ${this.toolDurability.getToolTier(tool.tier).name.toLowerCase()} ${toolId}: $${replacementPrice.toFixed(2)} (${this.toolDurability.getMaxDurability(toolId, tool.tier)} uses)</div>
+                ${check.canRepair ? '' : `<p class="warning">${check.reason}</p>`}
+                ${workers.length > 0 ? `
+                    <div class="task-group">
+                        <h4>Assign to a worker</h4>
+                        <select id="repair-worker-select">
+                            ${workers.map(worker => `<option value="${worker.id}">${worker.name} (${worker.status})</option>`).join('')}
+                        </select>
+                        <button id="assign-repair" class="btn-secondary" ${check.canRepair ? '' : 'disabled'}>Assign Repair</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+        
+        this.eventEmitter.emit('modal:show', {
+            title: `Repair ${this.capitalizeFirstLetter(toolId)}`,
+            content,
+            showConfirm: check.canRepair,
+            showCancel: true,
+            confirmText: 'Repair It Myself',
+            cancelText: 'Close',
+            onConfirm: () => {
+                this.eventEmitter.emit('crafting:repair', toolId);
+            }
+        });
+        
+        setTimeout(() => {
+            const assignRepairBtn = document.getElementById('assign-repair');
+            if (assignRepairBtn) {
+                assignRepairBtn.addEventListener('click', () => {
+                    const workerId = document.getElementById('repair-worker-select').value;
+                    
+                    this.eventEmitter.emit('worker:assign-task', workerId, {
+                        type: 'repair',
+                        toolName: toolId
+                    });
+                    
+                    this.eventEmitter.emit('modal:hide');
+                });
+            }
+        }, 100);
+    }
+    
+    /**
+     * Show the tool shop modal
+     * Every tool is sold in each quality tier; buying replaces the tool you own.
+     */
+    showToolShopModal() {
+        const tools = this.inventory.getTools();
+        const tiers = Object.keys(this.crafting.itemsData.toolTiers);
+        const toolPriceMultiplier = this.market.getToolPriceMultiplier();
+        
+        let content = '<div class="tool-shop">';
+        
+        if (toolPriceMultiplier !== 1) {
+            content += `<p class="tool-sale">Traveling salesman in town: tools at ${Math.round(toolPriceMultiplier * 100)}% of the usual price!</p>`;
+        }
+        
+        for (const [toolId, toolData] of Object.entries(this.crafting.itemsData.tools)) {
+            const owned = tools[toolId];
+            const ownedText = owned
+                ? `Owned: ${this.toolDurability.getToolTier(owned.tier).name} (${owned.uses}/${owned.maxUses})`
+                : 'Not owned';
+            
+            content += `
+                <div class="tool-shop-item">
+                    <h3>${toolData.name}</h3>
+                    <p>${toolData.description}</p>
+                    <div class="tool-owned">${ownedText}</div>
+                    <div class="tool-tiers">
+                        ${tiers.map(tierId => {
+                            const tier = this.toolDurability.getToolTier(tierId);
+                            const price = this.market.getToolPrice(toolId, tierId);
+                            const canAfford = this.inventory.getMoney() >= price;
+                            
+                            return `
+                                <button class="buy-tool-btn" data-tool="${toolId}" data-tier="${tierId}" ${canAfford ? '' : 'disabled'}
+                                    title="${this.toolDurability.getMaxDurability(toolId, tierId)} uses, ${Math.round(tier.speedMultiplier * 100)}% crafting speed">
+                                    ${tier.name}: $${price.toFixed(2)}
+                                </button>
+                            `;
+                        }).join('')}
+                    </div>
+                </div>
+            `;
+        }
+        
+        content += '</div>';
+        
+        // Show modal
+        this.eventEmitter.emit('modal:show', {
+            title: 'Tool Shop',
+            content: content,
+            showConfirm: false,
+            showCancel: true,
+            cancelText: 'Close'
+        });
+        
+        // Add event listeners for purchase buttons after modal is shown
+        setTimeout(() => {
+            const purchaseButtons = document.querySelectorAll('.buy-tool-btn');
+            purchaseButtons.forEach(button => {
+                button.addEventListener('click', (e) => {
+                    const { tool, tier } = e.currentTarget.dataset;
+                    const price = this.market.getToolPrice(tool, tier);
+                    const maxUses = this.toolDurability.getMaxDurability(tool, tier);
+                    
+                    this.eventEmitter.emit('purchase:tool', tool, price, tier, maxUses);
+                    this.eventEmitter.emit('modal:hide');
+                });
+            });
+        }, 100);
+    }
+    
     /**
      * Get color for durability percentage
      * @param {number} percentage - Durability percentage
@@ -1194,4 +2245,327 @@ export class UIManager {
     capitalizeFirstLetter(string) {
         return string.charAt(0).toUpperCase() + string.slice(1);
     }
+    
+    /**
+     * Escape text typed by the player (such as slot names) for use in HTML and attribute values
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Show the save slot manager modal
+     */
+    showSaveManagerModal() {
+        const saves = this.saveSystem.getAvailableSaves();
+        
+        // Create modal content
+        let content = `
+            <div class="save-manager">
+                <div class="save-new">
+                    <input type="text" id="new-save-name" placeholder="New slot name">
+                    <button id="save-new-slot" class="btn-primary">Save Game</button>
+                    <button id="import-save" class="small-btn">Import File</button>
+                    <button id="rewind-save" class="small-btn">Rewind</button>
+                    <input type="file" id="import-save-file" accept=".json,application/json" class="hidden">
+                </div>
+        `;
+        
+        if (saves.length === 0) {
+            content += '<p>No saved games yet.</p>';
+        } else {
+            content += `
+                <table class="save-slots">
+                    <thead>
+                        <tr>
+                            <th>Slot</th>
+                            <th>Saved</th>
+                            <th>Day</th>
+                            <th>Cash</th>
+                            <th>Shop</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${saves.map(save => `
+                            <tr>
+                                <td>${this.escapeHTML(save.slotName)}${save.slotName === this.saveSystem.currentSaveSlot ? ' (current)' : ''}</td>
+                                <td>${save.saveDate.toLocaleString()}</td>
+                                <td>${save.day}</td>
+                                <td>$${save.money.toFixed(2)}</td>
+                                <td>
+                                    ${save.stats.itemsForSale} for sale, ${save.stats.activeContracts} contract(s),
+                                    ${save.stats.workers} worker(s), ${save.stats.blueprints} blueprint(s)
+                                </td>
+                                <td>
+                                    <button class="small-btn" data-save-action="save" data-slot="${this.escapeHTML(save.slotName)}">Save</button>
+                                    <button class="small-btn" data-save-action="load" data-slot="${this.escapeHTML(save.slotName)}">Load</button>
+                                    <button class="small-btn" data-save-action="rename" data-slot="${this.escapeHTML(save.slotName)}">Rename</button>
+                                    <button class="small-btn" data-save-action="duplicate" data-slot="${this.escapeHTML(save.slotName)}">Duplicate</button>
+                                    <button class="small-btn" data-save-action="export" data-slot="${this.escapeHTML(save.slotName)}">Export</button>
+                                    <button class="small-btn" data-save-action="delete" data-slot="${this.escapeHTML(save.slotName)}">Delete</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        
+        content += '</div>';
+        
+        // Show modal
+        this.eventEmitter.emit('modal:show', {
+            title: 'Saved Games',
+            content: content,
+            showConfirm: false,
+            showCancel: true,
+            cancelText: 'Close'
+        });
+        
+        // Add event listeners after modal is shown
+        setTimeout(() => {
+            // Save to a new slot
+            const saveNewBtn = document.getElementById('save-new-slot');
+            if (saveNewBtn) {
+                saveNewBtn.addEventListener('click', () => {
+                    const slotName = document.getElementById('new-save-name').value.trim();
+                    if (!slotName) {
+                        this.eventEmitter.emit('notification:warning', 'Please enter a name for the save slot.');
+                        return;
+                    }
+                    
+                    const exists = saves.some(save => save.slotName === slotName);
+                    const name = this.escapeHTML(slotName);
+                    this.eventEmitter.emit('modal:hide');
+                    this.confirmSaveAction(
+                        exists ? `Overwrite the save in slot "${name}"?` : `Save the game to slot "${name}"?`,
+                        () => this.eventEmitter.emit('save:save-game', slotName),
+                        'Save'
+                    );
+                });
+            }
+            
+            // Rewind to an autosave
+            const rewindBtn = document.getElementById('rewind-save');
+            if (rewindBtn) {
+                rewindBtn.addEventListener('click', () => {
+                    this.eventEmitter.emit('modal:hide');
+                    this.showRewindModal();
+                });
+            }
+            
+            // Import a save file into a slot named after the file
+            const importBtn = document.getElementById('import-save');
+            const importInput = document.getElementById('import-save-file');
+            if (importBtn && importInput) {
+                importBtn.addEventListener('click', () => importInput.click());
+                importInput.addEventListener('change', async () => {
+                    const file = importInput.files[0];
+                    if (!file) return;
+                    
+                    const slotName = document.getElementById('new-save-name').value.trim() || file.name.replace(/\.json$/i, '');
+                    const fileContents = await file.text();
+                    
+                    this.eventEmitter.emit('modal:hide');
+                    this.confirmSaveAction(
+                        `Import "${this.escapeHTML(file.name)}" into slot "${this.escapeHTML(slotName)}"?`,
+                        () => this.saveSystem.importSave(fileContents, slotName),
+                        'Import'
+                    );
+                });
+            }
+            
+            // Slot actions
+            const actionButtons = document.querySelectorAll('[data-save-action]');
+            actionButtons.forEach(button => {
+                button.addEventListener('click', (e) => {
+                    const { saveAction, slot } = e.target.dataset;
+                    
+                    // Close the save manager so the follow-up dialog shows right away
+                    if (saveAction !== 'export') {
+                        this.eventEmitter.emit('modal:hide');
+                    }
+                    
+                    this.handleSaveSlotAction(saveAction, slot);
+                });
+            });
+        }, 100);
+    }
+    
+    /**
+     * Show the rewind view listing the autosave history
+     */
+    showRewindModal() {
+        const autoSaves = this.saveSystem.getAutoSaves();
+        const now = this.time.getTotalMinutes();
+        
+        // Create modal content
+        let content = '<div class="rewind">';
+        
+        if (autoSaves.length === 0) {
+            content += '<p>No autosaves yet. The game autosaves every ' +
+                `${this.time.formatDuration(this.saveSystem.autoSaveInterval)} of game time.</p>`;
+        } else {
+            content += `
+                <p>Restore one of the last ${this.saveSystem.autoSaveHistorySize} autosaves to undo recent mistakes.</p>
+                <table class="rewind-list">
+                    <thead>
+                        <tr>
+                            <th>Game Time</th>
+                            <th>Cash</th>
+                            <th>Shop</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${autoSaves.map(autoSave => `
+                            <tr>
+                                <td>
+                                    Day ${autoSave.day}
+                                    ${autoSave.totalMinutes <= now ? `(${this.time.formatDuration(now - autoSave.totalMinutes)} ago)` : ''}
+                                </td>
+                                <td>$${autoSave.money.toFixed(2)}</td>
+                                <td>${autoSave.stats.activeContracts} contract(s), ${autoSave.stats.workers} worker(s)</td>
+                                <td>
+                                    <button class="small-btn" data-rewind-index="${autoSave.index}">Restore</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        
+        content += '</div>';
+        
+        // Show modal
+        this.eventEmitter.emit('modal:show', {
+            title: 'Rewind',
+            content: content,
+            showConfirm: false,
+            showCancel: true,
+            cancelText: 'Close'
+        });
+        
+        // Add event listeners after modal is shown
+        setTimeout(() => {
+            const restoreButtons = document.querySelectorAll('[data-rewind-index]');
+            restoreButtons.forEach(button => {
+                button.addEventListener('click', (e) => {
+                    const index = parseInt(e.target.dataset.rewindIndex);
+                    
+                    this.eventEmitter.emit('modal:hide');
+                    this.eventEmitter.emit('modal:confirm',
+                        'Rewind to this autosave? Everything since then will be lost.',
+                        () => this.saveSystem.restoreAutoSave(index),
+                        () => this.showRewindModal(),
+                        'Rewind'
+                    );
+                });
+            });
+        }, 100);
+    }
+    
+    /**
+     * Handle an action on a save slot from the save manager
+     * @param {string} action - Action (save, load, rename, duplicate, export, delete)
+     * @param {string} slotName - Save slot name
+     */
+    handleSaveSlotAction(action, slotName) {
+        const name = this.escapeHTML(slotName);
+        
+        switch (action) {
+            case 'save':
+                this.confirmSaveAction(
+                    `Overwrite the save in slot "${name}" with your current game?`,
+                    () => this.eventEmitter.emit('save:save-game', slotName),
+                    'Save'
+                );
+                break;
+                
+            case 'load':
+                this.confirmSaveAction(
+                    `Load slot "${name}"? Any unsaved progress will be lost.`,
+                    () => this.eventEmitter.emit('save:load-game', slotName),
+                    'Load'
+                );
+                break;
+                
+            case 'rename':
+            case 'duplicate':
+                this.showSlotNamePrompt(action, slotName);
+                break;
+                
+            case 'export':
+                this.saveSystem.downloadSave(slotName);
+                break;
+                
+            case 'delete':
+                this.confirmSaveAction(
+                    `Delete the save in slot "${name}"? This cannot be undone.`,
+                    () => this.eventEmitter.emit('save:delete-save', slotName),
+                    'Delete'
+                );
+                break;
+        }
+    }
+    
+    /**
+     * Ask for a new slot name, then confirm a rename or duplicate
+     * @param {string} action - 'rename' or 'duplicate'
+     * @param {string} slotName - Save slot name
+     */
+    showSlotNamePrompt(action, slotName) {
+        const isRename = action === 'rename';
+        const name = this.escapeHTML(slotName);
+        
+        this.eventEmitter.emit('modal:show', {
+            title: isRename ? 'Rename Save' : 'Duplicate Save',
+            content: `
+                <label for="slot-name-input">${isRename ? 'New name' : 'Name of the copy'} for "${name}":</label>
+                <input type="text" id="slot-name-input" value="${isRename ? name : `${name} copy`}">
+            `,
+            showConfirm: true,
+            showCancel: true,
+            confirmText: 'Continue',
+            cancelText: 'Cancel',
+            onConfirm: () => {
+                const newSlotName = document.getElementById('slot-name-input').value.trim();
+                const newName = this.escapeHTML(newSlotName);
+                
+                this.confirmSaveAction(
+                    isRename ? `Rename "${name}" to "${newName}"?` : `Copy "${name}" to "${newName}"?`,
+                    () => this.eventEmitter.emit(isRename ? 'save:rename-save' : 'save:duplicate-save', slotName, newSlotName),
+                    isRename ? 'Rename' : 'Duplicate'
+                );
+            },
+            onCancel: () => this.showSaveManagerModal()
+        });
+    }
+    
+    /**
+     * Confirm a save manager action, then reopen the save manager with the updated slots.
+     * Any open modal must be closed first or the confirmation waits in the modal queue.
+     * @param {string} message - Confirmation message
+     * @param {Function} action - Action to run when confirmed
+     * @param {string} confirmText - Text for the confirm button
+     */
+    confirmSaveAction(message, action, confirmText) {
+        this.eventEmitter.emit('modal:confirm', message,
+            async () => {
+                await action();
+                this.showSaveManagerModal();
+            },
+            () => this.showSaveManagerModal(),
+            confirmText
+        );
+    }
 }
\ No newline at end of file
@@ -0,0 +1,72 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * File Storage Adapter
+ * 
+ * Storage backed by the Node filesystem, one file per key in a save directory.
+ * Used by headless runs; implements the same API as the adapters in StorageAdapters.js.
+ */
+export class FileStorageAdapter {
+    constructor(directory = 'saves') {
+        this.directory = path.resolve(directory);
+        
+        // Make sure the save directory exists
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+    
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} - Stored value or null if not found
+     */
+    getItem(key) {
+        const filePath = this.getFilePath(key);
+        
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        
+        return fs.readFileSync(filePath, 'utf8');
+    }
+    
+    /**
+     * Store a value (written to a temporary file first so a crash never leaves half a save)
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        const filePath = this.getFilePath(key);
+        const tempPath = `${filePath}.tmp`;
+        
+        fs.writeFileSync(tempPath, String(value), 'utf8');
+        fs.renameSync(tempPath, filePath);
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        fs.rmSync(this.getFilePath(key), { force: true });
+    }
+    
+    /**
+     * Get all stored keys
+     * @returns {Array} - Array of keys
+     */
+    keys() {
+        return fs.readdirSync(this.directory)
+            .filter(fileName => fileName.endsWith('.json'))
+            .map(fileName => decodeURIComponent(fileName.slice(0, -'.json'.length)));
+    }
+    
+    /**
+     * Get the file path for a key
+     * @param {string} key - Storage key
+     * @returns {string} - Absolute file path
+     */
+    getFilePath(key) {
+        return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+    }
+}
\ No newline at end of file
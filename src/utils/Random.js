@@ -0,0 +1,114 @@
+/**
+ * Random
+ * 
+ * Seedable pseudo-random number generator shared by every randomized system.
+ * The same seed reproduces the same customers, contracts and events, which makes
+ * bug reports, balance runs and daily challenges repeatable.
+ */
+export class Random {
+    /**
+     * @param {number|string} seed - Initial seed (default: current time)
+     */
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Reset the generator to a seed
+     * @param {number|string} seed - Numeric seed or any string (e.g. a date for daily challenges)
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.state = Random.hashSeed(seed);
+    }
+    
+    /**
+     * Get the next random number (mulberry32)
+     * @returns {number} - Random number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Get a random integer between min and max (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} - Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+    
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} - Random element (undefined if the array is empty)
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+    
+    /**
+     * Generate a short random ID suffix (deterministic for a given seed)
+     * @returns {string} - Base-36 ID
+     */
+    id() {
+        return Math.floor(this.next() * 4294967296).toString(36);
+    }
+    
+    /**
+     * Save generator state
+     * @returns {Object} - Serialized generator
+     */
+    serialize() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+    
+    /**
+     * Load generator state
+     * @param {Object} data - Serialized generator data
+     */
+    deserialize(data) {
+        if (!data) return;
+        
+        if (data.seed !== undefined) this.seed = data.seed;
+        if (data.state !== undefined) this.state = data.state >>> 0;
+    }
+    
+    /**
+     * Convert a seed to a 32-bit integer state
+     * @param {number|string} seed - Numeric or string seed
+     * @returns {number} - 32-bit unsigned integer
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        
+        // FNV-1a hash
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        
+        return hash >>> 0;
+    }
+    
+    /**
+     * Get the seed for the daily challenge (the same for every player on a given day)
+     * @param {Date} date - Challenge date (default: today)
+     * @returns {string} - Daily seed, e.g. "daily-2024-05-01"
+     */
+    static getDailySeed(date = new Date()) {
+        return `daily-${date.toISOString().slice(0, 10)}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Save File
+ * 
+ * Portable save file format used to export and import save slots.
+ * A file wraps the save JSON with a CRC-32 checksum and can optionally
+ * gzip-compress it (stored as base64).
+ */
+
+// Identifies exported save files
+export const SAVE_FILE_FORMAT = 'western-blacksmith-save';
+
+// Version of the file envelope (independent of the save schema versions)
+export const SAVE_FILE_VERSION = 1;
+
+// CRC-32 lookup table
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    
+    return table;
+})();
+
+/**
+ * Calculate the CRC-32 checksum of a string (over its UTF-8 bytes)
+ * @param {string} text - Text to checksum
+ * @returns {string} - Checksum as 8 hex digits
+ */
+export function calculateChecksum(text) {
+    const bytes = new TextEncoder().encode(text);
+    let crc = 0xFFFFFFFF;
+    
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Gzip-compress text
+ * @param {string} text - Text to compress
+ * @returns {Promise<string>} - Compressed data as base64
+ */
+export async function compressText(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    
+    // Convert to a binary string in chunks to stay within argument limits
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    
+    return btoa(binary);
+}
+
+/**
+ * Decompress text produced by compressText
+ * @param {string} base64 - Compressed data as base64
+ * @returns {Promise<string>} - Original text
+ */
+export async function decompressText(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+}
+
+/**
+ * Wrap save data in a portable save file
+ * @param {string} saveData - Save JSON
+ * @param {Object} options - File options
+ * @param {string} options.slotName - Slot the save was exported from
+ * @param {boolean} options.compress - Whether to gzip the save data (default: false)
+ * @returns {Promise<string>} - Save file contents (JSON)
+ */
+export async function createSaveFile(saveData, options = {}) {
+    const { slotName = null, compress = false } = options;
+    
+    const file = {
+        format: SAVE_FILE_FORMAT,
+        formatVersion: SAVE_FILE_VERSION,
+        slotName,
+        exportDate: new Date().toISOString(),
+        compressed: compress,
+        checksum: calculateChecksum(saveData),
+        data: compress ? await compressText(saveData) : saveData
+    };
+    
+    return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Unwrap a save file and verify its checksum
+ * @param {string} fileContents - Save file contents
+ * @returns {Promise<string>} - Save JSON
+ * @throws {Error} - If the file is not a save file or its checksum doesn't match
+ */
+export async function readSaveFile(fileContents) {
+    let file;
+    try {
+        file = JSON.parse(fileContents);
+    } catch (error) {
+        throw new Error("The file is not valid JSON.");
+    }
+    
+    if (!file || file.format !== SAVE_FILE_FORMAT) {
+        throw new Error("The file is not a Western Blacksmith save file.");
+    }
+    
+    if (file.formatVersion > SAVE_FILE_VERSION) {
+        throw new Error("The save file was made by a newer version of the game.");
+    }
+    
+    if (typeof file.data !== 'string' || !file.checksum) {
+        throw new Error("The save file is missing its data or checksum.");
+    }
+    
+    let saveData;
+    try {
+        saveData = file.compressed ? await decompressText(file.data) : file.data;
+    } catch (error) {
+        throw new Error("The save file's compressed data is damaged.");
+    }
+    
+    if (calculateChecksum(saveData) !== file.checksum) {
+        throw new Error("The save file's checksum doesn't match; it is damaged or was edited.");
+    }
+    
+    return saveData;
+}
\ No newline at end of file
@@ -0,0 +1,401 @@
+import { items } from '../data/items.js';
+
+/**
+ * Save Migrations
+ * 
+ * Tracks a schema version for each system's saved data and upgrades old saves
+ * step by step through an ordered registry of migration functions.
+ * Migrated saves are validated before they are loaded into the systems.
+ */
+
+/**
+ * Error raised when a save cannot be migrated or fails validation
+ */
+export class SaveMigrationError extends Error {
+    constructor(message, systemName = null) {
+        super(message);
+        this.name = 'SaveMigrationError';
+        this.systemName = systemName;
+    }
+}
+
+export class SaveMigrations {
+    constructor() {
+        // Migrations per system (systemName -> array of {version, migrate} sorted by version)
+        this.migrations = {};
+        
+        // Validators per system (systemName -> function returning an array of problems)
+        this.validators = {};
+        
+        // Register the built-in migrations and validators
+        this.registerCoreMigrations();
+        this.registerCoreValidators();
+    }
+    
+    /**
+     * Register a migration that upgrades a system's data to a version
+     * @param {string} systemName - Name of the system in the save (e.g. 'inventory')
+     * @param {number} version - Schema version the migration produces
+     * @param {Function} migrate - Function (data, gameState) returning the upgraded data
+     */
+    register(systemName, version, migrate) {
+        if (!this.migrations[systemName]) {
+            this.migrations[systemName] = [];
+        }
+        
+        const migrations = this.migrations[systemName];
+        
+        if (migrations.some(migration => migration.version === version)) {
+            throw new Error(`Migration for ${systemName} v${version} is already registered`);
+        }
+        
+        migrations.push({ version, migrate });
+        migrations.sort((a, b) => a.version - b.version);
+    }
+    
+    /**
+     * Register a validator for a system's data
+     * @param {string} systemName - Name of the system in the save
+     * @param {Function} validate - Function (data) returning an array of problem descriptions
+     */
+    registerValidator(systemName, validate) {
+        this.validators[systemName] = validate;
+    }
+    
+    /**
+     * Get the current schema version of a system
+     * @param {string} systemName - Name of the system
+     * @returns {number} - Current schema version (1 if the system has no migrations)
+     */
+    getCurrentVersion(systemName) {
+        const migrations = this.migrations[systemName];
+        
+        if (!migrations || migrations.length === 0) {
+            return 1;
+        }
+        
+        return migrations[migrations.length - 1].version;
+    }
+    
+    /**
+     * Get the current schema versions of several systems
+     * @param {string[]} systemNames - Names of the systems
+     * @returns {Object} - Map of systemName -> version
+     */
+    getCurrentVersions(systemNames) {
+        const versions = {};
+        
+        for (const systemName of systemNames) {
+            versions[systemName] = this.getCurrentVersion(systemName);
+        }
+        
+        return versions;
+    }
+    
+    /**
+     * Upgrade a save to the current schema versions
+     * @param {Object} gameState - Parsed save data
+     * @returns {Object} - Migrated copy of the save
+     * @throws {SaveMigrationError} - If a system can't be migrated
+     */
+    migrate(gameState) {
+        const migrated = JSON.parse(JSON.stringify(gameState));
+        
+        // Saves written before schema versions existed are treated as version 1
+        const savedVersions = migrated.meta.schemaVersions || {};
+        const versions = {};
+        
+        for (const systemName of Object.keys(migrated)) {
+            if (systemName === 'meta') continue;
+            
+            const fromVersion = savedVersions[systemName] || 1;
+            const currentVersion = this.getCurrentVersion(systemName);
+            
+            if (fromVersion > currentVersion) {
+                throw new SaveMigrationError(
+                    `The ${systemName} data was saved by a newer version of the game (v${fromVersion}, this game supports up to v${currentVersion}).`,
+                    systemName
+                );
+            }
+            
+            // Apply each pending migration in order
+            for (const migration of this.migrations[systemName] || []) {
+                if (migration.version <= fromVersion) continue;
+                
+                try {
+                    migrated[systemName] = migration.migrate(migrated[systemName], migrated);
+                } catch (error) {
+                    throw new SaveMigrationError(
+                        `Upgrading the ${systemName} data to v${migration.version} failed: ${error.message}`,
+                        systemName
+                    );
+                }
+            }
+            
+            versions[systemName] = currentVersion;
+        }
+        
+        migrated.meta.schemaVersions = versions;
+        
+        return migrated;
+    }
+    
+    /**
+     * Validate a (migrated) save
+     * @param {Object} gameState - Save data at the current schema versions
+     * @throws {SaveMigrationError} - If any system's data is invalid
+     */
+    validate(gameState) {
+        for (const [systemName, data] of Object.entries(gameState)) {
+            if (systemName === 'meta' || data === undefined || data === null) continue;
+            
+            if (typeof data !== 'object') {
+                throw new SaveMigrationError(`The ${systemName} data is not an object.`, systemName);
+            }
+            
+            const validate = this.validators[systemName];
+            const problems = validate ? validate(data) : [];
+            
+            if (problems.length > 0) {
+                throw new SaveMigrationError(`The ${systemName} data is invalid: ${problems.join('; ')}.`, systemName);
+            }
+        }
+    }
+    
+    /**
+     * Register the migrations for the built-in systems.
+     * Add new migrations at the end of a system's list with the next version number.
+     */
+    registerCoreMigrations() {
+        // v2: contract expiry and creation times moved from real dates to total game minutes
+        this.register('contracts', 2, (data, gameState) => {
+            const toGameMinutes = SaveMigrations.createDateConverter(gameState);
+            
+            for (const list of [data.activeContracts || [], data.specialContracts || []]) {
+                for (const contract of list) {
+                    if (typeof contract.expiryTime === 'string') {
+                        contract.expiryTime = toGameMinutes(contract.expiryTime);
+                    }
+                    if (typeof contract.timeCreated === 'string') {
+                        contract.timeCreated = toGameMinutes(contract.timeCreated);
+                    }
+                }
+            }
+            
+            return data;
+        });
+        
+        // v2: hiring discount expiry moved from real dates to total game minutes
+        this.register('workers', 2, (data, gameState) => {
+            const toGameMinutes = SaveMigrations.createDateConverter(gameState);
+            
+            for (const discount of Object.values(data.hiringDiscounts || {})) {
+                if (typeof discount.expiryTime === 'string') {
+                    discount.expiryTime = toGameMinutes(discount.expiryTime);
+                }
+            }
+            
+            return data;
+        });
+        
+        // v2: tools gained a quality tier; older tools were all standard
+        this.register('inventory', 2, (data) => {
+            for (const tool of Object.values(data.tools || {})) {
+                if (!tool.tier) {
+                    tool.tier = 'standard';
+                }
+            }
+            
+            return data;
+        });
+        
+        // v2: the single crafting line became per-station lines; old jobs move to the forge
+        this.register('crafting', 2, (data) => {
+            if (!data.stations) {
+                data.stations = {
+                    forge: {
+                        currentCraft: data.currentCraft ? { ...data.currentCraft, stationId: 'forge' } : null,
+                        queue: (data.craftingQueue || []).map(job => ({ ...job, stationId: 'forge' })),
+                        workerId: null
+                    }
+                };
+            }
+            
+            delete data.currentCraft;
+            delete data.craftingQueue;
+            
+            return data;
+        });
+        
+        // v3: crafted items stack by quality grade; older items were all common
+        this.register('inventory', 3, (data) => {
+            for (const [itemId, stacks] of Object.entries(data.items || {})) {
+                if (typeof stacks === 'number') {
+                    data.items[itemId] = { common: stacks };
+                }
+            }
+            
+            return data;
+        });
+        
+        // v2: iron and steel bars were added as starting blueprints
+        this.register('blueprints', 2, (data) => {
+            const unlocked = new Set(data.unlockedBlueprints || []);
+            unlocked.add('iron_bar');
+            unlocked.add('steel_bar');
+            data.unlockedBlueprints = [...unlocked];
+            
+            return data;
+        });
+        
+        // v3: tool steel was added as a starting blueprint
+        this.register('blueprints', 3, (data) => {
+            const unlocked = new Set(data.unlockedBlueprints || []);
+            unlocked.add('tool_steel_bar');
+            data.unlockedBlueprints = [...unlocked];
+            
+            return data;
+        });
+        
+        // v2: storefront stock tracks quality grades
+        this.register('storefront', 2, (data) => {
+            for (const entry of Object.values(data.storefrontItems || {})) {
+                if (!entry.qualities) {
+                    entry.qualities = { common: entry.quantity };
+                }
+            }
+            
+            return data;
+        });
+        
+        // v3: posted prices became optional; stock left at the base price now follows the going rate,
+        // while prices the player set themselves are kept
+        this.register('storefront', 3, (data) => {
+            for (const [itemId, entry] of Object.entries(data.storefrontItems || {})) {
+                const itemData = items[itemId];
+                
+                if (itemData && entry.price === itemData.basePrice) {
+                    entry.price = null;
+                }
+            }
+            
+            return data;
+        });
+        
+        // v3: contracts take partial deliveries and a deposit; older contracts had neither
+        this.register('contracts', 3, (data) => {
+            for (const list of [data.activeContracts || [], data.specialContracts || []]) {
+                for (const contract of list) {
+                    contract.deliveredQuantity = contract.deliveredQuantity || 0;
+                    contract.deliveredStacks = contract.deliveredStacks || {};
+                    contract.deposit = contract.deposit || 0;
+                    contract.paid = contract.paid || 0;
+                }
+            }
+            
+            return data;
+        });
+        
+        // v4: contracts list their goods as line items; older contracts asked for a single item
+        this.register('contracts', 4, (data) => {
+            for (const list of [data.activeContracts || [], data.specialContracts || []]) {
+                for (const contract of list) {
+                    if (contract.lineItems) continue;
+                    
+                    contract.lineItems = [{
+                        item: contract.item,
+                        itemName: contract.itemName,
+                        quantity: contract.quantity,
+                        deliveredQuantity: contract.deliveredQuantity || 0,
+                        deliveredStacks: { ...(contract.deliveredStacks || {}) }
+                    }];
+                }
+            }
+            
+            return data;
+        });
+    }
+    
+    /**
+     * Register the validators for the built-in systems
+     */
+    registerCoreValidators() {
+        this.registerValidator('inventory', (data) => {
+            const problems = [];
+            
+            if (typeof data.money !== 'number' || isNaN(data.money)) problems.push('money is not a number');
+            for (const key of ['materials', 'items', 'tools']) {
+                if (data[key] !== undefined && (typeof data[key] !== 'object' || data[key] === null)) {
+                    problems.push(`${key} is not an object`);
+                }
+            }
+            
+            return problems;
+        });
+        
+        this.registerValidator('time', (data) => {
+            const problems = [];
+            
+            if (!data.time || typeof data.time.totalMinutes !== 'number') problems.push('the clock has no total minutes');
+            
+            return problems;
+        });
+        
+        this.registerValidator('contracts', (data) => {
+            const problems = [];
+            
+            for (const key of ['activeContracts', 'specialContracts', 'standingOrders']) {
+                if (data[key] === undefined) continue;
+                
+                if (!Array.isArray(data[key])) {
+                    problems.push(`${key} is not a list`);
+                } else if (data[key].some(contract => typeof contract.expiryTime !== 'number')) {
+                    problems.push(`${key} has a contract without a game-minute expiry time`);
+                } else if (key !== 'standingOrders' && data[key].some(contract => !Array.isArray(contract.lineItems))) {
+                    problems.push(`${key} has a contract without line items`);
+                }
+            }
+            
+            return problems;
+        });
+        
+        this.registerValidator('workers', (data) => {
+            const problems = [];
+            
+            if (data.workers !== undefined && (typeof data.workers !== 'object' || data.workers === null)) {
+                problems.push('workers is not an object');
+            }
+            
+            return problems;
+        });
+    }
+    
+    /**
+     * Create a converter from real dates to game minutes, relative to when a save was written
+     * @param {Object} gameState - Save data (uses meta.saveDate and the saved clock)
+     * @returns {Function} - Function (dateString) returning total game minutes
+     */
+    static createDateConverter(gameState) {
+        const savedAt = new Date(gameState.meta.saveDate).getTime();
+        const time = gameState.time || {};
+        const currentMinutes = time.time ? time.time.totalMinutes : 0;
+        const timeMultiplier = time.timeMultiplier || 60;
+        
+        if (isNaN(savedAt)) {
+            throw new Error('the save has no valid save date');
+        }
+        
+        return (dateString) => {
+            const date = new Date(dateString).getTime();
+            
+            if (isNaN(date)) {
+                throw new Error(`"${dateString}" is not a valid date`);
+            }
+            
+            // Real seconds relative to the save convert at the saved game speed
+            const offsetMinutes = (date - savedAt) / 1000 * timeMultiplier / 60;
+            
+            return Math.max(0, Math.round(currentMinutes + offsetMinutes));
+        };
+    }
+}
\ No newline at end of file
@@ -1,23 +1,57 @@
+import { LocalStorageAdapter } from './StorageAdapters.js';
+import { SaveMigrations } from './SaveMigrations.js';
+import { createSaveFile, readSaveFile } from './SaveFile.js';
+
 /**
  * Save System
  * 
- * Handles saving and loading game state to/from localStorage.
+ * Handles saving and loading game state through a pluggable storage adapter
+ * (localStorage by default).
  * Manages auto-save functionality and save slots.
  */
 export class SaveSystem {
-    constructor(eventEmitter, systems) {
+    constructor(eventEmitter, systems = {}, storage = new LocalStorageAdapter()) {
         this.eventEmitter = eventEmitter;
-        this.systems = systems;
         
-        // Save ID prefix for localStorage
+        // Registered systems (saveName -> system with serialize/deserialize), loaded in registration order
+        this.systems = {};
+        
+        for (const [systemName, system] of Object.entries(systems)) {
+            this.register(systemName, system);
+        }
+        
+        // Storage adapter (getItem, setItem, removeItem, keys; see StorageAdapters.js)
+        this.storage = storage;
+        
+        // Adapters that write in the background report failures after setItem has returned
+        if ('onWriteError' in storage) {
+            storage.onWriteError = (error) => {
+                this.eventEmitter.emit('save:error', error);
+                this.eventEmitter.emit('notification:error', "The game could not be written to storage. Your latest progress may not be saved.");
+            };
+        }
+        
+        // Save ID prefix for storage keys
         this.savePrefix = 'western_blacksmith_';
         
-        // Auto-save interval (in seconds)
+        // Prefix for backups of saves that could not be migrated (kept out of the slot list)
+        this.backupPrefix = 'western_blacksmith_backup_';
+        
+        // Prefix for the rolling autosave history used by rewind (kept out of the slot list)
+        this.autoSavePrefix = 'western_blacksmith_autosave_';
+        
+        // Schema versions and migrations for each system's saved data
+        this.migrations = new SaveMigrations();
+        
+        // Auto-save interval (in game minutes)
         this.autoSaveInterval = 60;
         
-        // Auto-save timer
+        // Auto-save timer (game minutes since the last auto-save)
         this.autoSaveTimer = 0;
         
+        // Number of autosaves kept in the rewind history
+        this.autoSaveHistorySize = 5;
+        
         // Whether auto-save is enabled
         this.autoSaveEnabled = true;
         
@@ -46,52 +80,214 @@ export class SaveSystem {
         this.eventEmitter.on('save:delete-save', (slotName) => {
             this.deleteSave(slotName);
         });
+        
+        // Listen for rename save requests
+        this.eventEmitter.on('save:rename-save', (slotName, newSlotName) => {
+            this.renameSave(slotName, newSlotName);
+        });
+        
+        // Listen for duplicate save requests
+        this.eventEmitter.on('save:duplicate-save', (slotName, newSlotName) => {
+            this.duplicateSave(slotName, newSlotName);
+        });
+    }
+    
+    /**
+     * Register a system whose state is saved and loaded
+     * @param {string} systemName - Key for the system's data in the save
+     * @param {Object} system - System with serialize() and deserialize(data) methods
+     */
+    register(systemName, system) {
+        if (!system || typeof system.serialize !== 'function' || typeof system.deserialize !== 'function') {
+            throw new Error(`Cannot register "${systemName}" for saving: it needs serialize() and deserialize()`);
+        }
+        
+        this.systems[systemName] = system;
+    }
+    
+    /**
+     * Stop saving and loading a system
+     * @param {string} systemName - Key for the system's data in the save
+     */
+    unregister(systemName) {
+        delete this.systems[systemName];
+    }
+    
+    /**
+     * Register every stateful system found on an owner object (e.g. the game),
+     * using the property name as the save key. Systems that are already registered are skipped.
+     * @param {Object} owner - Object holding the systems as properties
+     * @returns {string[]} - Names of the newly registered systems
+     */
+    registerAll(owner) {
+        const registered = [];
+        const knownSystems = Object.values(this.systems);
+        
+        for (const [systemName, system] of Object.entries(owner)) {
+            if (system === this || !system || typeof system !== 'object') continue;
+            if (typeof system.serialize !== 'function' || typeof system.deserialize !== 'function') continue;
+            if (knownSystems.includes(system) || this.systems[systemName]) continue;
+            
+            this.register(systemName, system);
+            registered.push(systemName);
+        }
+        
+        return registered;
+    }
+    
+    /**
+     * Check whether a system is registered for saving
+     * @param {string} systemName - Key for the system's data in the save
+     * @returns {boolean} - Whether the system is registered
+     */
+    isRegistered(systemName) {
+        return systemName in this.systems;
     }
     
     /**
      * Update save system (called on each game tick)
+     * @param {number} minutes - Game minutes elapsed since the last update
      */
-    update() {
+    update(minutes = 1) {
         // Skip if auto-save is disabled
         if (!this.autoSaveEnabled) {
             return;
         }
         
         // Increment auto-save timer
-        this.autoSaveTimer++;
+        this.autoSaveTimer += minutes;
         
         // Check for auto-save
         if (this.autoSaveTimer >= this.autoSaveInterval) {
             this.autoSaveTimer = 0;
-            this.saveGame('auto');
+            this.autoSave();
+        }
+    }
+    
+    /**
+     * Write the 'auto' slot and add a copy to the rewind history,
+     * replacing the oldest entry once the history is full
+     * @returns {boolean} - Whether the auto-save was successful
+     */
+    autoSave() {
+        try {
+            const saveData = this.createSaveData('auto');
+            
+            this.storage.setItem(this.getSaveKey('auto'), saveData);
+            this.storage.setItem(this.getAutoSaveKey(this.getNextAutoSaveIndex()), saveData);
+            
+            this.eventEmitter.emit('save:saved', 'auto');
+            
+            return true;
+        } catch (error) {
+            console.error("Error auto-saving game:", error);
+            this.eventEmitter.emit('notification:error', "Failed to auto-save game.");
+            return false;
+        }
+    }
+    
+    /**
+     * Get the rewind history slot the next autosave is written to
+     * @returns {number} - Index of an empty slot, or of the oldest autosave
+     */
+    getNextAutoSaveIndex() {
+        let oldestIndex = 0;
+        let oldestDate = Infinity;
+        
+        for (let index = 0; index < this.autoSaveHistorySize; index++) {
+            const saveData = this.storage.getItem(this.getAutoSaveKey(index));
+            
+            if (!saveData) {
+                return index;
+            }
+            
+            const saveDate = new Date(JSON.parse(saveData).meta.saveDate).getTime();
+            if (saveDate < oldestDate) {
+                oldestDate = saveDate;
+                oldestIndex = index;
+            }
+        }
+        
+        return oldestIndex;
+    }
+    
+    /**
+     * Get the autosaves in the rewind history
+     * @returns {Array} - Autosave metadata with a preview of each save (newest first)
+     */
+    getAutoSaves() {
+        const autoSaves = [];
+        
+        for (let index = 0; index < this.autoSaveHistorySize; index++) {
+            const saveData = this.storage.getItem(this.getAutoSaveKey(index));
+            
+            if (!saveData) continue;
+            
+            try {
+                const gameState = JSON.parse(saveData);
+                
+                autoSaves.push({
+                    index,
+                    saveDate: new Date(gameState.meta.saveDate),
+                    ...this.getSavePreview(gameState)
+                });
+            } catch (error) {
+                console.error(`Error parsing autosave ${index}:`, error);
+            }
+        }
+        
+        // Sort by save date (newest first)
+        autoSaves.sort((a, b) => b.saveDate - a.saveDate);
+        
+        return autoSaves;
+    }
+    
+    /**
+     * Rewind the game to an autosave from the history
+     * @param {number} index - Rewind history slot
+     * @returns {boolean} - Whether the autosave was restored
+     */
+    restoreAutoSave(index) {
+        const saveData = this.storage.getItem(this.getAutoSaveKey(index));
+        
+        if (!saveData) {
+            this.eventEmitter.emit('notification:warning', "That autosave no longer exists.");
+            return false;
         }
+        
+        // Keep playing in the current slot
+        if (!this.loadSaveData(saveData, this.currentSaveSlot, { isRewind: true })) {
+            return false;
+        }
+        
+        // Start the next autosave interval from the restored point
+        this.autoSaveTimer = 0;
+        
+        this.eventEmitter.emit('save:rewound', index);
+        this.eventEmitter.emit('notification:success', "Rewound to an earlier autosave.");
+        
+        return true;
     }
     
     /**
-     * Save game state to localStorage
+     * Save game state to storage
      * @param {string} slotName - Save slot name (default: current slot)
      * @returns {boolean} - Whether save was successful
      */
     saveGame(slotName = this.currentSaveSlot) {
+        if (!this.isValidSlotName(slotName)) {
+            return false;
+        }
+        
         try {
             // Set current save slot
             this.currentSaveSlot = slotName;
             
             // Collect state from all systems
-            const gameState = this.collectGameState();
-            
-            // Add metadata
-            gameState.meta = {
-                saveDate: new Date().toISOString(),
-                version: '1.0.0',
-                slotName: slotName
-            };
-            
-            // Convert to JSON
-            const saveData = JSON.stringify(gameState);
+            const saveData = this.createSaveData(slotName);
             
-            // Save to localStorage
-            localStorage.setItem(this.getSaveKey(slotName), saveData);
+            // Save to storage
+            this.storage.setItem(this.getSaveKey(slotName), saveData);
             
             // Emit event
             this.eventEmitter.emit('save:saved', slotName);
@@ -109,33 +305,73 @@ export class SaveSystem {
     }
     
     /**
-     * Load game state from localStorage
+     * Collect the game state with save metadata as JSON
+     * @param {string} slotName - Save slot name stored in the metadata
+     * @returns {string} - JSON save data
+     */
+    createSaveData(slotName) {
+        const gameState = this.collectGameState();
+        
+        // Add metadata
+        gameState.meta = {
+            saveDate: new Date().toISOString(),
+            version: '1.0.0',
+            schemaVersions: this.migrations.getCurrentVersions(Object.keys(this.systems)),
+            slotName: slotName
+        };
+        
+        return JSON.stringify(gameState);
+    }
+    
+    /**
+     * Load game state from storage
      * @param {string} slotName - Save slot name (default: current slot)
      * @returns {boolean} - Whether load was successful
      */
     loadGame(slotName = this.currentSaveSlot) {
-        try {
-            // Get save data from localStorage
-            const saveKey = this.getSaveKey(slotName);
-            const saveData = localStorage.getItem(saveKey);
-            
-            if (!saveData) {
-                // No save found
-                if (slotName !== 'auto') {
-                    this.eventEmitter.emit('notification:warning', `No save found in slot "${slotName}"`);
-                }
-                return false;
+        // Get save data from storage
+        const saveData = this.storage.getItem(this.getSaveKey(slotName));
+        
+        if (!saveData) {
+            // No save found
+            if (slotName !== 'auto') {
+                this.eventEmitter.emit('notification:warning', `No save found in slot "${slotName}"`);
             }
-            
+            return false;
+        }
+        
+        return this.loadSaveData(saveData, slotName);
+    }
+    
+    /**
+     * Migrate, validate and load save data into all systems
+     * @param {string} saveData - JSON save data
+     * @param {string} slotName - Save slot the data belongs to
+     * @param {Object} options - Load options passed on with 'save:loaded'
+     * @param {boolean} options.isRewind - Whether this restores an autosave from the rewind history
+     * @returns {boolean} - Whether load was successful
+     */
+    loadSaveData(saveData, slotName, options = {}) {
+        try {
             // Parse save data
-            const gameState = JSON.parse(saveData);
+            const savedState = JSON.parse(saveData);
             
             // Validate save data
-            if (!gameState || !gameState.meta) {
+            if (!savedState || !savedState.meta) {
                 this.eventEmitter.emit('notification:error', "Invalid save data.");
                 return false;
             }
             
+            // Upgrade old saves to the current schema and validate the result
+            let gameState;
+            try {
+                gameState = this.migrations.migrate(savedState);
+                this.migrations.validate(gameState);
+            } catch (error) {
+                this.handleMigrationFailure(slotName, saveData, error);
+                return false;
+            }
+            
             // Load state into all systems
             this.loadGameState(gameState);
             
@@ -143,9 +379,9 @@ export class SaveSystem {
             this.currentSaveSlot = slotName;
             
             // Emit event
-            this.eventEmitter.emit('save:loaded', slotName);
+            this.eventEmitter.emit('save:loaded', slotName, gameState, options);
             
-            if (slotName !== 'auto') {
+            if (slotName !== 'auto' && !options.isRewind) {
                 this.eventEmitter.emit('notification:success', `Game loaded from slot "${slotName}"`);
             }
             
@@ -157,6 +393,28 @@ export class SaveSystem {
         }
     }
     
+    /**
+     * Keep a backup of a save that could not be migrated and report the problem
+     * @param {string} slotName - Save slot name
+     * @param {string} saveData - Original JSON save data
+     * @param {Error} error - Migration or validation error
+     */
+    handleMigrationFailure(slotName, saveData, error) {
+        console.error(`Error migrating save "${slotName}":`, error);
+        
+        // Keep the original data so nothing is lost if the slot is overwritten
+        const backupKey = this.getBackupKey(slotName);
+        try {
+            this.storage.setItem(backupKey, saveData);
+        } catch (backupError) {
+            console.error("Error backing up save:", backupError);
+        }
+        
+        this.eventEmitter.emit('save:migration-failed', slotName, error, backupKey);
+        this.eventEmitter.emit('notification:error', 
+            `Save "${slotName}" could not be loaded: ${error.message} A backup was kept as "${backupKey}".`);
+    }
+    
     /**
      * Delete a saved game
      * @param {string} slotName - Save slot name
@@ -168,13 +426,13 @@ export class SaveSystem {
             const saveKey = this.getSaveKey(slotName);
             
             // Check if save exists
-            if (!localStorage.getItem(saveKey)) {
+            if (!this.storage.getItem(saveKey)) {
                 this.eventEmitter.emit('notification:warning', `No save found in slot "${slotName}"`);
                 return false;
             }
             
-            // Remove from localStorage
-            localStorage.removeItem(saveKey);
+            // Remove from storage
+            this.storage.removeItem(saveKey);
             
             // Emit event
             this.eventEmitter.emit('save:deleted', slotName);
@@ -188,31 +446,116 @@ export class SaveSystem {
         }
     }
     
+    /**
+     * Rename a save slot
+     * @param {string} slotName - Current save slot name
+     * @param {string} newSlotName - New save slot name
+     * @returns {boolean} - Whether the rename was successful
+     */
+    renameSave(slotName, newSlotName) {
+        if (!this.copySave(slotName, newSlotName)) {
+            return false;
+        }
+        
+        this.storage.removeItem(this.getSaveKey(slotName));
+        
+        // Keep saving to the renamed slot
+        if (this.currentSaveSlot === slotName) {
+            this.currentSaveSlot = newSlotName.trim();
+        }
+        
+        this.eventEmitter.emit('save:renamed', slotName, newSlotName.trim());
+        this.eventEmitter.emit('notification:info', `Renamed save "${slotName}" to "${newSlotName.trim()}"`);
+        
+        return true;
+    }
+    
+    /**
+     * Duplicate a save slot
+     * @param {string} slotName - Save slot to copy
+     * @param {string} newSlotName - Name of the new save slot
+     * @returns {boolean} - Whether the duplicate was created
+     */
+    duplicateSave(slotName, newSlotName) {
+        if (!this.copySave(slotName, newSlotName)) {
+            return false;
+        }
+        
+        this.eventEmitter.emit('save:duplicated', slotName, newSlotName.trim());
+        this.eventEmitter.emit('notification:info', `Copied save "${slotName}" to "${newSlotName.trim()}"`);
+        
+        return true;
+    }
+    
+    /**
+     * Copy a save into a new, empty slot
+     * @param {string} slotName - Save slot to copy
+     * @param {string} newSlotName - Name of the new save slot
+     * @returns {boolean} - Whether the copy was written
+     */
+    copySave(slotName, newSlotName) {
+        try {
+            const targetSlot = (newSlotName || '').trim();
+            
+            if (!targetSlot) {
+                this.eventEmitter.emit('notification:warning', "Please enter a name for the save slot.");
+                return false;
+            }
+            
+            if (!this.isValidSlotName(targetSlot)) {
+                return false;
+            }
+            
+            const saveData = this.storage.getItem(this.getSaveKey(slotName));
+            
+            if (!saveData) {
+                this.eventEmitter.emit('notification:warning', `No save found in slot "${slotName}"`);
+                return false;
+            }
+            
+            if (this.storage.getItem(this.getSaveKey(targetSlot))) {
+                this.eventEmitter.emit('notification:warning', `A save named "${targetSlot}" already exists`);
+                return false;
+            }
+            
+            // Update the slot name stored in the save
+            const gameState = JSON.parse(saveData);
+            gameState.meta.slotName = targetSlot;
+            
+            this.storage.setItem(this.getSaveKey(targetSlot), JSON.stringify(gameState));
+            
+            return true;
+        } catch (error) {
+            console.error("Error copying save:", error);
+            this.eventEmitter.emit('notification:error', "Failed to copy save.");
+            return false;
+        }
+    }
+    
     /**
      * Get all available save slots
-     * @returns {Array} - Array of save slot metadata
+     * @returns {Array} - Array of save slot metadata with a preview of each save
      */
     getAvailableSaves() {
         const saves = [];
         
-        // Check all localStorage keys
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            
+        // Check all storage keys
+        for (const key of this.storage.keys()) {
             // Check if this is a save
-            if (key.startsWith(this.savePrefix)) {
+            if (this.isSlotKey(key)) {
                 try {
                     // Get save name from key
                     const slotName = key.substring(this.savePrefix.length);
                     
                     // Get save data
-                    const saveData = JSON.parse(localStorage.getItem(key));
+                    const saveData = JSON.parse(this.storage.getItem(key));
                     
                     // Add to list
                     saves.push({
                         slotName,
                         saveDate: new Date(saveData.meta.saveDate),
-                        version: saveData.meta.version
+                        version: saveData.meta.version,
+                        ...this.getSavePreview(saveData)
                     });
                 } catch (error) {
                     console.error(`Error parsing save ${key}:`, error);
@@ -226,6 +569,30 @@ export class SaveSystem {
         return saves;
     }
     
+    /**
+     * Summarize a save for the slot list
+     * @param {Object} gameState - Parsed save data
+     * @returns {Object} - Day, game minutes, cash and shop stats
+     */
+    getSavePreview(gameState) {
+        const time = gameState.time && gameState.time.time;
+        const inventory = gameState.inventory || {};
+        const storefrontItems = (gameState.storefront && gameState.storefront.storefrontItems) || {};
+        const contracts = gameState.contracts || {};
+        
+        return {
+            day: time ? time.day : 1,
+            totalMinutes: time ? time.totalMinutes : 0,
+            money: typeof inventory.money === 'number' ? inventory.money : 0,
+            stats: {
+                itemsForSale: Object.values(storefrontItems).reduce((sum, item) => sum + (item.quantity || 0), 0),
+                activeContracts: (contracts.activeContracts || []).length,
+                workers: Object.keys((gameState.workers && gameState.workers.workers) || {}).length,
+                blueprints: ((gameState.blueprints && gameState.blueprints.unlockedBlueprints) || []).length
+            }
+        };
+    }
+    
     /**
      * Collect game state from all systems
      * @returns {Object} - Complete game state
@@ -257,23 +624,94 @@ export class SaveSystem {
     }
     
     /**
-     * Get localStorage key for a save slot
+     * Get storage key for a save slot
      * @param {string} slotName - Save slot name
-     * @returns {string} - localStorage key
+     * @returns {string} - Storage key
      */
     getSaveKey(slotName) {
         return `${this.savePrefix}${slotName}`;
     }
     
+    /**
+     * Get storage key for the backup of a save slot
+     * @param {string} slotName - Save slot name
+     * @returns {string} - Storage key
+     */
+    getBackupKey(slotName) {
+        return `${this.backupPrefix}${slotName}`;
+    }
+    
+    /**
+     * Get storage key for an autosave in the rewind history
+     * @param {number} index - Rewind history slot
+     * @returns {string} - Storage key
+     */
+    getAutoSaveKey(index) {
+        return `${this.autoSavePrefix}${index}`;
+    }
+    
+    /**
+     * Check whether a storage key holds a save slot (not a backup or autosave history entry)
+     * @param {string} key - Storage key
+     * @returns {boolean} - Whether the key is a save slot
+     */
+    isSlotKey(key) {
+        return key.startsWith(this.savePrefix) &&
+            !key.startsWith(this.backupPrefix) &&
+            !key.startsWith(this.autoSavePrefix);
+    }
+    
+    /**
+     * Check that a slot name can be used for a save slot.
+     * Names that would land on a backup or autosave history key are refused.
+     * @param {string} slotName - Save slot name
+     * @returns {boolean} - Whether the name is usable
+     */
+    isValidSlotName(slotName) {
+        if (this.isSlotKey(this.getSaveKey(slotName))) {
+            return true;
+        }
+        
+        this.eventEmitter.emit('notification:warning',
+            `Slot names can't start with "${this.backupPrefix.substring(this.savePrefix.length)}" or "${this.autoSavePrefix.substring(this.savePrefix.length)}".`);
+        return false;
+    }
+    
     /**
      * Set auto-save interval
-     * @param {number} interval - New interval in seconds
+     * @param {number} interval - New interval in game minutes
      */
     setAutoSaveInterval(interval) {
-        this.autoSaveInterval = Math.max(30, interval);
+        this.autoSaveInterval = Math.max(15, interval);
         this.autoSaveTimer = 0;
     }
     
+    /**
+     * Set how many autosaves are kept in the rewind history
+     * @param {number} size - Number of autosaves to keep
+     */
+    setAutoSaveHistorySize(size) {
+        const newSize = Math.max(1, Math.floor(size));
+        
+        // When shrinking, keep the newest autosaves (the ring buffer wraps, so they can be in any slot)
+        // and move them into the slots that remain
+        if (newSize < this.autoSaveHistorySize) {
+            const keptSaves = this.getAutoSaves()
+                .slice(0, newSize)
+                .map(autoSave => this.storage.getItem(this.getAutoSaveKey(autoSave.index)));
+            
+            for (let index = 0; index < this.autoSaveHistorySize; index++) {
+                this.storage.removeItem(this.getAutoSaveKey(index));
+            }
+            
+            keptSaves.forEach((saveData, index) => {
+                this.storage.setItem(this.getAutoSaveKey(index), saveData);
+            });
+        }
+        
+        this.autoSaveHistorySize = newSize;
+    }
+    
     /**
      * Enable or disable auto-save
      * @param {boolean} enabled - Whether auto-save should be enabled
@@ -289,44 +727,83 @@ export class SaveSystem {
     }
     
     /**
-     * Export save data as a JSON string
+     * Export a save slot as portable save file contents (with checksum)
      * @param {string} slotName - Save slot name
-     * @returns {string|null} - JSON string or null if save not found
+     * @param {Object} options - Export options
+     * @param {boolean} options.compress - Whether to gzip the save data (default: false)
+     * @returns {Promise<string|null>} - Save file contents or null if save not found
      */
-    exportSave(slotName) {
+    async exportSave(slotName, options = {}) {
         try {
             // Get save data
-            const saveData = localStorage.getItem(this.getSaveKey(slotName));
+            const saveData = this.storage.getItem(this.getSaveKey(slotName));
             
             if (!saveData) {
+                this.eventEmitter.emit('notification:warning', `No save found in slot "${slotName}"`);
                 return null;
             }
             
-            return saveData;
+            return await createSaveFile(saveData, { slotName, compress: options.compress });
         } catch (error) {
             console.error("Error exporting save:", error);
+            this.eventEmitter.emit('notification:error', "Failed to export save.");
             return null;
         }
     }
     
     /**
-     * Import save data from a JSON string
-     * @param {string} jsonData - JSON save data
+     * Export a save slot and download it as a file (browser only)
+     * @param {string} slotName - Save slot name
+     * @param {Object} options - Export options (see exportSave)
+     * @returns {Promise<boolean>} - Whether the download was started
+     */
+    async downloadSave(slotName, options = {}) {
+        const fileContents = await this.exportSave(slotName, options);
+        
+        if (!fileContents) {
+            return false;
+        }
+        
+        // Hand the file to the browser as a download
+        const url = URL.createObjectURL(new Blob([fileContents], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `western-blacksmith-${slotName}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.eventEmitter.emit('save:exported', slotName);
+        this.eventEmitter.emit('notification:success', `Exported save from slot "${slotName}"`);
+        
+        return true;
+    }
+    
+    /**
+     * Import a save file into a slot.
+     * The checksum and schema versions are validated before anything is written.
+     * @param {string} fileContents - Save file contents (from exportSave)
      * @param {string} slotName - Target save slot
-     * @returns {boolean} - Whether import was successful
+     * @returns {Promise<boolean>} - Whether import was successful
      */
-    importSave(jsonData, slotName) {
+    async importSave(fileContents, slotName) {
+        if (!this.isValidSlotName(slotName)) {
+            return false;
+        }
+        
         try {
-            // Validate JSON data
-            const gameState = JSON.parse(jsonData);
+            // Unwrap the file and verify its checksum
+            const saveData = await readSaveFile(fileContents);
+            const gameState = JSON.parse(saveData);
             
             if (!gameState || !gameState.meta) {
-                this.eventEmitter.emit('notification:error', "Invalid save data format.");
-                return false;
+                throw new Error("The save file doesn't contain a game save.");
             }
             
+            // Make sure this game can upgrade and load the save
+            this.migrations.validate(this.migrations.migrate(gameState));
+            
             // Save to slot
-            localStorage.setItem(this.getSaveKey(slotName), jsonData);
+            this.storage.setItem(this.getSaveKey(slotName), saveData);
             
             // Emit event
             this.eventEmitter.emit('save:imported', slotName);
@@ -335,7 +812,7 @@ export class SaveSystem {
             return true;
         } catch (error) {
             console.error("Error importing save:", error);
-            this.eventEmitter.emit('notification:error', "Failed to import save.");
+            this.eventEmitter.emit('notification:error', `Failed to import save: ${error.message}`);
             return false;
         }
     }
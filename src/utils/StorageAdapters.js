@@ -0,0 +1,312 @@
+/**
+ * Storage Adapters
+ * 
+ * Pluggable key/value storage used by the save system.
+ * Every adapter exposes the same small, synchronous API: getItem, setItem, removeItem and keys.
+ * Adapters backed by asynchronous storage (IndexedDB) keep an in-memory copy that is
+ * loaded by ready() before the game starts and written through in the background.
+ * The Node filesystem adapter lives in FileStorageAdapter.js so browsers never load node:fs.
+ */
+
+/**
+ * Storage backed by the browser's localStorage
+ */
+export class LocalStorageAdapter {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+    
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} - Stored value or null if not found
+     */
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+    
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+    
+    /**
+     * Get all stored keys
+     * @returns {Array} - Array of keys
+     */
+    keys() {
+        const keys = [];
+        
+        for (let i = 0; i < this.storage.length; i++) {
+            keys.push(this.storage.key(i));
+        }
+        
+        return keys;
+    }
+}
+
+/**
+ * Storage kept in memory (headless runs and tests)
+ */
+export class MemoryStorageAdapter {
+    constructor(initialData = {}) {
+        this.data = new Map(Object.entries(initialData));
+    }
+    
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} - Stored value or null if not found
+     */
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+    
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.data.delete(key);
+    }
+    
+    /**
+     * Get all stored keys
+     * @returns {Array} - Array of keys
+     */
+    keys() {
+        return [...this.data.keys()];
+    }
+}
+
+/**
+ * Storage backed by IndexedDB (no practical size limit for large saves)
+ */
+export class IndexedDBStorageAdapter {
+    constructor(databaseName = 'western_blacksmith', storeName = 'saves') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        
+        // Open database (set by ready())
+        this.db = null;
+        
+        // In-memory copy of every stored value
+        this.cache = new Map();
+        
+        // Chain of pending background writes
+        this.pendingWrites = Promise.resolve();
+        
+        // Called with the error when a background write fails (the save system reports it)
+        this.onWriteError = null;
+    }
+    
+    /**
+     * Open the database and load all stored values into memory
+     * @returns {Promise<IndexedDBStorageAdapter>} - This adapter, once usable
+     */
+    async ready() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        await new Promise((resolve, reject) => {
+            const store = this.db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+            const request = store.openCursor();
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                
+                if (cursor) {
+                    this.cache.set(cursor.key, cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve();
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+        
+        return this;
+    }
+    
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} - Stored value or null if not found
+     */
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+    
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.cache.set(key, String(value));
+        this.write(store => store.put(String(value), key));
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.cache.delete(key);
+        this.write(store => store.delete(key));
+    }
+    
+    /**
+     * Get all stored keys
+     * @returns {Array} - Array of keys
+     */
+    keys() {
+        return [...this.cache.keys()];
+    }
+    
+    /**
+     * Queue a write to the database
+     * A failed write is reported and skipped; it never holds up or drops the writes after it.
+     * @param {Function} operation - Function receiving the object store
+     */
+    write(operation) {
+        if (!this.db) {
+            throw new Error("IndexedDB storage used before ready()");
+        }
+        
+        this.pendingWrites = this.pendingWrites
+            .then(() => new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(this.storeName, 'readwrite');
+                
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                
+                // Aborts (such as running out of quota) don't always come with a request error
+                transaction.onabort = () => reject(transaction.error || new Error("IndexedDB write was aborted"));
+                
+                try {
+                    operation(transaction.objectStore(this.storeName));
+                } catch (error) {
+                    reject(error);
+                    transaction.abort();
+                }
+            }))
+            .catch(error => this.reportWriteError(error));
+    }
+    
+    /**
+     * Report a background write that didn't reach the database
+     * @param {Error} error - What went wrong
+     */
+    reportWriteError(error) {
+        console.error("Error writing to IndexedDB:", error);
+        
+        if (this.onWriteError) {
+            this.onWriteError(error);
+        }
+    }
+    
+    /**
+     * Wait for all background writes to finish
+     * @returns {Promise} - Resolves when the database is up to date
+     */
+    flush() {
+        return this.pendingWrites;
+    }
+}
+
+/**
+ * Copy every value whose key starts with a prefix from one adapter to another
+ * @param {Object} source - Adapter to copy from
+ * @param {Object} target - Adapter to copy to
+ * @param {string} prefix - Key prefix to copy (default: all keys)
+ * @returns {number} - Number of values copied
+ */
+export function copyStorage(source, target, prefix = '') {
+    let copied = 0;
+    
+    for (const key of source.keys()) {
+        if (key.startsWith(prefix)) {
+            target.setItem(key, source.getItem(key));
+            copied++;
+        }
+    }
+    
+    return copied;
+}
+
+/**
+ * Create the storage adapter chosen at startup
+ * @param {string} type - 'auto', 'indexeddb', 'localstorage', 'memory' or 'file'
+ * @param {Object} options - Adapter options
+ * @param {string} options.directory - Save directory for the 'file' adapter (Node only)
+ * @param {string} options.prefix - Key prefix of saves copied from localStorage into a new IndexedDB store
+ * @returns {Promise<Object>} - Ready-to-use storage adapter
+ */
+export async function createStorageAdapter(type = 'auto', options = {}) {
+    // Pick the best backend available in this environment
+    if (type === 'auto') {
+        if (typeof indexedDB !== 'undefined') {
+            type = 'indexeddb';
+        } else if (typeof localStorage !== 'undefined') {
+            type = 'localstorage';
+        } else {
+            type = 'memory';
+        }
+    }
+    
+    switch (type) {
+        case 'indexeddb': {
+            const adapter = await new IndexedDBStorageAdapter().ready();
+            
+            // Bring saves made before IndexedDB was used along the first time
+            if (adapter.keys().length === 0 && typeof localStorage !== 'undefined') {
+                copyStorage(new LocalStorageAdapter(), adapter, options.prefix || 'western_blacksmith_');
+            }
+            
+            return adapter;
+        }
+        
+        case 'localstorage':
+            return new LocalStorageAdapter();
+            
+        case 'memory':
+            return new MemoryStorageAdapter();
+            
+        case 'file': {
+            const { FileStorageAdapter } = await import('./FileStorageAdapter.js');
+            return new FileStorageAdapter(options.directory);
+        }
+        
+        default:
+            throw new Error(`Unknown storage type "${type}"`);
+    }
+}
\ No newline at end of file
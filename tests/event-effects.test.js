@@ -0,0 +1,141 @@
+/**
+ * Event Effect Tests
+ * 
+ * Each kind of event effect must take hold when its event fires and undo itself
+ * once the event's duration has passed. Every test runs a headless GameCore on
+ * in-memory storage, triggers a real event definition and steps the clock past it.
+ * 
+ * Run: node --test tests/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameCore } from '../src/GameCore.js';
+import { MemoryStorageAdapter } from '../src/utils/StorageAdapters.js';
+
+/**
+ * Build a quiet headless game (no random events of its own)
+ * @returns {GameCore} - Game core
+ */
+function createCore() {
+    const core = new GameCore({ seed: 1, storage: new MemoryStorageAdapter() });
+    core.events.eventChance = 0;
+    
+    return core;
+}
+
+/**
+ * Trigger an event by ID and return the active instance
+ * @param {GameCore} core - Game core
+ * @param {string} eventId - ID of the event definition
+ * @returns {Object} - Active event instance
+ */
+function trigger(core, eventId) {
+    assert.equal(core.events.triggerSpecificEvent(eventId), true, `${eventId} should trigger`);
+    
+    return core.events.getActiveEvents().find(event => event.id === eventId);
+}
+
+/**
+ * Run the clock until an event has expired
+ * @param {GameCore} core - Game core
+ * @param {Object} event - Active event instance
+ */
+function stepPast(core, event) {
+    core.step(event.expiryTime - core.time.getTotalMinutes() + 60, 10);
+    
+    assert.equal(core.events.getActiveEvents().some(active => active.instanceId === event.instanceId), false,
+        `${event.id} should have expired`);
+}
+
+/**
+ * Find an effect of a type in an event instance
+ * @param {Object} event - Event instance
+ * @param {string} type - Effect type
+ * @returns {Object} - Effect definition
+ */
+function getEffect(event, type) {
+    const effect = event.effects.find(entry => entry.type === type);
+    assert.ok(effect, `${event.id} should have a ${type} effect`);
+    
+    return effect;
+}
+
+test('demandIncrease raises demand for the event and then lapses', () => {
+    const core = createCore();
+    const effect = getEffect(core.events.eventsData.definitions.find(event => event.id === 'mine_collapse'), 'demandIncrease');
+    const original = core.storefront.getDemandMultiplier(effect.item);
+    
+    const event = trigger(core, 'mine_collapse');
+    assert.equal(core.storefront.getDemandMultiplier(effect.item), effect.multiplier);
+    
+    stepPast(core, event);
+    assert.equal(core.storefront.getDemandMultiplier(effect.item), original);
+    assert.equal(core.storefront.demandMultipliers[effect.item], undefined);
+});
+
+test('materialPriceModifier changes a material price for the event and then lapses', () => {
+    const core = createCore();
+    const effect = getEffect(core.events.eventsData.definitions.find(event => event.id === 'iron_shipment'), 'materialPriceModifier');
+    const original = core.market.getMaterialPriceMultiplier(effect.material);
+    
+    const event = trigger(core, 'iron_shipment');
+    assert.equal(core.market.getMaterialPriceMultiplier(effect.material), effect.multiplier);
+    
+    stepPast(core, event);
+    assert.equal(core.market.getMaterialPriceMultiplier(effect.material), original);
+});
+
+test('specialContract offers a contract that is withdrawn when it runs out', () => {
+    const core = createCore();
+    const event = trigger(core, 'mine_collapse');
+    const effect = getEffect(event, 'specialContract');
+    const contractId = `special_${effect.contract.item}_${event.instanceId}`;
+    
+    const contract = core.contracts.getContracts().special.find(entry => entry.id === contractId);
+    assert.ok(contract, 'the special contract should be on offer');
+    assert.equal(contract.customer, effect.contract.customer);
+    assert.equal(contract.quantity, effect.contract.quantity);
+    
+    stepPast(core, event);
+    assert.equal(core.contracts.getContracts().special.some(entry => entry.eventId === event.id), false);
+});
+
+test('workerDiscount discounts hiring for the event and then lapses', () => {
+    const core = createCore();
+    const effect = getEffect(core.events.eventsData.definitions.find(event => event.id === 'skilled_apprentice'), 'workerDiscount');
+    const original = core.workers.getHiringDiscount(effect.workerId);
+    
+    const event = trigger(core, 'skilled_apprentice');
+    assert.equal(core.workers.getHiringDiscount(effect.workerId), effect.multiplier);
+    
+    stepPast(core, event);
+    assert.equal(core.workers.getHiringDiscount(effect.workerId), original);
+});
+
+test('toolPriceModifier changes tool prices for the event and then lapses', () => {
+    const core = createCore();
+    const effect = getEffect(core.events.eventsData.definitions.find(event => event.id === 'tool_salesman'), 'toolPriceModifier');
+    const originalPrice = core.market.getToolPrice('hammer');
+    
+    const event = trigger(core, 'tool_salesman');
+    assert.equal(core.market.getToolPriceMultiplier(), effect.multiplier);
+    assert.ok(core.market.getToolPrice('hammer') < originalPrice);
+    
+    stepPast(core, event);
+    assert.equal(core.market.getToolPriceMultiplier(), 1);
+    assert.equal(core.market.getToolPrice('hammer'), originalPrice);
+});
+
+test('deliveryDelay holds up a supply route for the event and then lapses', () => {
+    const core = createCore();
+    const effect = getEffect(core.events.eventsData.definitions.find(event => event.id === 'railroad_strike'), 'deliveryDelay');
+    const original = core.suppliers.getRouteDelay(effect.route);
+    
+    const event = trigger(core, 'railroad_strike');
+    assert.equal(core.suppliers.getRouteDelay(effect.route).hours, effect.hours);
+    
+    stepPast(core, event);
+    assert.equal(core.suppliers.getRouteDelay(effect.route), original);
+    assert.equal(core.suppliers.routeDelays[effect.route], undefined);
+});
\ No newline at end of file
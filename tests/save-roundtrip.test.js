@@ -0,0 +1,152 @@
+/**
+ * Save Round Trip Tests
+ * 
+ * Proves that saving a game and loading it back restores identical state for
+ * every registered system. A headless GameCore with the notification log attached
+ * (as the browser game has) is played for a while, saved to in-memory storage
+ * and loaded into a fresh game.
+ * 
+ * Run: node --test tests/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameCore } from '../src/GameCore.js';
+import { Notifications } from '../src/ui/Notifications.js';
+import { MemoryStorageAdapter } from '../src/utils/StorageAdapters.js';
+import { diffStates, verifySaveRoundTrip } from '../src/utils/SaveRoundTrip.js';
+
+// Systems the browser game saves; each must come back from a save unchanged
+const expectedSystems = [
+    'random', 'time', 'inventory', 'coal', 'toolDurability', 'crafting', 'blueprints', 'reputation',
+    'storefront', 'contracts', 'workers', 'market', 'suppliers', 'events', 'notifications'
+];
+
+// Just enough DOM for the notification log to render into
+const createElement = () => ({ dataset: {}, style: {}, innerHTML: '', firstChild: null, insertBefore() {}, appendChild() {} });
+globalThis.document = {
+    getElementById: () => createElement(),
+    createElement
+};
+
+/**
+ * Build a headless game that saves like the browser game
+ * @param {Object} storage - Storage adapter
+ * @returns {GameCore} - Game core with the notification log registered
+ */
+function createGame(storage) {
+    const core = new GameCore({ seed: 7, storage });
+    
+    core.notifications = new Notifications(core.eventEmitter);
+    core.notifications.displayDuration = 1000;
+    core.saveSystem.register('notifications', core.notifications);
+    
+    return core;
+}
+
+/**
+ * Play a game far enough that every system has something to save
+ * @param {GameCore} core - Game core
+ */
+function playGame(core) {
+    core.inventory.addMoney(500);
+    core.crafting.startCrafting('nail', 10);
+    core.step(12 * 60, 10);
+    
+    // Take on a contract from the morning's offers
+    const contract = core.contracts.getContracts().standard[0];
+    if (contract) {
+        core.contracts.acceptContract(contract.id);
+    }
+    
+    // Stock the counter and post a price of our own
+    core.inventory.addItem('horseshoe', 6, 'good');
+    core.inventory.addItem('nail', 40);
+    core.eventEmitter.emit('storefront:add', 'horseshoe', 3, 'good');
+    core.eventEmitter.emit('storefront:add', 'nail', 20);
+    core.eventEmitter.emit('storefront:set-price', 'nail', 0.4);
+    
+    // Keep the forge busy so jobs are mid-way, and an event running, when the game is saved
+    core.crafting.startCrafting('horseshoe', 2);
+    core.crafting.startCrafting('nail', 10);
+    core.events.triggerSpecificEvent('tool_salesman');
+    core.step(20, 10);
+}
+
+/**
+ * Copy state the way it is written to storage
+ * @param {Object} state - Game state
+ * @returns {Object} - JSON copy
+ */
+function toJSON(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+test('every system the game saves is registered with the save system', () => {
+    const core = createGame(new MemoryStorageAdapter());
+    
+    for (const systemName of expectedSystems) {
+        assert.ok(core.saveSystem.isRegistered(systemName), `${systemName} should be saved`);
+    }
+});
+
+test('saving then loading restores identical state for every system', () => {
+    const storage = new MemoryStorageAdapter();
+    const source = createGame(storage);
+    playGame(source);
+    
+    assert.equal(source.saveSystem.saveGame('roundtrip'), true);
+    const saved = JSON.parse(storage.getItem(source.saveSystem.getSaveKey('roundtrip')));
+    
+    // Load into a fresh game (keeping the "Game loaded" toast out of the log being compared)
+    const target = createGame(storage);
+    target.notifications.suppressed = true;
+    assert.equal(target.saveSystem.loadGame('roundtrip'), true);
+    target.notifications.suppressed = false;
+    
+    const loaded = toJSON(target.saveSystem.collectGameState());
+    
+    for (const systemName of Object.keys(target.saveSystem.systems)) {
+        assert.ok(saved[systemName] !== undefined, `${systemName} should be in the save`);
+        assert.deepEqual(diffStates(saved[systemName], loaded[systemName], systemName), []);
+    }
+    
+    // The game was actually under way when it was saved
+    assert.ok(Object.keys(saved.storefront.storefrontItems).length > 0);
+    assert.equal(saved.storefront.storefrontItems.nail.price, 0.4);
+    assert.ok(saved.crafting.stations.forge.currentCraft);
+    assert.ok(saved.events.activeEvents.length > 0);
+    assert.ok(saved.notifications.notifications.length > 0);
+});
+
+test('verifySaveRoundTrip finds no differences', () => {
+    const source = createGame(new MemoryStorageAdapter());
+    playGame(source);
+    
+    const result = verifySaveRoundTrip(source.saveSystem, createGame(new MemoryStorageAdapter()).saveSystem);
+    
+    assert.deepEqual(result.differences, []);
+    assert.equal(result.ok, true);
+    assert.deepEqual([...result.systems].sort(), [...expectedSystems].sort());
+});
+
+test('a loaded game plays on exactly like the game that was saved', () => {
+    const storage = new MemoryStorageAdapter();
+    const source = createGame(storage);
+    playGame(source);
+    source.saveSystem.saveGame('roundtrip');
+    
+    const target = createGame(storage);
+    target.saveSystem.loadGame('roundtrip');
+    
+    source.step(24 * 60, 10);
+    target.step(24 * 60, 10);
+    
+    // Notification timestamps follow the wall clock, so the log is left out here
+    const expected = toJSON(source.saveSystem.collectGameState());
+    const actual = toJSON(target.saveSystem.collectGameState());
+    delete expected.notifications;
+    delete actual.notifications;
+    
+    assert.deepEqual(diffStates(expected, actual), []);
+});
\ No newline at end of file